@@ -0,0 +1,87 @@
+/**
+ * createApiKey.js — Create a tenant (or reuse one) and issue an API key.
+ *
+ * Usage:
+ *   node createApiKey.js "Acme Corp"                 # new tenant + key
+ *   node createApiKey.js --tenant <tenant_id>        # extra key for a tenant
+ *   node createApiKey.js --tenant <tenant_id> --role admin  # admin key
+ *   node createApiKey.js "Acme Corp" --adopt-orphans # also assign pre-auth data
+ *   — or —
+ *   npm run create-api-key -- "Acme Corp"
+ *
+ * --adopt-orphans gives proposals, AI logs and jobs created before
+ * authentication existed (no tenant_id) to this tenant. Run it once.
+ * The key is printed once and never stored in plaintext.
+ */
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const path = require("path");
+
+dotenv.config({ path: path.resolve(__dirname, ".env") });
+
+const Tenant = require("./src/models/Tenant");
+const Proposal = require("./src/models/Proposal");
+const AILog = require("./src/models/AILog");
+const GenerationJob = require("./src/models/GenerationJob");
+const { createTenant, createApiKey } = require("./src/services/authService");
+
+function parseArgs(argv) {
+  const args = { name: null, tenantId: null, adoptOrphans: false, role: "member" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--tenant") args.tenantId = argv[++i];
+    else if (argv[i] === "--role") args.role = argv[++i];
+    else if (argv[i] === "--adopt-orphans") args.adoptOrphans = true;
+    else args.name = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const { name, tenantId, adoptOrphans, role } = parseArgs(process.argv.slice(2));
+  if ((!name && !tenantId) || !["member", "admin"].includes(role)) {
+    console.error(
+      'Usage: node createApiKey.js "<Tenant name>" | --tenant <tenant_id> [--role member|admin] [--adopt-orphans]'
+    );
+    process.exit(1);
+  }
+
+  const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/sustainable_commerce";
+  await mongoose.connect(uri);
+
+  let tenant;
+  if (tenantId) {
+    const doc = await Tenant.findById(tenantId).lean();
+    if (!doc) throw new Error(`Tenant not found: ${tenantId}`);
+    tenant = { tenant_id: doc._id.toString(), name: doc.name };
+  } else {
+    tenant = await createTenant(name);
+  }
+
+  const key = await createApiKey(tenant.tenant_id, "cli", { role });
+
+  if (adoptOrphans) {
+    const orphan = { tenant_id: { $exists: false } };
+    const $set = { tenant_id: tenant.tenant_id };
+    const [proposals, logs, jobs] = await Promise.all([
+      Proposal.updateMany(orphan, { $set }),
+      AILog.updateMany(orphan, { $set }),
+      GenerationJob.updateMany(orphan, { $set }),
+    ]);
+    console.log(
+      `[Auth] Adopted ${proposals.modifiedCount} proposals, ${logs.modifiedCount} AI logs, ${jobs.modifiedCount} jobs`
+    );
+  }
+
+  console.log(`\nTenant:  ${tenant.name} (${tenant.tenant_id})`);
+  console.log(`API key: ${key.api_key} (${key.role})`);
+  console.log("Store it now — it cannot be shown again.\n");
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("[Auth] Error:", err.message);
+  process.exit(1);
+});
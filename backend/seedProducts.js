@@ -19,109 +19,175 @@ const seedProducts = [
   {
     name: "Recycled Cotton Tote Bag",
     category: "Bags",
+    description:
+      "Sturdy shopping and conference tote sewn from post-consumer recycled cotton; replaces single-use plastic carrier bags.",
     unit_price: 699,
     impact_metrics: {
       plastic_saved_per_unit: 0.3,
       carbon_avoided_per_unit: 1.2,
+      water_saved_per_unit: 1200,
+      waste_diverted_per_unit: 0.2,
+      energy_saved_per_unit: 1.5,
+      certifications: ["GRS"],
     },
   },
   {
     name: "Stainless Steel Water Bottle",
     category: "Drinkware",
+    description:
+      "Double-walled insulated 750 ml bottle for office and travel; keeps drinks cold 24h and replaces disposable plastic bottles.",
     unit_price: 1249,
     impact_metrics: {
       plastic_saved_per_unit: 0.5,
       carbon_avoided_per_unit: 2.1,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.5,
+      energy_saved_per_unit: 3.0,
     },
   },
   {
     name: "Bamboo Ballpoint Pen",
     category: "Stationery",
+    description:
+      "Refillable pen with a bamboo barrel for office desks, events and welcome kits.",
     unit_price: 269,
     impact_metrics: {
       plastic_saved_per_unit: 0.05,
       carbon_avoided_per_unit: 0.15,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.02,
+      energy_saved_per_unit: 0.1,
+      certifications: ["FSC"],
     },
   },
   {
     name: "Recycled Paper Notebook",
     category: "Stationery",
+    description:
+      "A5 ruled notebook made from 100% recycled paper with a kraft cover, suited to onboarding and conference packs.",
     unit_price: 499,
     impact_metrics: {
       plastic_saved_per_unit: 0.1,
       carbon_avoided_per_unit: 0.8,
+      water_saved_per_unit: 20,
+      waste_diverted_per_unit: 0.3,
+      energy_saved_per_unit: 0.8,
+      certifications: ["FSC"],
     },
   },
   {
     name: "Ceramic Travel Mug",
     category: "Drinkware",
+    description:
+      "Lidded ceramic mug for commuters and coffee breaks; replaces paper cups.",
     unit_price: 999,
     impact_metrics: {
       plastic_saved_per_unit: 0.4,
       carbon_avoided_per_unit: 1.5,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.4,
+      energy_saved_per_unit: 1.2,
     },
   },
   {
     name: "Organic Cotton T-Shirt",
     category: "Apparel",
+    description:
+      "Soft crew-neck tee in GOTS-certified organic cotton, printable for team uniforms and events.",
     unit_price: 1799,
     impact_metrics: {
       plastic_saved_per_unit: 0.2,
       carbon_avoided_per_unit: 3.5,
+      water_saved_per_unit: 2500,
+      waste_diverted_per_unit: 0.1,
+      energy_saved_per_unit: 2.0,
+      certifications: ["GOTS", "Fair Trade"],
     },
   },
   {
     name: "Recycled Polyester Cap",
     category: "Apparel",
+    description:
+      "Adjustable cap woven from recycled PET bottles, good for outdoor events and team merchandise.",
     unit_price: 1149,
     impact_metrics: {
       plastic_saved_per_unit: 0.6,
       carbon_avoided_per_unit: 1.8,
+      water_saved_per_unit: 50,
+      waste_diverted_per_unit: 0.15,
+      energy_saved_per_unit: 0.6,
+      certifications: ["GRS"],
     },
   },
   {
     name: "Biodegradable Wheat Straw USB Drive (16GB)",
     category: "Electronics",
+    description:
+      "16GB flash drive in a compostable wheat-straw casing for sharing presentations and onboarding documents.",
     unit_price: 799,
     impact_metrics: {
       plastic_saved_per_unit: 0.15,
       carbon_avoided_per_unit: 0.6,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.05,
+      energy_saved_per_unit: 0.2,
     },
   },
   {
     name: "Portable Solar Phone Charger",
     category: "Electronics",
+    description:
+      "Foldable solar panel power bank that charges phones off-grid, ideal for field teams and premium gifts.",
     unit_price: 2899,
     impact_metrics: {
       plastic_saved_per_unit: 0.25,
       carbon_avoided_per_unit: 5.0,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.1,
+      energy_saved_per_unit: 15.0,
     },
   },
   {
     name: "Plantable Seed Paper Card",
     category: "Stationery",
+    description:
+      "Greeting and thank-you card made of seed paper that grows wildflowers when planted.",
     unit_price: 199,
     impact_metrics: {
       plastic_saved_per_unit: 0.02,
       carbon_avoided_per_unit: 0.1,
+      water_saved_per_unit: 5,
+      waste_diverted_per_unit: 0.02,
+      energy_saved_per_unit: 0.05,
+      certifications: ["FSC"],
     },
   },
   {
     name: "Bamboo Fiber Lunch Box",
     category: "Kitchen",
+    description:
+      "Food-safe lunch box from bamboo fibre for office canteens; replaces plastic takeaway containers.",
     unit_price: 1499,
     impact_metrics: {
       plastic_saved_per_unit: 0.8,
       carbon_avoided_per_unit: 2.0,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.35,
+      energy_saved_per_unit: 0.7,
     },
   },
   {
     name: "Reusable Metal Straw Set (4-pack)",
     category: "Kitchen",
+    description:
+      "Four stainless steel straws with a cleaning brush and cotton pouch; replaces plastic straws in cafeterias.",
     unit_price: 599,
     impact_metrics: {
       plastic_saved_per_unit: 1.0,
       carbon_avoided_per_unit: 0.5,
+      water_saved_per_unit: 0,
+      waste_diverted_per_unit: 0.2,
+      energy_saved_per_unit: 0.3,
     },
   },
 ];
@@ -131,8 +197,9 @@ async function seed() {
   await mongoose.connect(uri);
   console.log("[Seed] Connected to MongoDB");
 
-  await Product.deleteMany({});
-  console.log("[Seed] Cleared existing products");
+  // Seed data is the shared catalog; tenant-owned products are kept
+  await Product.deleteMany({ tenant_id: null });
+  console.log("[Seed] Cleared shared catalog");
 
   const docs = await Product.insertMany(seedProducts);
   console.log(`[Seed] Inserted ${docs.length} products:`);
@@ -3,22 +3,61 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const config = require("./config");
 const proposalRoutes = require("./routes/proposalRoutes");
+const productRoutes = require("./routes/productRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const exchangeRateRoutes = require("./routes/exchangeRateRoutes");
+const pricingRoutes = require("./routes/pricingRoutes");
+const impactRoutes = require("./routes/impactRoutes");
+const clientRoutes = require("./routes/clientRoutes");
+const promptTemplateRoutes = require("./routes/promptTemplateRoutes");
+const experimentRoutes = require("./routes/experimentRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const authRoutes = require("./routes/authRoutes");
+const { startWorker } = require("./workers/generationWorker");
+const { correlationId, CORRELATION_HEADER } = require("./middleware/correlationId");
+
+// An open CORS policy is for local development only. Failing at load
+// makes a production deployment without CORS_ORIGINS unusable rather
+// than silently open to every site.
+if (config.server.nodeEnv === "production" && config.cors.origins.length === 0) {
+  throw new Error("[Config] CORS_ORIGINS must list the allowed browser origins when NODE_ENV=production");
+}
 
 // ── Create Express app (exported for Vercel serverless) ───────────
 const app = express();
+app.set("trust proxy", config.server.trustProxyHops);
 
 // ── Middleware ───────────────────────────────────────────────────
-app.use(cors());
+// Credentials travel in headers (X-API-Key / Authorization), never cookies.
+// Download filenames, rate-limit hints and the correlation id must be
+// readable cross-origin.
+app.use(
+  cors({
+    origin: config.cors.origins.length > 0 ? config.cors.origins : "*",
+    exposedHeaders: ["Content-Disposition", "Retry-After", CORRELATION_HEADER, "X-Export-Page", "X-Export-Has-More"],
+  })
+);
+app.use(correlationId);
 app.use(express.json({ limit: "1mb" }));
 
 // ── Request logging ─────────────────────────────────────────────
 app.use((req, _res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} (${req.correlation_id})`);
   next();
 });
 
 // ── Routes ──────────────────────────────────────────────────────
 app.use("/api/v1/proposals", proposalRoutes);
+app.use("/api/v1/products", productRoutes);
+app.use("/api/v1/jobs", jobRoutes);
+app.use("/api/v1/exchange-rates", exchangeRateRoutes);
+app.use("/api/v1/pricing", pricingRoutes);
+app.use("/api/v1/impact", impactRoutes);
+app.use("/api/v1/clients", clientRoutes);
+app.use("/api/v1/prompt-templates", promptTemplateRoutes);
+app.use("/api/v1/experiments", experimentRoutes);
+app.use("/api/v1/analytics", analyticsRoutes);
+app.use("/api/v1/auth", authRoutes);
 
 // ── Root ────────────────────────────────────────────────────────
 app.get("/", (_req, res) => {
@@ -76,8 +115,22 @@ if (require.main === module) {
       app.listen(config.server.port, () => {
         console.log(`[Server] Running on port ${config.server.port}`);
         console.log(`[Server] POST /api/v1/proposals/generate`);
+        console.log(`[Server] POST /api/v1/proposals/generate/stream (SSE)`);
         console.log(`[Server] GET  /api/v1/proposals/health`);
+        console.log(`[Server] GET  /api/v1/proposals`);
+        console.log(`[Server] GET  /api/v1/proposals/:id`);
+        console.log(`[Server] CRUD /api/v1/products`);
+        console.log(`[Server] GET  /api/v1/jobs/:id`);
+        console.log(`[Server] GET|PUT /api/v1/exchange-rates`);
+        console.log(`[Server] GET|PUT /api/v1/pricing`);
+        console.log(`[Server] POST /api/v1/impact/estimate`);
+        if (!config.auth.required) {
+          console.warn(`[Server] AUTH_REQUIRED=false — all requests run as tenant "${config.auth.devTenantId}"`);
+        }
       });
+      if (config.jobs.inProcessWorker) {
+        startWorker();
+      }
     })
     .catch((err) => {
       console.error("[Server] Fatal startup error:", err);
@@ -25,17 +25,42 @@ const config = Object.freeze({
     uri: requireEnv("MONGODB_URI"),
   },
   ai: {
+    // One of: groq | openai | ollama | mock (see providers/registry.js)
     provider: optionalEnv("AI_PROVIDER", "groq"),
+    temperature: Number(optionalEnv("AI_TEMPERATURE", "0.4")),
+    timeoutMs: Number(optionalEnv("AI_TIMEOUT_MS", "60000")),
+    maxCatalogItems: Number(
+      optionalEnv("AI_MAX_CATALOG_ITEMS", optionalEnv("GROQ_MAX_CATALOG_ITEMS", "8"))
+    ),
     groq: {
+      baseUrl: optionalEnv("GROQ_BASE_URL", "https://api.groq.com/openai/v1"),
       apiKey: optionalEnv("GROQ_API_KEY", ""),
       model: optionalEnv("GROQ_MODEL", "llama-3.3-70b-versatile"),
       maxOutputTokens: Number(optionalEnv("GROQ_MAX_OUTPUT_TOKENS", "320")),
-      maxCatalogItems: Number(optionalEnv("GROQ_MAX_CATALOG_ITEMS", "8")),
+    },
+    openai: {
+      // Any OpenAI-compatible /chat/completions endpoint (OpenAI, Together, vLLM, LM Studio...)
+      baseUrl: optionalEnv("OPENAI_BASE_URL", "https://api.openai.com/v1"),
+      apiKey: optionalEnv("OPENAI_API_KEY", ""),
+      model: optionalEnv("OPENAI_MODEL", "gpt-4o-mini"),
+      maxOutputTokens: Number(optionalEnv("OPENAI_MAX_OUTPUT_TOKENS", "320")),
+    },
+    ollama: {
+      baseUrl: optionalEnv("OLLAMA_BASE_URL", "http://localhost:11434"),
+      model: optionalEnv("OLLAMA_MODEL", "llama3.1"),
+      maxOutputTokens: Number(optionalEnv("OLLAMA_MAX_OUTPUT_TOKENS", "320")),
+    },
+    mock: {
+      // Optional JSON file: a single response object or an array of
+      // responses replayed in order (strings are returned verbatim).
+      fixturePath: optionalEnv("MOCK_AI_FIXTURE", ""),
     },
   },
   server: {
     port: Number(optionalEnv("PORT", "5000")),
     nodeEnv: optionalEnv("NODE_ENV", "development"),
+    // Reverse-proxy hops to trust for req.ip (rate limiting by IP)
+    trustProxyHops: Number(optionalEnv("TRUST_PROXY_HOPS", process.env.VERCEL ? "1" : "0")),
   },
   retry: {
     maxRetries: Number(optionalEnv("AI_MAX_RETRIES", "3")),
@@ -44,6 +69,86 @@ const config = Object.freeze({
   },
   validation: {
     maxAiValidationRetries: Number(optionalEnv("AI_VALIDATION_MAX_RETRIES", "3")),
+    // Use the deterministic allocator when every AI attempt fails validation
+    deterministicFallback: optionalEnv("AI_DETERMINISTIC_FALLBACK", "true") === "true",
+  },
+  jobs: {
+    // In-process worker for `npm start` / `npm run dev`. Serverless entry
+    // points never start it; the Vercel cron (GET /api/v1/jobs/cron) drains
+    // the queue, and an admin can drain its tenant's jobs with
+    // POST /api/v1/jobs/process.
+    inProcessWorker: optionalEnv("JOBS_IN_PROCESS_WORKER", "true") === "true",
+    pollIntervalMs: Number(optionalEnv("JOBS_POLL_INTERVAL_MS", "1000")),
+    // A running job whose lock is older than this is assumed orphaned
+    staleAfterMs: Number(optionalEnv("JOBS_STALE_AFTER_MS", "300000")),
+    maxRuns: Number(optionalEnv("JOBS_MAX_RUNS", "2")),
+    maxEvents: Number(optionalEnv("JOBS_MAX_EVENTS", "50")),
+    // Time budget of one serverless drain; keep it under the function's
+    // maxDuration (vercel.json) so results are saved before it is killed
+    runBudgetMs: Number(optionalEnv("JOBS_RUN_BUDGET_MS", "45000")),
+    // A drain claims no job, and a job run starts no AI attempt, with less
+    // time than this left in its budget
+    minAttemptMs: Number(optionalEnv("JOBS_MIN_ATTEMPT_MS", "15000")),
+    // Vercel cron sends it as Authorization: Bearer <secret>; the cron
+    // route refuses every call while it is empty
+    cronSecret: optionalEnv("CRON_SECRET", ""),
+  },
+  auth: {
+    // When false every request runs as devTenantId (local development only)
+    required: optionalEnv("AUTH_REQUIRED", "true") === "true",
+    devTenantId: optionalEnv("AUTH_DEV_TENANT_ID", "dev"),
+    // HS256 secret for JWT bearer tokens; leave empty to accept API keys only.
+    // Also signs browser sessions (POST /api/v1/auth/session).
+    jwtSecret: optionalEnv("AUTH_JWT_SECRET", ""),
+    // Lifetime of a browser session token; a revoked API key keeps its
+    // sessions valid until they expire
+    sessionTtlSeconds: Number(optionalEnv("AUTH_SESSION_TTL_SECONDS", "28800")),
+  },
+  clients: {
+    // Products a client ordered within this many days are not offered
+    // again when the request names the client; 0 = always offer them
+    repeatWindowDays: Number(optionalEnv("CLIENT_REPEAT_WINDOW_DAYS", "90")),
+  },
+  currency: {
+    // Currency of existing catalog prices and the unit exchange rates are
+    // expressed in. Changing it requires re-entering every rate.
+    base: optionalEnv("BASE_CURRENCY", "INR"),
+  },
+  inventory: {
+    // Decrement stock_on_hand when a proposal is accepted, unless the
+    // transition request says otherwise (reserve_stock)
+    reserveOnAccept: optionalEnv("RESERVE_STOCK_ON_ACCEPT", "false") === "true",
+  },
+  pricing: {
+    // Defaults for tenants without a pricing policy (PUT /api/v1/pricing).
+    // Rates are fractions (0.18 = 18%); fees are in the base currency.
+    // All zero = landed total equals the list-price subtotal.
+    defaultTaxRate: Number(optionalEnv("TAX_DEFAULT_RATE", "0")),
+    shippingBaseFee: Number(optionalEnv("SHIPPING_BASE_FEE", "0")),
+    shippingPerUnitFee: Number(optionalEnv("SHIPPING_PER_UNIT_FEE", "0")),
+    freeShippingAbove: Number(optionalEnv("FREE_SHIPPING_ABOVE", "0")),
+  },
+  rateLimit: {
+    // Inbound limit on the /generate endpoints, per API key (or IP when
+    // auth is disabled). Counters are per process.
+    generatePerWindow: Number(optionalEnv("RATE_LIMIT_GENERATE_MAX", "10")),
+    // Sign-in attempts (POST /auth/session) per IP, against key guessing
+    sessionPerWindow: Number(optionalEnv("RATE_LIMIT_SESSION_MAX", "10")),
+    windowMs: Number(optionalEnv("RATE_LIMIT_WINDOW_MS", "60000")),
+  },
+  quota: {
+    // Per-tenant monthly defaults (UTC calendar month); 0 = unlimited.
+    // A tenant's own monthly_*_quota fields override these.
+    monthlyTokens: Number(optionalEnv("QUOTA_MONTHLY_TOKENS", "0")),
+    monthlyGenerations: Number(optionalEnv("QUOTA_MONTHLY_GENERATIONS", "0")),
+  },
+  cors: {
+    // Comma-separated allowed origins; empty allows any origin, which
+    // only development accepts (src/app.js refuses to load otherwise)
+    origins: optionalEnv("CORS_ORIGINS", "")
+      .split(",")
+      .map((o) => o.trim())
+      .filter(Boolean),
   },
   module: {
     name: optionalEnv("MODULE_NAME", "B2BProposal"),
@@ -0,0 +1,74 @@
+const { AnalyticsRangeQuerySchema } = require("../validators/analyticsValidator");
+const {
+  getGenerationsPerDay,
+  getFailureReasons,
+  getRetriesPerProposal,
+  getCorrections,
+} = require("../services/aiAnalyticsService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * AnalyticsController — AI pipeline analytics over AILog and Proposal (admin).
+ */
+async function generations(req, res) {
+  try {
+    const query = AnalyticsRangeQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await getGenerationsPerDay(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function failures(req, res) {
+  try {
+    const query = AnalyticsRangeQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await getFailureReasons(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function retries(req, res) {
+  try {
+    const query = AnalyticsRangeQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await getRetriesPerProposal(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function corrections(req, res) {
+  try {
+    const query = AnalyticsRangeQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await getCorrections(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { generations, failures, retries, corrections };
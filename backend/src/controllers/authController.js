@@ -0,0 +1,31 @@
+const { SessionCreateSchema } = require("../validators/authValidator");
+const { createSession } = require("../services/authService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+
+/**
+ * AuthController — browser sign-in. The API key is only sent here; every
+ * later request carries the session token as Authorization: Bearer.
+ */
+async function signIn(req, res) {
+  try {
+    const body = SessionCreateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const session = await createSession(body.data.api_key);
+
+    return res.status(201).json({ ok: true, data: session, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+// Who the current credentials resolve to (also the dev principal when
+// AUTH_REQUIRED=false), so the app knows whether to ask for sign-in
+async function current(req, res) {
+  const { tenant_id, actor, role, method } = req.auth;
+  return res.status(200).json({ ok: true, data: { tenant_id, actor, role, method }, error: null });
+}
+
+module.exports = { signIn, current };
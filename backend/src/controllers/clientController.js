@@ -0,0 +1,102 @@
+const {
+  ClientCreateSchema,
+  ClientUpdateSchema,
+  ClientIdParamsSchema,
+  ClientListQuerySchema,
+} = require("../validators/clientValidator");
+const {
+  createClient,
+  getClient,
+  listClients,
+  updateClient,
+  deleteClient,
+} = require("../services/clientService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * ClientController — client account CRUD.
+ *
+ * Same contract as ProposalController: Zod validation, delegate to the
+ * service, { ok, data, error } envelope, error → status mapping.
+ */
+async function create(req, res) {
+  try {
+    const body = ClientCreateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await createClient(body.data, tenantScope(req));
+
+    return res.status(201).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getById(req, res) {
+  try {
+    const params = ClientIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getClient(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function list(req, res) {
+  try {
+    const query = ClientListQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await listClients(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function update(req, res) {
+  try {
+    const params = ClientIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const body = ClientUpdateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await updateClient(params.data.id, body.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function remove(req, res) {
+  try {
+    const params = ClientIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await deleteClient(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { create, getById, list, update, remove };
@@ -0,0 +1,33 @@
+const { ExchangeRateUpdateSchema } = require("../validators/exchangeRateValidator");
+const { getRateTable, setRates } = require("../services/exchangeRateService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+
+/**
+ * ExchangeRateController — the tenant's exchange-rate table.
+ */
+async function get(req, res) {
+  try {
+    const result = await getRateTable(req.auth.tenant_id);
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function update(req, res) {
+  try {
+    const body = ExchangeRateUpdateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await setRates(req.auth.tenant_id, body.data.rates, { actor: req.auth.actor });
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { get, update };
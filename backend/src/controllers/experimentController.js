@@ -0,0 +1,111 @@
+const {
+  ExperimentCreateSchema,
+  ExperimentIdParamsSchema,
+  ExperimentListQuerySchema,
+} = require("../validators/experimentValidator");
+const {
+  createExperiment,
+  getExperiment,
+  listExperiments,
+  startExperiment,
+  stopExperiment,
+  getExperimentMetrics,
+} = require("../services/experimentService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * ExperimentController — A/B experiments over model, prompt and
+ * temperature (admin).
+ */
+async function list(req, res) {
+  try {
+    const query = ExperimentListQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await listExperiments(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function create(req, res) {
+  try {
+    const body = ExperimentCreateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await createExperiment(body.data, { ...tenantScope(req), actor: req.auth.actor });
+
+    return res.status(201).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getById(req, res) {
+  try {
+    const params = ExperimentIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getExperiment(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function start(req, res) {
+  try {
+    const params = ExperimentIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await startExperiment(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function stop(req, res) {
+  try {
+    const params = ExperimentIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await stopExperiment(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function metrics(req, res) {
+  try {
+    const params = ExperimentIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getExperimentMetrics(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { list, create, getById, start, stop, metrics };
@@ -0,0 +1,110 @@
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitError,
+} = require("../errors");
+const { ProviderRateLimitError } = require("../providers/aiProvider");
+
+/**
+ * Shared response helpers for controllers.
+ * Every response uses the { ok, data, error } envelope.
+ */
+
+function formatIssues(zodError) {
+  return zodError.issues
+    .map((i) => `${i.path.join(".")}: ${i.message}`)
+    .join("; ");
+}
+
+function sendBadRequest(res, zodError) {
+  return res.status(400).json({
+    ok: false,
+    data: null,
+    error: `Validation failed: ${formatIssues(zodError)}`,
+  });
+}
+
+function retryAfterHeaders(retryAfterMs) {
+  const retryAfterSeconds = Math.ceil((retryAfterMs || 0) / 1000);
+  return retryAfterSeconds > 0 ? { "Retry-After": String(retryAfterSeconds) } : {};
+}
+
+// Map an error to { status, headers, body }. Shared by JSON responses and
+// the SSE stream, which reports the same payload as its final event.
+function toErrorResponse(err) {
+  // 429 - provider rate limit
+  if (err instanceof ProviderRateLimitError) {
+    return {
+      status: 429,
+      headers: retryAfterHeaders(err.retryAfterMs),
+      body: {
+        ok: false,
+        data: {
+          provider: err.provider,
+          retry_after_ms: err.retryAfterMs || null,
+        },
+        error: err.message,
+      },
+    };
+  }
+
+  // 429 - inbound rate limit or tenant quota
+  if (err instanceof RateLimitError) {
+    return {
+      status: 429,
+      headers: retryAfterHeaders(err.retryAfterMs),
+      body: {
+        ok: false,
+        data: {
+          limit: err.limit,
+          retry_after_ms: err.retryAfterMs || null,
+        },
+        error: err.message,
+      },
+    };
+  }
+
+  // 401 - missing or invalid credentials
+  if (err instanceof UnauthorizedError) {
+    return {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Bearer realm="api"' },
+      body: { ok: false, data: null, error: err.message },
+    };
+  }
+
+  // 403 - authenticated but not allowed
+  if (err instanceof ForbiddenError) {
+    return { status: 403, headers: {}, body: { ok: false, data: null, error: err.message } };
+  }
+
+  // 404 - missing document
+  if (err instanceof NotFoundError) {
+    return { status: 404, headers: {}, body: { ok: false, data: null, error: err.message } };
+  }
+
+  // 409 - uniqueness conflict
+  if (err instanceof ConflictError) {
+    return { status: 409, headers: {}, body: { ok: false, data: null, error: err.message } };
+  }
+
+  // 4xx - validation/business rule failures
+  if (err instanceof ValidationError) {
+    return { status: 422, headers: {}, body: { ok: false, data: null, error: err.message } };
+  }
+
+  // 5xx - provider/system errors
+  return { status: 500, headers: {}, body: { ok: false, data: null, error: err.message } };
+}
+
+function sendError(res, err) {
+  console.error("[Controller] Error:", err.message);
+  const { status, headers, body } = toErrorResponse(err);
+  res.set(headers);
+  return res.status(status).json(body);
+}
+
+module.exports = { formatIssues, sendBadRequest, toErrorResponse, sendError };
@@ -0,0 +1,23 @@
+const { ImpactEstimateSchema } = require("../validators/impactValidator");
+const { computeImpact } = require("../services/impactService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+
+/**
+ * ImpactController — impact estimates without generating a proposal.
+ */
+async function estimate(req, res) {
+  try {
+    const body = ImpactEstimateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await computeImpact(body.data.products, { tenant_id: req.auth.tenant_id });
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { estimate };
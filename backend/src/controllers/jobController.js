@@ -0,0 +1,52 @@
+const { JobIdParamsSchema } = require("../validators/jobValidator");
+const { getJob, drainJobs } = require("../services/jobService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * JobController — status of asynchronous generation jobs.
+ */
+async function getById(req, res) {
+  try {
+    const params = JobIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getJob(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+// Drains the caller's own tenant's queued jobs within one time budget,
+// for deployments with no in-process worker (admin only)
+async function processTenantJobs(req, res) {
+  try {
+    const jobs = await drainJobs(tenantScope(req));
+
+    return res.status(200).json({
+      ok: true,
+      data: { processed: jobs.length, jobs: jobs.map(({ job_id, status }) => ({ job_id, status })) },
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+// Scheduler drain (Vercel cron): every tenant's jobs, each under its own
+// tenant_id. Only counts are returned.
+async function processAllJobs(req, res) {
+  try {
+    const jobs = await drainJobs();
+
+    return res.status(200).json({ ok: true, data: { processed: jobs.length }, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { getById, processTenantJobs, processAllJobs };
@@ -0,0 +1,33 @@
+const { PricingPolicyUpdateSchema } = require("../validators/pricingValidator");
+const { getPricingPolicy, setPricingPolicy } = require("../services/pricingService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+
+/**
+ * PricingController — the tenant's tax and shipping policy.
+ */
+async function get(req, res) {
+  try {
+    const result = await getPricingPolicy(req.auth.tenant_id);
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function update(req, res) {
+  try {
+    const body = PricingPolicyUpdateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await setPricingPolicy(req.auth.tenant_id, body.data, { actor: req.auth.actor });
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { get, update };
@@ -0,0 +1,102 @@
+const {
+  ProductCreateSchema,
+  ProductUpdateSchema,
+  ProductIdParamsSchema,
+  ProductListQuerySchema,
+} = require("../validators/productValidator");
+const {
+  createProduct,
+  getProduct,
+  listProducts,
+  updateProduct,
+  deleteProduct,
+} = require("../services/productService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * ProductController — catalog CRUD.
+ *
+ * Same contract as ProposalController: Zod validation, delegate to the
+ * service, { ok, data, error } envelope, error → status mapping.
+ */
+async function create(req, res) {
+  try {
+    const body = ProductCreateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await createProduct(body.data, tenantScope(req));
+
+    return res.status(201).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getById(req, res) {
+  try {
+    const params = ProductIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getProduct(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function list(req, res) {
+  try {
+    const query = ProductListQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await listProducts(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function update(req, res) {
+  try {
+    const params = ProductIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const body = ProductUpdateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await updateProduct(params.data.id, body.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function remove(req, res) {
+  try {
+    const params = ProductIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await deleteProduct(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { create, getById, list, update, remove };
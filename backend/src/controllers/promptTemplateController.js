@@ -0,0 +1,100 @@
+const {
+  PromptTemplateCreateSchema,
+  PromptTemplateIdParamsSchema,
+  PromptTemplateListQuerySchema,
+} = require("../validators/promptTemplateValidator");
+const {
+  getActiveTemplate,
+  getTemplate,
+  listTemplates,
+  createTemplate,
+  activateTemplate,
+  activateBuiltinTemplate,
+} = require("../services/promptTemplateService");
+const { sendBadRequest, sendError } = require("./httpErrors");
+const { tenantScope } = require("../middleware/auth");
+
+/**
+ * PromptTemplateController — versioned prompt templates (admin).
+ */
+async function list(req, res) {
+  try {
+    const query = PromptTemplateListQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await listTemplates(query.data, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getActive(req, res) {
+  try {
+    const result = await getActiveTemplate(req.auth.tenant_id);
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getById(req, res) {
+  try {
+    const params = PromptTemplateIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getTemplate(params.data.id, tenantScope(req));
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function create(req, res) {
+  try {
+    const body = PromptTemplateCreateSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await createTemplate(body.data, { ...tenantScope(req), actor: req.auth.actor });
+
+    return res.status(201).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function activate(req, res) {
+  try {
+    const params = PromptTemplateIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await activateTemplate(params.data.id, { ...tenantScope(req), actor: req.auth.actor });
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function activateBuiltin(req, res) {
+  try {
+    const result = await activateBuiltinTemplate({ ...tenantScope(req), actor: req.auth.actor });
+
+    return res.status(200).json({ ok: true, data: result, error: null });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+module.exports = { list, getActive, getById, create, activate, activateBuiltin };
@@ -1,6 +1,28 @@
-const { ProposalRequestSchema } = require("../validators/proposalValidator");
-const { generateProposal, ValidationError } = require("../services/proposalService");
-const { ProviderRateLimitError } = require("../providers/aiProvider");
+const {
+  ProposalRequestSchema,
+  GenerateQuerySchema,
+  ProposalIdParamsSchema,
+  ProposalReadQuerySchema,
+  ProposalListQuerySchema,
+  ProposalExportQuerySchema,
+  ProposalBulkExportQuerySchema,
+  ProposalRevisionSchema,
+  ProposalTransitionSchema,
+} = require("../validators/proposalValidator");
+const { BriefParseSchema } = require("../validators/briefValidator");
+const { generateProposal } = require("../services/proposalService");
+const { parseBrief } = require("../services/briefService");
+const { getProposalById, getProposalAttempts, listProposals } = require("../services/proposalQueryService");
+const { enqueueGenerationJob } = require("../services/jobService");
+const { renderProposalPdf } = require("../services/pdfService");
+const { exportProposal, exportProposals } = require("../services/exportService");
+const { reviseProposal } = require("../services/revisionService");
+const { transitionProposal } = require("../services/lifecycleService");
+const { kick } = require("../workers/generationWorker");
+const { sendBadRequest, sendError, toErrorResponse } = require("./httpErrors");
+const { openEventStream } = require("../utils/sse");
+const { tenantScope } = require("../middleware/auth");
+const { assertWithinQuota } = require("../services/quotaService");
 
 /**
  * ProposalController
@@ -10,22 +32,45 @@ const { ProviderRateLimitError } = require("../providers/aiProvider");
  * - Delegating to service (use case)
  * - Formatting the { ok, data } response envelope
  * - Mapping error types to HTTP status codes
+ *
+ * Routes run behind requireAuth, so every service call is scoped to
+ * req.auth.tenant_id.
  */
 async function generate(req, res) {
   try {
     const parseResult = ProposalRequestSchema.safeParse(req.body);
     if (!parseResult.success) {
-      const issues = parseResult.error.issues
-        .map((i) => `${i.path.join(".")}: ${i.message}`)
-        .join("; ");
-      return res.status(400).json({
-        ok: false,
-        data: null,
-        error: `Validation failed: ${issues}`,
+      return sendBadRequest(res, parseResult.error);
+    }
+    const query = GenerateQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    // Async mode: enqueue and return immediately; poll GET /jobs/:id
+    if (query.data.async) {
+      // Refuse up front rather than queue a job that would fail with 429
+      await assertWithinQuota(req.auth.tenant_id);
+      const job = await enqueueGenerationJob(parseResult.data, {
+        ...tenantScope(req),
+        correlation_id: req.correlation_id,
+      });
+      kick();
+      return res.status(202).json({
+        ok: true,
+        data: {
+          job_id: job.job_id,
+          status: job.status,
+          poll_url: `/api/v1/jobs/${job.job_id}`,
+        },
+        error: null,
       });
     }
 
-    const result = await generateProposal(parseResult.data);
+    const result = await generateProposal(parseResult.data, {
+      ...tenantScope(req),
+      correlation_id: req.correlation_id,
+    });
 
     return res.status(200).json({
       ok: true,
@@ -33,39 +78,246 @@ async function generate(req, res) {
       error: null,
     });
   } catch (err) {
-    console.error("[Controller] Error:", err.message);
-
-    // 429 - provider rate limit
-    if (err instanceof ProviderRateLimitError) {
-      const retryAfterSeconds = Math.ceil((err.retryAfterMs || 0) / 1000);
-      if (retryAfterSeconds > 0) {
-        res.set("Retry-After", String(retryAfterSeconds));
-      }
-      return res.status(429).json({
-        ok: false,
-        data: {
-          provider: err.provider,
-          retry_after_ms: err.retryAfterMs || null,
-        },
-        error: err.message,
-      });
+    return sendError(res, err);
+  }
+}
+
+/**
+ * Same pipeline as generate(), reported live over Server-Sent Events.
+ *
+ * Progress events are named after the pipeline step (catalog_loaded,
+ * ai_attempt, retry_scheduled, validation_failed, fallback,
+ * impact_computed, persisted). The stream always ends with exactly one
+ * `result` event ({ ok, data, error }) or one `error` event carrying the
+ * status code and envelope generate() would have returned.
+ */
+async function generateStream(req, res) {
+  const parseResult = ProposalRequestSchema.safeParse(req.body);
+  if (!parseResult.success) {
+    return sendBadRequest(res, parseResult.error);
+  }
+  // Quota errors are plain 429 JSON (with Retry-After) before the stream opens
+  try {
+    await assertWithinQuota(req.auth.tenant_id);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const stream = openEventStream(res);
+  stream.send("started", { at: new Date().toISOString() });
+
+  try {
+    const result = await generateProposal(parseResult.data, {
+      ...tenantScope(req),
+      correlation_id: req.correlation_id,
+      onProgress: (type, data) => stream.send(type, { ...data, at: new Date().toISOString() }),
+    });
+    stream.send("result", { ok: true, data: result, error: null });
+  } catch (err) {
+    console.error("[Controller] Stream error:", err.message);
+    const { status, body } = toErrorResponse(err);
+    stream.send("error", { status, ...body });
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Extract preferences from a free-text brief without generating, so the
+ * form can show an editable preview.
+ */
+async function previewBrief(req, res) {
+  try {
+    const body = BriefParseSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
     }
 
-    // 4xx - validation/business rule failures
-    if (err instanceof ValidationError) {
-      return res.status(422).json({
-        ok: false,
-        data: null,
-        error: err.message,
-      });
+    const extraction = await parseBrief(body.data.brief, tenantScope(req));
+
+    return res.status(200).json({
+      ok: true,
+      data: extraction,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function getById(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const query = ProposalReadQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await getProposalById(params.data.id, { ...query.data, ...tenantScope(req) });
+
+    return res.status(200).json({
+      ok: true,
+      data: result,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function attempts(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const result = await getProposalAttempts(params.data.id, tenantScope(req));
+
+    return res.status(200).json({
+      ok: true,
+      data: result,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function revise(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const body = ProposalRevisionSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
+    }
+
+    const result = await reviseProposal(params.data.id, body.data, tenantScope(req));
+
+    return res.status(200).json({
+      ok: true,
+      data: result,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function transition(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const body = ProposalTransitionSchema.safeParse(req.body);
+    if (!body.success) {
+      return sendBadRequest(res, body.error);
     }
 
-    // 5xx - provider/system errors
-    return res.status(500).json({
-      ok: false,
-      data: null,
-      error: err.message,
+    const result = await transitionProposal(params.data.id, body.data, {
+      ...tenantScope(req),
+      actor: req.auth.actor,
     });
+
+    return res.status(200).json({
+      ok: true,
+      data: result,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function downloadPdf(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+
+    const proposal = await getProposalById(params.data.id, tenantScope(req));
+    const pdf = await renderProposalPdf(proposal);
+
+    return sendAttachment(res, {
+      body: pdf,
+      contentType: "application/pdf",
+      filename: `proposal-${proposal.proposal_id}.pdf`,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function exportOne(req, res) {
+  try {
+    const params = ProposalIdParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return sendBadRequest(res, params.error);
+    }
+    const query = ProposalExportQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const file = await exportProposal(params.data.id, query.data.format, tenantScope(req));
+
+    return sendAttachment(res, file);
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+async function exportMany(req, res) {
+  try {
+    const query = ProposalBulkExportQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const file = await exportProposals(query.data, query.data.format, tenantScope(req));
+
+    // More matching proposals than one file holds: fetch ?page=N+1 next
+    res.set({ "X-Export-Page": String(file.page), "X-Export-Has-More": String(file.has_more) });
+    return sendAttachment(res, file);
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+// File downloads bypass the JSON envelope; errors still use it.
+function sendAttachment(res, { body, contentType, filename }) {
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": String(body.length),
+  });
+  return res.status(200).send(body);
+}
+
+async function list(req, res) {
+  try {
+    const query = ProposalListQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return sendBadRequest(res, query.error);
+    }
+
+    const result = await listProposals(query.data, tenantScope(req));
+
+    return res.status(200).json({
+      ok: true,
+      data: result,
+      error: null,
+    });
+  } catch (err) {
+    return sendError(res, err);
   }
 }
 
@@ -80,4 +332,17 @@ async function health(_req, res) {
   });
 }
 
-module.exports = { generate, health };
+module.exports = {
+  generate,
+  generateStream,
+  previewBrief,
+  getById,
+  attempts,
+  revise,
+  transition,
+  downloadPdf,
+  exportOne,
+  exportMany,
+  list,
+  health,
+};
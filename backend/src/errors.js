@@ -0,0 +1,100 @@
+/**
+ * Domain errors shared across services.
+ * Controllers map these to HTTP status codes (see controllers/httpErrors.js).
+ */
+
+// Values of ValidationError `reason` for rejected AI output; "other" for
+// validation errors thrown without one
+const VALIDATION_FAILURE_REASONS = [
+  "json_parse",
+  "schema",
+  "unknown_product",
+  "name_mismatch",
+  "price_mismatch",
+  "inventory",
+  "budget_limit_mismatch",
+  "budget_exceeded",
+  "other",
+];
+
+/**
+ * ValidationError — thrown for AI output validation and business rule violations.
+ * The controller maps this to HTTP 422 (vs 500 for provider/system errors).
+ * `reason` classifies rejected AI output for analytics (AILog failure_reason).
+ */
+class ValidationError extends Error {
+  constructor(message, { reason = null } = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * NotFoundError — thrown when a requested document does not exist.
+ * The controller maps this to HTTP 404.
+ */
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * ConflictError — thrown when a write would violate a uniqueness rule.
+ * The controller maps this to HTTP 409.
+ */
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * UnauthorizedError — thrown when a request carries no valid credentials.
+ * The controller maps this to HTTP 401.
+ */
+class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnauthorizedError";
+  }
+}
+
+/**
+ * ForbiddenError — thrown when an authenticated caller lacks the role
+ * an operation requires. The controller maps this to HTTP 403.
+ */
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * RateLimitError — thrown when a caller exceeds an inbound rate limit or
+ * its tenant's monthly quota. The controller maps this to HTTP 429 with
+ * Retry-After, like an upstream ProviderRateLimitError.
+ */
+class RateLimitError extends Error {
+  constructor(message, retryAfterMs, limit) {
+    super(message);
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+    // Which limit tripped, e.g. { name: "monthly_tokens", quota, used }
+    this.limit = limit;
+  }
+}
+
+module.exports = {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitError,
+  VALIDATION_FAILURE_REASONS,
+};
@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const config = require("../config");
+const { authenticate } = require("../services/authService");
+const { sendError } = require("../controllers/httpErrors");
+const { ForbiddenError, UnauthorizedError } = require("../errors");
+
+/**
+ * Resolve the caller to a tenant before any route handler runs.
+ * Handlers read req.auth = { tenant_id, actor, role, method }.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    req.auth = await authenticate(req.headers);
+    return next();
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+
+// Use after requireAuth on routes that change tenant-wide settings
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.auth?.role !== role) {
+      return sendError(res, new ForbiddenError(`This operation requires the ${role} role`));
+    }
+    return next();
+  };
+}
+
+// Scheduler routes (Vercel cron) authenticate with CRON_SECRET instead
+// of a tenant credential; they are refused while no secret is set.
+function requireCronSecret(req, res, next) {
+  const secret = config.jobs.cronSecret;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const given = req.headers.authorization || "";
+  if (!secret || !crypto.timingSafeEqual(digest(given), digest(`Bearer ${secret}`))) {
+    return sendError(res, new UnauthorizedError("Invalid or missing cron secret"));
+  }
+  return next();
+}
+
+// Scope object passed to every tenant-aware service call
+function tenantScope(req) {
+  return { tenant_id: req.auth.tenant_id };
+}
+
+module.exports = { requireAuth, requireRole, requireCronSecret, tenantScope };
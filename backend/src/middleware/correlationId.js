@@ -0,0 +1,24 @@
+const { randomUUID } = require("crypto");
+
+/**
+ * Request correlation id.
+ *
+ * Every request gets an id in req.correlation_id, echoed back in the
+ * X-Correlation-Id response header. A caller-supplied id is kept when it
+ * looks like one (so a gateway or client can trace its own requests);
+ * anything else is replaced by a fresh UUID. Generation stores the id on
+ * every AILog entry and on the proposal, which ties the logs of a failed
+ * generation to the request that caused it.
+ */
+
+const HEADER = "X-Correlation-Id";
+const VALID_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+function correlationId(req, res, next) {
+  const incoming = req.get(HEADER);
+  req.correlation_id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+  res.set(HEADER, req.correlation_id);
+  next();
+}
+
+module.exports = { correlationId, CORRELATION_HEADER: HEADER };
@@ -0,0 +1,64 @@
+const { RateLimitError } = require("../errors");
+const { sendError } = require("../controllers/httpErrors");
+
+/**
+ * Fixed-window inbound rate limiter.
+ *
+ * Counters live in process memory, so on serverless each warm instance
+ * enforces its own window; the monthly quota in quotaService is the
+ * durable limit. Runs after requireAuth so callers are keyed by
+ * credential, falling back to IP when auth is disabled.
+ */
+
+function clientKey(req) {
+  if (req.auth && req.auth.method !== "none") {
+    return `${req.auth.tenant_id}:${req.auth.actor}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+function createRateLimiter({ name, max, windowMs, now = Date.now }) {
+  const windows = new Map();
+
+  function prune(at) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= at) windows.delete(key);
+    }
+  }
+
+  return function rateLimit(req, res, next) {
+    if (max <= 0) return next();
+
+    const at = now();
+    if (windows.size > 10000) prune(at);
+
+    const key = clientKey(req);
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= at) {
+      entry = { count: 0, resetAt: at + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    res.set({
+      "X-RateLimit-Limit": String(max),
+      "X-RateLimit-Remaining": String(Math.max(0, max - entry.count)),
+      "X-RateLimit-Reset": String(Math.ceil(entry.resetAt / 1000)),
+    });
+
+    if (entry.count > max) {
+      const retryAfterMs = entry.resetAt - at;
+      return sendError(
+        res,
+        new RateLimitError(
+          `Rate limit exceeded: ${max} ${name} requests per ${Math.round(windowMs / 1000)}s`,
+          retryAfterMs,
+          { name, max, window_ms: windowMs }
+        )
+      );
+    }
+    return next();
+  };
+}
+
+module.exports = { createRateLimiter, clientKey };
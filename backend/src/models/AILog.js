@@ -1,7 +1,13 @@
 const mongoose = require("mongoose");
+const { VALIDATION_FAILURE_REASONS } = require("../errors");
 
 const AILogSchema = new mongoose.Schema(
   {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
     system_prompt: {
       type: String,
       required: true,
@@ -14,6 +20,88 @@ const AILogSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    provider: {
+      type: String,
+      default: null,
+    },
+    model: {
+      type: String,
+      default: null,
+    },
+    // Request that made the call (X-Correlation-Id); shared by every
+    // attempt of one generation, including ones that produced no proposal
+    correlation_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Proposal the generation ended in (AI or fallback); null while the
+    // generation runs and when it failed
+    proposal_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // 1-based validation attempt within one generation
+    attempt: {
+      type: Number,
+      default: null,
+    },
+    // Provider call duration, including its transport retries
+    latency_ms: {
+      type: Number,
+      default: null,
+    },
+    // Set once the response is validated; null on entries logged before
+    // outcomes were recorded
+    outcome: {
+      type: String,
+      enum: ["passed", "failed", null],
+      default: null,
+    },
+    // ValidationError reason of a failed attempt (see proposalService)
+    failure_reason: {
+      type: String,
+      enum: [...VALIDATION_FAILURE_REASONS, null],
+      default: null,
+    },
+    failure_message: {
+      type: String,
+      default: null,
+    },
+    // Values the server fixed instead of rejecting: line items whose
+    // total_cost was recomputed, and whether allocated_budget was
+    corrections: {
+      total_cost: { type: Number, default: 0 },
+      allocated_budget: { type: Boolean, default: false },
+    },
+    // Token counts as reported by the provider (0 when not reported)
+    usage: {
+      prompt_tokens: { type: Number, default: 0 },
+      completion_tokens: { type: Number, default: 0 },
+      total_tokens: { type: Number, default: 0 },
+    },
+    // Prompt template version the prompts were rendered from
+    // (null / 0 = built-in; see promptTemplateService)
+    prompt_template_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    prompt_template_version: {
+      type: Number,
+      default: 0,
+    },
+    // Experiment arm the request was assigned to (null = none running)
+    experiment_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    experiment_arm: {
+      type: String,
+      default: null,
+    },
     module: {
       type: String,
       required: true,
@@ -33,4 +121,7 @@ const AILogSchema = new mongoose.Schema(
   }
 );
 
+// Analytics: a tenant's attempts in a date range
+AILogSchema.index({ tenant_id: 1, created_at: -1 });
+
 module.exports = mongoose.model("AILog", AILogSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Only the SHA-256 of a key is stored; the plaintext is shown once on creation.
+const ApiKeySchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      default: "",
+    },
+    // "admin" may change tenant settings (e.g. exchange rates)
+    role: {
+      type: String,
+      enum: ["member", "admin"],
+      default: "member",
+    },
+    key_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the key, for identifying it in listings and logs
+    prefix: {
+      type: String,
+      required: true,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// A customer account of one tenant. Defaults fill the generate request
+// when it names the client (client_id); past_orders keep the AI from
+// offering what the client bought recently (see clientService).
+const ClientSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    contact: {
+      name: { type: String, default: "" },
+      email: { type: String, default: "" },
+      phone: { type: String, default: "" },
+    },
+    // Used when a request names no currency; null = base currency
+    default_currency: {
+      type: String,
+      default: null,
+    },
+    default_category_focus: {
+      type: [String],
+      default: [],
+    },
+    default_sustainability_priority: {
+      type: String,
+      default: "",
+    },
+    // Never offered to this client
+    excluded_product_ids: {
+      type: [String],
+      default: [],
+    },
+    // Entered by hand or appended when one of the client's proposals is accepted
+    past_orders: {
+      type: [
+        {
+          _id: false,
+          product_id: { type: String, required: true },
+          name: { type: String, default: "" },
+          quantity: { type: Number, required: true, min: 1 },
+          ordered_at: { type: Date, required: true },
+          proposal_id: { type: String, default: null },
+        },
+      ],
+      default: [],
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+ClientSchema.index({ tenant_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Client", ClientSchema);
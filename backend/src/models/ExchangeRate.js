@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One row per tenant per currency: how many base-currency units one unit
+// of `currency` is worth. The base currency itself is never stored.
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    updated_by: {
+      type: String,
+      default: null,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+ExchangeRateSchema.index({ tenant_id: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// One variant of an experiment. Unset fields keep the tenant's normal
+// setup: provider default model, active prompt template, AI_TEMPERATURE.
+const ExperimentArmSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    weight: { type: Number, required: true, min: 0 },
+    model: { type: String, default: null },
+    prompt_template_id: { type: String, default: null },
+    temperature: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// An A/B test over models, prompts and temperature. While running, every
+// AI generate request of the tenant is assigned one arm by weight (see
+// experimentService); at most one experiment per tenant runs at a time.
+const ExperimentSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["draft", "running", "stopped"],
+      default: "draft",
+    },
+    arms: {
+      type: [ExperimentArmSchema],
+      required: true,
+    },
+    created_by: {
+      type: String,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    stopped_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+ExperimentSchema.index(
+  { tenant_id: 1 },
+  { unique: true, partialFilterExpression: { status: "running" }, name: "one_running_per_tenant" }
+);
+
+module.exports = mongoose.model("Experiment", ExperimentSchema);
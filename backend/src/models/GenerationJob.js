@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+const JobEventSchema = new mongoose.Schema(
+  {
+    // 1, 2, 3… across every run of the job; clients poll by it since only
+    // the last JOBS_MAX_EVENTS events are kept
+    seq: { type: Number, required: true },
+    type: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const GenerationJobSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed"],
+      default: "queued",
+      index: true,
+    },
+    // Validated ProposalRequestSchema payload
+    request: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Correlation id of the enqueueing request; the generation logs under it
+    correlation_id: {
+      type: String,
+      default: null,
+    },
+    // AI attempts made by the pipeline (validation retries)
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Times a worker picked the job up (> 1 after a stale-lock recovery)
+    runs: {
+      type: Number,
+      default: 0,
+    },
+    events: {
+      type: [JobEventSchema],
+      default: [],
+    },
+    // seq of the last event written
+    event_count: {
+      type: Number,
+      default: 0,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // { status, message, data } — same status code /generate would return
+    error: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    worker_id: {
+      type: String,
+      default: null,
+    },
+    locked_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+GenerationJobSchema.index({ status: 1, created_at: 1 });
+
+module.exports = mongoose.model("GenerationJob", GenerationJobSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One per tenant: tax rates and shipping rules applied on top of line
+// items (see pricingService). Fees are in the base currency.
+const PricingPolicySchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tax: {
+      default_rate: { type: Number, default: 0, min: 0, max: 1 },
+      // category → rate; wins over by_region
+      by_category: { type: Map, of: Number, default: {} },
+      // region code (request `region`) → rate
+      by_region: { type: Map, of: Number, default: {} },
+    },
+    shipping: {
+      base_fee: { type: Number, default: 0, min: 0 },
+      per_unit_fee: { type: Number, default: 0, min: 0 },
+      // Net goods value at which shipping is free; 0 = never free
+      free_above: { type: Number, default: 0, min: 0 },
+    },
+    updated_by: {
+      type: String,
+      default: null,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("PricingPolicy", PricingPolicySchema);
@@ -2,6 +2,12 @@ const mongoose = require("mongoose");
 
 const ProductSchema = new mongoose.Schema(
   {
+    // null = shared catalog visible to every tenant (seed data)
+    tenant_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
     name: {
       type: String,
       required: true,
@@ -10,11 +16,54 @@ const ProductSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Free text indexed for catalog retrieval alongside name and category
+    description: {
+      type: String,
+      default: "",
+    },
     unit_price: {
       type: Number,
       required: true,
       min: 0,
     },
+    // ISO 4217 code of unit_price; missing on legacy rows = base currency
+    currency: {
+      type: String,
+      default: null,
+    },
+    // Volume discounts: the unit_price of the highest min_quantity at or
+    // below the ordered quantity replaces the list price (same currency)
+    price_breaks: {
+      type: [
+        {
+          _id: false,
+          min_quantity: { type: Number, required: true, min: 2 },
+          unit_price: { type: Number, required: true, min: 0 },
+        },
+      ],
+      default: undefined,
+    },
+    // Inventory; null = not tracked / no limit (see utils/inventory.js)
+    stock_on_hand: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    moq: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    max_order_qty: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    lead_time_days: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
     impact_metrics: {
       plastic_saved_per_unit: {
         type: Number,
@@ -26,6 +75,28 @@ const ProductSchema = new mongoose.Schema(
         required: true,
         default: 0,
       },
+      // Litres of water saved per unit over its life
+      water_saved_per_unit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Kilograms kept out of landfill per unit
+      waste_diverted_per_unit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      energy_saved_per_unit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // e.g. "GOTS", "FSC", "Fair Trade"
+      certifications: {
+        type: [String],
+        default: undefined,
+      },
     },
   },
   {
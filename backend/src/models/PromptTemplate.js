@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// One version of a tenant's prompt templates. Versions are immutable and
+// numbered per tenant; at most one is active. Without an active version
+// the built-in templates apply (see promptTemplateService).
+const PromptTemplateSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    system_template: {
+      type: String,
+      required: true,
+    },
+    user_template: {
+      type: String,
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    created_by: {
+      type: String,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    activated_by: {
+      type: String,
+      default: null,
+    },
+    activated_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+PromptTemplateSchema.index({ tenant_id: 1, version: -1 }, { unique: true });
+PromptTemplateSchema.index({ tenant_id: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+module.exports = mongoose.model("PromptTemplate", PromptTemplateSchema);
@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 
+// `this` is the proposal document for top-level and nested paths alike
+function isAIEngine() {
+  return this.engine === "ai";
+}
+
 const ProposalProductSchema = new mongoose.Schema(
   {
     product_id: { type: String, required: true },
@@ -7,16 +12,218 @@ const ProposalProductSchema = new mongoose.Schema(
     quantity: { type: Number, required: true },
     unit_price: { type: Number, required: true },
     total_cost: { type: Number, required: true },
+    // Per-line result of pricingService.priceLines; absent on proposals
+    // created before the pricing engine
+    pricing: {
+      type: new mongoose.Schema(
+        {
+          discounted_unit_price: Number,
+          discount: Number,
+          tax_rate: Number,
+          tax: Number,
+          total: Number,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// Proposal-level landed cost: total = subtotal - discount + tax + shipping
+const PricingSummarySchema = new mongoose.Schema(
+  {
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Result of impactService.computeImpact. Only the plastic/carbon totals
+// exist on proposals created before the richer impact model.
+const ComputedImpactSchema = new mongoose.Schema(
+  {
+    total_plastic_saved: { type: Number, default: 0 },
+    total_carbon_avoided: { type: Number, default: 0 },
+    total_water_saved: Number,
+    total_waste_diverted: Number,
+    total_energy_saved: Number,
+    by_metric: {
+      type: [{ _id: false, metric: String, label: String, unit: String, total: Number }],
+      default: undefined,
+    },
+    line_items: {
+      type: [
+        {
+          _id: false,
+          product_id: String,
+          name: String,
+          quantity: Number,
+          plastic_saved: Number,
+          carbon_avoided: Number,
+          water_saved: Number,
+          waste_diverted: Number,
+          energy_saved: Number,
+          certifications: [String],
+        },
+      ],
+      default: undefined,
+    },
+    certifications: {
+      type: [{ _id: false, name: String, units: Number }],
+      default: undefined,
+    },
+    equivalents: {
+      type: [{ _id: false, key: String, value: Number, text: String }],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// One entry per changed product in a revision
+const RevisionChangeSchema = new mongoose.Schema(
+  {
+    product_id: { type: String, required: true },
+    name: { type: String, required: true },
+    change: { type: String, enum: ["added", "removed", "quantity_changed"], required: true },
+    quantity_before: { type: Number, default: 0 },
+    quantity_after: { type: Number, default: 0 },
+    cost_delta: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const ProposalRevisionSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    comment: { type: String, default: "" },
+    changes: { type: [RevisionChangeSchema], default: [] },
+    allocated_before: { type: Number, required: true },
+    allocated_after: { type: Number, required: true },
+    // Line items after this revision, so any revision can be restored
+    products: { type: [ProposalProductSchema], required: true },
+    pricing: { type: PricingSummarySchema, default: undefined },
+    computed_impact: { type: ComputedImpactSchema, default: () => ({}) },
+    created_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Audit trail entry for every lifecycle transition
+const StatusTransitionSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    actor: { type: String, required: true },
+    comment: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
   },
   { _id: false }
 );
 
 const ProposalSchema = new mongoose.Schema(
   {
+    tenant_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
     client_name: {
       type: String,
       default: "",
     },
+    // Currency of total_budget_limit and every price below; missing on
+    // legacy proposals = base currency
+    currency: {
+      type: String,
+      default: null,
+    },
+    // Rates used to convert catalog prices: { base, rates, as_of }
+    exchange_rates: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Delivery region used for tax lookup
+    region: {
+      type: String,
+      default: null,
+    },
+    // allocated_budget = pricing.total; absent on legacy proposals, where
+    // allocated_budget is the plain line-item sum
+    pricing: {
+      type: PricingSummarySchema,
+      default: undefined,
+    },
+    // Set on every variant generated by one `variants` request
+    comparison_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    variant_label: {
+      type: String,
+      default: null,
+    },
+    // Products the AI was shown and why (catalogRetrievalService); null
+    // for deterministic-only proposals
+    catalog_selection: {
+      type: [
+        {
+          _id: false,
+          product_id: String,
+          name: String,
+          rank: Number,
+          score: Number,
+          scores: { category: Number, impact: Number, text: Number },
+          reasons: [String],
+        },
+      ],
+      default: undefined,
+    },
+    // Client account the proposal was generated for; null = free-text
+    // client_name only
+    client_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Free-text client brief and what briefService read from it; null
+    // when the request had no brief
+    brief: {
+      type: String,
+      default: null,
+    },
+    brief_extraction: {
+      type: new mongoose.Schema(
+        {
+          budget_limit: Number,
+          currency: String,
+          headcount: Number,
+          category_focus: [String],
+          priorities: [String],
+          exclusions: [String],
+          matched: { type: Map, of: String },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Longest lead_time_days among the line items' products; null = unknown
+    lead_time_days: {
+      type: Number,
+      default: null,
+    },
+    // Tax/shipping policy applied (in this proposal's currency), reused
+    // when the proposal is revised
+    pricing_policy: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
     proposal_summary: {
       type: String,
       required: true,
@@ -49,20 +256,102 @@ const ProposalSchema = new mongoose.Schema(
       min: 0,
       max: 1,
     },
-    computed_impact: {
-      total_plastic_saved: { type: Number, default: 0 },
-      total_carbon_avoided: { type: Number, default: 0 },
+    computed_impact: { type: ComputedImpactSchema, default: () => ({}) },
+    // Which engine produced the accepted products: the AI provider, or
+    // the deterministic allocator (explicit mode or validation fallback).
+    engine: {
+      type: String,
+      enum: ["ai", "deterministic"],
+      default: "ai",
     },
+    fallback_reason: {
+      type: String,
+      default: null,
+    },
+    // Required for AI proposals; on a fallback it holds the last rejected attempt.
     ai_metadata: {
-      system_prompt: { type: String, required: true },
-      user_prompt: { type: String, required: true },
-      raw_response: { type: String, required: true },
-      model: { type: String, required: true },
+      system_prompt: { type: String, required: isAIEngine },
+      user_prompt: { type: String, required: isAIEngine },
+      raw_response: { type: String, required: isAIEngine },
+      model: { type: String, required: isAIEngine },
+      // AI calls made (validation retries + 1)
+      attempts: { type: Number },
+      // Prompt template version (null / 0 = built-in; absent on
+      // proposals from before templates were versioned)
+      prompt_template_id: { type: String },
+      prompt_template_version: { type: Number },
+    },
+    // Request that generated the proposal (X-Correlation-Id)
+    correlation_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // AILog entries of every AI attempt, in order (GET /:id/attempts);
+    // empty for deterministic proposals
+    ai_log_ids: {
+      type: [String],
+      default: [],
+    },
+    // Experiment arm this proposal was generated under (experimentService).
+    // attempts = AI calls made; latency_ms = AI calls plus validation.
+    experiment: {
+      type: new mongoose.Schema(
+        {
+          experiment_id: { type: String, required: true },
+          arm: { type: String, required: true },
+          attempts: { type: Number, required: true },
+          latency_ms: { type: Number, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Lifecycle state; transitions via POST /proposals/:id/status.
+    // Proposals created before lifecycle tracking have no status and
+    // are treated as drafts.
+    status: {
+      type: String,
+      enum: ["draft", "sent", "accepted", "rejected", "expired", "cancelled"],
+      default: "draft",
+      index: true,
+    },
+    status_history: {
+      type: [StatusTransitionSchema],
+      default: [],
+    },
+    // Stock decremented when the proposal was accepted (reserve_stock)
+    stock_reservation: {
+      type: new mongoose.Schema(
+        {
+          reserved_at: { type: Date, required: true },
+          actor: { type: String, required: true },
+          lines: {
+            type: [{ _id: false, product_id: String, name: String, quantity: Number }],
+            default: [],
+          },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    // 0 = as generated; incremented by every PATCH /proposals/:id
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    revisions: {
+      type: [ProposalRevisionSchema],
+      default: [],
     },
     created_at: {
       type: Date,
       default: Date.now,
     },
+    updated_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: false,
@@ -70,4 +359,9 @@ const ProposalSchema = new mongoose.Schema(
   }
 );
 
+// History list: newest first within a tenant
+ProposalSchema.index({ tenant_id: 1, created_at: -1 });
+// Experiment metrics: the proposals of one experiment
+ProposalSchema.index({ tenant_id: 1, "experiment.experiment_id": 1 });
+
 module.exports = mongoose.model("Proposal", ProposalSchema);
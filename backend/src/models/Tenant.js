@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// An organisation. Every proposal, AI log, job and custom product
+// belongs to exactly one tenant (stored as tenant_id, the hex _id).
+const TenantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Monthly limits; null falls back to QUOTA_MONTHLY_* (0 = unlimited)
+    monthly_token_quota: {
+      type: Number,
+      default: null,
+    },
+    monthly_generation_quota: {
+      type: Number,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("Tenant", TenantSchema);
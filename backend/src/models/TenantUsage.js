@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Usage counters for one tenant in one UTC calendar month ("2026-10").
+// Incremented atomically with $inc; one document per tenant per month.
+const TenantUsageSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: String,
+      required: true,
+    },
+    period: {
+      type: String,
+      required: true,
+    },
+    generations: {
+      type: Number,
+      default: 0,
+    },
+    prompt_tokens: {
+      type: Number,
+      default: 0,
+    },
+    completion_tokens: {
+      type: Number,
+      default: 0,
+    },
+    total_tokens: {
+      type: Number,
+      default: 0,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+TenantUsageSchema.index({ tenant_id: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model("TenantUsage", TenantUsageSchema);
@@ -1,5 +1,8 @@
-const axios = require("axios");
 const config = require("../config");
+const { getProvider } = require("./registry");
+const { orderLimits } = require("../utils/inventory");
+const { selectCatalog } = require("../services/catalogRetrievalService");
+const { DEFAULT_SYSTEM_TEMPLATE, DEFAULT_USER_TEMPLATE, renderTemplate } = require("./promptTemplates");
 
 class ProviderRateLimitError extends Error {
   constructor(message, retryAfterMs, provider = "groq") {
@@ -10,6 +13,18 @@ class ProviderRateLimitError extends Error {
   }
 }
 
+/**
+ * DeadlineExceededError — the caller's time budget (a background job run)
+ * ran out before a provider call could finish. Not retried here; the
+ * generation falls back or the job is re-queued (see jobService).
+ */
+class DeadlineExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DeadlineExceededError";
+  }
+}
+
 const NETWORK_ERROR_CODES = new Set([
   "ECONNABORTED",
   "ENOTFOUND",
@@ -18,7 +33,8 @@ const NETWORK_ERROR_CODES = new Set([
   "EAI_AGAIN",
 ]);
 
-let groqRateLimitedUntil = 0;
+// Per-provider cooldown: provider name → epoch ms until which calls wait
+const rateLimitedUntil = new Map();
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -71,173 +87,273 @@ function parseRetryAfterMs(error) {
   return null;
 }
 
-async function waitForGroqCooldown() {
-  const waitMs = groqRateLimitedUntil - Date.now();
+// Providers report usage in different shapes (or not at all); missing
+// counts are recorded as 0 rather than guessed.
+function normalizeUsage(usage) {
+  const prompt = Number(usage?.prompt_tokens) || 0;
+  const completion = Number(usage?.completion_tokens) || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+  };
+}
+
+async function waitForCooldown(provider, deadline) {
+  const waitMs = (rateLimitedUntil.get(provider.name) || 0) - Date.now();
+  if (waitMs > 0 && deadline && Date.now() + waitMs >= deadline) {
+    throw new DeadlineExceededError(`${provider.label} is cooling down past the time budget`);
+  }
   if (waitMs > 0) {
-    console.warn(`[Groq] Cooling down for ${waitMs}ms due to prior rate limit`);
+    console.warn(`[${provider.label}] Cooling down for ${waitMs}ms due to prior rate limit`);
     await sleep(waitMs);
   }
 }
 
-// Groq uses the OpenAI-compatible chat completions API format.
-async function callGroq(systemPrompt, userPrompt) {
-  const { maxRetries, retryDelayMs, rateLimitMinDelayMs } = config.retry;
+// Shared retry loop for every registered provider.
+// onRetry(info) is called before each backoff sleep so callers (e.g. the
+// SSE stream) can report "retry scheduled after X ms". model and
+// temperature override the provider default and AI_TEMPERATURE
+// (experiment arms). context is the buildPromptContext of the prompt,
+// handed to the provider as is. deadline (epoch ms) bounds the whole call, waits
+// included: each request's timeout is cut to the time left and no retry
+// is scheduled past it (DeadlineExceededError).
+async function callWithRetry(
+  provider,
+  systemPrompt,
+  userPrompt,
+  { retryPolicy = config.retry, onRetry, model: modelOverride, temperature, context, deadline = null } = {}
+) {
+  const { maxRetries, retryDelayMs, rateLimitMinDelayMs } = retryPolicy;
+  const notifyRetry = (info) => {
+    if (onRetry) onRetry({ provider: provider.name, max_retries: maxRetries, ...info });
+  };
+  const remainingMs = () => (deadline ? deadline - Date.now() : Infinity);
+  const sleepWithinDeadline = async (delayMs, msg) => {
+    if (delayMs >= remainingMs()) {
+      throw new DeadlineExceededError(`${provider.label} retry would end past the time budget: ${msg}`);
+    }
+    await sleep(delayMs);
+  };
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    await waitForGroqCooldown();
+    await waitForCooldown(provider, deadline);
+    if (remainingMs() <= 0) {
+      throw new DeadlineExceededError(`${provider.label} call not started: time budget used up`);
+    }
 
     try {
-      const res = await axios.post(
-        "https://api.groq.com/openai/v1/chat/completions",
-        {
-          model: config.ai.groq.model,
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt },
-          ],
-          max_tokens: config.ai.groq.maxOutputTokens,
-          temperature: 0.4,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${config.ai.groq.apiKey}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 60000,
-        }
-      );
+      const { content, model, usage } = await provider.complete({
+        systemPrompt,
+        userPrompt,
+        temperature: temperature ?? config.ai.temperature,
+        model: modelOverride || undefined,
+        context,
+        timeoutMs: deadline ? Math.min(config.ai.timeoutMs, remainingMs()) : undefined,
+      });
 
-      const content = res.data.choices?.[0]?.message?.content;
       if (!content) {
-        throw new Error("Groq returned empty content");
+        throw new Error(`${provider.label} returned empty content`);
       }
 
       return {
         rawContent: content.trim(),
-        model: res.data.model || config.ai.groq.model,
+        model: model || modelOverride || provider.model,
+        provider: provider.name,
+        usage: normalizeUsage(usage),
       };
     } catch (err) {
       const status = err.response?.status;
-      const msg = err.response?.data?.error?.message || err.message;
+      const msg = err.response?.data?.error?.message || err.response?.data?.error || err.message;
+
+      // A request cut short by the shortened timeout is not a provider fault
+      if (remainingMs() <= 0) {
+        throw new DeadlineExceededError(`${provider.label} call cut off by the time budget: ${msg}`);
+      }
 
       if (status === 429) {
         const parsedDelay = parseRetryAfterMs(err);
         const baseDelay = retryDelayMs * attempt;
         const delayMs = Math.max(parsedDelay || baseDelay, rateLimitMinDelayMs) + 500;
 
-        groqRateLimitedUntil = Math.max(groqRateLimitedUntil, Date.now() + delayMs);
+        rateLimitedUntil.set(
+          provider.name,
+          Math.max(rateLimitedUntil.get(provider.name) || 0, Date.now() + delayMs)
+        );
 
         if (attempt < maxRetries) {
-          console.warn(`[Groq] Rate limit hit. Retry ${attempt}/${maxRetries} in ${delayMs}ms`);
-          await sleep(delayMs);
+          console.warn(`[${provider.label}] Rate limit hit. Retry ${attempt}/${maxRetries} in ${delayMs}ms`);
+          notifyRetry({ attempt, delay_ms: delayMs, reason: "rate_limit", message: msg });
+          await sleepWithinDeadline(delayMs, msg);
           continue;
         }
 
-        throw new ProviderRateLimitError(`Groq API rate limit: ${msg}`, delayMs);
+        throw new ProviderRateLimitError(
+          `${provider.label} API rate limit: ${msg}`,
+          delayMs,
+          provider.name
+        );
       }
 
       if (isRetryable(err) && attempt < maxRetries) {
         const delayMs = retryDelayMs * attempt;
-        console.warn(`[Groq] Retry ${attempt}/${maxRetries} in ${delayMs}ms`);
-        await sleep(delayMs);
+        console.warn(`[${provider.label}] Retry ${attempt}/${maxRetries} in ${delayMs}ms`);
+        notifyRetry({ attempt, delay_ms: delayMs, reason: "provider_error", message: msg });
+        await sleepWithinDeadline(delayMs, msg);
         continue;
       }
 
-      throw new Error(`Groq API error: ${msg}`);
+      throw new Error(`${provider.label} API error: ${msg}`);
     }
   }
 
-  throw new Error(`Groq failed after ${maxRetries} retries`);
+  throw new Error(`${provider.label} failed after ${maxRetries} retries`);
 }
 
-async function callAI(systemPrompt, userPrompt) {
-  const provider = config.ai.provider;
-  if (provider === "groq") {
-    return callGroq(systemPrompt, userPrompt);
-  }
-  throw new Error(`Unknown AI provider: ${provider}`);
+async function callAI(systemPrompt, userPrompt, { onRetry, model, temperature, context, deadline } = {}) {
+  const provider = getProvider(config.ai.provider);
+  return callWithRetry(provider, systemPrompt, userPrompt, { onRetry, model, temperature, context, deadline });
 }
 
-function selectCatalogProducts(products, budgetLimit, maxItems) {
-  const affordable = products.filter((p) => p.unit_price <= budgetLimit);
-  const pool = affordable.length > 0 ? affordable : products;
-  const byPrice = [...pool].sort((a, b) => a.unit_price - b.unit_price);
-
-  const selected = [];
-  const selectedIds = new Set();
-  const seenCategories = new Set();
-
-  // First pass: keep category diversity while preferring cheaper products.
-  for (const p of byPrice) {
-    if (selected.length >= maxItems) break;
-    if (seenCategories.has(p.category)) continue;
-    selected.push(p);
-    selectedIds.add(String(p._id));
-    seenCategories.add(p.category);
-  }
-
-  // Second pass: fill remaining slots by cheapest items.
-  for (const p of byPrice) {
-    if (selected.length >= maxItems) break;
-    const id = String(p._id);
-    if (selectedIds.has(id)) continue;
-    selected.push(p);
-    selectedIds.add(id);
-  }
-
-  return selected;
+// Highest quantity the AI may propose: stock / max order, then budget
+function maxQuantity(product, budgetLimit) {
+  return Math.min(orderLimits(product).max, Math.floor(budgetLimit / product.unit_price));
 }
 
-function buildSystemPrompt(products, budgetLimit) {
-  const catalogProducts = selectCatalogProducts(
-    products,
-    budgetLimit,
-    config.ai.groq.maxCatalogItems
-  );
+// Prices in `products` must already be in `currency` (see convertCatalog).
+// With tax/shipping (pricingNotes), the AI plans against goodsBudget, the
+// list-price subtotal that is guaranteed to land within budgetLimit.
+// `selection` is the ranked catalog from selectCatalog; when omitted the
+// catalog is ranked here without client preferences. `template` is the
+// tenant's active system template (see promptTemplates).
+function buildSystemPrompt(
+  products,
+  budgetLimit,
+  currency = "",
+  { goodsBudget = budgetLimit, pricingNotes = [], selection, template = DEFAULT_SYSTEM_TEMPLATE } = {}
+) {
+  const ranked =
+    selection || selectCatalog(products, { budgetLimit: goodsBudget, maxItems: config.ai.maxCatalogItems });
+  const catalogProducts = ranked.map((s) => s.product);
 
   // Compact catalog: one line per product to minimize tokens
   const catalogLines = catalogProducts
     .map(
       (p) =>
-        `${p._id}|${p.name}|${p.category}|${p.unit_price}|max${Math.floor(
-          budgetLimit / p.unit_price
+        `${p._id}|${p.name}|${p.category}|${p.unit_price}|min${orderLimits(p).min}|max${maxQuantity(
+          p,
+          goodsBudget
         )}`
     )
     .join("\n");
 
-  return `Generate a B2B sustainability proposal.
-Budget limit: ${budgetLimit}
-Catalog format: id|name|category|unit_price|maxQty
-${catalogLines}
-
-Rules:
-1) Select at least 3 products from different categories.
-2) Use 70-95% of budget (${Math.floor(budgetLimit * 0.7)}-${budgetLimit}).
-3) product_id, name, and unit_price must exactly match catalog.
-4) total_cost = quantity * unit_price.
-5) allocated_budget = sum(total_cost), and must be <= ${budgetLimit}.
-6) confidence_score must be between 0 and 1.
-7) Output valid JSON only, no markdown, no extra keys.
-8) Choose products only from the catalog lines provided.
-
-Required JSON schema:
-{"proposal_summary":"string","total_budget_limit":${budgetLimit},"allocated_budget":0,"products":[{"product_id":"string","name":"string","quantity":1,"unit_price":0,"total_cost":0}],"impact_summary":"string","confidence_score":0}`;
+  const breaks = catalogProducts
+    .filter((p) => p.price_breaks?.length)
+    .map((p) => `${p._id}:${p.price_breaks.map((b) => `${b.min_quantity}+@${b.unit_price}`).join(",")}`);
+  const notes = [...pricingNotes];
+  if (breaks.length > 0) {
+    notes.push(`Volume price breaks (id:minQty+@unit_price): ${breaks.join(" ")}`);
+  }
+  const pricingSection =
+    notes.length > 0 || goodsBudget < budgetLimit
+      ? `\nPricing (applied by the server; keep list prices in your JSON):
+${notes.map((n) => `- ${n}`).join("\n")}
+Goods budget: ${goodsBudget} (max sum(total_cost) at list prices so the landed total fits the budget)
+`
+      : "";
+
+  const rules = [
+    "1) Select at least 3 products from different categories.",
+    `2) Use 70-95% of budget (${Math.floor(goodsBudget * 0.7)}-${goodsBudget}).`,
+    "3) product_id, name, and unit_price must exactly match catalog.",
+    "4) total_cost = quantity * unit_price.",
+    "4b) minQty <= quantity <= maxQty for every product (supplier MOQ and stock on hand).",
+    `5) allocated_budget = sum(total_cost), and must be <= ${goodsBudget}.`,
+    "6) confidence_score must be between 0 and 1.",
+    "7) Output valid JSON only, no markdown, no extra keys.",
+    "8) Choose products only from the catalog lines provided.",
+  ].join("\n");
+  const schema = `{"proposal_summary":"string","total_budget_limit":${budgetLimit},"allocated_budget":0,"products":[{"product_id":"string","name":"string","quantity":1,"unit_price":0,"total_cost":0}],"impact_summary":"string","confidence_score":0}`;
+
+  return renderTemplate(template, {
+    budget_limit: budgetLimit,
+    currency,
+    currency_note: currency ? ` ${currency} (all prices in ${currency})` : "",
+    goods_budget: goodsBudget,
+    catalog: catalogLines,
+    pricing: pricingSection,
+    rules,
+    schema,
+  });
+}
+
+// What the system prompt tells the model, as data: the budgets and the
+// ranked catalog with its quantity limits (same ranking and limits as
+// buildSystemPrompt). Providers get it next to the rendered prompt, so one
+// that plans offline (mock) does not depend on a prompt template's wording.
+function buildPromptContext(products, budgetLimit, { goodsBudget = budgetLimit, selection } = {}) {
+  const ranked =
+    selection || selectCatalog(products, { budgetLimit: goodsBudget, maxItems: config.ai.maxCatalogItems });
+  return {
+    budget_limit: budgetLimit,
+    goods_budget: goodsBudget,
+    catalog: ranked.map(({ product: p }) => ({
+      product_id: p._id.toString(),
+      name: p.name,
+      category: p.category,
+      unit_price: p.unit_price,
+      min_qty: orderLimits(p).min,
+      max_qty: maxQuantity(p, goodsBudget),
+    })),
+  };
+}
+
+function oneLine(text) {
+  return text.replace(/\s+/g, " ").trim();
 }
 
-function buildUserPrompt(budgetLimit, categoryFocus, sustainabilityPriority, clientName) {
+// Optional parts are only added when set, keeping the common prompt short.
+// A brief already carries the needs, so needs equal to it are not repeated.
+function buildUserPrompt(
+  budgetLimit,
+  categoryFocus,
+  sustainabilityPriority,
+  clientName,
+  currency = "",
+  { needs = "", brief = "", headcount, exclusions = [], history = [], template = DEFAULT_USER_TEMPLATE } = {}
+) {
   const client = clientName || "N/A";
   const categories =
     categoryFocus && categoryFocus.length > 0 ? categoryFocus.join(", ") : "N/A";
   const priority = sustainabilityPriority || "N/A";
-
-  return `Budget: ${budgetLimit}. Client: ${client}. Categories: ${categories}. Priority: ${priority}. Return JSON only.`;
+  const extras = [];
+  if (headcount) extras.push(`Headcount: ${headcount} (plan quantities for every recipient where budget allows).`);
+  if (exclusions.length > 0) extras.push(`Exclude: ${exclusions.join(", ")}.`);
+  if (history.length > 0) {
+    const orders = history.map((o) => `${o.name} x${o.quantity} (${o.ordered_at})`).join(", ");
+    extras.push(`Client's past orders: ${orders}. Recent ones are not in the catalog; complement them.`);
+  }
+  if (needs && needs !== brief) extras.push(`Needs: ${oneLine(needs)}.`);
+  if (brief) extras.push(`Brief: "${oneLine(brief)}".`);
+
+  const budget = currency ? `${budgetLimit} ${currency}` : budgetLimit;
+  return renderTemplate(template, {
+    budget,
+    client,
+    categories,
+    priority,
+    extras: extras.length > 0 ? ` ${extras.join(" ")}` : "",
+  });
 }
 
 module.exports = {
   callAI,
+  callWithRetry,
   buildSystemPrompt,
+  buildPromptContext,
   buildUserPrompt,
   isRetryable,
   parseRetryAfterMs,
   ProviderRateLimitError,
+  DeadlineExceededError,
 };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deterministic mock provider — no network, same input → same output.
+ *
+ * Two modes:
+ *   - Fixture: responses loaded from MOCK_AI_FIXTURE (or setMockResponses)
+ *     are replayed in order, cycling. Strings are returned verbatim so
+ *     fixtures can exercise the invalid-JSON retry path.
+ *   - Synthesized (default): builds a valid proposal from the request
+ *     context (aiProvider.buildPromptContext — budgets and the ranked
+ *     catalog with its quantity limits), so the full generateProposal
+ *     pipeline runs offline against whatever is seeded, whatever wording
+ *     the active prompt template uses.
+ */
+
+const MOCK_MODEL = "mock-deterministic-v1";
+
+let fixtureResponses = null;
+let fixtureIndex = 0;
+
+function setMockResponses(responses) {
+  fixtureResponses = responses ? [].concat(responses) : null;
+  fixtureIndex = 0;
+}
+
+function loadFixtureFile(fixturePath) {
+  const resolved = path.resolve(process.cwd(), fixturePath);
+  const parsed = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  setMockResponses(parsed);
+}
+
+function nextFixtureContent() {
+  const response = fixtureResponses[fixtureIndex % fixtureResponses.length];
+  fixtureIndex++;
+  return typeof response === "string" ? response : JSON.stringify(response);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function synthesizeProposal({ budget_limit: budgetLimit, goods_budget: goodsBudget = budgetLimit, catalog }) {
+  const items = catalog.filter((item) => item.unit_price > 0 && item.max_qty >= item.min_qty);
+
+  // One product per category, in catalog order, up to four categories
+  const picks = [];
+  const seen = new Set();
+  for (const item of items) {
+    if (picks.length >= 4) break;
+    if (seen.has(item.category)) continue;
+    seen.add(item.category);
+    picks.push({ ...item, quantity: 0 });
+  }
+
+  // Split ~85% of the budget evenly, then top up with the cheapest pick
+  const target = goodsBudget * 0.85;
+  const share = picks.length > 0 ? target / picks.length : 0;
+  for (const p of picks) {
+    p.quantity = Math.min(p.max_qty, Math.max(p.min_qty, Math.floor(share / p.unit_price)));
+  }
+
+  // Top up cheapest-first without passing any pick's maxQty
+  let total = picks.reduce((sum, p) => sum + p.quantity * p.unit_price, 0);
+  for (const p of [...picks].sort((a, b) => a.unit_price - b.unit_price)) {
+    while (p.quantity < p.max_qty && total + p.unit_price <= goodsBudget * 0.95) {
+      p.quantity++;
+      total += p.unit_price;
+    }
+  }
+
+  const products = picks.map((p) => ({
+    product_id: p.product_id,
+    name: p.name,
+    quantity: p.quantity,
+    unit_price: p.unit_price,
+    total_cost: round2(p.quantity * p.unit_price),
+  }));
+
+  return {
+    proposal_summary: `Deterministic mock proposal covering ${products.length} categories.`,
+    total_budget_limit: budgetLimit,
+    allocated_budget: round2(products.reduce((sum, p) => sum + p.total_cost, 0)),
+    products,
+    impact_summary: "Mock impact summary — computed impact is added server-side.",
+    confidence_score: 0.5,
+  };
+}
+
+function createMockProvider({ fixturePath }) {
+  if (fixturePath && !fixtureResponses) {
+    loadFixtureFile(fixturePath);
+  }
+
+  return {
+    name: "mock",
+    label: "Mock",
+    model: MOCK_MODEL,
+
+    // A requested model is echoed back so experiment arms stay distinguishable offline
+    async complete({ systemPrompt, userPrompt, model, context }) {
+      if (!fixtureResponses && !context) {
+        throw new Error("Mock provider needs the request context (or a fixture) to synthesize a proposal");
+      }
+      const content = fixtureResponses ? nextFixtureContent() : JSON.stringify(synthesizeProposal(context));
+      // Rough 4-characters-per-token estimate so quota accounting is exercised offline
+      return {
+        content,
+        model: model || MOCK_MODEL,
+        usage: {
+          prompt_tokens: Math.ceil((systemPrompt.length + (userPrompt || "").length) / 4),
+          completion_tokens: Math.ceil(String(content || "").length / 4),
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  setMockResponses,
+  synthesizeProposal,
+  MOCK_MODEL,
+};
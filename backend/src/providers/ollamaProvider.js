@@ -0,0 +1,54 @@
+const axios = require("axios");
+
+/**
+ * Local Ollama provider (POST {baseUrl}/api/chat, non-streaming).
+ *
+ * format: "json" asks Ollama to constrain decoding to valid JSON, which
+ * matches the strict JSON.parse in proposalService.
+ */
+function createOllamaProvider({ baseUrl, model, maxOutputTokens, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/api/chat`;
+
+  return {
+    name: "ollama",
+    label: "Ollama",
+    model,
+
+    // `requestedModel` and `requestTimeoutMs` override the configured
+    // model and timeout for one call
+    async complete({ systemPrompt, userPrompt, temperature, model: requestedModel, timeoutMs: requestTimeoutMs }) {
+      const res = await axios.post(
+        url,
+        {
+          model: requestedModel || model,
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: userPrompt },
+          ],
+          stream: false,
+          format: "json",
+          options: {
+            temperature,
+            num_predict: maxOutputTokens,
+          },
+        },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: requestTimeoutMs ?? timeoutMs,
+        }
+      );
+
+      return {
+        content: res.data.message?.content,
+        model: res.data.model || requestedModel || model,
+        // Ollama reports token counts as eval counts
+        usage: {
+          prompt_tokens: res.data.prompt_eval_count,
+          completion_tokens: res.data.eval_count,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,52 @@
+const axios = require("axios");
+
+/**
+ * OpenAI-compatible chat completions provider.
+ *
+ * Works against any endpoint that implements POST {baseUrl}/chat/completions
+ * (Groq, OpenAI, Together, vLLM, LM Studio...). HTTP errors are left as
+ * axios errors so the retry layer in aiProvider.js can inspect them.
+ */
+function createOpenAICompatibleProvider({ name, label, baseUrl, apiKey, model, maxOutputTokens, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name,
+    label,
+    model,
+
+    // `requestedModel` and `requestTimeoutMs` override the configured
+    // model and timeout for one call
+    async complete({ systemPrompt, userPrompt, temperature, model: requestedModel, timeoutMs: requestTimeoutMs }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const res = await axios.post(
+        url,
+        {
+          model: requestedModel || model,
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: userPrompt },
+          ],
+          max_tokens: maxOutputTokens,
+          temperature,
+        },
+        { headers, timeout: requestTimeoutMs ?? timeoutMs }
+      );
+
+      return {
+        content: res.data.choices?.[0]?.message?.content,
+        model: res.data.model || requestedModel || model,
+        usage: {
+          prompt_tokens: res.data.usage?.prompt_tokens,
+          completion_tokens: res.data.usage?.completion_tokens,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,72 @@
+/**
+ * Prompt templates — the text around the values buildSystemPrompt and
+ * buildUserPrompt compute.
+ *
+ * A template is plain text with {{variable}} placeholders. The built-in
+ * templates below are used until a tenant activates a stored version
+ * (promptTemplateService); they render exactly the prompts that were
+ * hardcoded before templates existed.
+ */
+
+// name → what buildSystemPrompt substitutes
+const SYSTEM_PROMPT_VARIABLES = {
+  budget_limit: "Total budget limit",
+  currency: "Currency code of every price, or empty",
+  currency_note: '" INR (all prices in INR)", or empty without a currency',
+  goods_budget: "List-price budget left after tax and shipping",
+  catalog: "Ranked catalog, one id|name|category|unit_price|minQty|maxQty line per product",
+  pricing: "Tax, shipping and volume-break notes, or empty",
+  rules: "The numbered output rules",
+  schema: "The required JSON response shape",
+};
+
+// name → what buildUserPrompt substitutes
+const USER_PROMPT_VARIABLES = {
+  budget: 'Budget with its currency, e.g. "50000 INR"',
+  client: "Client name, or N/A",
+  categories: "Category focus, or N/A",
+  priority: "Sustainability priority, or N/A",
+  extras: "Headcount, exclusions, order history, needs and brief sentences, each with a leading space",
+};
+
+// A prompt the AI cannot answer from: no catalog or no schema to follow
+const REQUIRED_SYSTEM_VARIABLES = ["catalog", "schema"];
+
+const DEFAULT_SYSTEM_TEMPLATE = `Generate a B2B sustainability proposal.
+Budget limit: {{budget_limit}}{{currency_note}}
+Catalog format: id|name|category|unit_price|minQty|maxQty
+{{catalog}}
+{{pricing}}
+Rules:
+{{rules}}
+
+Required JSON schema:
+{{schema}}`;
+
+const DEFAULT_USER_TEMPLATE =
+  "Budget: {{budget}}. Client: {{client}}. Categories: {{categories}}. Priority: {{priority}}.{{extras}} Return JSON only.";
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholder names used in a template, in order of first use
+function templateVariables(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER_RE)].map((m) => m[1]))];
+}
+
+// Unknown placeholders are left as written; templates are checked for
+// them when stored (PromptTemplateCreateSchema)
+function renderTemplate(template, vars) {
+  return template.replace(PLACEHOLDER_RE, (placeholder, name) =>
+    Object.hasOwn(vars, name) ? String(vars[name]) : placeholder
+  );
+}
+
+module.exports = {
+  SYSTEM_PROMPT_VARIABLES,
+  USER_PROMPT_VARIABLES,
+  REQUIRED_SYSTEM_VARIABLES,
+  DEFAULT_SYSTEM_TEMPLATE,
+  DEFAULT_USER_TEMPLATE,
+  templateVariables,
+  renderTemplate,
+};
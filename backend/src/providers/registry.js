@@ -0,0 +1,83 @@
+const config = require("../config");
+const { createOpenAICompatibleProvider } = require("./openaiCompatibleProvider");
+const { createOllamaProvider } = require("./ollamaProvider");
+const { createMockProvider } = require("./mockProvider");
+
+/**
+ * AI provider registry.
+ *
+ * Every provider implements the same interface:
+ *   {
+ *     name:  string            — registry key, used in errors and logs
+ *     label: string            — human-readable prefix for console output
+ *     model: string            — default model id
+ *     complete({ systemPrompt, userPrompt, temperature, model?, timeoutMs?, context? })
+ *       → Promise<{ content: string, model: string }>
+ *       (model, when given, replaces the default for that call;
+ *        timeoutMs, when given, replaces AI_TIMEOUT_MS for that call;
+ *        context is aiProvider.buildPromptContext — budgets and catalog
+ *        as data, which network providers ignore)
+ *   }
+ *
+ * complete() makes ONE attempt. Retry, cooldown and rate-limit handling
+ * live in aiProvider.callAI so they behave identically for every provider;
+ * providers signal HTTP failures by throwing axios-shaped errors
+ * (error.response.status / headers).
+ */
+
+const factories = new Map();
+const instances = new Map();
+
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+function getProvider(name) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider: ${name}. Registered: ${[...factories.keys()].join(", ")}`
+    );
+  }
+  const provider = factory();
+  instances.set(name, provider);
+  return provider;
+}
+
+function listProviders() {
+  return [...factories.keys()];
+}
+
+// ── Built-in providers ─────────────────────────────────────────────
+registerProvider("groq", () =>
+  createOpenAICompatibleProvider({
+    name: "groq",
+    label: "Groq",
+    ...config.ai.groq,
+    timeoutMs: config.ai.timeoutMs,
+  })
+);
+
+registerProvider("openai", () =>
+  createOpenAICompatibleProvider({
+    name: "openai",
+    label: "OpenAI-compatible",
+    ...config.ai.openai,
+    timeoutMs: config.ai.timeoutMs,
+  })
+);
+
+registerProvider("ollama", () =>
+  createOllamaProvider({
+    ...config.ai.ollama,
+    timeoutMs: config.ai.timeoutMs,
+  })
+);
+
+registerProvider("mock", () => createMockProvider(config.ai.mock));
+
+module.exports = { registerProvider, getProvider, listProviders };
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const { generations, failures, retries, corrections } = require("../controllers/analyticsController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+// Every analytics route takes from / to (ISO dates; default: last 30 days)
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * GET /api/v1/analytics/ai/generations
+ * Per UTC day: proposals by engine (ai, fallback, deterministic), AI calls,
+ * failed attempts and tokens.
+ */
+router.get("/ai/generations", generations);
+
+/**
+ * GET /api/v1/analytics/ai/failures
+ * Failed AI attempts by reason (json_parse, schema, name_mismatch,
+ * price_mismatch, budget_exceeded, ...) with the latest message of each.
+ */
+router.get("/ai/failures", failures);
+
+/**
+ * GET /api/v1/analytics/ai/retries
+ * Proposals by the number of AI calls they took.
+ */
+router.get("/ai/retries", retries);
+
+/**
+ * GET /api/v1/analytics/ai/corrections
+ * Accepted AI responses whose total_cost lines or allocated_budget the
+ * server recomputed.
+ */
+router.get("/ai/corrections", corrections);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const { signIn, current } = require("../controllers/authController");
+const { requireAuth } = require("../middleware/auth");
+const { createRateLimiter } = require("../middleware/rateLimit");
+const config = require("../config");
+
+// Unauthenticated, so keyed by client IP
+const signInRateLimit = createRateLimiter({
+  name: "session",
+  max: config.rateLimit.sessionPerWindow,
+  windowMs: config.rateLimit.windowMs,
+});
+
+/**
+ * POST /api/v1/auth/session
+ * Exchange an API key { api_key } for a session token: { token,
+ * expires_at, tenant_id, actor, role }. Needs AUTH_JWT_SECRET.
+ */
+router.post("/session", signInRateLimit, signIn);
+
+/**
+ * GET /api/v1/auth/session
+ * The caller's principal: { tenant_id, actor, role, method }.
+ */
+router.get("/session", requireAuth, current);
+
+module.exports = router;
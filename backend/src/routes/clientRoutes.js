@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const { create, getById, list, update, remove } = require("../controllers/clientController");
+const { requireAuth } = require("../middleware/auth");
+
+// Client accounts are tenant-scoped
+router.use(requireAuth);
+
+/**
+ * GET /api/v1/clients
+ * Paginated clients by name. Query: page, limit, q (name or contact name)
+ */
+router.get("/", list);
+
+/**
+ * POST /api/v1/clients
+ * Create a client account.
+ */
+router.post("/", create);
+
+/**
+ * GET /api/v1/clients/:id
+ * Fetch a client with its past orders and proposal count.
+ */
+router.get("/:id", getById);
+
+/**
+ * PATCH /api/v1/clients/:id
+ * Partially update a client (contact fields merge).
+ */
+router.patch("/:id", update);
+
+/**
+ * DELETE /api/v1/clients/:id
+ * Remove a client. Its proposals are kept.
+ */
+router.delete("/:id", remove);
+
+module.exports = router;
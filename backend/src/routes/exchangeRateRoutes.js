@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { get, update } = require("../controllers/exchangeRateController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+router.use(requireAuth);
+
+/**
+ * GET /api/v1/exchange-rates
+ * The tenant's rate table: { base, rates: { INR: 1, USD: 83.25, ... }, updated_at }
+ */
+router.get("/", get);
+
+/**
+ * PUT /api/v1/exchange-rates
+ * Admin only. { rates: { USD: 83.25 } } — base-currency units per unit.
+ */
+router.put("/", requireRole("admin"), update);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const { list, create, getById, start, stop, metrics } = require("../controllers/experimentController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+// Experiments change how every generation runs: admin only
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * GET /api/v1/experiments
+ * Newest first. Query: page, limit, status (draft | running | stopped)
+ */
+router.get("/", list);
+
+/**
+ * POST /api/v1/experiments
+ * Body: { name, description?, arms: [{ key, weight?, model?,
+ * prompt_template_id?, temperature? }], start? }. Unset arm fields keep
+ * the tenant's default model, active prompt template and temperature.
+ */
+router.post("/", create);
+
+/**
+ * GET /api/v1/experiments/:id
+ * Fetch a single experiment.
+ */
+router.get("/:id", getById);
+
+/**
+ * POST /api/v1/experiments/:id/start
+ * Start assigning AI generate requests to arms. 409 while another runs.
+ */
+router.post("/:id/start", start);
+
+/**
+ * POST /api/v1/experiments/:id/stop
+ * Stop assigning; metrics stay available.
+ */
+router.post("/:id/stop", stop);
+
+/**
+ * GET /api/v1/experiments/:id/metrics
+ * Per arm: proposals, validation_pass_rate, avg_attempts, avg_latency_ms,
+ * avg_budget_utilisation, avg_confidence, acceptance_rate.
+ */
+router.get("/:id/metrics", metrics);
+
+module.exports = router;
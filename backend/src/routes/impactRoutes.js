@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { estimate } = require("../controllers/impactController");
+const { requireAuth } = require("../middleware/auth");
+
+router.use(requireAuth);
+
+/**
+ * POST /api/v1/impact/estimate
+ * Body: { products: [{ product_id, quantity }] }
+ * Same result shape as a proposal's computed_impact (totals, by_metric,
+ * line_items, certifications, equivalents). Nothing is persisted and no
+ * AI tokens are spent; 404 when a product is not in the tenant's catalog.
+ */
+router.post("/estimate", estimate);
+
+module.exports = router;
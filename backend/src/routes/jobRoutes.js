@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { getById, processTenantJobs, processAllJobs } = require("../controllers/jobController");
+const { requireAuth, requireRole, requireCronSecret } = require("../middleware/auth");
+
+/**
+ * GET /api/v1/jobs/cron
+ * Vercel cron (vercel.json), authenticated by CRON_SECRET. Runs queued
+ * jobs of every tenant for up to JOBS_RUN_BUDGET_MS.
+ */
+router.get("/cron", requireCronSecret, processAllJobs);
+
+router.use(requireAuth);
+
+/**
+ * POST /api/v1/jobs/process
+ * Admin only. Runs the caller's tenant's queued jobs for up to
+ * JOBS_RUN_BUDGET_MS (serverless drain without the cron).
+ */
+router.post("/process", requireRole("admin"), processTenantJobs);
+
+/**
+ * GET /api/v1/jobs/:id
+ * Poll an async generation job: status, attempts, result or error.
+ * events holds the latest JOBS_MAX_EVENTS progress events; track new
+ * ones by their seq, which keeps growing after older events are dropped.
+ */
+router.get("/:id", getById);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { get, update } = require("../controllers/pricingController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+router.use(requireAuth);
+
+/**
+ * GET /api/v1/pricing
+ * The tenant's policy: { tax: { default_rate, by_category, by_region },
+ * shipping: { base_fee, per_unit_fee, free_above }, updated_at }
+ */
+router.get("/", get);
+
+/**
+ * PUT /api/v1/pricing
+ * Admin only. Any subset of tax / shipping keys; see PricingPolicyUpdateSchema.
+ */
+router.put("/", requireRole("admin"), update);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const { create, getById, list, update, remove } = require("../controllers/productController");
+const { requireAuth } = require("../middleware/auth");
+
+// Every catalog route is tenant-scoped. Any role may manage the tenant's
+// own products; writes never reach the shared catalog (productService).
+router.use(requireAuth);
+
+/**
+ * GET /api/v1/products
+ * Paginated catalog. Query: page, limit, category, q, min_price, max_price
+ */
+router.get("/", list);
+
+/**
+ * POST /api/v1/products
+ * Add a product to the catalog.
+ */
+router.post("/", create);
+
+/**
+ * GET /api/v1/products/:id
+ * Fetch a single product.
+ */
+router.get("/:id", getById);
+
+/**
+ * PATCH /api/v1/products/:id
+ * Partially update a product (impact_metrics fields merge).
+ */
+router.patch("/:id", update);
+
+/**
+ * DELETE /api/v1/products/:id
+ * Remove a product from the catalog.
+ */
+router.delete("/:id", remove);
+
+module.exports = router;
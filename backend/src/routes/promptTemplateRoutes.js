@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const { list, getActive, getById, create, activate, activateBuiltin } = require("../controllers/promptTemplateController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+// Prompts are tenant settings: every route is admin only
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * GET /api/v1/prompt-templates
+ * Stored versions, newest first. Query: page, limit
+ */
+router.get("/", list);
+
+/**
+ * GET /api/v1/prompt-templates/active
+ * The version generation uses now (template_id null, version 0 = built-in).
+ */
+router.get("/active", getActive);
+
+/**
+ * POST /api/v1/prompt-templates
+ * Create the next version. Body: { description?, system_template?,
+ * user_template?, activate? }; omitted templates copy the built-in ones.
+ * Templates use {{variable}} placeholders, e.g. {{budget_limit}}, {{catalog}}, {{rules}}.
+ */
+router.post("/", create);
+
+/**
+ * POST /api/v1/prompt-templates/builtin/activate
+ * Go back to the built-in templates (version 0). Stored versions are kept
+ * and can be activated again.
+ */
+router.post("/builtin/activate", activateBuiltin);
+
+/**
+ * GET /api/v1/prompt-templates/:id
+ * Fetch a single version.
+ */
+router.get("/:id", getById);
+
+/**
+ * POST /api/v1/prompt-templates/:id/activate
+ * Make this version the active one; activating an older version rolls back.
+ */
+router.post("/:id/activate", activate);
+
+module.exports = router;
@@ -1,17 +1,122 @@
 const express = require("express");
 const router = express.Router();
-const { generate, health } = require("../controllers/proposalController");
+const {
+  generate,
+  generateStream,
+  previewBrief,
+  getById,
+  attempts,
+  revise,
+  transition,
+  downloadPdf,
+  exportOne,
+  exportMany,
+  list,
+  health,
+} = require("../controllers/proposalController");
+const { requireAuth } = require("../middleware/auth");
+const { createRateLimiter } = require("../middleware/rateLimit");
+const config = require("../config");
+
+const generateRateLimit = createRateLimiter({
+  name: "generate",
+  max: config.rateLimit.generatePerWindow,
+  windowMs: config.rateLimit.windowMs,
+});
+
+/**
+ * GET /api/v1/proposals/health
+ * Health check. The only unauthenticated route.
+ */
+router.get("/health", health);
+
+// Everything below resolves the caller's tenant first
+router.use(requireAuth);
 
 /**
  * POST /api/v1/proposals/generate
  * Generate a new B2B sustainability proposal.
+ * A free-text `brief` may replace or complement the structured fields:
+ * budget, currency and preferences the request leaves empty are filled
+ * from it (see POST /brief).
+ * Rate limited per API key; 429 + Retry-After when the limit or the
+ * tenant's monthly quota is exhausted.
+ * With `variants` (a tier count, or a list of { label,
+ * sustainability_priority, budget_fraction }) the response is a
+ * comparison bundle: { comparison_id, variants: [{ ..., proposal,
+ * summary, error }], highlights }. Each variant counts as a generation.
  */
-router.post("/generate", generate);
+router.post("/generate", generateRateLimit, generate);
 
 /**
- * GET /api/v1/proposals/health
- * Health check.
+ * POST /api/v1/proposals/generate/stream
+ * Same as /generate, with live progress as Server-Sent Events.
  */
-router.get("/health", health);
+router.post("/generate/stream", generateRateLimit, generateStream);
+
+/**
+ * POST /api/v1/proposals/brief
+ * Preview what a free-text brief sets: { budget_limit, currency,
+ * headcount, category_focus, priorities, exclusions, matched }.
+ * Nothing is generated or stored.
+ */
+router.post("/brief", previewBrief);
+
+/**
+ * GET /api/v1/proposals
+ * Paginated proposal history.
+ * Query: page, limit, client_name, created_from, created_to,
+ *        min_budget, max_budget, min_confidence, status, comparison_id,
+ *        include_ai_metadata
+ */
+router.get("/", list);
+
+/**
+ * GET /api/v1/proposals/export?format=csv|xlsx&page=1
+ * Bulk export of line items for every proposal matching the list filters,
+ * 5000 proposals per page. X-Export-Has-More: true when another page follows.
+ */
+router.get("/export", exportMany);
+
+/**
+ * GET /api/v1/proposals/:id
+ * Fetch a single proposal. ai_metadata only with ?include_ai_metadata=true.
+ */
+router.get("/:id", getById);
+
+/**
+ * GET /api/v1/proposals/:id/attempts
+ * Replay the AI attempt history: { proposal_id, correlation_id, engine,
+ * fallback_reason, attempts: [AILog entry per attempt, in order] }.
+ */
+router.get("/:id/attempts", attempts);
+
+/**
+ * PATCH /api/v1/proposals/:id
+ * Edit line items of a draft. Re-validated against the catalog and
+ * budget, then stored as a numbered revision with a diff.
+ */
+router.patch("/:id", revise);
+
+/**
+ * POST /api/v1/proposals/:id/status
+ * Lifecycle transition { status, comment?, reserve_stock? }, recorded in
+ * status_history with the authenticated caller as actor. reserve_stock
+ * (accept only) decrements the stock of the tenant's own products; 409 if
+ * stock is short. Shared catalog stock is never changed.
+ */
+router.post("/:id/status", transition);
+
+/**
+ * GET /api/v1/proposals/:id/pdf
+ * Download the proposal as a branded PDF.
+ */
+router.get("/:id/pdf", downloadPdf);
+
+/**
+ * GET /api/v1/proposals/:id/export?format=csv|xlsx
+ * Line items and totals of one proposal for ERP import.
+ */
+router.get("/:id/export", exportOne);
 
 module.exports = router;
@@ -0,0 +1,206 @@
+const AILog = require("../models/AILog");
+const Proposal = require("../models/Proposal");
+const config = require("../config");
+const { VALIDATION_FAILURE_REASONS } = require("../errors");
+const { tenantFilter } = require("../utils/tenant");
+
+/**
+ * AIAnalyticsService — how the AI pipeline behaves, aggregated over AILog
+ * (one entry per attempt, with its outcome) and Proposal.
+ *
+ * Days are UTC. Attempt outcomes, failure reasons and corrections only
+ * exist on entries logged since they were recorded; older entries are
+ * left out of those figures rather than counted as passed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+function resolveRange({ from, to } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { from: start, to: end };
+}
+
+function rangeMatch(tenant_id, { from, to }) {
+  return { ...tenantFilter(tenant_id), created_at: { $gte: from, $lte: to } };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+const day = (date) => date.toISOString().slice(0, 10);
+const DAY_GROUP = { $dateToString: { format: "%Y-%m-%d", date: "$created_at" } };
+
+// Every day of the range, so charts show gaps as zeros
+function eachDay({ from, to }) {
+  const days = [];
+  const cursor = new Date(`${day(from)}T00:00:00Z`);
+  while (cursor <= to) {
+    days.push(day(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
+
+/**
+ * Proposals per day by engine (ai, fallback = deterministic after failed
+ * AI attempts, deterministic = requested), plus AI calls, failed attempts
+ * and tokens from AILog.
+ */
+async function getGenerationsPerDay(query, { tenant_id } = {}) {
+  const range = resolveRange(query);
+  const [proposals, logs] = await Promise.all([
+    Proposal.aggregate([
+      { $match: rangeMatch(tenant_id, range) },
+      {
+        $group: {
+          _id: DAY_GROUP,
+          proposals: { $sum: 1 },
+          ai: { $sum: { $cond: [{ $ne: ["$engine", "deterministic"] }, 1, 0] } },
+          fallback: { $sum: { $cond: [{ $ne: [{ $ifNull: ["$fallback_reason", null] }, null] }, 1, 0] } },
+        },
+      },
+    ]),
+    AILog.aggregate([
+      { $match: rangeMatch(tenant_id, range) },
+      {
+        $group: {
+          _id: DAY_GROUP,
+          ai_calls: { $sum: 1 },
+          failed_attempts: { $sum: { $cond: [{ $eq: ["$outcome", "failed"] }, 1, 0] } },
+          tokens: { $sum: "$usage.total_tokens" },
+        },
+      },
+    ]),
+  ]);
+
+  const proposalsByDay = new Map(proposals.map((p) => [p._id, p]));
+  const logsByDay = new Map(logs.map((l) => [l._id, l]));
+  const days = eachDay(range).map((date) => {
+    const p = proposalsByDay.get(date) || { proposals: 0, ai: 0, fallback: 0 };
+    const l = logsByDay.get(date) || { ai_calls: 0, failed_attempts: 0, tokens: 0 };
+    return {
+      date,
+      proposals: p.proposals,
+      ai: p.ai,
+      fallback: p.fallback,
+      deterministic: p.proposals - p.ai - p.fallback,
+      ai_calls: l.ai_calls,
+      failed_attempts: l.failed_attempts,
+      tokens: l.tokens,
+    };
+  });
+
+  return { ...range, days };
+}
+
+// Failed attempts by ValidationError reason, with the latest message of each
+async function getFailureReasons(query, { tenant_id } = {}) {
+  const range = resolveRange(query);
+  const groups = await AILog.aggregate([
+    { $match: { ...rangeMatch(tenant_id, range), outcome: { $in: ["passed", "failed"] } } },
+    { $sort: { created_at: 1 } },
+    {
+      $group: {
+        _id: { outcome: "$outcome", reason: "$failure_reason" },
+        count: { $sum: 1 },
+        example: { $last: "$failure_message" },
+      },
+    },
+  ]);
+
+  const attempts = groups.reduce((sum, g) => sum + g.count, 0);
+  const failedGroups = groups.filter((g) => g._id.outcome === "failed");
+  const failed = failedGroups.reduce((sum, g) => sum + g.count, 0);
+  const reasons = VALIDATION_FAILURE_REASONS.map((reason) => {
+    const group = failedGroups.find((g) => (g._id.reason || "other") === reason);
+    return {
+      reason,
+      count: group?.count || 0,
+      share: ratio(group?.count || 0, failed),
+      example: group?.example || null,
+    };
+  }).sort((a, b) => b.count - a.count);
+
+  return { ...range, attempts, failed, failure_rate: ratio(failed, attempts), reasons };
+}
+
+// How many AI calls proposals took (1 = accepted first time)
+async function getRetriesPerProposal(query, { tenant_id } = {}) {
+  const range = resolveRange(query);
+  const groups = await Proposal.aggregate([
+    { $match: { ...rangeMatch(tenant_id, range), "ai_metadata.attempts": { $gte: 1 } } },
+    {
+      $group: {
+        _id: "$ai_metadata.attempts",
+        proposals: { $sum: 1 },
+        fallback: { $sum: { $cond: [{ $eq: ["$engine", "deterministic"] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const byAttempts = new Map(groups.map((g) => [g._id, g]));
+  const maxAttempts = Math.max(config.validation.maxAiValidationRetries, ...groups.map((g) => g._id));
+  const distribution = [];
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const g = byAttempts.get(attempts);
+    distribution.push({
+      attempts,
+      retries: attempts - 1,
+      proposals: g?.proposals || 0,
+      fallback: g?.fallback || 0,
+    });
+  }
+  const proposals = distribution.reduce((sum, d) => sum + d.proposals, 0);
+  const totalAttempts = distribution.reduce((sum, d) => sum + d.attempts * d.proposals, 0);
+
+  return {
+    ...range,
+    proposals,
+    avg_attempts: proposals > 0 ? Math.round((totalAttempts / proposals) * 100) / 100 : null,
+    first_attempt_rate: ratio(distribution[0].proposals - distribution[0].fallback, proposals),
+    distribution,
+  };
+}
+
+// Server fixes to accepted AI output: recomputed total_cost lines and
+// allocated_budget
+async function getCorrections(query, { tenant_id } = {}) {
+  const range = resolveRange(query);
+  const [totals] = await AILog.aggregate([
+    { $match: { ...rangeMatch(tenant_id, range), outcome: "passed" } },
+    {
+      $group: {
+        _id: null,
+        passed: { $sum: 1 },
+        total_cost_attempts: { $sum: { $cond: [{ $gt: ["$corrections.total_cost", 0] }, 1, 0] } },
+        total_cost_lines: { $sum: "$corrections.total_cost" },
+        allocated_budget_attempts: { $sum: { $cond: ["$corrections.allocated_budget", 1, 0] } },
+      },
+    },
+  ]);
+
+  const passed = totals?.passed || 0;
+  return {
+    ...range,
+    passed_attempts: passed,
+    total_cost: {
+      attempts: totals?.total_cost_attempts || 0,
+      lines: totals?.total_cost_lines || 0,
+      rate: ratio(totals?.total_cost_attempts || 0, passed),
+    },
+    allocated_budget: {
+      attempts: totals?.allocated_budget_attempts || 0,
+      rate: ratio(totals?.allocated_budget_attempts || 0, passed),
+    },
+  };
+}
+
+module.exports = {
+  getGenerationsPerDay,
+  getFailureReasons,
+  getRetriesPerProposal,
+  getCorrections,
+};
@@ -0,0 +1,342 @@
+const { ValidationError } = require("../errors");
+const { formatAmount } = require("../utils/currency");
+const { orderLimits, isOrderable } = require("../utils/inventory");
+const { IMPACT_METRICS } = require("./impactService");
+
+/**
+ * AllocatorService — deterministic, AI-free proposal engine.
+ *
+ * Solves a bounded knapsack over the catalog: maximise priority-weighted
+ * impact subject to the budget band, with at least MIN_CATEGORIES
+ * categories and no single product taking more than MAX_PRODUCT_SHARE
+ * of the budget. Output has the same shape as a validated AI response,
+ * so it goes through the same business checks, impact computation and
+ * persistence as an AI proposal. Summaries come from fixed templates.
+ *
+ * With a pricer (pricingService.createPricer) every unit is costed at
+ * its landed upper bound and the base shipping fee is reserved up
+ * front, so the result stays within budget after tax and shipping.
+ *
+ * Inventory: every chosen product starts at its MOQ and never exceeds
+ * stock on hand or max_order_qty (utils/inventory.js).
+ *
+ * Budget band: when stock or the per-product cap keep the knapsack below
+ * MIN_BUDGET_SHARE, the rest of the catalog tops the allocation up; an
+ * allocation that still lands below the floor is rejected.
+ */
+
+const MIN_CATEGORIES = 3;
+const MIN_BUDGET_SHARE = 0.7;
+const MAX_BUDGET_SHARE = 0.95;
+const MAX_PRODUCT_SHARE = 0.5;
+const FOCUS_BONUS = 1.5;
+// Knapsack capacity is discretised into at most this many cost buckets
+const DP_RESOLUTION = 1000;
+// No tax or shipping: a unit costs its list price
+const LIST_PRICER = { unitCost: (p) => p.unit_price, fixedCost: 0, price: null };
+
+// Weight of each impact metric (impactService IMPACT_METRICS keys)
+const EVEN_WEIGHTS = {
+  plastic_saved: 0.5,
+  carbon_avoided: 0.5,
+  water_saved: 0.5,
+  waste_diverted: 0.5,
+  energy_saved: 0.5,
+};
+
+const PRIORITY_PROFILES = {
+  maximum_plastic_reduction: {
+    label: "maximum plastic reduction",
+    weights: { plastic_saved: 1, waste_diverted: 0.5, carbon_avoided: 0.25, water_saved: 0.1, energy_saved: 0.1 },
+  },
+  carbon_neutral: {
+    label: "carbon reduction",
+    weights: { carbon_avoided: 1, energy_saved: 0.5, plastic_saved: 0.25, water_saved: 0.1, waste_diverted: 0.1 },
+  },
+  cost_effective_green: {
+    label: "cost-effective impact",
+    weights: EVEN_WEIGHTS,
+    maxShare: 0.8,
+  },
+  premium_sustainability: {
+    label: "premium sustainability",
+    weights: EVEN_WEIGHTS,
+    premium: true,
+  },
+  balanced: { label: "balanced impact", weights: EVEN_WEIGHTS },
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function getProfile(priority) {
+  return PRIORITY_PROFILES[priority] || PRIORITY_PROFILES.balanced;
+}
+
+// Priority-weighted impact of one unit. Every metric is normalised
+// against the catalog maximum so kg, litres and kWh are comparable; a
+// metric no product reports adds nothing. Shared with the catalog ranking
+// (catalogRetrievalService).
+function impactScorer(products, profile) {
+  const metrics = IMPACT_METRICS.map(({ key, field }) => ({
+    field,
+    weight: profile.weights[key] || 0,
+    max: Math.max(...products.map((p) => p.impact_metrics?.[field] || 0), 1e-9),
+  }));
+  return (p) =>
+    metrics.reduce((sum, { field, weight, max }) => sum + weight * ((p.impact_metrics?.[field] || 0) / max), 0);
+}
+
+// Per-unit value of a product under the priority profile. A tiny price
+// term keeps zero-impact items usable for filling the budget.
+function buildValueFn(candidates, profile, focusSet) {
+  const impactOf = impactScorer(candidates, profile);
+  const maxPrice = Math.max(...candidates.map((p) => p.unit_price), 1e-9);
+
+  return (p) => {
+    let value = impactOf(p);
+    if (profile.premium) value *= 1 + p.unit_price / maxPrice;
+    if (focusSet.has(p.category)) value *= FOCUS_BONUS;
+    return value + 1e-6 * p.unit_price;
+  };
+}
+
+function pickCategories(candidates, valueOf, profile, focusSet) {
+  // Best product per category: highest value per rupee, or highest
+  // absolute value for the premium profile.
+  const rank = (p) => (profile.premium ? valueOf(p) : valueOf(p) / p.unit_price);
+  const best = new Map();
+  for (const p of candidates) {
+    const current = best.get(p.category);
+    if (!current || rank(p) > rank(current)) best.set(p.category, p);
+  }
+
+  const ordered = [...best.values()].sort((a, b) => {
+    const focusDiff = Number(focusSet.has(b.category)) - Number(focusSet.has(a.category));
+    return focusDiff !== 0 ? focusDiff : rank(b) - rank(a);
+  });
+
+  const focusCount = ordered.filter((p) => focusSet.has(p.category)).length;
+  return ordered.slice(0, Math.max(MIN_CATEGORIES, focusCount));
+}
+
+// 0/1 knapsack over binary-split bounded items. Costs are rounded UP to
+// the bucket size so the reconstructed selection never exceeds capacity.
+function solveBoundedKnapsack(items, capacity) {
+  const unit = Math.max(1, Math.ceil(capacity / DP_RESOLUTION));
+  const capUnits = Math.floor(capacity / unit);
+
+  const pieces = [];
+  for (const item of items) {
+    const weight = Math.ceil(item.cost / unit);
+    let remaining = item.bound;
+    for (let count = 1; remaining > 0; count *= 2) {
+      const take = Math.min(count, remaining);
+      pieces.push({ key: item.key, count: take, w: weight * take, v: item.value * take });
+      remaining -= take;
+    }
+  }
+
+  const dp = new Float64Array(capUnits + 1);
+  const keep = pieces.map(() => new Uint8Array(capUnits + 1));
+  pieces.forEach((piece, i) => {
+    for (let c = capUnits; c >= piece.w; c--) {
+      const candidate = dp[c - piece.w] + piece.v;
+      if (candidate > dp[c]) {
+        dp[c] = candidate;
+        keep[i][c] = 1;
+      }
+    }
+  });
+
+  const quantities = new Map();
+  let c = capUnits;
+  for (let i = pieces.length - 1; i >= 0; i--) {
+    if (keep[i][c]) {
+      const piece = pieces[i];
+      quantities.set(piece.key, (quantities.get(piece.key) || 0) + piece.count);
+      c -= piece.w;
+    }
+  }
+  return quantities;
+}
+
+function buildSummaries({ clientName, lines, categories, budgetLimit, allocated, profile, impact, currency }) {
+  const client = clientName || "This client";
+  const pct = Math.round((allocated / budgetLimit) * 100);
+
+  const proposalSummary =
+    `${client} receives ${lines.length} sustainable products across ` +
+    `${categories.length} categories (${categories.join(", ")}), allocating ` +
+    `${formatAmount(allocated, currency)} of the ${formatAmount(budgetLimit, currency)} budget (${pct}%). ` +
+    `Quantities were optimised for ${profile.label}.`;
+
+  const impactSummary =
+    `Estimated ${round2(impact.plastic)} kg of plastic saved and ` +
+    `${round2(impact.carbon)} kg of CO₂ avoided across ` +
+    `${lines.reduce((sum, l) => sum + l.quantity, 0)} units.`;
+
+  return { proposalSummary, impactSummary };
+}
+
+/**
+ * Build a proposal without the AI.
+ *
+ * @param {Object}   params
+ * @param {Object[]} params.products                 Lean Product docs (full catalog)
+ * @param {number}   params.budget_limit
+ * @param {string[]} [params.category_focus]
+ * @param {string}   [params.sustainability_priority]
+ * @param {string}   [params.client_name]
+ * @param {string}   [params.currency]               Currency of budget_limit and of
+ *                                                   every unit_price in products
+ * @param {Object}   [params.pricer]                 From pricingService.createPricer
+ * @returns {Object} Same shape as AIResponseSchema
+ * @throws  {ValidationError} When the budget or catalog cannot satisfy the rules
+ */
+function allocateDeterministic({
+  products,
+  budget_limit,
+  category_focus = [],
+  sustainability_priority = "",
+  client_name = "",
+  currency = "INR",
+  pricer = LIST_PRICER,
+}) {
+  const profile = getProfile(sustainability_priority);
+  const focusSet = new Set(category_focus);
+  const upperLimit = budget_limit * (profile.maxShare || MAX_BUDGET_SHARE) - pricer.fixedCost;
+  const costOf = pricer.unitCost;
+  // Cheapest way to include a product at all: its MOQ
+  const entryCost = (p) => costOf(p) * orderLimits(p).min;
+
+  const candidates = products.filter(
+    (p) => p.unit_price > 0 && isOrderable(p) && entryCost(p) <= upperLimit
+  );
+  const valueOf = buildValueFn(candidates.length > 0 ? candidates : products, profile, focusSet);
+
+  const seeds = pickCategories(candidates, valueOf, profile, focusSet);
+  if (seeds.length < MIN_CATEGORIES) {
+    throw new ValidationError(
+      `Deterministic allocation needs products from at least ${MIN_CATEGORIES} categories within ${formatAmount(budget_limit, currency)}; found ${seeds.length}`
+    );
+  }
+
+  // The MOQ of each chosen category's cheapest product guarantees the
+  // category spread; fall back to it when the best pick is too expensive.
+  const chosenCategories = new Set(seeds.map((p) => p.category));
+  const pool = candidates.filter((p) => chosenCategories.has(p.category));
+  let seedLines = seeds;
+  if (seeds.reduce((sum, p) => sum + entryCost(p), 0) > upperLimit) {
+    seedLines = [...chosenCategories].map(
+      (cat) => pool.filter((p) => p.category === cat).sort((a, b) => entryCost(a) - entryCost(b))[0]
+    );
+  }
+  const seedCost = seedLines.reduce((sum, p) => sum + entryCost(p), 0);
+  if (seedCost > upperLimit) {
+    throw new ValidationError(
+      `Budget ${formatAmount(budget_limit, currency)} is too small to cover ${MIN_CATEGORIES} categories (minimum ${formatAmount(round2(seedCost + pricer.fixedCost), currency)})`
+    );
+  }
+
+  const quantities = new Map(seedLines.map((p) => [p._id.toString(), orderLimits(p).min]));
+  const items = pool
+    // Knapsack units on top of a seed; a product outside the seeds could
+    // otherwise be added below its MOQ
+    .filter((p) => quantities.has(p._id.toString()) || orderLimits(p).min === 1)
+    .map((p) => {
+      const key = p._id.toString();
+      const maxUnits = Math.min(
+        Math.floor((budget_limit * MAX_PRODUCT_SHARE) / costOf(p)),
+        orderLimits(p).max
+      );
+      return {
+        key,
+        cost: costOf(p),
+        value: valueOf(p),
+        bound: Math.max(0, maxUnits - (quantities.get(key) || 0)),
+      };
+    })
+    .filter((item) => item.bound > 0);
+
+  const extra = solveBoundedKnapsack(items, upperLimit - seedCost);
+  for (const [key, qty] of extra) {
+    quantities.set(key, (quantities.get(key) || 0) + qty);
+  }
+
+  const byId = new Map(candidates.map((p) => [p._id.toString(), p]));
+  const maxUnitsOf = (p) => Math.min(Math.floor((budget_limit * MAX_PRODUCT_SHARE) / costOf(p)), orderLimits(p).max);
+  let spent = [...quantities].reduce((sum, [key, qty]) => sum + costOf(byId.get(key)) * qty, 0);
+  if (spent + pricer.fixedCost < budget_limit * MIN_BUDGET_SHARE) {
+    // Top up from the whole catalog, best value first, up to the cap
+    for (const p of [...candidates].sort((a, b) => valueOf(b) - valueOf(a))) {
+      const key = p._id.toString();
+      const current = quantities.get(key) || 0;
+      const add = Math.min(maxUnitsOf(p) - current, Math.floor((upperLimit - spent) / costOf(p)));
+      if (add <= 0 || current + add < orderLimits(p).min) continue;
+      quantities.set(key, current + add);
+      spent += costOf(p) * add;
+    }
+  }
+
+  const lines = [...quantities.entries()]
+    .map(([key, quantity]) => {
+      const p = byId.get(key);
+      return {
+        product_id: key,
+        name: p.name,
+        quantity,
+        unit_price: p.unit_price,
+        total_cost: round2(quantity * p.unit_price),
+      };
+    })
+    .sort((a, b) => b.total_cost - a.total_cost);
+
+  const allocated = round2(lines.reduce((sum, l) => sum + l.total_cost, 0));
+  const landed = pricer.price ? pricer.price(lines).summary.total : allocated;
+  const impact = lines.reduce(
+    (acc, l) => {
+      const p = byId.get(l.product_id);
+      acc.plastic += (p.impact_metrics?.plastic_saved_per_unit || 0) * l.quantity;
+      acc.carbon += (p.impact_metrics?.carbon_avoided_per_unit || 0) * l.quantity;
+      return acc;
+    },
+    { plastic: 0, carbon: 0 }
+  );
+
+  const categories = [...new Set(lines.map((l) => byId.get(l.product_id).category))];
+  const { proposalSummary, impactSummary } = buildSummaries({
+    clientName: client_name,
+    lines,
+    categories,
+    budgetLimit: budget_limit,
+    allocated: landed,
+    profile,
+    impact,
+    currency,
+  });
+
+  if (landed < budget_limit * MIN_BUDGET_SHARE) {
+    throw new ValidationError(
+      `The catalog's stock and order limits only fill ${formatAmount(landed, currency)} of the ${formatAmount(budget_limit, currency)} budget; at least ${Math.round(MIN_BUDGET_SHARE * 100)}% must be allocated`
+    );
+  }
+
+  return {
+    proposal_summary: proposalSummary,
+    total_budget_limit: budget_limit,
+    allocated_budget: allocated,
+    products: lines,
+    impact_summary: impactSummary,
+    confidence_score: 0.85,
+  };
+}
+
+module.exports = {
+  allocateDeterministic,
+  solveBoundedKnapsack,
+  getProfile,
+  impactScorer,
+  PRIORITY_PROFILES,
+};
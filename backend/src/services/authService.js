@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const Tenant = require("../models/Tenant");
+const config = require("../config");
+const { UnauthorizedError, ConflictError } = require("../errors");
+const { verifyJwt, signJwt } = require("../utils/jwt");
+
+/**
+ * AuthService — resolves request credentials to a principal.
+ *
+ * A principal is { tenant_id, actor, role, method }. Credentials are either
+ * an API key ("pk_…", via X-API-Key or Authorization: Bearer) or, when
+ * AUTH_JWT_SECRET is set, an HS256 JWT carrying tenant_id (and optionally
+ * sub and role) claims. role is "member" unless the key or token says "admin".
+ *
+ * Browsers never hold an API key: the user enters it once and
+ * createSession exchanges it for a short-lived JWT with the key's tenant
+ * and role.
+ */
+
+const API_KEY_PREFIX = "pk_";
+const PREFIX_LENGTH = 10;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+async function createTenant(name) {
+  const slug = slugify(name);
+  if (await Tenant.exists({ slug })) {
+    throw new ConflictError(`Tenant "${slug}" already exists; use --tenant <tenant_id> to add a key`);
+  }
+  const tenant = await Tenant.create({ name, slug });
+  console.log("[Auth] Tenant created:", tenant._id);
+  return { tenant_id: tenant._id.toString(), name: tenant.name, slug: tenant.slug };
+}
+
+/**
+ * Issue a new key for a tenant. The plaintext key is only ever returned here.
+ */
+async function createApiKey(tenant_id, name = "", { role = "member" } = {}) {
+  const key = generateApiKey();
+  const doc = await ApiKey.create({
+    tenant_id,
+    name,
+    role,
+    key_hash: hashApiKey(key),
+    prefix: key.slice(0, PREFIX_LENGTH),
+  });
+  console.log(`[Auth] API key ${doc.prefix}… created for tenant ${tenant_id}`);
+  return { api_key: key, prefix: doc.prefix, tenant_id, name, role };
+}
+
+async function resolveApiKey(key) {
+  const doc = await ApiKey.findOne({ key_hash: hashApiKey(key), revoked_at: null }).lean();
+  if (!doc) {
+    throw new UnauthorizedError("Invalid API key");
+  }
+  // Bookkeeping only; never delays or fails the request
+  ApiKey.updateOne({ _id: doc._id }, { $set: { last_used_at: new Date() } })
+    .catch((err) => console.warn(`[Auth] last_used_at update failed: ${err.message}`));
+  return {
+    tenant_id: doc.tenant_id,
+    actor: `key:${doc.prefix}`,
+    role: doc.role || "member",
+    method: "api_key",
+  };
+}
+
+function resolveJwt(token) {
+  if (!config.auth.jwtSecret) {
+    throw new UnauthorizedError("JWT authentication is not enabled");
+  }
+  let claims;
+  try {
+    claims = verifyJwt(token, config.auth.jwtSecret);
+  } catch (err) {
+    throw new UnauthorizedError(err.message);
+  }
+  if (!claims.tenant_id) {
+    throw new UnauthorizedError("Token has no tenant_id claim");
+  }
+  return {
+    tenant_id: String(claims.tenant_id),
+    actor: claims.sub ? String(claims.sub) : "jwt",
+    role: claims.role === "admin" ? "admin" : "member",
+    method: "jwt",
+  };
+}
+
+/**
+ * @returns {Promise<{ token: string, expires_at: Date, tenant_id: string, actor: string, role: string }>}
+ * @throws  {UnauthorizedError} On an invalid key, or when AUTH_JWT_SECRET is not set
+ */
+async function createSession(apiKey, { now = Date.now() } = {}) {
+  if (!config.auth.jwtSecret) {
+    throw new UnauthorizedError("Sign-in is not enabled (AUTH_JWT_SECRET is not set)");
+  }
+  const principal = await resolveApiKey(apiKey);
+  const issuedAt = Math.floor(now / 1000);
+  const expiresAt = issuedAt + config.auth.sessionTtlSeconds;
+  const token = signJwt(
+    { tenant_id: principal.tenant_id, sub: principal.actor, role: principal.role, iat: issuedAt, exp: expiresAt },
+    config.auth.jwtSecret
+  );
+  console.log(`[Auth] Session issued to ${principal.actor} (tenant ${principal.tenant_id})`);
+  return {
+    token,
+    expires_at: new Date(expiresAt * 1000),
+    tenant_id: principal.tenant_id,
+    actor: principal.actor,
+    role: principal.role,
+  };
+}
+
+// X-API-Key always carries an API key; a bearer token is an API key
+// when it has the pk_ prefix and a JWT otherwise.
+function extractCredential(headers) {
+  if (headers["x-api-key"]) {
+    return { type: "api_key", value: headers["x-api-key"].trim() };
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  if (!match) return null;
+  const value = match[1].trim();
+  return { type: value.startsWith(API_KEY_PREFIX) ? "api_key" : "jwt", value };
+}
+
+/**
+ * @param   {Object} headers  Lower-cased request headers
+ * @returns {Promise<{ tenant_id: string, actor: string, method: string }>}
+ * @throws  {UnauthorizedError}
+ */
+async function authenticate(headers) {
+  const credential = extractCredential(headers);
+  if (!credential) {
+    if (!config.auth.required) {
+      return { tenant_id: config.auth.devTenantId, actor: "dev", role: "admin", method: "none" };
+    }
+    throw new UnauthorizedError("Missing credentials: send X-API-Key or Authorization: Bearer");
+  }
+  return credential.type === "api_key"
+    ? resolveApiKey(credential.value)
+    : resolveJwt(credential.value);
+}
+
+module.exports = {
+  authenticate,
+  createTenant,
+  createApiKey,
+  createSession,
+  hashApiKey,
+  extractCredential,
+};
@@ -0,0 +1,266 @@
+const Product = require("../models/Product");
+const { BriefExtractionSchema } = require("../validators/briefValidator");
+const { tokenize } = require("../utils/tfidf");
+const { catalogFilter } = require("../utils/tenant");
+const { ValidationError } = require("../errors");
+
+/**
+ * BriefService — turns a free-text client brief ("we need 200 welcome
+ * kits for new hires, no plastic, under 3 lakh") into structured
+ * preferences.
+ *
+ * Extraction is rule-based and runs in-process: amounts with a currency,
+ * a multiplier (k, lakh, crore) or a budget word ("under", "within"),
+ * headcounts next to a people/gift noun, category keywords, priority
+ * phrases and "no X" / "without X" / "X-free" exclusions. The result is
+ * checked against BriefExtractionSchema; a field that fails is dropped
+ * rather than guessed.
+ *
+ * applyBrief() fills the request from the extraction. Fields the request
+ * sets itself always win, so an edited preview is respected.
+ */
+
+const CURRENCY_WORDS = [
+  [/^(₹|rs\.?|inr|rupees?)$/i, "INR"],
+  [/^(\$|usd|dollars?)$/i, "USD"],
+  [/^(€|eur|euros?)$/i, "EUR"],
+  [/^(£|gbp|pounds?)$/i, "GBP"],
+];
+
+const MULTIPLIERS = [
+  [/^(k|thousand)$/i, 1e3],
+  [/^(lakhs?|lacs?)$/i, 1e5],
+  [/^(mn|million)$/i, 1e6],
+  [/^(crores?|cr)$/i, 1e7],
+];
+
+// prefix currency, amount, multiplier, suffix currency
+const MONEY_RE =
+  /(₹|\$|€|£|(?<![a-z])(?:rs\.?|inr|usd|eur|gbp)\s?)?(?<!\d[.,]?)(\d+(?:,\d+)*(?:\.\d+)?)(?!\.?\d)\s*(k|thousand|lakhs?|lacs?|crores?|cr|mn|million)?\b\s*(inr|rupees?|usd|dollars?|eur|euros?|gbp|pounds?)?\b/gi;
+const BUDGET_WORD_RE =
+  /\b(budget|under|within|up ?to|max(imum)?|below|less than|not exceed(ing)?|spend(ing)?|around|about|approx(imately)?|total of|cap of|limit of)\b[^\d]{0,15}$/i;
+// "₹450 each" is a unit price, not the budget
+const PER_UNIT_RE = /^\s*(each|per\b|\/\s*(unit|piece|head|person)|a piece|apiece)/i;
+
+const HEADCOUNT_NOUNS =
+  "employees|people|persons|staff|hires|joiners|joinees|attendees|guests|members|participants|delegates|" +
+  "interns|students|volunteers|customers|clients|kits|gifts|hampers|boxes|units|pieces|pax|heads";
+const HEADCOUNT_RE = new RegExp(
+  `(?<!\\d[.,]?)(\\d+(?:,\\d+)*)(?!\\.?\\d)\\s+(?:[a-z-]+\\s+){0,2}?(?:${HEADCOUNT_NOUNS})\\b`,
+  "gi"
+);
+// An amount directly followed by a headcount noun ("under 200 employees")
+const HEADCOUNT_NEXT_RE = new RegExp(`^\\s*(?:[a-z-]+\\s+){0,2}?(?:${HEADCOUNT_NOUNS})\\b`, "i");
+const HEADCOUNT_LABEL_RE = /\b(?:headcount|team of|team size|group of)\s*(?:of|:|is)?\s*(\d+(?:,\d+)*)(?!\.?\d)/i;
+
+// "no X", "without X or Y"; skips "no more than", "not too", ...
+const EXCLUSION_RE =
+  /\b(?:no|without|avoid|avoiding|exclude|excluding|except|nothing|not)\s+(?!(?:more|less|later|earlier|than|longer|fewer|over|under|too|very|so|just|only|sure|yet|much|need|needed|rush|hurry)\b)((?:[a-z][a-z-]*)(?:\s+[a-z][a-z-]*){0,2}?(?:\s+(?:or|nor)\s+[a-z][a-z-]*(?:\s+[a-z][a-z-]*)?)*)(?=\s*(?:[,.;:!)\n]|$)|\s+(?:and|but|please|under|within|for|in|as|at|by|with|to|from|up)\b)/gi;
+const FREE_SUFFIX_RE = /\b([a-z]+)-free\b/gi;
+const NOT_EXCLUSIONS = new Set(["hassle", "tax", "duty", "stress", "worry", "cost", "care", "fuss"]);
+const GENERIC_NOUNS = new Set(["item", "items", "product", "products", "stuff", "things", "gifts", "merchandise", "merch"]);
+
+// Stemmed keywords per catalog category; a category's own name always counts
+const CATEGORY_TERMS = {
+  Bags: ["bag", "tote", "backpack", "pouch", "sling"],
+  Drinkware: ["bottle", "tumbler", "mug", "flask", "sipper", "cup", "drinkware"],
+  Stationery: ["notebook", "pen", "pencil", "journal", "diary", "planner", "stationery"],
+  Apparel: ["shirt", "tee", "tshirt", "hoodie", "cap", "hat", "jacket", "apparel", "clothing", "uniform"],
+  Electronics: ["charger", "powerbank", "speaker", "earphone", "electronic", "gadget", "solar"],
+  Kitchen: ["lunch", "lunchbox", "tiffin", "straw", "cutlery", "utensil", "container", "kitchen"],
+};
+
+const PRIORITY_PATTERNS = [
+  [
+    "maximum_plastic_reduction",
+    /plastic[- ]free|no plastic|zero plastic|(?:reduce|reducing|less|cut|cutting)\s+(?:single[- ]use\s+)?plastic|single[- ]use/i,
+  ],
+  ["carbon_neutral", /carbon|net[- ]zero|co2|co₂|emissions?|climate/i],
+  ["cost_effective_green", /afford|cheap|cost[- ]effective|economical|low[- ]cost|budget[- ]friendly|value for money/i],
+  ["premium_sustainability", /premium|luxury|high[- ]end|top[- ]quality|executive|upscale/i],
+  ["balanced", /\bbalanced\b/i],
+];
+
+function toNumber(digits) {
+  return Number(digits.replace(/,/g, ""));
+}
+
+function lookup(table, word) {
+  if (!word) return null;
+  const hit = table.find(([re]) => re.test(word.trim()));
+  return hit ? hit[1] : null;
+}
+
+function extractBudget(text) {
+  const candidates = [];
+  for (const m of text.matchAll(MONEY_RE)) {
+    const [phrase, prefix, digits, multiplierWord, suffix] = m;
+    const currency = lookup(CURRENCY_WORDS, prefix) || lookup(CURRENCY_WORDS, suffix);
+    const multiplier = lookup(MULTIPLIERS, multiplierWord);
+    const before = text.slice(Math.max(0, m.index - 30), m.index);
+    const after = text.slice(m.index + phrase.length);
+    if (PER_UNIT_RE.test(after)) continue;
+    if (!currency && !multiplier && !BUDGET_WORD_RE.test(before)) continue;
+    if (!currency && !multiplier && HEADCOUNT_NEXT_RE.test(after)) continue;
+    candidates.push({
+      value: toNumber(digits) * (multiplier || 1),
+      // lakh and crore are Indian units
+      currency: currency || (multiplier >= 1e5 && multiplier !== 1e6 ? "INR" : null),
+      phrase: `${before.match(BUDGET_WORD_RE)?.[0] || ""}${phrase}`.trim(),
+      start: m.index,
+      end: m.index + phrase.length,
+    });
+  }
+  // The budget is the largest amount stated
+  return candidates.sort((a, b) => b.value - a.value)[0] || null;
+}
+
+function extractHeadcount(text, budget) {
+  for (const m of text.matchAll(HEADCOUNT_RE)) {
+    if (budget && m.index < budget.end && m.index + m[0].length > budget.start) continue;
+    return { value: toNumber(m[1]), phrase: m[0].trim() };
+  }
+  const labelled = text.match(HEADCOUNT_LABEL_RE);
+  return labelled ? { value: toNumber(labelled[1]), phrase: labelled[0].trim() } : null;
+}
+
+function extractExclusions(text) {
+  const terms = [];
+  const phrases = [];
+  const spans = [];
+  for (const m of text.matchAll(EXCLUSION_RE)) {
+    for (const part of m[1].split(/\s+(?:or|nor)\s+/)) {
+      const words = part.split(/\s+/);
+      while (words.length > 1 && GENERIC_NOUNS.has(words[words.length - 1])) words.pop();
+      terms.push(words.join(" "));
+    }
+    phrases.push(m[0].trim());
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  for (const m of text.matchAll(FREE_SUFFIX_RE)) {
+    if (NOT_EXCLUSIONS.has(m[1])) continue;
+    terms.push(m[1]);
+    phrases.push(m[0]);
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  return { terms: [...new Set(terms)], phrases, spans };
+}
+
+function extractCategories(text, categories) {
+  const found = new Map();
+  const tokens = tokenize(text);
+  for (const category of categories) {
+    const terms = new Set([...(CATEGORY_TERMS[category] || []), ...tokenize(category)]);
+    const at = tokens.findIndex((t) => terms.has(t));
+    if (at !== -1) found.set(category, { at, term: tokens[at] });
+  }
+  return [...found].sort((a, b) => a[1].at - b[1].at);
+}
+
+function extractPriorities(text) {
+  return PRIORITY_PATTERNS.map(([priority, re]) => ({ priority, match: text.match(re) }))
+    .filter((p) => p.match)
+    .sort((a, b) => a.match.index - b.match.index);
+}
+
+// Drops fields that fail the schema instead of failing the whole brief
+function checkExtraction(raw) {
+  const result = BriefExtractionSchema.safeParse(raw);
+  if (result.success) return result.data;
+
+  const cleared = { ...raw, matched: { ...raw.matched } };
+  for (const issue of result.error.issues) {
+    const field = issue.path[0];
+    cleared[field] = Array.isArray(raw[field]) ? [] : null;
+    delete cleared.matched[field];
+    if (field === "budget_limit") cleared.currency = null;
+    console.warn(`[Brief] Dropped ${field}: ${issue.message}`);
+  }
+  return BriefExtractionSchema.parse(cleared);
+}
+
+/**
+ * @param {string}   brief
+ * @param {string[]} categories  Catalog categories visible to the tenant
+ * @returns {Object} BriefExtractionSchema shape
+ */
+function extractBrief(brief, categories = []) {
+  const text = String(brief || "").toLowerCase();
+  const budget = extractBudget(text);
+  const headcount = extractHeadcount(text, budget);
+  const exclusions = extractExclusions(text);
+  // Excluded words must not also select their category ("no bags")
+  const included = exclusions.spans.reduceRight(
+    (acc, [start, end]) => acc.slice(0, start) + " ".repeat(end - start) + acc.slice(end),
+    text
+  );
+  const found = extractCategories(included, categories);
+  const priorities = extractPriorities(text);
+
+  const matched = {};
+  if (budget) matched.budget_limit = budget.phrase;
+  if (headcount) matched.headcount = headcount.phrase;
+  if (found.length > 0) matched.category_focus = found.map(([, f]) => f.term).join(", ");
+  if (priorities.length > 0) matched.priorities = priorities.map((p) => p.match[0]).join(", ");
+  if (exclusions.phrases.length > 0) matched.exclusions = exclusions.phrases.join(", ");
+
+  return checkExtraction({
+    budget_limit: budget ? Math.round(budget.value * 100) / 100 : null,
+    currency: budget?.currency || null,
+    headcount: headcount ? headcount.value : null,
+    category_focus: found.map(([category]) => category),
+    priorities: priorities.map((p) => p.priority),
+    exclusions: exclusions.terms,
+    matched,
+  });
+}
+
+async function parseBrief(brief, { tenant_id } = {}) {
+  const categories = await Product.distinct("category", catalogFilter(tenant_id));
+  const extraction = extractBrief(brief, categories);
+  console.log(
+    `[Brief] Extracted ${Object.keys(extraction.matched).join(", ") || "nothing"} from ${brief.length} chars`
+  );
+  return extraction;
+}
+
+/**
+ * Fills a generate request from its brief. Returns the request with
+ * budget/currency/preferences completed and `brief_extraction` attached.
+ *
+ * @throws {ValidationError} When neither the request nor the brief states a budget
+ */
+async function applyBrief(request, { tenant_id } = {}) {
+  const extraction = await parseBrief(request.brief, { tenant_id });
+  const preferences = request.preferences || {};
+
+  let { budget_limit, currency } = request;
+  if (budget_limit === undefined) {
+    if (extraction.budget_limit === null) {
+      throw new ValidationError("budget_limit is required: the brief does not state a budget");
+    }
+    if (currency && extraction.currency && currency !== extraction.currency) {
+      throw new ValidationError(
+        `The brief states its budget in ${extraction.currency} but the request currency is ${currency}`
+      );
+    }
+    budget_limit = extraction.budget_limit;
+  }
+  currency = currency || extraction.currency || undefined;
+
+  return {
+    ...request,
+    budget_limit,
+    currency,
+    preferences: {
+      ...preferences,
+      category_focus: preferences.category_focus?.length ? preferences.category_focus : extraction.category_focus,
+      sustainability_priority: preferences.sustainability_priority || extraction.priorities[0] || "",
+      headcount: preferences.headcount ?? extraction.headcount ?? undefined,
+      exclusions: preferences.exclusions?.length ? preferences.exclusions : extraction.exclusions,
+    },
+    brief_extraction: extraction,
+  };
+}
+
+module.exports = { extractBrief, parseBrief, applyBrief };
@@ -0,0 +1,160 @@
+const { orderLimits } = require("../utils/inventory");
+const { buildIndex, similarity, tokenize } = require("../utils/tfidf");
+const { getProfile, impactScorer } = require("./allocatorService");
+
+/**
+ * CatalogRetrievalService — picks which products the AI gets to see.
+ *
+ * The prompt only has room for AI_MAX_CATALOG_ITEMS products, so every
+ * orderable product is scored on three signals, each scaled to [0, 1]
+ * across the candidates so that no signal drowns out the others:
+ *
+ *   category — 1 when the product is in category_focus
+ *   impact   — priority-weighted impact per unit price over every impact
+ *              metric (the allocator's PRIORITY_PROFILES and
+ *              impactScorer); premium_sustainability ranks absolute
+ *              impact scaled up by price instead, so premium items rise
+ *   text     — TF-IDF cosine between the client's free-text needs and the
+ *              product name, category and description (best match = 1)
+ *
+ * Signals that carry no information for a request (no focus, no needs)
+ * drop out of the weighting instead of diluting the others. Selection
+ * keeps one product per category first (the prompt requires three or
+ * more categories), then fills by score. Every selected product records
+ * its scores and the reasons it was included.
+ */
+
+const WEIGHTS = { category: 0.4, impact: 0.3, text: 0.3 };
+const MAX_REASON_TERMS = 3;
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// Affordable at its MOQ within the budget, and stock covers the MOQ
+function isAffordable(product, budgetLimit) {
+  const { min, max } = orderLimits(product);
+  return product.unit_price * min <= budgetLimit && Math.min(max, Math.floor(budgetLimit / product.unit_price)) >= min;
+}
+
+function productText(p) {
+  // Name twice: it is short but the strongest signal
+  return `${p.name} ${p.name} ${p.category} ${p.description || ""}`;
+}
+
+function impactScores(products, sustainability_priority) {
+  const profile = getProfile(sustainability_priority);
+  const impactOf = impactScorer(products, profile);
+  const maxPrice = Math.max(...products.map((p) => p.unit_price), 1e-9);
+
+  const raw = products.map((p) => {
+    const impact = impactOf(p);
+    return profile.premium ? impact * (1 + p.unit_price / maxPrice) : impact / Math.max(p.unit_price, 1e-9);
+  });
+  return { profile, scores: scaleToUnit(raw, Math.min(...raw)) };
+}
+
+// Scale so the best value is 1 and `floor` is 0
+function scaleToUnit(values, floor = 0) {
+  const top = Math.max(...values);
+  return top > floor ? values.map((v) => (v - floor) / (top - floor)) : values.map(() => 0);
+}
+
+/**
+ * Drops products whose name or category mentions an excluded term
+ * ("no plastic", "without electronics"). Every word of a multi-word
+ * exclusion must appear. Descriptions are not searched: "replaces
+ * single-use plastic" is a reason to offer a product, not to drop it.
+ */
+function excludeProducts(products, exclusions = []) {
+  const excluded = exclusions.map(tokenize).filter((terms) => terms.length > 0);
+  if (excluded.length === 0) return products;
+  return products.filter((p) => {
+    const words = new Set(tokenize(`${p.name} ${p.category}`));
+    return !excluded.some((terms) => terms.every((t) => words.has(t)));
+  });
+}
+
+/**
+ * @param {Object[]} products  Catalog in the request currency
+ * @param {Object}   opts
+ * @param {number}   opts.budgetLimit          Goods budget the AI plans against
+ * @param {number}   opts.maxItems
+ * @param {string[]} [opts.category_focus]
+ * @param {string}   [opts.sustainability_priority]
+ * @param {string}   [opts.client_needs]       Free text, e.g. from the brief
+ * @returns {Object[]} In prompt order: { product, rank, score, scores, reasons }
+ */
+function selectCatalog(
+  products,
+  { budgetLimit, maxItems, category_focus = [], sustainability_priority = "", client_needs = "" }
+) {
+  const affordable = products.filter((p) => isAffordable(p, budgetLimit));
+  const pool = affordable.length > 0 ? affordable : products;
+  if (pool.length === 0) return [];
+
+  const focus = new Set(category_focus);
+  const { profile, scores: impact } = impactScores(pool, sustainability_priority);
+  const index = buildIndex(pool.map(productText));
+  const query = index.vectorize(client_needs);
+  const matches = pool.map((_p, i) => similarity(query, index.vectors[i]));
+  const text = scaleToUnit(matches.map((m) => m.score));
+
+  const weights = {
+    category: focus.size > 0 ? WEIGHTS.category : 0,
+    impact: WEIGHTS.impact,
+    text: query.size > 0 ? WEIGHTS.text : 0,
+  };
+  const totalWeight = weights.category + weights.impact + weights.text;
+
+  const scored = pool.map((product, i) => {
+    const scores = {
+      category: focus.has(product.category) ? 1 : 0,
+      impact: round3(impact[i]),
+      text: round3(text[i]),
+    };
+    const score =
+      (weights.category * scores.category + weights.impact * impact[i] + weights.text * text[i]) /
+      totalWeight;
+    return { product, score: round3(score), scores, terms: matches[i].terms };
+  });
+  // Cheaper first on ties, as the previous cheapest-first selection did
+  scored.sort((a, b) => b.score - a.score || a.product.unit_price - b.product.unit_price);
+  const impactRank = new Map(
+    [...scored].sort((a, b) => b.scores.impact - a.scores.impact).map((s, i) => [s.product, i + 1])
+  );
+
+  // First pass: best product per category; second pass: best remaining
+  const selected = [];
+  const picked = new Set();
+  const seenCategories = new Set();
+  for (const s of scored) {
+    if (selected.length >= maxItems) break;
+    if (seenCategories.has(s.product.category)) continue;
+    selected.push({ ...s, diversity: true });
+    picked.add(s);
+    seenCategories.add(s.product.category);
+  }
+  for (const s of scored) {
+    if (selected.length >= maxItems) break;
+    if (picked.has(s)) continue;
+    selected.push({ ...s, diversity: false });
+    picked.add(s);
+  }
+
+  const impactBasis = profile.premium ? "premium impact" : `impact per unit price (${profile.label})`;
+  return selected
+    .sort((a, b) => b.score - a.score || a.product.unit_price - b.product.unit_price)
+    .map((s, i) => {
+      const reasons = [];
+      if (s.scores.category) reasons.push(`in category focus (${s.product.category})`);
+      reasons.push(`${impactBasis} rank ${impactRank.get(s.product)} of ${pool.length}`);
+      if (s.scores.text > 0) {
+        reasons.push(`matches client needs: ${s.terms.slice(0, MAX_REASON_TERMS).join(", ")}`);
+      }
+      if (s.diversity) reasons.push(`top pick for category ${s.product.category}`);
+      return { product: s.product, rank: i + 1, score: s.score, scores: s.scores, reasons };
+    });
+}
+
+module.exports = { selectCatalog, excludeProducts, WEIGHTS };
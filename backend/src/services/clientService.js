@@ -0,0 +1,194 @@
+const Client = require("../models/Client");
+const Proposal = require("../models/Proposal");
+const { escapeRegex, toPage } = require("../utils/query");
+const { NotFoundError, ConflictError } = require("../errors");
+const { tenantFilter } = require("../utils/tenant");
+const config = require("../config");
+
+/**
+ * ClientService — client accounts and what they mean for generation.
+ *
+ * Input is already Zod-validated by the controller. Names are unique per
+ * tenant so the form's picker can match them unambiguously.
+ *
+ * A generate request with client_id (applyClient) takes the client's
+ * defaults for whatever the request and its brief leave empty, never
+ * offers the client's excluded products or anything it ordered within
+ * CLIENT_REPEAT_WINDOW_DAYS, and tells the AI about the order history.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Most recent orders described in the user prompt
+const MAX_HISTORY_IN_PROMPT = 10;
+
+function toClientResponse(doc) {
+  const { _id, ...rest } = doc;
+  return { client_id: _id.toString(), ...rest };
+}
+
+async function assertNameAvailable(name, tenant_id, excludeId = null) {
+  const filter = { name, ...tenantFilter(tenant_id) };
+  if (excludeId) filter._id = { $ne: excludeId };
+  if (await Client.exists(filter)) {
+    throw new ConflictError(`Client with name "${name}" already exists`);
+  }
+}
+
+async function findClient(id, tenant_id) {
+  const doc = await Client.findOne({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Client not found: ${id}`);
+  }
+  return doc;
+}
+
+async function createClient(data, { tenant_id } = {}) {
+  await assertNameAvailable(data.name, tenant_id);
+  const doc = await Client.create({ ...data, ...tenantFilter(tenant_id) });
+  console.log("[Client] Created:", doc._id);
+  return toClientResponse(doc.toObject());
+}
+
+// With the number of proposals generated for the client
+async function getClient(id, { tenant_id } = {}) {
+  const doc = await findClient(id, tenant_id);
+  const proposal_count = await Proposal.countDocuments({ client_id: id, ...tenantFilter(tenant_id) });
+  return { ...toClientResponse(doc), proposal_count };
+}
+
+async function listClients({ page, limit, q }, { tenant_id } = {}) {
+  const filter = tenantFilter(tenant_id);
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: "i" };
+    filter.$or = [{ name: pattern }, { "contact.name": pattern }];
+  }
+
+  const [docs, total] = await Promise.all([
+    Client.find(filter, { past_orders: 0 })
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Client.countDocuments(filter),
+  ]);
+
+  return toPage(docs.map(toClientResponse), { page, limit }, total);
+}
+
+async function updateClient(id, updates, { tenant_id } = {}) {
+  if (updates.name) {
+    await assertNameAvailable(updates.name, tenant_id, id);
+  }
+
+  // Dot-path contact so a partial update keeps the other contact fields
+  const $set = { updated_at: new Date() };
+  for (const [key, value] of Object.entries(updates)) {
+    if (key === "contact") {
+      for (const [field, fieldValue] of Object.entries(value)) {
+        $set[`contact.${field}`] = fieldValue;
+      }
+    } else {
+      $set[key] = value;
+    }
+  }
+
+  const doc = await Client.findOneAndUpdate(
+    { _id: id, ...tenantFilter(tenant_id) },
+    { $set },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!doc) {
+    throw new NotFoundError(`Client not found: ${id}`);
+  }
+  console.log("[Client] Updated:", id);
+  return toClientResponse(doc);
+}
+
+// Proposals keep their client_id; they just no longer resolve to a client
+async function deleteClient(id, { tenant_id } = {}) {
+  const doc = await Client.findOneAndDelete({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Client not found: ${id}`);
+  }
+  console.log("[Client] Deleted:", id);
+  return { client_id: id, deleted: true };
+}
+
+/**
+ * Fills a generate request from its client. Returns the request with
+ * client_name, currency and preferences completed and `client_context`
+ * ({ client_id, blocked_product_ids, history }) attached.
+ *
+ * @throws {NotFoundError} When client_id is not one of the tenant's clients
+ */
+async function applyClient(request, { tenant_id, now = new Date() } = {}) {
+  const client = await findClient(request.client_id, tenant_id);
+  const preferences = request.preferences || {};
+
+  const windowDays = config.clients.repeatWindowDays;
+  const since = now.getTime() - windowDays * DAY_MS;
+  const orders = [...client.past_orders].sort((a, b) => new Date(b.ordered_at) - new Date(a.ordered_at));
+  const recent = windowDays > 0 ? orders.filter((o) => new Date(o.ordered_at).getTime() >= since) : [];
+
+  const blocked = new Set([...client.excluded_product_ids, ...recent.map((o) => o.product_id)]);
+  console.log(
+    `[Client] ${client.name}: ${client.excluded_product_ids.length} excluded, ${recent.length} recent orders`
+  );
+
+  return {
+    ...request,
+    client_name: request.client_name || client.name,
+    // The budget's currency when neither the request nor its brief names one
+    currency: request.currency || client.default_currency || undefined,
+    preferences: {
+      ...preferences,
+      category_focus: preferences.category_focus?.length
+        ? preferences.category_focus
+        : client.default_category_focus,
+      sustainability_priority: preferences.sustainability_priority || client.default_sustainability_priority,
+    },
+    client_context: {
+      client_id: client._id.toString(),
+      blocked_product_ids: [...blocked],
+      history: orders.slice(0, MAX_HISTORY_IN_PROMPT).map((o) => ({
+        name: o.name || o.product_id,
+        quantity: o.quantity,
+        ordered_at: new Date(o.ordered_at).toISOString().slice(0, 10),
+        repeat_blocked: windowDays > 0 && new Date(o.ordered_at).getTime() >= since,
+      })),
+    },
+  };
+}
+
+/**
+ * Appends an accepted proposal's lines to its client's past orders.
+ * No-op for proposals without a client (or whose client was deleted).
+ */
+async function recordAcceptedOrder(proposal, { tenant_id, at = new Date() } = {}) {
+  if (!proposal.client_id) return false;
+  const lines = proposal.products.map((p) => ({
+    product_id: p.product_id,
+    name: p.name,
+    quantity: p.quantity,
+    ordered_at: at,
+    proposal_id: proposal._id.toString(),
+  }));
+  const result = await Client.updateOne(
+    { _id: proposal.client_id, ...tenantFilter(tenant_id) },
+    { $push: { past_orders: { $each: lines } }, $set: { updated_at: at } }
+  );
+  if (result.matchedCount > 0) {
+    console.log(`[Client] Recorded ${lines.length} ordered lines for client ${proposal.client_id}`);
+  }
+  return result.matchedCount > 0;
+}
+
+module.exports = {
+  createClient,
+  getClient,
+  listClients,
+  updateClient,
+  deleteClient,
+  applyClient,
+  recordAcceptedOrder,
+};
@@ -0,0 +1,101 @@
+const Product = require("../models/Product");
+const { VARIANT_TIERS } = require("../validators/proposalValidator");
+const { catalogFilter } = require("../utils/tenant");
+
+/**
+ * ComparisonService — variant resolution and side-by-side summaries for
+ * comparison bundles (POST /generate with `variants`).
+ *
+ * Generation itself stays in proposalService: every variant is a full
+ * pipeline run and a normal persisted proposal. This module only decides
+ * what each variant asks for and condenses the results for comparison.
+ */
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {number|Object[]} variants  Tier count, or explicit variant specs
+ * @returns {Object[]} { label, sustainability_priority, budget_fraction, budget_limit }
+ */
+function resolveVariants(variants, { budget_limit, sustainability_priority = "" }) {
+  let specs = variants;
+  if (typeof variants === "number") {
+    // Two tiers = the cheapest and the most premium
+    specs = variants === 2 ? [VARIANT_TIERS[0], VARIANT_TIERS[VARIANT_TIERS.length - 1]] : VARIANT_TIERS.slice(0, variants);
+  }
+
+  return specs.map((spec, i) => {
+    const budget_fraction = spec.budget_fraction ?? 1;
+    return {
+      label: spec.label || `Option ${i + 1}`,
+      sustainability_priority: spec.sustainability_priority ?? sustainability_priority,
+      budget_fraction,
+      budget_limit: round2(budget_limit * budget_fraction),
+    };
+  });
+}
+
+// Proposal line items carry no category, so look them up in one query
+async function loadCategories(productIds, tenant_id) {
+  const docs = await Product.find(
+    { _id: { $in: [...new Set(productIds)] }, ...catalogFilter(tenant_id) },
+    { category: 1 }
+  ).lean();
+  return new Map(docs.map((d) => [d._id.toString(), d.category]));
+}
+
+/**
+ * Cost, impact and category mix of one generated variant.
+ * Category shares are of the list-price subtotal.
+ */
+function summarizeVariant(proposal, categories) {
+  const mix = new Map();
+  let subtotal = 0;
+  for (const line of proposal.products) {
+    const category = categories.get(line.product_id) || "Other";
+    mix.set(category, (mix.get(category) || 0) + line.total_cost);
+    subtotal += line.total_cost;
+  }
+
+  const impact = proposal.computed_impact;
+  return {
+    proposal_id: proposal.proposal_id,
+    engine: proposal.engine,
+    allocated_budget: proposal.allocated_budget,
+    remaining_budget: proposal.remaining_budget,
+    budget_used_pct: Math.round((proposal.allocated_budget / proposal.total_budget_limit) * 1000) / 10,
+    confidence_score: proposal.confidence_score,
+    line_items: proposal.products.length,
+    total_quantity: proposal.products.reduce((sum, line) => sum + line.quantity, 0),
+    impact: {
+      total_plastic_saved: impact.total_plastic_saved,
+      total_carbon_avoided: impact.total_carbon_avoided,
+      total_water_saved: impact.total_water_saved ?? 0,
+      total_waste_diverted: impact.total_waste_diverted ?? 0,
+      total_energy_saved: impact.total_energy_saved ?? 0,
+    },
+    category_mix: [...mix]
+      .map(([category, cost]) => ({
+        category,
+        cost: round2(cost),
+        share: subtotal > 0 ? Math.round((cost / subtotal) * 1000) / 1000 : 0,
+      }))
+      .sort((a, b) => b.cost - a.cost),
+  };
+}
+
+// proposal_id of the best variant per criterion (first wins ties)
+function pickHighlights(summaries) {
+  const best = (score) =>
+    summaries.reduce((top, s) => (top === null || score(s) > score(top) ? s : top), null)?.proposal_id ?? null;
+  return {
+    lowest_cost: best((s) => -s.allocated_budget),
+    most_plastic_saved: best((s) => s.impact.total_plastic_saved),
+    most_carbon_avoided: best((s) => s.impact.total_carbon_avoided),
+    most_carbon_per_spend: best((s) => s.impact.total_carbon_avoided / Math.max(s.allocated_budget, 1e-9)),
+  };
+}
+
+module.exports = { resolveVariants, loadCategories, summarizeVariant, pickHighlights };
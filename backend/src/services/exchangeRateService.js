@@ -0,0 +1,99 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const config = require("../config");
+const { ValidationError } = require("../errors");
+const { convertAmount } = require("../utils/currency");
+const { tenantFilter } = require("../utils/tenant");
+
+/**
+ * ExchangeRateService — the tenant's locally stored exchange-rate table
+ * and catalog conversion.
+ *
+ * Rates are maintained by tenant admins (PUT /api/v1/exchange-rates);
+ * nothing is fetched from the network during generation.
+ */
+
+/**
+ * @returns {Promise<{ base: string, rates: Object, updated_at: Date|null }>}
+ *          rates always includes the base currency at 1
+ */
+async function getRateTable(tenant_id) {
+  const docs = await ExchangeRate.find(tenantFilter(tenant_id)).lean();
+  const rates = { [config.currency.base]: 1 };
+  let updated_at = null;
+  for (const doc of docs) {
+    rates[doc.currency] = doc.rate;
+    if (!updated_at || doc.updated_at > updated_at) updated_at = doc.updated_at;
+  }
+  return { base: config.currency.base, rates, updated_at };
+}
+
+async function setRates(tenant_id, rates, { actor } = {}) {
+  if (config.currency.base in rates) {
+    throw new ValidationError(`${config.currency.base} is the base currency; its rate is always 1`);
+  }
+
+  const now = new Date();
+  await ExchangeRate.bulkWrite(
+    Object.entries(rates).map(([currency, rate]) => ({
+      updateOne: {
+        filter: { ...tenantFilter(tenant_id), currency },
+        update: { $set: { rate, updated_by: actor || null, updated_at: now } },
+        upsert: true,
+      },
+    }))
+  );
+  console.log(`[FX] Tenant ${tenant_id} updated rates: ${Object.keys(rates).join(", ")}`);
+  return getRateTable(tenant_id);
+}
+
+/**
+ * Re-price catalog products into `currency`. Products whose currency has
+ * no rate are dropped (with a warning) rather than offered at a wrong
+ * price. The converted unit_price is what the AI sees and what the exact
+ * price check compares against.
+ *
+ * @throws {ValidationError} When the target currency itself has no rate
+ */
+function convertCatalog(products, currency, rates) {
+  if (!rates[currency]) {
+    throw new ValidationError(
+      `No exchange rate for ${currency}; set one via PUT /api/v1/exchange-rates`
+    );
+  }
+
+  const converted = [];
+  const skipped = new Set();
+  for (const p of products) {
+    const from = p.currency || config.currency.base;
+    if (!rates[from]) {
+      skipped.add(from);
+      continue;
+    }
+    converted.push({
+      ...p,
+      unit_price: convertAmount(p.unit_price, from, currency, rates),
+      price_breaks: p.price_breaks?.map((b) => ({
+        min_quantity: b.min_quantity,
+        unit_price: convertAmount(b.unit_price, from, currency, rates),
+      })),
+      currency,
+      source_unit_price: p.unit_price,
+      source_currency: from,
+    });
+  }
+  if (skipped.size > 0) {
+    console.warn(`[FX] Skipped products priced in ${[...skipped].join(", ")} (no exchange rate)`);
+  }
+  return converted;
+}
+
+// Only the rates a proposal actually used, for its audit snapshot
+function snapshotRates(table, currencies) {
+  const rates = {};
+  for (const c of currencies) {
+    if (table.rates[c]) rates[c] = table.rates[c];
+  }
+  return { base: table.base, rates, as_of: table.updated_at };
+}
+
+module.exports = { getRateTable, setRates, convertCatalog, snapshotRates };
@@ -0,0 +1,236 @@
+const Experiment = require("../models/Experiment");
+const PromptTemplate = require("../models/PromptTemplate");
+const Proposal = require("../models/Proposal");
+const { toPage } = require("../utils/query");
+const { ValidationError, NotFoundError, ConflictError } = require("../errors");
+const { tenantFilter } = require("../utils/tenant");
+
+/**
+ * ExperimentService — A/B tests over model, prompt template and temperature.
+ *
+ * Input is already Zod-validated by the controller. While an experiment
+ * runs, assignArm gives every AI generate request (variant bundles as a
+ * whole) one arm at random by weight; proposalService calls the provider
+ * with the arm's settings and stores the arm, attempt count and AI latency
+ * on the proposal under `experiment`. Metrics are computed from those
+ * proposals, so they include acceptance as proposals move through the
+ * lifecycle. Deterministic-mode requests are never assigned.
+ */
+
+function toExperimentResponse(doc) {
+  const { _id, ...rest } = doc;
+  return { experiment_id: _id.toString(), ...rest };
+}
+
+function isDuplicateKey(err) {
+  return err?.code === 11000;
+}
+
+async function findExperiment(id, tenant_id) {
+  const doc = await Experiment.findOne({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Experiment not found: ${id}`);
+  }
+  return doc;
+}
+
+// Arms may only use the tenant's own prompt template versions
+async function assertTemplatesExist(arms, tenant_id) {
+  const ids = [...new Set(arms.map((a) => a.prompt_template_id).filter(Boolean))];
+  if (ids.length === 0) return;
+  const found = await PromptTemplate.find({ _id: { $in: ids }, ...tenantFilter(tenant_id) }, { _id: 1 }).lean();
+  const known = new Set(found.map((t) => t._id.toString()));
+  const missing = ids.filter((id) => !known.has(id));
+  if (missing.length > 0) {
+    throw new ValidationError(`Unknown prompt template ids: ${missing.join(", ")}`);
+  }
+}
+
+async function createExperiment({ name, description = "", arms, start = false }, { tenant_id, actor = null } = {}) {
+  await assertTemplatesExist(arms, tenant_id);
+  const doc = await Experiment.create({
+    ...tenantFilter(tenant_id),
+    name,
+    description,
+    arms: arms.map((a) => ({
+      key: a.key,
+      weight: a.weight,
+      model: a.model ?? null,
+      prompt_template_id: a.prompt_template_id ?? null,
+      temperature: a.temperature ?? null,
+    })),
+    created_by: actor,
+  });
+  console.log(`[Experiment] Tenant ${tenant_id} created "${name}" with ${arms.length} arms`);
+
+  if (start) {
+    return startExperiment(doc._id.toString(), { tenant_id });
+  }
+  return toExperimentResponse(doc.toObject());
+}
+
+async function getExperiment(id, { tenant_id } = {}) {
+  return toExperimentResponse(await findExperiment(id, tenant_id));
+}
+
+async function listExperiments({ page, limit, status }, { tenant_id } = {}) {
+  const filter = tenantFilter(tenant_id);
+  if (status) filter.status = status;
+
+  const [docs, total] = await Promise.all([
+    Experiment.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Experiment.countDocuments(filter),
+  ]);
+  return toPage(docs.map(toExperimentResponse), { page, limit }, total);
+}
+
+/**
+ * Starts (or resumes) an experiment. Metrics keep counting proposals
+ * from earlier runs.
+ *
+ * @throws {ConflictError} When another experiment of the tenant is running
+ */
+async function startExperiment(id, { tenant_id } = {}) {
+  let doc;
+  try {
+    doc = await Experiment.findOneAndUpdate(
+      { _id: id, ...tenantFilter(tenant_id), status: { $ne: "running" } },
+      { $set: { status: "running", started_at: new Date(), stopped_at: null } },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    if (isDuplicateKey(err)) {
+      throw new ConflictError("Another experiment is already running; stop it first");
+    }
+    throw err;
+  }
+  if (!doc) {
+    // Already running (or not found)
+    return getExperiment(id, { tenant_id });
+  }
+  console.log(`[Experiment] Started "${doc.name}" (${id})`);
+  return toExperimentResponse(doc);
+}
+
+async function stopExperiment(id, { tenant_id } = {}) {
+  const doc = await Experiment.findOneAndUpdate(
+    { _id: id, ...tenantFilter(tenant_id), status: "running" },
+    { $set: { status: "stopped", stopped_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    const current = await findExperiment(id, tenant_id);
+    if (current.status === "draft") {
+      throw new ConflictError("Experiment has not been started");
+    }
+    return toExperimentResponse(current);
+  }
+  console.log(`[Experiment] Stopped "${doc.name}" (${id})`);
+  return toExperimentResponse(doc);
+}
+
+// Weighted random choice; `random` returns [0, 1) like Math.random
+function pickArm(arms, random = Math.random) {
+  const total = arms.reduce((sum, a) => sum + a.weight, 0);
+  let r = random() * total;
+  for (const arm of arms) {
+    r -= arm.weight;
+    if (r < 0) return arm;
+  }
+  return arms[arms.length - 1];
+}
+
+/**
+ * Attaches `experiment_arm` ({ experiment_id, arm, model,
+ * prompt_template_id, temperature }) to a generate request when the
+ * tenant has a running experiment; otherwise returns the request as is.
+ */
+async function assignArm(request, { tenant_id, random = Math.random } = {}) {
+  const experiment = await Experiment.findOne({ ...tenantFilter(tenant_id), status: "running" }).lean();
+  if (!experiment) return request;
+
+  const arm = pickArm(experiment.arms, random);
+  console.log(`[Experiment] "${experiment.name}": request assigned to arm ${arm.key}`);
+  return {
+    ...request,
+    experiment_arm: {
+      experiment_id: experiment._id.toString(),
+      arm: arm.key,
+      model: arm.model,
+      prompt_template_id: arm.prompt_template_id,
+      temperature: arm.temperature,
+    },
+  };
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function round(value, digits = 4) {
+  if (value === null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Rates and averages are null for an arm without proposals
+function summarizeArm(arm, proposals) {
+  const count = proposals.length;
+  const rate = (predicate) => (count > 0 ? round(proposals.filter(predicate).length / count) : null);
+  const aiProposals = proposals.filter((p) => p.engine === "ai");
+  return {
+    arm: arm.key,
+    weight: arm.weight,
+    model: arm.model,
+    prompt_template_id: arm.prompt_template_id,
+    temperature: arm.temperature,
+    proposals: count,
+    // AI output accepted; the rest fell back to the deterministic allocator
+    validation_pass_rate: rate((p) => p.engine === "ai"),
+    avg_attempts: round(average(proposals.map((p) => p.experiment.attempts)), 2),
+    avg_latency_ms: round(average(proposals.map((p) => p.experiment.latency_ms)), 0),
+    // Landed total / budget
+    avg_budget_utilisation: round(
+      average(proposals.filter((p) => p.total_budget_limit > 0).map((p) => p.allocated_budget / p.total_budget_limit))
+    ),
+    // Model-reported confidence of accepted AI output only
+    avg_confidence: round(average(aiProposals.map((p) => p.confidence_score))),
+    acceptance_rate: rate((p) => p.status === "accepted"),
+  };
+}
+
+async function getExperimentMetrics(id, { tenant_id } = {}) {
+  const experiment = await findExperiment(id, tenant_id);
+  const proposals = await Proposal.find(
+    { ...tenantFilter(tenant_id), "experiment.experiment_id": id },
+    { engine: 1, status: 1, experiment: 1, allocated_budget: 1, total_budget_limit: 1, confidence_score: 1 }
+  ).lean();
+
+  const byArm = new Map(experiment.arms.map((a) => [a.key, []]));
+  for (const p of proposals) {
+    byArm.get(p.experiment.arm)?.push(p);
+  }
+
+  return {
+    experiment_id: id,
+    name: experiment.name,
+    status: experiment.status,
+    proposals: proposals.length,
+    arms: experiment.arms.map((arm) => summarizeArm(arm, byArm.get(arm.key))),
+  };
+}
+
+module.exports = {
+  createExperiment,
+  getExperiment,
+  listExperiments,
+  startExperiment,
+  stopExperiment,
+  assignArm,
+  pickArm,
+  getExperimentMetrics,
+};
@@ -0,0 +1,236 @@
+const ExcelJS = require("exceljs");
+const Proposal = require("../models/Proposal");
+const { getProposalById, buildListFilter } = require("./proposalQueryService");
+const { tenantFilter } = require("../utils/tenant");
+const config = require("../config");
+
+/**
+ * ExportService — CSV / XLSX export of proposal line items for ERP import.
+ *
+ * Both formats share one flat "line item" layout: one row per product,
+ * with the proposal's totals repeated on every row so each row is
+ * self-contained. XLSX adds a second sheet with one row per proposal.
+ * New columns are only ever appended so existing ERP mappings keep working.
+ *
+ * Pricing: discount and tax are per line; line_total is the line's landed
+ * amount, and subtotal … total repeat the proposal's landed-cost
+ * breakdown (total = subtotal - total_discount + total_tax + shipping).
+ *
+ * Bulk exports are paged, newest first: each page holds up to
+ * MAX_EXPORT_PROPOSALS proposals and reports whether another follows.
+ */
+
+// Proposals per bulk export page
+const MAX_EXPORT_PROPOSALS = 5000;
+
+const LINE_ITEM_COLUMNS = [
+  { key: "proposal_id", header: "proposal_id", width: 26 },
+  { key: "client_name", header: "client_name", width: 24 },
+  { key: "created_at", header: "created_at", width: 22 },
+  { key: "product_id", header: "product_id", width: 26 },
+  { key: "name", header: "name", width: 40 },
+  { key: "quantity", header: "quantity", width: 10, numFmt: "0" },
+  { key: "unit_price", header: "unit_price", width: 12, numFmt: "#,##0.00" },
+  { key: "total_cost", header: "total_cost", width: 14, numFmt: "#,##0.00" },
+  { key: "total_budget_limit", header: "total_budget_limit", width: 18, numFmt: "#,##0.00" },
+  { key: "allocated_budget", header: "allocated_budget", width: 16, numFmt: "#,##0.00" },
+  { key: "remaining_budget", header: "remaining_budget", width: 16, numFmt: "#,##0.00" },
+  { key: "currency", header: "currency", width: 10 },
+  { key: "discount", header: "discount", width: 12, numFmt: "#,##0.00" },
+  { key: "tax", header: "tax", width: 12, numFmt: "#,##0.00" },
+  { key: "line_total", header: "line_total", width: 14, numFmt: "#,##0.00" },
+  { key: "subtotal", header: "subtotal", width: 14, numFmt: "#,##0.00" },
+  { key: "total_discount", header: "total_discount", width: 14, numFmt: "#,##0.00" },
+  { key: "total_tax", header: "total_tax", width: 12, numFmt: "#,##0.00" },
+  { key: "shipping", header: "shipping", width: 12, numFmt: "#,##0.00" },
+  { key: "total", header: "total", width: 14, numFmt: "#,##0.00" },
+];
+
+const SUMMARY_COLUMNS = [
+  { key: "proposal_id", header: "proposal_id", width: 26 },
+  { key: "client_name", header: "client_name", width: 24 },
+  { key: "created_at", header: "created_at", width: 22 },
+  { key: "line_items", header: "line_items", width: 10, numFmt: "0" },
+  { key: "total_quantity", header: "total_quantity", width: 14, numFmt: "0" },
+  { key: "total_budget_limit", header: "total_budget_limit", width: 18, numFmt: "#,##0.00" },
+  { key: "allocated_budget", header: "allocated_budget", width: 16, numFmt: "#,##0.00" },
+  { key: "remaining_budget", header: "remaining_budget", width: 16, numFmt: "#,##0.00" },
+  { key: "confidence_score", header: "confidence_score", width: 16, numFmt: "0.00" },
+  { key: "total_plastic_saved", header: "total_plastic_saved", width: 18, numFmt: "0.00" },
+  { key: "total_carbon_avoided", header: "total_carbon_avoided", width: 18, numFmt: "0.00" },
+  { key: "status", header: "status", width: 12 },
+  { key: "currency", header: "currency", width: 10 },
+  { key: "subtotal", header: "subtotal", width: 14, numFmt: "#,##0.00" },
+  { key: "discount", header: "discount", width: 12, numFmt: "#,##0.00" },
+  { key: "tax", header: "tax", width: 12, numFmt: "#,##0.00" },
+  { key: "shipping", header: "shipping", width: 12, numFmt: "#,##0.00" },
+  { key: "total_water_saved", header: "total_water_saved", width: 18, numFmt: "0.00" },
+  { key: "total_waste_diverted", header: "total_waste_diverted", width: 18, numFmt: "0.00" },
+  { key: "total_energy_saved", header: "total_energy_saved", width: 18, numFmt: "0.00" },
+  { key: "total", header: "total", width: 14, numFmt: "#,##0.00" },
+];
+
+function proposalIdOf(p) {
+  return p.proposal_id || p._id.toString();
+}
+
+// Legacy proposals have no breakdown: allocated_budget was the subtotal
+// and the total
+function pricingOf(p) {
+  return {
+    subtotal: p.pricing?.subtotal ?? p.allocated_budget,
+    discount: p.pricing?.discount ?? 0,
+    tax: p.pricing?.tax ?? 0,
+    shipping: p.pricing?.shipping ?? 0,
+    total: p.pricing?.total ?? p.allocated_budget,
+  };
+}
+
+function toLineItemRows(proposals) {
+  return proposals.flatMap((p) => {
+    const pricing = pricingOf(p);
+    return p.products.map((item) => ({
+      proposal_id: proposalIdOf(p),
+      client_name: p.client_name || "",
+      created_at: p.created_at ? new Date(p.created_at).toISOString() : "",
+      product_id: item.product_id,
+      name: item.name,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      total_cost: item.total_cost,
+      total_budget_limit: p.total_budget_limit,
+      allocated_budget: p.allocated_budget,
+      remaining_budget: p.remaining_budget,
+      currency: p.currency || config.currency.base,
+      discount: item.pricing?.discount ?? 0,
+      tax: item.pricing?.tax ?? 0,
+      line_total: item.pricing?.total ?? item.total_cost,
+      subtotal: pricing.subtotal,
+      total_discount: pricing.discount,
+      total_tax: pricing.tax,
+      shipping: pricing.shipping,
+      total: pricing.total,
+    }));
+  });
+}
+
+function toSummaryRows(proposals) {
+  return proposals.map((p) => {
+    const pricing = pricingOf(p);
+    return {
+      proposal_id: proposalIdOf(p),
+      client_name: p.client_name || "",
+      created_at: p.created_at ? new Date(p.created_at).toISOString() : "",
+      line_items: p.products.length,
+      total_quantity: p.products.reduce((sum, item) => sum + item.quantity, 0),
+      total_budget_limit: p.total_budget_limit,
+      allocated_budget: p.allocated_budget,
+      remaining_budget: p.remaining_budget,
+      confidence_score: p.confidence_score,
+      total_plastic_saved: p.computed_impact?.total_plastic_saved ?? 0,
+      total_carbon_avoided: p.computed_impact?.total_carbon_avoided ?? 0,
+      status: p.status || "draft",
+      currency: p.currency || config.currency.base,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      tax: pricing.tax,
+      shipping: pricing.shipping,
+      total_water_saved: p.computed_impact?.total_water_saved ?? 0,
+      total_waste_diverted: p.computed_impact?.total_waste_diverted ?? 0,
+      total_energy_saved: p.computed_impact?.total_energy_saved ?? 0,
+      total: pricing.total,
+    };
+  });
+}
+
+// RFC 4180 quoting. Text starting with = + - @ is prefixed with ' so
+// spreadsheet apps never evaluate client-supplied names as formulas.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function addSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = columns.map(({ key, header, width, numFmt }) => ({
+    key,
+    header,
+    width,
+    style: numFmt ? { numFmt } : {},
+  }));
+  sheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+  sheet.getRow(1).fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FF1F7A5C" } };
+  sheet.addRows(rows);
+  return sheet;
+}
+
+async function toXlsx(proposals) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "AI B2B Proposal Generator";
+  workbook.created = new Date();
+  addSheet(workbook, "Line Items", LINE_ITEM_COLUMNS, toLineItemRows(proposals));
+  addSheet(workbook, "Proposals", SUMMARY_COLUMNS, toSummaryRows(proposals));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function render(proposals, format, basename) {
+  if (format === "xlsx") {
+    return {
+      body: await toXlsx(proposals),
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      filename: `${basename}.xlsx`,
+    };
+  }
+  return {
+    body: Buffer.from(toCsv(LINE_ITEM_COLUMNS, toLineItemRows(proposals)), "utf8"),
+    contentType: "text/csv; charset=utf-8",
+    filename: `${basename}.csv`,
+  };
+}
+
+async function exportProposal(id, format, { tenant_id } = {}) {
+  const proposal = await getProposalById(id, { tenant_id });
+  return render([proposal], format, `proposal-${proposal.proposal_id}`);
+}
+
+// Resolves to the rendered file plus { page, has_more }; one extra
+// proposal is read to tell whether another page follows.
+async function exportProposals(filters, format, { tenant_id } = {}) {
+  const page = filters.page || 1;
+  const filter = { ...buildListFilter(filters), ...tenantFilter(tenant_id) };
+  const docs = await Proposal.find(filter, { ai_metadata: 0 })
+    .sort({ created_at: -1, _id: -1 })
+    .skip((page - 1) * MAX_EXPORT_PROPOSALS)
+    .limit(MAX_EXPORT_PROPOSALS + 1)
+    .lean();
+  const has_more = docs.length > MAX_EXPORT_PROPOSALS;
+  const stamp = new Date().toISOString().slice(0, 10);
+  const file = await render(
+    docs.slice(0, MAX_EXPORT_PROPOSALS),
+    format,
+    page > 1 ? `proposals-${stamp}-page${page}` : `proposals-${stamp}`
+  );
+  return { ...file, page, has_more };
+}
+
+module.exports = {
+  exportProposal,
+  exportProposals,
+  toCsv,
+  toLineItemRows,
+  toSummaryRows,
+  toXlsx,
+  LINE_ITEM_COLUMNS,
+  MAX_EXPORT_PROPOSALS,
+};
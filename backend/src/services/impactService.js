@@ -1,35 +1,107 @@
 const Product = require("../models/Product");
+const { catalogFilter } = require("../utils/tenant");
+const { NotFoundError } = require("../errors");
 
 /**
  * ImpactService
  *
  * Computes sustainability impact metrics server-side.
  * Impact is NEVER trusted from AI output — always computed from DB data.
+ * Products are resolved within the tenant's visible catalog: callers that
+ * already hold it (proposal generation, revisions) pass their productMap,
+ * everyone else gets a single $in query.
  */
 
-async function computeImpact(proposalProducts) {
-  let totalPlasticSaved = 0;
-  let totalCarbonAvoided = 0;
+// Per-unit fields on Product.impact_metrics and the totals they roll up to.
+// Missing fields (products created before a metric existed) count as 0.
+const IMPACT_METRICS = [
+  { key: "plastic_saved", field: "plastic_saved_per_unit", label: "Plastic Saved", unit: "kg" },
+  { key: "carbon_avoided", field: "carbon_avoided_per_unit", label: "Carbon Avoided", unit: "kg CO₂" },
+  { key: "water_saved", field: "water_saved_per_unit", label: "Water Saved", unit: "L" },
+  { key: "waste_diverted", field: "waste_diverted_per_unit", label: "Landfill Waste Diverted", unit: "kg" },
+  { key: "energy_saved", field: "energy_saved_per_unit", label: "Energy Saved", unit: "kWh" },
+];
+
+// Conversion factors for the human-friendly equivalents. Rough public
+// averages, meant for communication rather than accounting.
+const EQUIVALENTS = [
+  // Average petrol passenger car, ~120 g CO₂ per km
+  { key: "car_km", metric: "carbon_avoided", per: 0.12, text: (n) => `equivalent to ${n} car-km not driven` },
+  // One mature tree absorbs ~21 kg CO₂ per year
+  { key: "tree_years", metric: "carbon_avoided", per: 21, text: (n) => `the yearly CO₂ uptake of ${n} tree${n === "1" ? "" : "s"}` },
+  // 500 ml PET bottle, ~15 g
+  { key: "plastic_bottles", metric: "plastic_saved", per: 0.015, text: (n) => `${n} plastic bottles kept out of circulation` },
+  // 8-minute shower, ~65 L
+  { key: "showers", metric: "water_saved", per: 65, text: (n) => `the water of ${n} showers` },
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function describeEquivalents(totals) {
+  return EQUIVALENTS.map(({ key, metric, per, text }) => {
+    const value = Math.round(totals[metric] / per);
+    return { key, value, text: text(value.toLocaleString("en-US")) };
+  }).filter((e) => e.value > 0);
+}
+
+// One $in query for every product on the lines, within the tenant's catalog
+async function loadProducts(lines, tenant_id) {
+  const ids = [...new Set(lines.map((l) => l.product_id))];
+  const docs = await Product.find({ _id: { $in: ids }, ...catalogFilter(tenant_id) }).lean();
+  return new Map(docs.map((d) => [d._id.toString(), d]));
+}
+
+/**
+ * @param {Object[]} proposalProducts  Lines { product_id, quantity, name? }
+ * @param {Object}   opts
+ * @param {Map}      [opts.productMap] Already-loaded catalog keyed by
+ *                                     product_id; skips the DB lookup
+ * @throws {NotFoundError} When a product is not in the tenant's catalog
+ */
+async function computeImpact(proposalProducts, { tenant_id, productMap } = {}) {
+  const products = productMap || (await loadProducts(proposalProducts, tenant_id));
+  const totals = Object.fromEntries(IMPACT_METRICS.map((m) => [m.key, 0]));
+  const lineItems = [];
+  const certifications = new Map();
 
   for (const item of proposalProducts) {
-    const dbProduct = await Product.findById(item.product_id).lean();
+    const dbProduct = products.get(item.product_id);
     if (!dbProduct) {
-      throw new Error(`Impact computation failed: product ${item.product_id} not found`);
+      throw new NotFoundError(`Impact computation failed: product ${item.product_id} not found`);
     }
 
-    const plasticSaved =
-      (dbProduct.impact_metrics.plastic_saved_per_unit || 0) * item.quantity;
-    const carbonAvoided =
-      (dbProduct.impact_metrics.carbon_avoided_per_unit || 0) * item.quantity;
+    const metrics = dbProduct.impact_metrics || {};
+    const line = { product_id: item.product_id, name: dbProduct.name, quantity: item.quantity };
+    for (const { key, field } of IMPACT_METRICS) {
+      const amount = (metrics[field] || 0) * item.quantity;
+      line[key] = round2(amount);
+      totals[key] += amount;
+    }
+    line.certifications = metrics.certifications || [];
+    lineItems.push(line);
 
-    totalPlasticSaved += plasticSaved;
-    totalCarbonAvoided += carbonAvoided;
+    for (const name of line.certifications) {
+      certifications.set(name, (certifications.get(name) || 0) + item.quantity);
+    }
   }
 
+  const rounded = Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round2(value)]));
   return {
-    total_plastic_saved: Math.round(totalPlasticSaved * 100) / 100,
-    total_carbon_avoided: Math.round(totalCarbonAvoided * 100) / 100,
+    total_plastic_saved: rounded.plastic_saved,
+    total_carbon_avoided: rounded.carbon_avoided,
+    total_water_saved: rounded.water_saved,
+    total_waste_diverted: rounded.waste_diverted,
+    total_energy_saved: rounded.energy_saved,
+    by_metric: IMPACT_METRICS.map(({ key, label, unit }) => ({ metric: key, label, unit, total: rounded[key] })),
+    line_items: lineItems,
+    // Units covered by each certification, most widely covered first
+    certifications: [...certifications]
+      .map(([name, units]) => ({ name, units }))
+      .sort((a, b) => b.units - a.units || a.name.localeCompare(b.name)),
+    equivalents: describeEquivalents(totals),
   };
 }
 
-module.exports = { computeImpact };
+module.exports = { computeImpact, describeEquivalents, IMPACT_METRICS };
@@ -0,0 +1,69 @@
+const Product = require("../models/Product");
+const { ConflictError } = require("../errors");
+const { tenantFilter, catalogFilter } = require("../utils/tenant");
+
+/**
+ * InventoryService — stock reservation for accepted proposals.
+ *
+ * Each line is a conditional $inc (stock_on_hand >= quantity), so stock
+ * never goes negative under concurrent accepts. There is no multi-document
+ * transaction: when a later line fails, the lines already reserved are
+ * released again before the error is thrown. Products whose stock is not
+ * tracked (stock_on_hand null) are skipped, and so are shared catalog
+ * products: their stock is maintained by the seed script, and one
+ * tenant's accept must not change what every other tenant sees.
+ */
+
+async function releaseStock(lines, { tenant_id } = {}) {
+  for (const line of lines) {
+    try {
+      await Product.updateOne(
+        { _id: line.product_id, ...tenantFilter(tenant_id) },
+        { $inc: { stock_on_hand: line.quantity } }
+      );
+    } catch (err) {
+      console.error(`[Inventory] Failed to release ${line.quantity} × ${line.product_id}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * @param {Object[]} lines  Proposal line items { product_id, name, quantity }
+ * @returns {Promise<Object[]>} The lines actually reserved
+ * @throws  {ConflictError} When stock no longer covers a line
+ */
+async function reserveStock(lines, { tenant_id } = {}) {
+  const reserved = [];
+  try {
+    for (const line of lines) {
+      const result = await Product.updateOne(
+        { _id: line.product_id, ...tenantFilter(tenant_id), stock_on_hand: { $gte: line.quantity } },
+        { $inc: { stock_on_hand: -line.quantity } }
+      );
+      if (result.modifiedCount === 1) {
+        reserved.push({ product_id: line.product_id, name: line.name, quantity: line.quantity });
+        continue;
+      }
+
+      const product = await Product.findOne(
+        { _id: line.product_id, ...catalogFilter(tenant_id) },
+        { tenant_id: 1, stock_on_hand: 1 }
+      ).lean();
+      const shared = product && !product.tenant_id;
+      if (product && (shared || product.stock_on_hand === null || product.stock_on_hand === undefined)) {
+        continue;
+      }
+      throw new ConflictError(
+        `Insufficient stock for ${line.name}: ${line.quantity} needed, ${product?.stock_on_hand ?? 0} on hand`
+      );
+    }
+  } catch (err) {
+    await releaseStock(reserved, { tenant_id });
+    throw err;
+  }
+
+  console.log(`[Inventory] Reserved ${reserved.length} line(s) for tenant ${tenant_id}`);
+  return reserved;
+}
+
+module.exports = { reserveStock, releaseStock };
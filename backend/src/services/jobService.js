@@ -0,0 +1,198 @@
+const os = require("os");
+const GenerationJob = require("../models/GenerationJob");
+const config = require("../config");
+const { NotFoundError } = require("../errors");
+const { generateProposal } = require("./proposalService");
+const { toErrorResponse } = require("../controllers/httpErrors");
+const { tenantFilter } = require("../utils/tenant");
+const { DeadlineExceededError } = require("../providers/aiProvider");
+
+/**
+ * JobService — Mongo-backed queue for asynchronous proposal generation.
+ *
+ * Lifecycle: queued → running → succeeded | failed
+ *
+ * Claiming uses a single findOneAndUpdate so several workers (or several
+ * serverless invocations) never run the same job twice. A running job
+ * whose lock is older than staleAfterMs is re-queued, up to maxRuns.
+ * Workers and the cron drain every tenant's jobs; each job runs with its
+ * own tenant_id. A drain started by a tenant's admin only claims that
+ * tenant's jobs.
+ *
+ * Serverless drains (drainJobs) run under a time budget: each job gets
+ * the remaining budget as its generation deadline, and a job whose run
+ * still hits the deadline is re-queued for the next drain, up to maxRuns.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+function toJobResponse(doc) {
+  return {
+    job_id: doc._id.toString(),
+    status: doc.status,
+    attempts: doc.attempts,
+    runs: doc.runs,
+    events: doc.events,
+    result: doc.result,
+    error: doc.error,
+    created_at: doc.created_at,
+    started_at: doc.started_at,
+    finished_at: doc.finished_at,
+  };
+}
+
+async function enqueueGenerationJob(request, { tenant_id, correlation_id = null } = {}) {
+  const job = await GenerationJob.create({ ...tenantFilter(tenant_id), request, correlation_id });
+  console.log("[Jobs] Enqueued:", job._id);
+  return toJobResponse(job.toObject());
+}
+
+async function getJob(id, { tenant_id } = {}) {
+  const doc = await GenerationJob.findOne({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Job not found: ${id}`);
+  }
+  return toJobResponse(doc);
+}
+
+// tenant_id, when given, restricts the claim to that tenant's jobs
+async function claimNextJob({ workerId = WORKER_ID, tenant_id } = {}) {
+  const scope = tenant_id ? tenantFilter(tenant_id) : {};
+  const now = new Date();
+  const claim = {
+    $set: { status: "running", worker_id: workerId, locked_at: now },
+    $inc: { runs: 1 },
+  };
+
+  const queued = await GenerationJob.findOneAndUpdate(
+    { status: "queued", ...scope },
+    { ...claim, $set: { ...claim.$set, started_at: now } },
+    { sort: { created_at: 1 }, new: true }
+  ).lean();
+  if (queued) return queued;
+
+  // Recover a job orphaned by a crashed worker or a killed function
+  const staleBefore = new Date(now.getTime() - config.jobs.staleAfterMs);
+  const stale = await GenerationJob.findOneAndUpdate(
+    { status: "running", locked_at: { $lt: staleBefore }, runs: { $lt: config.jobs.maxRuns }, ...scope },
+    claim,
+    { sort: { locked_at: 1 }, new: true }
+  ).lean();
+  if (stale) {
+    console.warn(`[Jobs] Recovered stale job ${stale._id} (run ${stale.runs})`);
+    return stale;
+  }
+
+  // Give up on stale jobs that have used all their runs
+  await GenerationJob.updateMany(
+    { status: "running", locked_at: { $lt: staleBefore }, runs: { $gte: config.jobs.maxRuns }, ...scope },
+    {
+      $set: {
+        status: "failed",
+        finished_at: now,
+        error: { status: 500, message: "Job abandoned after repeated worker timeouts", data: null },
+      },
+    }
+  );
+  return null;
+}
+
+// deadline (epoch ms) bounds the generation; omitted by the in-process
+// worker, which has no request timeout. Resolves to the job's new status.
+async function runJob(job, { deadline = null } = {}) {
+  const jobId = job._id;
+  console.log(`[Jobs] Running ${jobId} on ${WORKER_ID}`);
+
+  // Progress writes are chained so events land in order; they also
+  // refresh the lock so a long but healthy run is never seen as stale.
+  // Sequence numbers continue from earlier runs of the job.
+  let writes = Promise.resolve();
+  let seq = job.event_count || 0;
+  const onProgress = (type, data) => {
+    seq += 1;
+    const update = {
+      $push: { events: { $each: [{ seq, type, data, at: new Date() }], $slice: -config.jobs.maxEvents } },
+      $set: { locked_at: new Date(), event_count: seq },
+    };
+    if (type === "ai_attempt") update.$inc = { attempts: 1 };
+    writes = writes
+      .then(() => GenerationJob.updateOne({ _id: jobId }, update))
+      .catch((err) => console.warn(`[Jobs] Progress write failed for ${jobId}: ${err.message}`));
+  };
+
+  let finalUpdate;
+  try {
+    const result = await generateProposal(job.request, {
+      onProgress,
+      tenant_id: job.tenant_id,
+      correlation_id: job.correlation_id,
+      deadline,
+    });
+    finalUpdate = { status: "succeeded", result, error: null };
+    console.log(`[Jobs] Succeeded ${jobId}`);
+  } catch (err) {
+    if (err instanceof DeadlineExceededError && job.runs < config.jobs.maxRuns) {
+      console.warn(`[Jobs] Re-queued ${jobId} (run ${job.runs}): ${err.message}`);
+      onProgress("requeued", { run: job.runs, reason: err.message });
+      await writes;
+      await GenerationJob.updateOne(
+        { _id: jobId },
+        { $set: { status: "queued", worker_id: null, locked_at: null } }
+      );
+      return "queued";
+    }
+    const { status, body } = toErrorResponse(err);
+    finalUpdate = {
+      status: "failed",
+      result: null,
+      error: { status, message: body.error, data: body.data },
+    };
+    console.warn(`[Jobs] Failed ${jobId}: ${err.message}`);
+  }
+
+  await writes;
+  await GenerationJob.updateOne(
+    { _id: jobId },
+    { $set: { ...finalUpdate, finished_at: new Date(), locked_at: null } }
+  );
+  return finalUpdate.status;
+}
+
+/**
+ * Claim and run one queued job (of any tenant unless tenant_id is given).
+ * Resolves to { job_id, tenant_id, status }, or null when the queue is
+ * empty.
+ */
+async function processNextJob({ workerId = WORKER_ID, tenant_id, deadline = null } = {}) {
+  const job = await claimNextJob({ workerId, tenant_id });
+  if (!job) return null;
+  const status = await runJob(job, { deadline });
+  return { job_id: job._id.toString(), tenant_id: job.tenant_id, status };
+}
+
+/**
+ * Run queued jobs back-to-back within one time budget (cron and manual
+ * drains on serverless). No job is claimed with less than minAttemptMs
+ * left, and a re-queued job ends the drain so it is not retried at once.
+ * Resolves to the processNextJob result of every job run.
+ */
+async function drainJobs({ tenant_id, budgetMs = config.jobs.runBudgetMs, workerId = WORKER_ID } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const processed = [];
+  while (deadline - Date.now() >= config.jobs.minAttemptMs) {
+    const job = await processNextJob({ workerId, tenant_id, deadline });
+    if (!job) break;
+    processed.push(job);
+    if (job.status === "queued") break;
+  }
+  return processed;
+}
+
+module.exports = {
+  enqueueGenerationJob,
+  getJob,
+  claimNextJob,
+  processNextJob,
+  drainJobs,
+  toJobResponse,
+};
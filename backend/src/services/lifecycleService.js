@@ -0,0 +1,89 @@
+const Proposal = require("../models/Proposal");
+const { NotFoundError, ConflictError } = require("../errors");
+const { STATUS_TRANSITIONS } = require("../validators/proposalValidator");
+const { toProposalResponse } = require("./proposalQueryService");
+const { tenantFilter } = require("../utils/tenant");
+const { reserveStock, releaseStock } = require("./inventoryService");
+const { recordAcceptedOrder } = require("./clientService");
+const config = require("../config");
+
+/**
+ * LifecycleService — proposal state machine and audit trail.
+ *
+ * Transitions are checked against STATUS_TRANSITIONS and applied with a
+ * findOneAndUpdate conditioned on the current status, so two concurrent
+ * transitions can never both succeed.
+ *
+ * Accepting can reserve stock. It is reserved before the status update
+ * and released again if that update loses a race. Accepting also adds
+ * the lines to the client's past orders; the acceptance stands even if
+ * that write fails.
+ */
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Proposals persisted before lifecycle tracking have no status
+function currentStatusFilter(status) {
+  return status === "draft" ? { $in: ["draft", null] } : status;
+}
+
+/**
+ * @param {string} id
+ * @param {Object} transition  { status, comment, reserve_stock }
+ * @param {Object} scope       { tenant_id, actor } of the authenticated caller
+ */
+async function transitionProposal(id, { status, comment = "", reserve_stock }, { tenant_id, actor }) {
+  const proposal = await Proposal.findOne(
+    { _id: id, ...tenantFilter(tenant_id) },
+    { status: 1, products: 1, client_id: 1 }
+  ).lean();
+  if (!proposal) {
+    throw new NotFoundError(`Proposal not found: ${id}`);
+  }
+
+  const from = proposal.status || "draft";
+  if (!canTransition(from, status)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    throw new ConflictError(
+      `Cannot move proposal from ${from} to ${status}` +
+        (allowed.length ? ` (allowed: ${allowed.join(", ")})` : ` (${from} is final)`)
+    );
+  }
+
+  const now = new Date();
+  const $set = { status, updated_at: now };
+  let reserved = null;
+  if (status === "accepted" && (reserve_stock ?? config.inventory.reserveOnAccept)) {
+    reserved = await reserveStock(proposal.products, { tenant_id });
+    $set.stock_reservation = { reserved_at: now, actor, lines: reserved };
+  }
+
+  const updated = await Proposal.findOneAndUpdate(
+    { _id: id, ...tenantFilter(tenant_id), status: currentStatusFilter(from) },
+    {
+      $set,
+      $push: { status_history: { from, to: status, actor, comment, at: now } },
+    },
+    { new: true, projection: { ai_metadata: 0 } }
+  ).lean();
+
+  if (!updated) {
+    if (reserved) await releaseStock(reserved, { tenant_id });
+    throw new ConflictError("Proposal status changed concurrently. Reload and retry.");
+  }
+  console.log(`[Lifecycle] Proposal ${id}: ${from} → ${status} by ${actor}`);
+
+  if (status === "accepted") {
+    try {
+      await recordAcceptedOrder(updated, { tenant_id, at: now });
+    } catch (err) {
+      console.warn(`[Lifecycle] Could not record order history for ${id}: ${err.message}`);
+    }
+  }
+
+  return toProposalResponse(updated);
+}
+
+module.exports = { transitionProposal, canTransition, currentStatusFilter };
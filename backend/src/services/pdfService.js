@@ -0,0 +1,254 @@
+const PDFDocument = require("pdfkit");
+const { CURRENCY_LOCALES } = require("../utils/currency");
+
+/**
+ * PdfService — server-side PDF rendering of a persisted proposal.
+ *
+ * Colours mirror frontend/src/theme.css. The built-in Helvetica font only
+ * covers WinAnsi, so currency is written as its ISO code ("INR 1,234")
+ * and CO₂ as "CO2".
+ */
+
+const BRAND = {
+  primary: "#1F7A5C",
+  accent: "#2BB673",
+  light: "#F5F9F7",
+  border: "#E0E8E4",
+  textDark: "#1A1A1A",
+  textSecondary: "#555555",
+  warning: "#F39C12",
+  danger: "#E74C3C",
+};
+
+const PAGE_MARGIN = 50;
+
+function formatMoney(amount, currency = "INR") {
+  const locale = CURRENCY_LOCALES[currency] || "en-IN";
+  return `${currency} ${Number(amount).toLocaleString(locale, { maximumFractionDigits: 2 })}`;
+}
+
+// AI/template summaries may contain glyphs outside WinAnsi
+function toWinAnsi(text) {
+  return String(text || "")
+    .replace(/₹\s?/g, "INR ")
+    .replace(/€\s?/g, "EUR ")
+    .replace(/£\s?/g, "GBP ")
+    .replace(/₂/g, "2");
+}
+
+function sectionTitle(doc, text) {
+  doc.moveDown(1.2);
+  doc.font("Helvetica-Bold").fontSize(14).fillColor(BRAND.primary).text(text, PAGE_MARGIN);
+  doc.moveDown(0.4);
+}
+
+function bodyText(doc, text) {
+  doc.font("Helvetica").fontSize(11).fillColor(BRAND.textSecondary)
+    .text(toWinAnsi(text), PAGE_MARGIN, doc.y, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      lineGap: 3,
+    });
+}
+
+function drawHeader(doc, proposal) {
+  const width = doc.page.width;
+  doc.rect(0, 0, width, 110).fill(BRAND.primary);
+
+  doc.font("Helvetica-Bold").fontSize(22).fillColor("#FFFFFF")
+    .text("Sustainability Proposal", PAGE_MARGIN, 32);
+  doc.font("Helvetica").fontSize(12).fillColor("#D4F0E7")
+    .text(toWinAnsi(proposal.client_name) || "Client", PAGE_MARGIN, 62);
+
+  const created = proposal.created_at ? new Date(proposal.created_at) : new Date();
+  doc.fontSize(9).fillColor("#D4F0E7")
+    .text(
+      `Proposal ${proposal.proposal_id}  |  ${created.toISOString().slice(0, 10)}`,
+      PAGE_MARGIN,
+      82
+    );
+
+  doc.y = 130;
+}
+
+function drawProductTable(doc, products, currency) {
+  const x = PAGE_MARGIN;
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const columns = [
+    { label: "Product", width: tableWidth * 0.46, align: "left", value: (p) => toWinAnsi(p.name) },
+    { label: "Unit Price", width: tableWidth * 0.18, align: "right", value: (p) => formatMoney(p.unit_price, currency) },
+    { label: "Qty", width: tableWidth * 0.12, align: "right", value: (p) => String(p.quantity) },
+    { label: "Total Cost", width: tableWidth * 0.24, align: "right", value: (p) => formatMoney(p.total_cost, currency) },
+  ];
+  const rowHeight = 22;
+  const padding = 6;
+
+  const drawRow = (cells, y, { header = false, shaded = false } = {}) => {
+    if (header) {
+      doc.rect(x, y, tableWidth, rowHeight).fill(BRAND.primary);
+    } else if (shaded) {
+      doc.rect(x, y, tableWidth, rowHeight).fill(BRAND.light);
+    }
+    let cx = x;
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(10)
+      .fillColor(header ? "#FFFFFF" : BRAND.textDark);
+    columns.forEach((col, i) => {
+      doc.text(cells[i], cx + padding, y + 6, {
+        width: col.width - padding * 2,
+        align: col.align,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      cx += col.width;
+    });
+  };
+
+  let y = doc.y;
+  drawRow(columns.map((c) => c.label), y, { header: true });
+  y += rowHeight;
+
+  products.forEach((p, i) => {
+    if (y + rowHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+      drawRow(columns.map((c) => c.label), y, { header: true });
+      y += rowHeight;
+    }
+    drawRow(columns.map((c) => c.value(p)), y, { shaded: i % 2 === 0 });
+    y += rowHeight;
+  });
+
+  doc.moveTo(x, y).lineTo(x + tableWidth, y).strokeColor(BRAND.border).stroke();
+  doc.y = y + 4;
+}
+
+function drawBudget(doc, proposal) {
+  const { allocated_budget, remaining_budget, total_budget_limit, currency, pricing } = proposal;
+  const percent = total_budget_limit > 0
+    ? Math.round((allocated_budget / total_budget_limit) * 100)
+    : 0;
+
+  doc.font("Helvetica").fontSize(11).fillColor(BRAND.textSecondary)
+    .text(
+      `Allocated: ${formatMoney(allocated_budget, currency)}    Remaining: ${formatMoney(remaining_budget, currency)}    Total: ${formatMoney(total_budget_limit, currency)}`,
+      PAGE_MARGIN
+    );
+  if (pricing && pricing.total !== pricing.subtotal) {
+    doc.moveDown(0.3);
+    doc.fontSize(10).text(
+      `Subtotal: ${formatMoney(pricing.subtotal, currency)}    Discounts: -${formatMoney(pricing.discount, currency)}    ` +
+        `Tax: ${formatMoney(pricing.tax, currency)}    Shipping: ${formatMoney(pricing.shipping, currency)}`,
+      PAGE_MARGIN
+    );
+  }
+
+  const barWidth = doc.page.width - PAGE_MARGIN * 2;
+  const y = doc.y + 8;
+  const fill = percent > 90 ? BRAND.danger : percent > 70 ? BRAND.warning : BRAND.accent;
+  doc.roundedRect(PAGE_MARGIN, y, barWidth, 12, 6).fill(BRAND.border);
+  doc.roundedRect(PAGE_MARGIN, y, (barWidth * Math.min(percent, 100)) / 100, 12, 6).fill(fill);
+
+  doc.font("Helvetica").fontSize(9).fillColor(BRAND.textSecondary)
+    .text(`${percent}% used`, PAGE_MARGIN, y + 18, { width: barWidth, align: "right" });
+}
+
+// Plastic and carbon always; newer metrics only when the proposal has them
+function impactCards(computedImpact) {
+  const cards = [
+    { label: "Total Plastic Saved", value: `${computedImpact.total_plastic_saved.toFixed(2)} kg`, color: BRAND.accent },
+    { label: "Total Carbon Avoided", value: `${computedImpact.total_carbon_avoided.toFixed(2)} kg CO2`, color: BRAND.primary },
+  ];
+  const optional = [
+    { key: "total_water_saved", label: "Water Saved", unit: "L" },
+    { key: "total_waste_diverted", label: "Landfill Waste Diverted", unit: "kg" },
+    { key: "total_energy_saved", label: "Energy Saved", unit: "kWh" },
+  ];
+  for (const { key, label, unit } of optional) {
+    if (computedImpact[key] > 0) {
+      cards.push({ label, value: `${computedImpact[key].toFixed(2)} ${unit}`, color: BRAND.accent });
+    }
+  }
+  return cards;
+}
+
+function drawImpactCards(doc, computedImpact) {
+  const cards = impactCards(computedImpact);
+  const perRow = cards.length > 2 ? 3 : 2;
+  const gap = 20;
+  const cardWidth = (doc.page.width - PAGE_MARGIN * 2 - gap * (perRow - 1)) / perRow;
+  const cardHeight = 70;
+  const valueSize = perRow === 3 ? 16 : 20;
+
+  for (let row = 0; row < cards.length; row += perRow) {
+    if (doc.y + cardHeight > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const y = doc.y;
+    cards.slice(row, row + perRow).forEach((card, i) => {
+      const x = PAGE_MARGIN + i * (cardWidth + gap);
+      doc.rect(x, y, cardWidth, cardHeight).fill(BRAND.light);
+      doc.rect(x, y, cardWidth, 4).fill(card.color);
+      doc.font("Helvetica").fontSize(10).fillColor(BRAND.textSecondary)
+        .text(card.label, x, y + 16, { width: cardWidth, align: "center" });
+      doc.font("Helvetica-Bold").fontSize(valueSize).fillColor(BRAND.primary)
+        .text(card.value, x, y + 34, { width: cardWidth, align: "center" });
+    });
+    doc.y = y + cardHeight + (row + perRow < cards.length ? 12 : 0);
+  }
+
+  const notes = [];
+  if (computedImpact.equivalents?.length) {
+    const texts = computedImpact.equivalents.map((e) => e.text);
+    notes.push(`That is ${texts.join(", ")}.`);
+  }
+  if (computedImpact.certifications?.length) {
+    const certs = computedImpact.certifications.map((c) => `${c.name} (${c.units} units)`);
+    notes.push(`Certifications: ${certs.join(", ")}.`);
+  }
+  if (notes.length > 0) {
+    doc.moveDown(0.8);
+    bodyText(doc, notes.join("\n"));
+  }
+}
+
+/**
+ * Render a proposal (as returned by proposalQueryService) to a PDF buffer.
+ */
+function renderProposalPdf(proposal) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Sustainability Proposal — ${proposal.client_name || proposal.proposal_id}`,
+        Subject: "B2B sustainability proposal",
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    drawHeader(doc, proposal);
+
+    sectionTitle(doc, "Proposal Summary");
+    bodyText(doc, proposal.proposal_summary);
+    doc.moveDown(0.3);
+    doc.font("Helvetica").fontSize(10).fillColor(BRAND.textSecondary)
+      .text(`Confidence: ${Math.round(proposal.confidence_score * 100)}%`, PAGE_MARGIN);
+
+    sectionTitle(doc, "Recommended Products");
+    drawProductTable(doc, proposal.products, proposal.currency);
+
+    sectionTitle(doc, "Budget Usage");
+    drawBudget(doc, proposal);
+
+    sectionTitle(doc, "Computed Impact");
+    drawImpactCards(doc, proposal.computed_impact);
+
+    sectionTitle(doc, "Impact Positioning");
+    bodyText(doc, proposal.impact_summary);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderProposalPdf, formatMoney };
@@ -0,0 +1,224 @@
+const PricingPolicy = require("../models/PricingPolicy");
+const config = require("../config");
+const { convertAmount } = require("../utils/currency");
+const { tenantFilter } = require("../utils/tenant");
+
+/**
+ * PricingService — landed cost of a set of line items.
+ *
+ * Line items keep the catalog list price (the exact-price check compares
+ * against it) and total_cost = quantity × list price. On top of that:
+ *   1. Volume discount — the product's best price break for the quantity
+ *   2. Tax             — on the discounted amount, at the category rate,
+ *                        else the region rate, else the default rate
+ *   3. Shipping        — base fee + per-unit fee, waived once the net
+ *                        goods value reaches free_above; not taxed
+ *
+ * landed total = subtotal − discount + tax + shipping, and that is what
+ * the budget check runs against. Everything except policy load/save is
+ * pure so the pipeline, the allocator and revisions share one definition.
+ */
+
+// Zero tax, free shipping: the landed total equals the list subtotal
+const NO_PRICING_POLICY = Object.freeze({
+  tax: { default_rate: 0, by_category: {}, by_region: {} },
+  shipping: { base_fee: 0, per_unit_fee: 0, free_above: 0 },
+});
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function defaultPolicy() {
+  return {
+    tax: { default_rate: config.pricing.defaultTaxRate, by_category: {}, by_region: {} },
+    shipping: {
+      base_fee: config.pricing.shippingBaseFee,
+      per_unit_fee: config.pricing.shippingPerUnitFee,
+      free_above: config.pricing.freeShippingAbove,
+    },
+  };
+}
+
+function mergePolicy(current, update = {}) {
+  return {
+    tax: { ...current.tax, ...update.tax },
+    shipping: { ...current.shipping, ...update.shipping },
+  };
+}
+
+/**
+ * @returns {Promise<Object>} { tax, shipping, updated_at } in the base
+ *          currency; config defaults when the tenant has no policy
+ */
+async function getPricingPolicy(tenant_id) {
+  const doc = await PricingPolicy.findOne(tenantFilter(tenant_id)).lean();
+  if (!doc) {
+    return { ...defaultPolicy(), updated_at: null };
+  }
+  return { ...mergePolicy(defaultPolicy(), doc), updated_at: doc.updated_at };
+}
+
+// Keys present in `update` replace the stored value (by_category and
+// by_region as whole maps); everything else is kept.
+async function setPricingPolicy(tenant_id, update, { actor } = {}) {
+  const current = await getPricingPolicy(tenant_id);
+  const next = mergePolicy(current, update);
+  await PricingPolicy.updateOne(
+    tenantFilter(tenant_id),
+    { $set: { ...next, updated_by: actor || null, updated_at: new Date() } },
+    { upsert: true }
+  );
+  console.log(`[Pricing] Tenant ${tenant_id} updated policy: ${Object.keys(update).join(", ")}`);
+  return getPricingPolicy(tenant_id);
+}
+
+// Shipping fees are stored in the base currency; rates as in convertCatalog
+function convertPolicy(policy, currency, rates) {
+  const convert = (amount) => convertAmount(amount, config.currency.base, currency, rates);
+  return {
+    tax: policy.tax,
+    shipping: {
+      base_fee: convert(policy.shipping.base_fee),
+      per_unit_fee: convert(policy.shipping.per_unit_fee),
+      free_above: convert(policy.shipping.free_above),
+    },
+  };
+}
+
+// A break above the list price is ignored rather than raising the price
+function breakPrice(product, quantity) {
+  let price = product.unit_price;
+  for (const b of product.price_breaks || []) {
+    if (quantity >= b.min_quantity && b.unit_price < price) price = b.unit_price;
+  }
+  return price;
+}
+
+function taxRateFor(category, policy, region) {
+  const { default_rate, by_category, by_region } = policy.tax;
+  if (category && Object.hasOwn(by_category, category)) return by_category[category];
+  if (region && Object.hasOwn(by_region, region)) return by_region[region];
+  return default_rate;
+}
+
+/**
+ * Price validated line items (total_cost already = quantity × list price).
+ *
+ * @param {Object[]} lines
+ * @param {Map}      productMap  product_id → product (for category and breaks)
+ * @param {Object}   policy      In the lines' currency (see convertPolicy)
+ * @param {Object}   [options]
+ * @param {string}   [options.region]
+ * @returns {{ lines: Object[], summary: Object }} lines gain a `pricing`
+ *          breakdown; summary is { subtotal, discount, tax, shipping, total }
+ */
+function priceLines(lines, productMap, policy, { region } = {}) {
+  let subtotal = 0;
+  let discount = 0;
+  let tax = 0;
+  let units = 0;
+
+  const priced = lines.map((line) => {
+    const product = productMap.get(line.product_id);
+    const unitPrice = product ? breakPrice(product, line.quantity) : line.unit_price;
+    const lineDiscount = round2(line.total_cost - line.quantity * unitPrice);
+    const taxRate = taxRateFor(product?.category, policy, region);
+    const lineTax = round2((line.total_cost - lineDiscount) * taxRate);
+
+    subtotal += line.total_cost;
+    discount += lineDiscount;
+    tax += lineTax;
+    units += line.quantity;
+
+    return {
+      ...line,
+      pricing: {
+        discounted_unit_price: unitPrice,
+        discount: lineDiscount,
+        tax_rate: taxRate,
+        tax: lineTax,
+        total: round2(line.total_cost - lineDiscount + lineTax),
+      },
+    };
+  });
+
+  const net = round2(subtotal - discount);
+  const { base_fee, per_unit_fee, free_above } = policy.shipping;
+  const freeShipping = lines.length === 0 || (free_above > 0 && net >= free_above);
+  const shipping = freeShipping ? 0 : round2(base_fee + per_unit_fee * units);
+
+  return {
+    lines: priced,
+    summary: {
+      subtotal: round2(subtotal),
+      discount: round2(discount),
+      tax: round2(tax),
+      shipping,
+      total: round2(net + tax + shipping),
+    },
+  };
+}
+
+/**
+ * Engine-facing view of a policy. unitCost is an upper bound on what one
+ * more unit adds to the landed total (list price, tax, per-unit shipping;
+ * discounts and free shipping only lower it), so a selection costed with
+ * it plus fixedCost never lands over budget.
+ */
+function createPricer(policy, { region, productMap } = {}) {
+  return {
+    unitCost: (p) =>
+      p.unit_price * (1 + taxRateFor(p.category, policy, region)) + policy.shipping.per_unit_fee,
+    fixedCost: policy.shipping.base_fee,
+    price: (lines) => priceLines(lines, productMap, policy, { region }),
+  };
+}
+
+/**
+ * Largest list-price subtotal guaranteed to land within `budget` whatever
+ * the product mix: shipping units are bounded by subtotal / cheapest price.
+ * Equals `budget` when the policy adds nothing.
+ */
+function goodsBudget(budget, products, policy, { region } = {}) {
+  if (products.length === 0) return budget;
+  const maxTax = Math.max(...products.map((p) => taxRateFor(p.category, policy, region)));
+  const minPrice = Math.min(...products.map((p) => p.unit_price).filter((price) => price > 0));
+  const perUnitShare = Number.isFinite(minPrice) ? policy.shipping.per_unit_fee / minPrice : 0;
+  const divisor = 1 + maxTax + perUnitShare;
+  if (divisor === 1 && policy.shipping.base_fee === 0) return budget;
+  const cap = (budget - policy.shipping.base_fee) / divisor;
+  return Math.max(0, Math.floor(cap * 100) / 100);
+}
+
+// Prompt lines telling the AI what the server adds; empty for a zero policy
+function describePolicy(policy, products, { region } = {}) {
+  const pct = (r) => `${round2(r * 100)}%`;
+  const notes = [];
+
+  const categories = [...new Set(products.map((p) => p.category))];
+  const rates = categories.map((c) => [c, taxRateFor(c, policy, region)]);
+  if (rates.some(([, r]) => r > 0)) {
+    notes.push(`Tax: ${rates.map(([c, r]) => `${c} ${pct(r)}`).join(", ")}`);
+  }
+
+  const { base_fee, per_unit_fee, free_above } = policy.shipping;
+  if (base_fee > 0 || per_unit_fee > 0) {
+    const free = free_above > 0 ? `, free when net goods >= ${free_above}` : "";
+    notes.push(`Shipping: ${base_fee} per order + ${per_unit_fee} per unit${free}`);
+  }
+  return notes;
+}
+
+module.exports = {
+  NO_PRICING_POLICY,
+  getPricingPolicy,
+  setPricingPolicy,
+  convertPolicy,
+  breakPrice,
+  taxRateFor,
+  priceLines,
+  createPricer,
+  goodsBudget,
+  describePolicy,
+};
@@ -0,0 +1,120 @@
+const Product = require("../models/Product");
+const { escapeRegex, toPage } = require("../utils/query");
+const { NotFoundError, ConflictError } = require("../errors");
+const { tenantFilter, catalogFilter } = require("../utils/tenant");
+const config = require("../config");
+
+/**
+ * ProductService — catalog management.
+ *
+ * Input is already Zod-validated by the controller. Product names must
+ * stay unique because proposal validation matches AI output by name.
+ *
+ * Tenants read the shared catalog (tenant_id: null) plus their own
+ * products, but can only modify their own, whatever their role. The
+ * shared catalog is maintained by the seed script; a tenant that needs
+ * other prices or stock adds its own product.
+ */
+
+function toProductResponse(doc) {
+  const { _id, ...rest } = doc;
+  return {
+    product_id: _id.toString(),
+    ...rest,
+    currency: rest.currency || config.currency.base,
+  };
+}
+
+// Unique across everything the tenant can see, so a tenant product can
+// never shadow a shared one in the AI catalog.
+async function assertNameAvailable(name, tenant_id, excludeId = null) {
+  const filter = { name, ...catalogFilter(tenant_id) };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const existing = await Product.exists(filter);
+  if (existing) {
+    throw new ConflictError(`Product with name "${name}" already exists`);
+  }
+}
+
+async function createProduct(data, { tenant_id } = {}) {
+  await assertNameAvailable(data.name, tenant_id);
+  const doc = await Product.create({ ...data, ...tenantFilter(tenant_id) });
+  console.log("[Product] Created:", doc._id);
+  return toProductResponse(doc.toObject());
+}
+
+async function getProduct(id, { tenant_id } = {}) {
+  const doc = await Product.findOne({ _id: id, ...catalogFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Product not found: ${id}`);
+  }
+  return toProductResponse(doc);
+}
+
+async function listProducts({ page, limit, category, q, min_price, max_price }, { tenant_id } = {}) {
+  const filter = catalogFilter(tenant_id);
+  if (category) filter.category = category;
+  if (q) filter.name = { $regex: escapeRegex(q), $options: "i" };
+  if (min_price !== undefined || max_price !== undefined) {
+    filter.unit_price = {};
+    if (min_price !== undefined) filter.unit_price.$gte = min_price;
+    if (max_price !== undefined) filter.unit_price.$lte = max_price;
+  }
+
+  const [docs, total] = await Promise.all([
+    Product.find(filter)
+      .sort({ category: 1, name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Product.countDocuments(filter),
+  ]);
+
+  return toPage(docs.map(toProductResponse), { page, limit }, total);
+}
+
+async function updateProduct(id, updates, { tenant_id } = {}) {
+  if (updates.name) {
+    await assertNameAvailable(updates.name, tenant_id, id);
+  }
+
+  // Dot-path impact_metrics so a partial update never drops the other metrics
+  const $set = {};
+  for (const [key, value] of Object.entries(updates)) {
+    if (key === "impact_metrics") {
+      for (const [metric, metricValue] of Object.entries(value)) {
+        $set[`impact_metrics.${metric}`] = metricValue;
+      }
+    } else {
+      $set[key] = value;
+    }
+  }
+
+  const doc = await Product.findOneAndUpdate(
+    { _id: id, ...tenantFilter(tenant_id) },
+    { $set },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!doc) {
+    throw new NotFoundError(`Product not found: ${id}`);
+  }
+  console.log("[Product] Updated:", id);
+  return toProductResponse(doc);
+}
+
+async function deleteProduct(id, { tenant_id } = {}) {
+  const doc = await Product.findOneAndDelete({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Product not found: ${id}`);
+  }
+  console.log("[Product] Deleted:", id);
+  return { product_id: id, deleted: true };
+}
+
+module.exports = {
+  createProduct,
+  getProduct,
+  listProducts,
+  updateProduct,
+  deleteProduct,
+};
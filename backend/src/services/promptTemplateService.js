@@ -0,0 +1,151 @@
+const PromptTemplate = require("../models/PromptTemplate");
+const { toPage } = require("../utils/query");
+const { NotFoundError, ConflictError } = require("../errors");
+const { tenantFilter } = require("../utils/tenant");
+const { DEFAULT_SYSTEM_TEMPLATE, DEFAULT_USER_TEMPLATE } = require("../providers/promptTemplates");
+
+/**
+ * PromptTemplateService — versioned system/user prompt templates.
+ *
+ * Input is already Zod-validated by the controller (placeholders checked).
+ * A new version is never edited; rolling back means activating an older
+ * one, or going back to the built-in templates. Every AILog and proposal records the template_id and version it was
+ * generated with; the built-in templates are template_id null, version 0.
+ */
+
+// Retries when two versions are created at once and take the same number
+const MAX_VERSION_ATTEMPTS = 3;
+
+const BUILTIN_TEMPLATE = Object.freeze({
+  template_id: null,
+  version: 0,
+  description: "Built-in templates",
+  system_template: DEFAULT_SYSTEM_TEMPLATE,
+  user_template: DEFAULT_USER_TEMPLATE,
+  active: true,
+});
+
+function toTemplateResponse(doc) {
+  const { _id, ...rest } = doc;
+  return { template_id: _id.toString(), ...rest };
+}
+
+function isDuplicateKey(err) {
+  return err?.code === 11000;
+}
+
+// The template generation uses now; the built-in one when none is active
+async function getActiveTemplate(tenant_id) {
+  const doc = await PromptTemplate.findOne({ ...tenantFilter(tenant_id), active: true }).lean();
+  return doc ? toTemplateResponse(doc) : { ...BUILTIN_TEMPLATE };
+}
+
+async function getTemplate(id, { tenant_id } = {}) {
+  const doc = await PromptTemplate.findOne({ _id: id, ...tenantFilter(tenant_id) }).lean();
+  if (!doc) {
+    throw new NotFoundError(`Prompt template not found: ${id}`);
+  }
+  return toTemplateResponse(doc);
+}
+
+// Newest version first
+async function listTemplates({ page, limit }, { tenant_id } = {}) {
+  const filter = tenantFilter(tenant_id);
+  const [docs, total] = await Promise.all([
+    PromptTemplate.find(filter)
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PromptTemplate.countDocuments(filter),
+  ]);
+  return toPage(docs.map(toTemplateResponse), { page, limit }, total);
+}
+
+async function createTemplate(
+  { description = "", system_template, user_template, activate = false },
+  { tenant_id, actor = null } = {}
+) {
+  let doc = null;
+  for (let attempt = 1; !doc; attempt++) {
+    const latest = await PromptTemplate.findOne(tenantFilter(tenant_id), { version: 1 }).sort({ version: -1 }).lean();
+    try {
+      doc = await PromptTemplate.create({
+        ...tenantFilter(tenant_id),
+        version: (latest?.version || 0) + 1,
+        description,
+        system_template: system_template || DEFAULT_SYSTEM_TEMPLATE,
+        user_template: user_template || DEFAULT_USER_TEMPLATE,
+        created_by: actor,
+      });
+    } catch (err) {
+      if (!isDuplicateKey(err) || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+    }
+  }
+  console.log(`[Prompt] Tenant ${tenant_id} created template version ${doc.version}`);
+
+  if (activate) {
+    return activateTemplate(doc._id.toString(), { tenant_id, actor });
+  }
+  return toTemplateResponse(doc.toObject());
+}
+
+/**
+ * Makes one version the active one (also how a prompt is rolled back).
+ *
+ * @throws {NotFoundError} When id is not one of the tenant's versions
+ * @throws {ConflictError} When another version is activated concurrently
+ */
+async function activateTemplate(id, { tenant_id, actor = null } = {}) {
+  const target = await getTemplate(id, { tenant_id });
+  if (target.active) return target;
+
+  await PromptTemplate.updateMany(
+    { ...tenantFilter(tenant_id), active: true, _id: { $ne: id } },
+    { $set: { active: false } }
+  );
+  let doc;
+  try {
+    doc = await PromptTemplate.findOneAndUpdate(
+      { _id: id, ...tenantFilter(tenant_id) },
+      { $set: { active: true, activated_by: actor, activated_at: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    if (isDuplicateKey(err)) {
+      throw new ConflictError("Another prompt template version was activated at the same time");
+    }
+    throw err;
+  }
+  if (!doc) {
+    throw new NotFoundError(`Prompt template not found: ${id}`);
+  }
+  console.log(`[Prompt] Tenant ${tenant_id} activated template version ${doc.version} (${actor || "unknown"})`);
+  return toTemplateResponse(doc);
+}
+
+/**
+ * Goes back to the built-in templates: deactivates whichever version is
+ * active, so generation falls back to version 0. Stored versions are kept
+ * and can be activated again.
+ */
+async function activateBuiltinTemplate({ tenant_id, actor = null } = {}) {
+  const { modifiedCount = 0 } = await PromptTemplate.updateMany(
+    { ...tenantFilter(tenant_id), active: true },
+    { $set: { active: false } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`[Prompt] Tenant ${tenant_id} switched back to the built-in templates (${actor || "unknown"})`);
+  }
+  return { ...BUILTIN_TEMPLATE };
+}
+
+module.exports = {
+  getActiveTemplate,
+  getTemplate,
+  listTemplates,
+  createTemplate,
+  activateTemplate,
+  activateBuiltinTemplate,
+  BUILTIN_TEMPLATE,
+};
@@ -0,0 +1,147 @@
+const Proposal = require("../models/Proposal");
+const AILog = require("../models/AILog");
+const { escapeRegex, toPage } = require("../utils/query");
+const { NotFoundError } = require("../errors");
+const { STATUS_TRANSITIONS } = require("../validators/proposalValidator");
+const { tenantFilter } = require("../utils/tenant");
+const config = require("../config");
+
+/**
+ * ProposalQueryService — read side for persisted proposals.
+ *
+ * ai_metadata (prompts + raw AI response) is large and internal, so it is
+ * projected out of every query unless the caller explicitly asks for it.
+ * Every query is scoped to the caller's tenant; another tenant's
+ * proposal is reported as not found.
+ */
+
+function toProposalResponse(doc) {
+  const { _id, ...rest } = doc;
+  const status = rest.status || "draft";
+  return {
+    proposal_id: _id.toString(),
+    ...rest,
+    currency: rest.currency || config.currency.base,
+    status,
+    allowed_transitions: STATUS_TRANSITIONS[status] || [],
+  };
+}
+
+function buildListFilter({
+  client_name,
+  created_from,
+  created_to,
+  min_budget,
+  max_budget,
+  min_confidence,
+  status,
+  comparison_id,
+  client_id,
+}) {
+  const filter = {};
+
+  if (client_name) {
+    filter.client_name = { $regex: escapeRegex(client_name), $options: "i" };
+  }
+
+  if (created_from || created_to) {
+    filter.created_at = {};
+    if (created_from) filter.created_at.$gte = created_from;
+    if (created_to) filter.created_at.$lte = created_to;
+  }
+
+  if (min_budget !== undefined || max_budget !== undefined) {
+    filter.total_budget_limit = {};
+    if (min_budget !== undefined) filter.total_budget_limit.$gte = min_budget;
+    if (max_budget !== undefined) filter.total_budget_limit.$lte = max_budget;
+  }
+
+  if (min_confidence !== undefined) {
+    filter.confidence_score = { $gte: min_confidence };
+  }
+
+  if (status?.length) {
+    // Legacy proposals without a status count as drafts
+    filter.status = status.includes("draft")
+      ? { $in: [...status, null] }
+      : { $in: status };
+  }
+
+  if (comparison_id) {
+    filter.comparison_id = comparison_id;
+  }
+  if (client_id) {
+    filter.client_id = client_id;
+  }
+
+  return filter;
+}
+
+async function getProposalById(id, { include_ai_metadata = false, tenant_id } = {}) {
+  const projection = include_ai_metadata ? {} : { ai_metadata: 0 };
+  const doc = await Proposal.findOne({ _id: id, ...tenantFilter(tenant_id) }, projection).lean();
+  if (!doc) {
+    throw new NotFoundError(`Proposal not found: ${id}`);
+  }
+  return toProposalResponse(doc);
+}
+
+async function listProposals(query, { tenant_id } = {}) {
+  const { page, limit, include_ai_metadata } = query;
+  const filter = { ...buildListFilter(query), ...tenantFilter(tenant_id) };
+  const projection = include_ai_metadata ? {} : { ai_metadata: 0 };
+
+  const [docs, total] = await Promise.all([
+    Proposal.find(filter, projection)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Proposal.countDocuments(filter),
+  ]);
+
+  return toPage(docs.map(toProposalResponse), { page, limit }, total);
+}
+
+function toAttemptResponse(log) {
+  const { _id, tenant_id, ...rest } = log;
+  return { log_id: _id.toString(), ...rest };
+}
+
+/**
+ * Every AI attempt behind a proposal, in order, from its AILog entries:
+ * prompts, raw response, provider, model, latency, tokens and validation
+ * outcome. Empty for deterministic proposals and for proposals created
+ * before attempts were linked.
+ */
+async function getProposalAttempts(id, { tenant_id } = {}) {
+  const doc = await Proposal.findOne(
+    { _id: id, ...tenantFilter(tenant_id) },
+    { engine: 1, fallback_reason: 1, correlation_id: 1, ai_log_ids: 1 }
+  ).lean();
+  if (!doc) {
+    throw new NotFoundError(`Proposal not found: ${id}`);
+  }
+
+  const logIds = doc.ai_log_ids || [];
+  const logs = logIds.length
+    ? await AILog.find({ _id: { $in: logIds }, ...tenantFilter(tenant_id) }).lean()
+    : [];
+  const byId = new Map(logs.map((log) => [log._id.toString(), log]));
+
+  return {
+    proposal_id: doc._id.toString(),
+    correlation_id: doc.correlation_id ?? null,
+    engine: doc.engine,
+    fallback_reason: doc.fallback_reason ?? null,
+    attempts: logIds.filter((logId) => byId.has(logId)).map((logId) => toAttemptResponse(byId.get(logId))),
+  };
+}
+
+module.exports = {
+  getProposalById,
+  getProposalAttempts,
+  listProposals,
+  buildListFilter,
+  toProposalResponse,
+};
@@ -1,31 +1,51 @@
+const { Types } = require("mongoose");
 const Product = require("../models/Product");
 const Proposal = require("../models/Proposal");
 const AILog = require("../models/AILog");
 const config = require("../config");
-const { callAI, buildSystemPrompt, buildUserPrompt } = require("../providers/aiProvider");
-const { AIResponseSchema } = require("../validators/proposalValidator");
+const {
+  callAI,
+  buildSystemPrompt,
+  buildPromptContext,
+  buildUserPrompt,
+  DeadlineExceededError,
+} = require("../providers/aiProvider");
+const { AIResponseSchema, STATUS_TRANSITIONS } = require("../validators/proposalValidator");
 const { computeImpact } = require("./impactService");
-
-/**
- * ValidationError — thrown for AI output validation and business rule violations.
- * The controller maps this to HTTP 422 (vs 500 for provider/system errors).
- */
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ValidationError";
-  }
-}
+const { allocateDeterministic } = require("./allocatorService");
+const { selectCatalog, excludeProducts } = require("./catalogRetrievalService");
+const { applyBrief } = require("./briefService");
+const { applyClient } = require("./clientService");
+const { getActiveTemplate, getTemplate } = require("./promptTemplateService");
+const { assignArm } = require("./experimentService");
+const { reserveGeneration, releaseGeneration, recordUsage } = require("./quotaService");
+const { getRateTable, convertCatalog, snapshotRates } = require("./exchangeRateService");
+const {
+  NO_PRICING_POLICY,
+  getPricingPolicy,
+  convertPolicy,
+  priceLines,
+  createPricer,
+  goodsBudget,
+  describePolicy,
+} = require("./pricingService");
+const { formatAmount } = require("../utils/currency");
+const { isOrderable, quantityViolation, maxLeadTime } = require("../utils/inventory");
+const { ValidationError } = require("../errors");
+const { catalogFilter } = require("../utils/tenant");
+const { resolveVariants, loadCategories, summarizeVariant, pickHighlights } = require("./comparisonService");
 
 /**
  * ProposalService — Use Case Orchestrator
  *
  * Pipeline:
- *   1. Fetch ALL products from DB
- *   2. Build system prompt (inject catalog)
+ *   0. Reserve a generation in the tenant's monthly quota (429 when
+ *      exhausted); given back if the generation fails
+ *   1. Fetch ALL products from DB, converted into the request currency
+ *   2. Rank the catalog (catalogRetrievalService), build system prompt
  *   3. Build user prompt
  *   4. Call AI provider (with retry on 429/5xx/network)
- *   5. LOG raw AI interaction BEFORE any parsing (must succeed)
+ *   5. LOG raw AI interaction + token usage BEFORE any parsing (must succeed)
  *   6. JSON.parse — single call, no regex, no fallback
  *   7. Validate against strict Zod schema
  *   8. Business validation (products exist, prices match, math correct)
@@ -33,33 +53,244 @@ class ValidationError extends Error {
  *  10. Compute impact server-side
  *  11. Persist proposal
  *  12. Return structured response
+ *
+ * Engines:
+ *   - "ai"            — steps 2–9 via the configured AI provider
+ *   - "deterministic" — allocatorService replaces steps 2–5; used when the
+ *                       request sets mode: "deterministic", or as a fallback
+ *                       when every AI validation attempt fails
+ *
+ * Every query is scoped to the caller's tenant: the catalog is the shared
+ * catalog plus the tenant's own products, and logs and proposals are
+ * written with its tenant_id.
+ *
+ * Currency: budget_limit is in the request currency. Catalog prices are
+ * converted into it with the tenant's exchange-rate table before the
+ * prompt is built, so the exact-price checks (8c) compare against the
+ * same converted prices the AI was shown. The rates used are stored on
+ * the proposal.
+ *
+ * Variants: a request with `variants` produces a comparison bundle, one
+ * full pipeline run per variant (see generateComparison).
+ *
+ * Brief: a free-text `brief` is parsed first (briefService) and fills the
+ * budget and preferences the request leaves empty. Its exclusions remove
+ * products before step 1's catalog reaches either engine.
+ *
+ * Client: with client_id, the client's defaults fill what is still empty
+ * after the brief, its excluded and recently ordered products are left
+ * out like brief exclusions, and its order history goes into the user
+ * prompt (clientService).
+ *
+ * Prompts: steps 2–3 render the tenant's active prompt template version
+ * (promptTemplateService); its id and version are stored on every AILog
+ * and on ai_metadata.
+ *
+ * Experiments: while the tenant runs one, an AI request is assigned an
+ * arm (experimentService) whose model, prompt template and temperature
+ * replace the defaults; the arm, attempts and AI latency are stored on
+ * the proposal under `experiment`.
+ *
+ * Attempt logs: each AI attempt's AILog entry carries the request's
+ * correlation id, attempt number, latency and outcome. The proposal
+ * lists its entries in ai_log_ids and they point back via proposal_id;
+ * entries of a generation that failed keep proposal_id null.
+ *
+ * Pricing: line items stay at list price; volume discounts, tax and
+ * shipping (pricingService) are applied in step 9 and the budget check
+ * runs against the landed total. allocated_budget is that landed total.
+ *
+ * Time budget: background job runs pass a `deadline` (epoch ms). No AI
+ * attempt starts with less than JOBS_MIN_ATTEMPT_MS left, and provider
+ * calls are cut off at the deadline; the generation then falls back to
+ * the deterministic allocator as if validation retries were exhausted,
+ * or throws DeadlineExceededError when fallback is disabled.
  */
 
-async function generateProposal({ client_name, budget_limit, preferences }) {
+async function generateProposal(request, options = {}) {
+  if (request.brief) {
+    request = await applyBrief(request, options);
+    progressEmitter(options.onProgress)("brief_parsed", { extraction: request.brief_extraction });
+  }
+  if (request.client_id) {
+    request = await applyClient(request, options);
+    progressEmitter(options.onProgress)("client_loaded", {
+      client_id: request.client_id,
+      client_name: request.client_name,
+      blocked_products: request.client_context.blocked_product_ids.length,
+    });
+  }
+  if (request.mode !== "deterministic") {
+    request = await assignArm(request, options);
+    if (request.experiment_arm) {
+      progressEmitter(options.onProgress)("experiment_assigned", {
+        experiment_id: request.experiment_arm.experiment_id,
+        arm: request.experiment_arm.arm,
+      });
+    }
+  }
+  if (request.variants) {
+    return generateComparison(request, options);
+  }
+  return generateOne(request, options);
+}
+
+// ── 0. Monthly quota ───────────────────────────────────────────
+// The generation is counted up front, atomically with the quota check,
+// and only kept when a proposal comes out of it.
+async function generateOne(request, options = {}) {
+  const reservation = await reserveGeneration(options.tenant_id);
+  try {
+    return await runPipeline(request, options);
+  } catch (err) {
+    await releaseGeneration(reservation);
+    throw err;
+  }
+}
+
+async function runPipeline(
+  {
+    client_name,
+    budget_limit,
+    preferences,
+    mode = "ai",
+    currency = config.currency.base,
+    region,
+    brief = "",
+    brief_extraction = null,
+    client_context = null,
+    experiment_arm = null,
+  },
+  { onProgress, tenant_id, comparison = null, correlation_id = null, deadline = null } = {}
+) {
+  const emit = progressEmitter(onProgress);
   const category_focus = preferences?.category_focus || [];
   const sustainability_priority = preferences?.sustainability_priority || "";
+  // The brief doubles as the needs text when none is given
+  const client_needs = preferences?.client_needs || brief;
+  const headcount = preferences?.headcount;
+  const exclusions = preferences?.exclusions || [];
+  const blockedIds = new Set(client_context?.blocked_product_ids || []);
+
   // ── 1. Fetch all products from DB ──────────────────────────────
-  const allProducts = await Product.find({}).lean();
-  if (allProducts.length === 0) {
+  const dbProducts = await Product.find(catalogFilter(tenant_id)).lean();
+  if (dbProducts.length === 0) {
     throw new Error("No products in database. Run the seed script first.");
   }
-  console.log(`[Service] Loaded ${allProducts.length} products from DB`);
+  const rateTable = await getRateTable(tenant_id);
+  const convertedProducts = convertCatalog(dbProducts, currency, rateTable.rates);
+  if (convertedProducts.length === 0) {
+    throw new ValidationError(`No catalog products can be priced in ${currency}`);
+  }
+  // Excluded products are left out of productMap too, so a pick of one
+  // fails validation as "not in catalog"
+  const pricedProducts = excludeProducts(convertedProducts, exclusions).filter(
+    (p) => !blockedIds.has(p._id.toString())
+  );
+  if (pricedProducts.length === 0) {
+    throw new ValidationError(
+      "Every catalog product is excluded by the request or the client's exclusions and recent orders"
+    );
+  }
+  // Out-of-stock products are never offered, but stay in productMap so a
+  // pick of one fails with an inventory error rather than "not found"
+  const allProducts = pricedProducts.filter(isOrderable);
+  if (allProducts.length === 0) {
+    throw new ValidationError("No catalog products are in stock at their minimum order quantity");
+  }
+  const pricingPolicy = convertPolicy(await getPricingPolicy(tenant_id), currency, rateTable.rates);
+  console.log(
+    `[Service] Loaded ${allProducts.length} products from DB (${currency})` +
+      (pricedProducts.length < convertedProducts.length
+        ? `, ${convertedProducts.length - pricedProducts.length} excluded`
+        : "")
+  );
+  emit("catalog_loaded", { product_count: allProducts.length });
 
   // Build product lookup map: _id string → product doc
   const productMap = new Map();
-  for (const p of allProducts) {
+  for (const p of pricedProducts) {
     productMap.set(p._id.toString(), p);
   }
 
-  // ── 2. Build system prompt (with budget-aware quantity limits) ─
-  const systemPrompt = buildSystemPrompt(allProducts, budget_limit);
+  const context = {
+    tenant_id,
+    client_name,
+    budget_limit,
+    currency,
+    exchange_rates: snapshotRates(rateTable, [
+      currency,
+      ...new Set(allProducts.map((p) => p.source_currency)),
+    ]),
+    region,
+    pricing_policy: pricingPolicy,
+    category_focus,
+    sustainability_priority,
+    brief,
+    brief_extraction,
+    client_id: client_context?.client_id ?? null,
+    correlation_id,
+    ai_log_ids: [],
+    allProducts,
+    productMap,
+    comparison,
+    emit,
+  };
+
+  if (mode === "deterministic") {
+    return generateDeterministic(context);
+  }
+
+  // ── 2. Rank the catalog and build the system prompt ────────────
+  const goods = goodsBudget(budget_limit, allProducts, pricingPolicy, { region });
+  const selection = selectCatalog(allProducts, {
+    budgetLimit: goods,
+    maxItems: config.ai.maxCatalogItems,
+    category_focus,
+    sustainability_priority,
+    client_needs,
+  });
+  context.catalog_selection = selection.map((s) => ({
+    product_id: s.product._id.toString(),
+    name: s.product.name,
+    rank: s.rank,
+    score: s.score,
+    scores: s.scores,
+    reasons: s.reasons,
+  }));
+  emit("catalog_ranked", {
+    product_count: selection.length,
+    top: context.catalog_selection.slice(0, 3).map((s) => s.name),
+  });
+  // The tenant's active prompt template version (built-in: null / 0),
+  // unless the experiment arm names one
+  const template = experiment_arm?.prompt_template_id
+    ? await getTemplate(experiment_arm.prompt_template_id, { tenant_id })
+    : await getActiveTemplate(tenant_id);
+  const prompt_template = { prompt_template_id: template.template_id, prompt_template_version: template.version };
+  const systemPrompt = buildSystemPrompt(allProducts, budget_limit, currency, {
+    goodsBudget: goods,
+    pricingNotes: describePolicy(pricingPolicy, allProducts, { region }),
+    selection,
+    template: template.system_template,
+  });
+  const promptContext = buildPromptContext(allProducts, budget_limit, { goodsBudget: goods, selection });
 
   // ── 3. Build user prompt ───────────────────────────────────────
   const userPrompt = buildUserPrompt(
     budget_limit,
     category_focus,
     sustainability_priority,
-    client_name
+    client_name,
+    currency,
+    {
+      needs: client_needs,
+      brief,
+      headcount,
+      exclusions,
+      history: client_context?.history,
+      template: template.user_template,
+    }
   );
 
   // ── 4–9. AI call + validation loop ─────────────────────────────
@@ -70,85 +301,118 @@ async function generateProposal({ client_name, budget_limit, preferences }) {
   // prompt so the AI can learn from its mistake.
   const MAX_VALIDATION_RETRIES = config.validation.maxAiValidationRetries;
   let lastValidationError = null;
+  // Set when the time budget ends the loop before its attempts are used
+  let deadlineError = null;
+  let attemptsMade = 0;
+  let lastRawContent = "";
+  let lastModel = "";
   let currentUserPrompt = userPrompt;
+  const aiStartedAt = Date.now();
+  const recordExperiment = (attempts) => {
+    if (!experiment_arm) return;
+    context.experiment = {
+      experiment_id: experiment_arm.experiment_id,
+      arm: experiment_arm.arm,
+      attempts,
+      latency_ms: Date.now() - aiStartedAt,
+    };
+  };
 
   for (let attempt = 1; attempt <= MAX_VALIDATION_RETRIES; attempt++) {
+    if (deadline && deadline - Date.now() < config.jobs.minAttemptMs) {
+      deadlineError = new DeadlineExceededError(`Time budget used up before AI attempt ${attempt}`);
+      break;
+    }
+
     // ── 4. Call AI provider ──────────────────────────────────────
     console.log(`[Service] AI attempt ${attempt}/${MAX_VALIDATION_RETRIES}...`);
-    const { rawContent, model } = await callAI(systemPrompt, currentUserPrompt);
+    emit("ai_attempt", { attempt, max_attempts: MAX_VALIDATION_RETRIES });
+    attemptsMade = attempt;
+    const callStartedAt = Date.now();
+    let aiResult;
+    try {
+      aiResult = await callAI(systemPrompt, currentUserPrompt, {
+        onRetry: (info) => emit("retry_scheduled", info),
+        model: experiment_arm?.model,
+        temperature: experiment_arm?.temperature,
+        context: promptContext,
+        deadline,
+      });
+    } catch (err) {
+      if (!(err instanceof DeadlineExceededError)) throw err;
+      deadlineError = err;
+      break;
+    }
+    const { rawContent, model, provider, usage } = aiResult;
+    const latencyMs = Date.now() - callStartedAt;
     console.log(`[Service] AI response received (${rawContent.length} chars)`);
+    lastRawContent = rawContent;
+    lastModel = model;
 
     // ── 5. LOG BEFORE parse, BEFORE validation ───────────────────
+    let aiLog;
     try {
-      await AILog.create({
+      aiLog = await AILog.create({
+        tenant_id,
+        correlation_id,
+        attempt,
+        latency_ms: latencyMs,
         system_prompt: systemPrompt,
         user_prompt: currentUserPrompt,
         raw_response: rawContent,
+        provider,
+        model,
+        usage,
+        ...prompt_template,
+        experiment_id: experiment_arm?.experiment_id ?? null,
+        experiment_arm: experiment_arm?.arm ?? null,
         module: config.module.name,
         module_version: config.module.version,
       });
-      console.log("[Service] AI interaction logged");
+      console.log(`[Service] AI interaction logged (${usage.total_tokens} tokens)`);
     } catch (logErr) {
       throw new Error(`Logging failure — proposal aborted: ${logErr.message}`);
     }
+    context.ai_log_ids.push(aiLog._id.toString());
+    await recordUsage(tenant_id, usage);
 
     // ── 6–9. Parse, validate, and verify ─────────────────────────
+    const corrections = { total_cost: 0, allocated_budget: false };
     try {
-      const aiData = parseAndValidate(rawContent, productMap, budget_limit);
+      const aiData = parseAndValidate(rawContent, productMap, budget_limit, {
+        currency,
+        policy: pricingPolicy,
+        region,
+        corrections,
+      });
 
       // ── All checks passed — proceed to persist and return ──────
-      const finalAllocated = Math.round(
-        aiData.products.reduce((sum, p) => sum + p.total_cost, 0) * 100
-      ) / 100;
-      const remainingBudget = Math.round((budget_limit - finalAllocated) * 100) / 100;
-
-      // ── 10. Compute impact server-side (NOT from AI) ───────────
-      const computedImpact = await computeImpact(aiData.products);
-      console.log("[Service] Impact computed server-side:", computedImpact);
-
-      // ── 11. Persist proposal ───────────────────────────────────
-      const proposal = await Proposal.create({
-        client_name: client_name || "",
-        proposal_summary: aiData.proposal_summary,
-        total_budget_limit: budget_limit,
-        allocated_budget: finalAllocated,
-        remaining_budget: remainingBudget,
-        products: aiData.products,
-        impact_summary: aiData.impact_summary,
-        confidence_score: aiData.confidence_score,
-        computed_impact: computedImpact,
+      await recordAttemptOutcome(aiLog._id, { outcome: "passed", corrections });
+      recordExperiment(attempt);
+      return await finalizeProposal(context, aiData, {
+        engine: "ai",
         ai_metadata: {
           system_prompt: systemPrompt,
           user_prompt: userPrompt,
           raw_response: rawContent,
           model,
+          attempts: attempt,
+          ...prompt_template,
         },
       });
-      console.log("[Service] Proposal persisted:", proposal._id);
-
-      // ── 12. Return structured response ─────────────────────────
-      return {
-        proposal_id: proposal._id.toString(),
-        proposal_summary: aiData.proposal_summary,
-        total_budget_limit: budget_limit,
-        allocated_budget: finalAllocated,
-        remaining_budget: remainingBudget,
-        products: aiData.products,
-        impact_summary: aiData.impact_summary,
-        confidence_score: aiData.confidence_score,
-        computed_impact: computedImpact,
-      };
     } catch (err) {
       if (err instanceof ValidationError) {
         lastValidationError = err;
         console.warn(`[Service] Validation failed (attempt ${attempt}): ${err.message}`);
+        await recordAttemptOutcome(aiLog._id, { outcome: "failed", error: err, corrections });
+        emit("validation_failed", { attempt, reason: err.message });
         // Inject error feedback into the next retry prompt so the AI
         // knows exactly what went wrong and can correct itself.
         if (attempt < MAX_VALIDATION_RETRIES) {
           const compactError = String(err.message || "validation failed").slice(0, 180);
           currentUserPrompt =
             `${userPrompt}\nPrevious output was invalid: "${compactError}".` +
-            ` Return corrected JSON only. allocated_budget must be <= ${budget_limit}.`;
+            ` Return corrected JSON only. allocated_budget must be <= ${goods} ${currency}.`;
           continue;
         }
       } else {
@@ -157,21 +421,301 @@ async function generateProposal({ client_name, budget_limit, preferences }) {
     }
   }
 
-  // All retries exhausted — throw the last validation error as 422
-  throw lastValidationError;
+  // All retries exhausted (or the time budget ran out) — fall back to the
+  // deterministic allocator, or throw the last error when fallback is
+  // disabled (422 for a validation error).
+  const stopError = deadlineError || lastValidationError;
+  if (config.validation.deterministicFallback) {
+    console.warn(`[Service] AI attempts ended (${stopError.message}) — using deterministic allocator`);
+    emit("fallback", { engine: "deterministic", reason: stopError.message });
+    recordExperiment(attemptsMade);
+    return generateDeterministic(context, {
+      fallback_reason: stopError.message,
+      ai_metadata: {
+        system_prompt: systemPrompt,
+        user_prompt: userPrompt,
+        raw_response: lastRawContent,
+        model: lastModel,
+        attempts: attemptsMade,
+        ...prompt_template,
+      },
+    });
+  }
+  throw stopError;
+}
+
+// Outcome of one AI attempt on its AILog entry, for analytics. The raw
+// response is already logged, so a failed update never aborts the proposal.
+async function recordAttemptOutcome(logId, { outcome, error = null, corrections }) {
+  try {
+    await AILog.updateOne(
+      { _id: logId },
+      {
+        $set: {
+          outcome,
+          failure_reason: error ? error.reason || "other" : null,
+          failure_message: error ? error.message.slice(0, 500) : null,
+          corrections,
+        },
+      }
+    );
+  } catch (err) {
+    console.warn(`[Service] Could not record attempt outcome: ${err.message}`);
+  }
+}
+
+// Points the attempts' AILog entries at the proposal they ended in. The
+// proposal already lists them in ai_log_ids, so a failure is only logged.
+async function linkAttemptLogs(logIds, proposalId) {
+  if (logIds.length === 0) return;
+  try {
+    await AILog.updateMany({ _id: { $in: logIds } }, { $set: { proposal_id: proposalId } });
+  } catch (err) {
+    console.warn(`[Service] Could not link AI logs to proposal ${proposalId}: ${err.message}`);
+  }
+}
+
+// ─── Comparison bundles ─────────────────────────────────────────────
+// `variants` runs the whole pipeline once per variant (quota, validation,
+// impact, persistence), so every option is a normal proposal linked by
+// comparison_id. A variant that fails validation is reported in the
+// bundle, which fails only when no variant succeeds; any other error
+// (provider, quota) aborts the remaining variants.
+
+async function generateComparison(request, { onProgress, tenant_id, correlation_id = null, deadline = null } = {}) {
+  const emit = progressEmitter(onProgress);
+  const { variants, ...base } = request;
+  const specs = resolveVariants(variants, {
+    budget_limit: base.budget_limit,
+    sustainability_priority: base.preferences?.sustainability_priority,
+  });
+  const comparison_id = new Types.ObjectId().toString();
+  console.log(`[Service] Comparison ${comparison_id}: ${specs.length} variants`);
+
+  const results = [];
+  for (const [index, spec] of specs.entries()) {
+    emit("variant_started", {
+      variant: index,
+      label: spec.label,
+      budget_limit: spec.budget_limit,
+      sustainability_priority: spec.sustainability_priority,
+    });
+    try {
+      const proposal = await generateOne(
+        {
+          ...base,
+          budget_limit: spec.budget_limit,
+          preferences: { ...base.preferences, sustainability_priority: spec.sustainability_priority },
+        },
+        {
+          tenant_id,
+          correlation_id,
+          deadline,
+          comparison: { comparison_id, variant_label: spec.label },
+          onProgress: (type, data) => emit(type, { ...data, variant: index }),
+        }
+      );
+      results.push({ ...spec, proposal, error: null });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      console.warn(`[Service] Variant "${spec.label}" failed: ${err.message}`);
+      emit("variant_failed", { variant: index, label: spec.label, reason: err.message });
+      results.push({ ...spec, proposal: null, error: err.message });
+    }
+  }
+
+  const generated = results.filter((r) => r.proposal);
+  if (generated.length === 0) {
+    throw new ValidationError(`No variant could be generated: ${results[0].error}`);
+  }
+
+  const categories = await loadCategories(
+    generated.flatMap((r) => r.proposal.products.map((p) => p.product_id)),
+    tenant_id
+  );
+  const bundle = results.map((r) => ({
+    ...r,
+    summary: r.proposal ? summarizeVariant(r.proposal, categories) : null,
+  }));
+
+  return {
+    comparison_id,
+    client_name: base.client_name || "",
+    currency: base.currency || config.currency.base,
+    total_budget_limit: base.budget_limit,
+    variants: bundle,
+    highlights: pickHighlights(bundle.filter((v) => v.summary).map((v) => v.summary)),
+  };
+}
+
+// ─── Progress events ────────────────────────────────────────────────
+// Optional observer for long-running generations (SSE stream). A failing
+// listener must never break the pipeline, so errors are only logged.
+
+function progressEmitter(onProgress) {
+  return (type, data = {}) => {
+    if (!onProgress) return;
+    try {
+      onProgress(type, data);
+    } catch (err) {
+      console.warn(`[Service] Progress listener failed on "${type}": ${err.message}`);
+    }
+  };
+}
+
+// ─── Deterministic engine ───────────────────────────────────────────
+// The allocator's output is re-checked by parseAndValidate exactly like
+// an AI response, so both engines share one definition of "valid".
+
+async function generateDeterministic(context, { fallback_reason = null, ai_metadata } = {}) {
+  const { allProducts, productMap, budget_limit, currency, region, pricing_policy } = context;
+
+  const allocation = allocateDeterministic({
+    products: allProducts,
+    budget_limit,
+    category_focus: context.category_focus,
+    sustainability_priority: context.sustainability_priority,
+    client_name: context.client_name,
+    currency,
+    pricer: createPricer(pricing_policy, { region, productMap }),
+  });
+  console.log(`[Service] Deterministic allocation: ${allocation.products.length} products`);
+  context.emit("allocation_computed", { product_count: allocation.products.length });
+
+  const data = parseAndValidate(JSON.stringify(allocation), productMap, budget_limit, {
+    currency,
+    policy: pricing_policy,
+    region,
+  });
+  return finalizeProposal(context, data, {
+    engine: "deterministic",
+    fallback_reason,
+    ai_metadata,
+  });
+}
+
+// ─── Steps 10–12: impact, persist, respond ──────────────────────────
+
+async function finalizeProposal(context, data, { engine, fallback_reason = null, ai_metadata }) {
+  const {
+    tenant_id,
+    client_name,
+    budget_limit,
+    currency,
+    exchange_rates,
+    region,
+    pricing_policy,
+    productMap,
+    comparison,
+    catalog_selection = null,
+    brief,
+    brief_extraction,
+    client_id,
+    correlation_id = null,
+    ai_log_ids = [],
+    experiment = null,
+    emit,
+  } = context;
+  const leadTimeDays = maxLeadTime(data.products, productMap);
+
+  // Landed total from step 9
+  const finalAllocated = data.allocated_budget;
+  const remainingBudget = Math.round((budget_limit - finalAllocated) * 100) / 100;
+
+  // ── 10. Compute impact server-side (NOT from AI) ───────────────
+  const computedImpact = await computeImpact(data.products, { tenant_id, productMap });
+  console.log(
+    `[Service] Impact computed server-side: ${computedImpact.by_metric.map((m) => `${m.total} ${m.unit}`).join(", ")}`
+  );
+  emit("impact_computed", { computed_impact: computedImpact });
+
+  // ── 11. Persist proposal ───────────────────────────────────────
+  const proposal = await Proposal.create({
+    tenant_id,
+    client_name: client_name || "",
+    client_id,
+    currency,
+    exchange_rates,
+    region: region || null,
+    pricing: data.pricing,
+    pricing_policy,
+    lead_time_days: leadTimeDays,
+    comparison_id: comparison?.comparison_id ?? null,
+    variant_label: comparison?.variant_label ?? null,
+    catalog_selection,
+    brief: brief || null,
+    brief_extraction,
+    proposal_summary: data.proposal_summary,
+    total_budget_limit: budget_limit,
+    allocated_budget: finalAllocated,
+    remaining_budget: remainingBudget,
+    products: data.products,
+    impact_summary: data.impact_summary,
+    confidence_score: data.confidence_score,
+    computed_impact: computedImpact,
+    engine,
+    fallback_reason,
+    ai_metadata,
+    correlation_id,
+    ai_log_ids,
+    experiment,
+  });
+  console.log(`[Service] Proposal persisted (${engine}):`, proposal._id);
+  await linkAttemptLogs(ai_log_ids, proposal._id.toString());
+  emit("persisted", { proposal_id: proposal._id.toString(), engine });
+
+  // ── 12. Return structured response ─────────────────────────────
+  return {
+    proposal_id: proposal._id.toString(),
+    client_name: client_name || "",
+    client_id,
+    currency,
+    exchange_rates,
+    region: region || null,
+    pricing: data.pricing,
+    lead_time_days: leadTimeDays,
+    comparison_id: comparison?.comparison_id ?? null,
+    variant_label: comparison?.variant_label ?? null,
+    catalog_selection,
+    brief: brief || null,
+    brief_extraction,
+    proposal_summary: data.proposal_summary,
+    total_budget_limit: budget_limit,
+    allocated_budget: finalAllocated,
+    remaining_budget: remainingBudget,
+    products: data.products,
+    impact_summary: data.impact_summary,
+    confidence_score: data.confidence_score,
+    computed_impact: computedImpact,
+    engine,
+    fallback_reason,
+    correlation_id,
+    experiment,
+    status: proposal.status,
+    allowed_transitions: STATUS_TRANSITIONS[proposal.status],
+  };
 }
 
 // ─── Parse & Validate (Steps 6–9) ───────────────────────────────────
 // Extracted to keep the retry loop clean. This function NEVER mutates
 // the AI response — it either returns the validated data or throws.
+// The returned data carries the server-side pricing: priced line items,
+// a `pricing` summary and allocated_budget = landed total.
+// `corrections` ({ total_cost, allocated_budget }), when given, counts the
+// auto-corrections made, even if a later check rejects the response.
 
-function parseAndValidate(rawContent, productMap, budget_limit) {
+function parseAndValidate(
+  rawContent,
+  productMap,
+  budget_limit,
+  { currency = config.currency.base, policy = NO_PRICING_POLICY, region, corrections } = {}
+) {
   // ── 6. Strict JSON.parse — single call, no fallback ────────────
   let parsed;
   try {
     parsed = JSON.parse(rawContent);
   } catch (parseErr) {
-    throw new ValidationError(`AI response is not valid JSON: ${parseErr.message}`);
+    throw new ValidationError(`AI response is not valid JSON: ${parseErr.message}`, { reason: "json_parse" });
   }
 
   // ── 7. Zod schema validation (strict — no extra keys) ─────────
@@ -180,29 +724,73 @@ function parseAndValidate(rawContent, productMap, budget_limit) {
     const issues = zodResult.error.issues
       .map((i) => `${i.path.join(".")}: ${i.message}`)
       .join("; ");
-    throw new ValidationError(`AI response schema violation: ${issues}`);
+    throw new ValidationError(`AI response schema violation: ${issues}`, { reason: "schema" });
   }
   const aiData = zodResult.data;
 
   // ── 8. Business validation ─────────────────────────────────────
-  for (const item of aiData.products) {
+  validateLineItems(aiData.products, productMap, { corrections });
+
+  // 8e. allocated_budget: server always uses its own computed sum.
+  // Individual total_cost values are already corrected (step 8d).
+  const computedAllocated =
+    Math.round(
+      aiData.products.reduce((sum, p) => sum + p.total_cost, 0) * 100
+    ) / 100;
+
+  if (aiData.allocated_budget !== computedAllocated) {
+    console.warn(
+      `[Service] Auto-correcting allocated_budget: AI said ${formatAmount(aiData.allocated_budget, currency)}, correct is ${formatAmount(computedAllocated, currency)}`
+    );
+    aiData.allocated_budget = computedAllocated;
+    if (corrections) corrections.allocated_budget = true;
+  }
+
+  // 8f. total_budget_limit from AI must equal request budget_limit
+  if (aiData.total_budget_limit !== budget_limit) {
+    throw new ValidationError(
+      `Budget limit mismatch: AI said ${formatAmount(aiData.total_budget_limit, currency)}, request had ${formatAmount(budget_limit, currency)}`,
+      { reason: "budget_limit_mismatch" }
+    );
+  }
+
+  // ── 9. Landed pricing + budget enforcement — reject if over ───
+  const priced = priceLines(aiData.products, productMap, policy, { region });
+  enforceBudget(priced.summary.total, budget_limit, { currency, pricing: priced.summary });
+
+  return {
+    ...aiData,
+    allocated_budget: priced.summary.total,
+    products: priced.lines,
+    pricing: priced.summary,
+  };
+}
+
+// ─── Steps 8a–8d: line-item checks ──────────────────────────────────
+// Shared by AI output, the deterministic allocator and manual revisions.
+// `source` only changes the wording of error messages.
+
+function validateLineItems(items, productMap, { source = "AI", corrections } = {}) {
+  for (const item of items) {
     // 8a. Product must exist in DB
     const dbProduct = productMap.get(item.product_id);
     if (!dbProduct) {
-      throw new ValidationError(`Product not found in DB: ${item.product_id}`);
+      throw new ValidationError(`Product not found in DB: ${item.product_id}`, { reason: "unknown_product" });
     }
 
     // 8b. Name must exactly match DB
     if (item.name !== dbProduct.name) {
       throw new ValidationError(
-        `Name mismatch for ${item.product_id}: AI said "${item.name}", DB has "${dbProduct.name}"`
+        `Name mismatch for ${item.product_id}: ${source} said "${item.name}", DB has "${dbProduct.name}"`,
+        { reason: "name_mismatch" }
       );
     }
 
     // 8c. unit_price must exactly match DB
     if (item.unit_price !== dbProduct.unit_price) {
       throw new ValidationError(
-        `Price mismatch for ${item.name}: AI said ${item.unit_price}, DB has ${dbProduct.unit_price}`
+        `Price mismatch for ${item.name}: ${source} said ${item.unit_price}, DB has ${dbProduct.unit_price}`,
+        { reason: "price_mismatch" }
       );
     }
 
@@ -213,42 +801,42 @@ function parseAndValidate(rawContent, productMap, budget_limit) {
     const expectedCost = Math.round(item.quantity * item.unit_price * 100) / 100;
     if (item.total_cost !== expectedCost) {
       console.warn(
-        `[Service] Auto-correcting total_cost for ${item.name}: AI said ${item.total_cost}, correct is ${expectedCost}`
+        `[Service] Auto-correcting total_cost for ${item.name}: ${source} said ${item.total_cost}, correct is ${expectedCost}`
       );
       item.total_cost = expectedCost;
+      if (corrections) corrections.total_cost++;
     }
-  }
 
-  // 8e. allocated_budget: server always uses its own computed sum.
-  // Individual total_cost values are already corrected (step 8d).
-  const computedAllocated =
-    Math.round(
-      aiData.products.reduce((sum, p) => sum + p.total_cost, 0) * 100
-    ) / 100;
-
-  if (aiData.allocated_budget !== computedAllocated) {
-    console.warn(
-      `[Service] Auto-correcting allocated_budget: AI said ₹${aiData.allocated_budget}, correct is ₹${computedAllocated}`
-    );
-    aiData.allocated_budget = computedAllocated;
+    // 8g. Inventory: MOQ <= quantity <= stock on hand and max_order_qty
+    const violation = quantityViolation(dbProduct, item.quantity);
+    if (violation) {
+      throw new ValidationError(`Inventory limit for ${item.name}: ${violation}`, { reason: "inventory" });
+    }
   }
+}
 
-  // 8f. total_budget_limit from AI must equal request budget_limit
-  if (aiData.total_budget_limit !== budget_limit) {
-    throw new ValidationError(
-      `Budget limit mismatch: AI said ₹${aiData.total_budget_limit}, request had ₹${budget_limit}`
-    );
-  }
+// ─── Step 9: budget enforcement ─────────────────────────────────────
 
-  // ── 9. Budget enforcement — reject if over budget ──────────────
-  if (computedAllocated > budget_limit) {
+// `pricing` (a priceLines summary) only adds the breakdown to the message
+function enforceBudget(allocated, budget_limit, { currency = config.currency.base, pricing } = {}) {
+  if (allocated > budget_limit) {
+    const fmt = (n) => formatAmount(n, currency);
+    const breakdown =
+      pricing && pricing.total !== pricing.subtotal
+        ? ` (subtotal ${fmt(pricing.subtotal)} - discounts ${fmt(pricing.discount)} + tax ${fmt(pricing.tax)} + shipping ${fmt(pricing.shipping)})`
+        : "";
     throw new ValidationError(
-      `Budget exceeded: allocated ₹${computedAllocated} exceeds limit ₹${budget_limit}`
+      `Budget exceeded: allocated ${fmt(allocated)}${breakdown} exceeds limit ${fmt(budget_limit)}`,
+      { reason: "budget_exceeded" }
     );
   }
-
-  return aiData;
 }
 
-module.exports = { generateProposal, ValidationError };
+module.exports = {
+  generateProposal,
+  parseAndValidate,
+  validateLineItems,
+  enforceBudget,
+  ValidationError,
+};
 
@@ -0,0 +1,173 @@
+const mongoose = require("mongoose");
+const Tenant = require("../models/Tenant");
+const TenantUsage = require("../models/TenantUsage");
+const config = require("../config");
+const { RateLimitError } = require("../errors");
+
+/**
+ * QuotaService — monthly per-tenant token and generation quotas.
+ *
+ * Usage is accumulated in one TenantUsage document per tenant per UTC
+ * month. A generation is counted when it starts (reserveGeneration), in
+ * the same conditional $inc that checks both quotas, so concurrent
+ * requests cannot exceed the generation quota; a generation that fails
+ * gives its count back (releaseGeneration). Tokens are only known after
+ * each AI call, so a single generation may overshoot the token quota;
+ * the next one is refused.
+ */
+
+function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+function msUntilNextPeriod(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return next - now.getTime();
+}
+
+// 0 or less means unlimited
+function isExceeded(quota, used) {
+  return quota > 0 && used >= quota;
+}
+
+async function getQuotas(tenant_id) {
+  // The dev tenant (AUTH_REQUIRED=false) has no Tenant document
+  const tenant = mongoose.isValidObjectId(tenant_id)
+    ? await Tenant.findById(tenant_id, { monthly_token_quota: 1, monthly_generation_quota: 1 }).lean()
+    : null;
+  return {
+    monthly_tokens: tenant?.monthly_token_quota ?? config.quota.monthlyTokens,
+    monthly_generations: tenant?.monthly_generation_quota ?? config.quota.monthlyGenerations,
+  };
+}
+
+async function getUsage(tenant_id, now = new Date()) {
+  const period = currentPeriod(now);
+  const [usage, quotas] = await Promise.all([
+    TenantUsage.findOne({ tenant_id, period }).lean(),
+    getQuotas(tenant_id),
+  ]);
+  return {
+    period,
+    generations: usage?.generations || 0,
+    prompt_tokens: usage?.prompt_tokens || 0,
+    completion_tokens: usage?.completion_tokens || 0,
+    total_tokens: usage?.total_tokens || 0,
+    quotas,
+  };
+}
+
+// The RateLimitError for the first exhausted quota, or null
+function quotaError(usage, now) {
+  const { monthly_tokens, monthly_generations } = usage.quotas;
+  const retryAfterMs = msUntilNextPeriod(now);
+
+  if (isExceeded(monthly_tokens, usage.total_tokens)) {
+    return new RateLimitError(
+      `Monthly AI token quota exhausted (${usage.total_tokens}/${monthly_tokens} tokens in ${usage.period})`,
+      retryAfterMs,
+      { name: "monthly_tokens", quota: monthly_tokens, used: usage.total_tokens, period: usage.period }
+    );
+  }
+  if (isExceeded(monthly_generations, usage.generations)) {
+    return new RateLimitError(
+      `Monthly generation quota exhausted (${usage.generations}/${monthly_generations} in ${usage.period})`,
+      retryAfterMs,
+      { name: "monthly_generations", quota: monthly_generations, used: usage.generations, period: usage.period }
+    );
+  }
+  return null;
+}
+
+/**
+ * Early check for requests that generate later (async jobs, streams);
+ * reserveGeneration is the binding one.
+ * @throws {RateLimitError} When the tenant has used up this month's tokens or generations
+ */
+async function assertWithinQuota(tenant_id, now = new Date()) {
+  const usage = await getUsage(tenant_id, now);
+  const err = quotaError(usage, now);
+  if (err) throw err;
+  return usage;
+}
+
+/**
+ * Count one generation, only while both quotas have room. Resolves to the
+ * reservation to pass to releaseGeneration if the generation fails.
+ * @throws {RateLimitError} When the tenant has used up this month's tokens or generations
+ */
+async function reserveGeneration(tenant_id, now = new Date()) {
+  const period = currentPeriod(now);
+  const { monthly_tokens, monthly_generations } = await getQuotas(tenant_id);
+
+  // Create the month's document first: the conditional update below
+  // cannot upsert, as a filter that fails on the quota would insert a
+  // duplicate
+  await TenantUsage.updateOne(
+    { tenant_id, period },
+    { $setOnInsert: { updated_at: now } },
+    { upsert: true }
+  );
+
+  const filter = { tenant_id, period };
+  if (monthly_tokens > 0) filter.total_tokens = { $lt: monthly_tokens };
+  if (monthly_generations > 0) filter.generations = { $lt: monthly_generations };
+  const reserved = await TenantUsage.findOneAndUpdate(filter, {
+    $inc: { generations: 1 },
+    $set: { updated_at: now },
+  }).lean();
+  if (reserved) return { tenant_id, period };
+
+  const err = quotaError(await getUsage(tenant_id, now), now);
+  if (err) throw err;
+  // A failed generation gave its count back in between; try again
+  return reserveGeneration(tenant_id, now);
+}
+
+/**
+ * Give back a reserved generation that produced no proposal. Like
+ * recordUsage, errors are logged and swallowed.
+ */
+async function releaseGeneration({ tenant_id, period }) {
+  try {
+    await TenantUsage.updateOne(
+      { tenant_id, period, generations: { $gt: 0 } },
+      { $inc: { generations: -1 }, $set: { updated_at: new Date() } }
+    );
+  } catch (err) {
+    console.warn(`[Quota] Generation refund failed for tenant ${tenant_id}: ${err.message}`);
+  }
+}
+
+/**
+ * Add an AI call's tokens to this month's counters. Accounting must
+ * never fail a proposal, so errors are logged and swallowed.
+ */
+async function recordUsage(tenant_id, { prompt_tokens = 0, completion_tokens = 0 }) {
+  try {
+    await TenantUsage.updateOne(
+      { tenant_id, period: currentPeriod() },
+      {
+        $inc: {
+          prompt_tokens,
+          completion_tokens,
+          total_tokens: prompt_tokens + completion_tokens,
+        },
+        $set: { updated_at: new Date() },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.warn(`[Quota] Usage update failed for tenant ${tenant_id}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  assertWithinQuota,
+  reserveGeneration,
+  releaseGeneration,
+  recordUsage,
+  getUsage,
+  currentPeriod,
+  msUntilNextPeriod,
+};
@@ -0,0 +1,180 @@
+const Product = require("../models/Product");
+const Proposal = require("../models/Proposal");
+const { NotFoundError, ConflictError, ValidationError } = require("../errors");
+const { validateLineItems, enforceBudget } = require("./proposalService");
+const { computeImpact } = require("./impactService");
+const { toProposalResponse } = require("./proposalQueryService");
+const { currentStatusFilter } = require("./lifecycleService");
+const { getRateTable, convertCatalog } = require("./exchangeRateService");
+const { NO_PRICING_POLICY, priceLines } = require("./pricingService");
+const { tenantFilter, catalogFilter } = require("../utils/tenant");
+const config = require("../config");
+const { maxLeadTime } = require("../utils/inventory");
+
+/**
+ * RevisionService — manual edits to a persisted proposal.
+ *
+ * Every edit re-runs the same line-item and budget checks as AI output
+ * (steps 8a–9), recomputes totals and impact from the DB, and is stored
+ * as a numbered revision with a per-product diff. Only drafts can be
+ * edited; once sent, the client has seen the numbers.
+ *
+ * Catalog prices are converted with the rates stored at generation time,
+ * falling back to today's table only for currencies the snapshot lacks.
+ * Lines are re-priced with the tax/shipping policy stored on the
+ * proposal, so later policy edits never change an existing quote.
+ */
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function diffLineItems(before, after) {
+  const beforeById = new Map(before.map((p) => [p.product_id, p]));
+  const afterById = new Map(after.map((p) => [p.product_id, p]));
+  const changes = [];
+
+  for (const item of after) {
+    const prev = beforeById.get(item.product_id);
+    if (!prev) {
+      changes.push({
+        product_id: item.product_id,
+        name: item.name,
+        change: "added",
+        quantity_before: 0,
+        quantity_after: item.quantity,
+        cost_delta: item.total_cost,
+      });
+    } else if (prev.quantity !== item.quantity) {
+      changes.push({
+        product_id: item.product_id,
+        name: item.name,
+        change: "quantity_changed",
+        quantity_before: prev.quantity,
+        quantity_after: item.quantity,
+        cost_delta: round2(item.total_cost - prev.total_cost),
+      });
+    }
+  }
+
+  for (const prev of before) {
+    if (!afterById.has(prev.product_id)) {
+      changes.push({
+        product_id: prev.product_id,
+        name: prev.name,
+        change: "removed",
+        quantity_before: prev.quantity,
+        quantity_after: 0,
+        cost_delta: round2(-prev.total_cost),
+      });
+    }
+  }
+
+  return changes;
+}
+
+async function reviseProposal(id, { products, comment, expected_revision }, { tenant_id } = {}) {
+  const proposal = await Proposal.findOne(
+    { _id: id, ...tenantFilter(tenant_id) },
+    { ai_metadata: 0, revisions: 0 }
+  ).lean();
+  if (!proposal) {
+    throw new NotFoundError(`Proposal not found: ${id}`);
+  }
+  const status = proposal.status || "draft";
+  if (status !== "draft") {
+    throw new ConflictError(`Only draft proposals can be revised; this one is ${status}`);
+  }
+  const currentRevision = proposal.revision || 0;
+  if (expected_revision !== undefined && expected_revision !== currentRevision) {
+    throw new ConflictError(
+      `Proposal is at revision ${currentRevision}, expected ${expected_revision}. Reload and retry.`
+    );
+  }
+
+  const currency = proposal.currency || config.currency.base;
+  const rawProducts = await Product.find({
+    _id: { $in: products.map((p) => p.product_id) },
+    ...catalogFilter(tenant_id),
+  }).lean();
+  const table = await getRateTable(tenant_id);
+  const rates = { ...table.rates, ...(proposal.exchange_rates?.rates || {}) };
+  const dbProducts = convertCatalog(rawProducts, currency, rates);
+  const productMap = new Map(dbProducts.map((p) => [p._id.toString(), p]));
+  const existingById = new Map(proposal.products.map((p) => [p.product_id, p]));
+
+  // Unspecified name/price fall back to the stored line, then the catalog,
+  // so a catalog price change since generation surfaces as a mismatch.
+  const lines = products.map((item) => {
+    const existing = existingById.get(item.product_id);
+    const dbProduct = productMap.get(item.product_id);
+    const unitPrice = item.unit_price ?? existing?.unit_price ?? dbProduct?.unit_price ?? 0;
+    return {
+      product_id: item.product_id,
+      name: item.name ?? existing?.name ?? dbProduct?.name ?? "",
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      total_cost: round2(item.quantity * unitPrice),
+    };
+  });
+
+  validateLineItems(lines, productMap, { source: "Revision" });
+  // Proposals from before the pricing engine were budgeted without tax/shipping
+  const policy = proposal.pricing_policy || NO_PRICING_POLICY;
+  const priced = priceLines(lines, productMap, policy, { region: proposal.region || undefined });
+  const allocated = priced.summary.total;
+  enforceBudget(allocated, proposal.total_budget_limit, { currency, pricing: priced.summary });
+
+  const changes = diffLineItems(proposal.products, priced.lines);
+  if (changes.length === 0) {
+    throw new ValidationError("Revision contains no changes");
+  }
+
+  const computedImpact = await computeImpact(priced.lines, { tenant_id, productMap });
+  const number = currentRevision + 1;
+  const now = new Date();
+
+  const updated = await Proposal.findOneAndUpdate(
+    {
+      _id: id,
+      ...tenantFilter(tenant_id),
+      revision: proposal.revision ?? { $exists: false },
+      status: currentStatusFilter("draft"),
+    },
+    {
+      $set: {
+        products: priced.lines,
+        pricing: priced.summary,
+        lead_time_days: maxLeadTime(lines, productMap),
+        allocated_budget: allocated,
+        remaining_budget: round2(proposal.total_budget_limit - allocated),
+        computed_impact: computedImpact,
+        revision: number,
+        updated_at: now,
+      },
+      $push: {
+        revisions: {
+          number,
+          comment,
+          changes,
+          allocated_before: proposal.allocated_budget,
+          allocated_after: allocated,
+          products: priced.lines,
+          pricing: priced.summary,
+          computed_impact: computedImpact,
+          created_at: now,
+        },
+      },
+    },
+    { new: true, projection: { ai_metadata: 0 } }
+  ).lean();
+
+  if (!updated) {
+    throw new ConflictError("Proposal was revised concurrently. Reload and retry.");
+  }
+  console.log(`[Revision] Proposal ${id} → revision ${number} (${changes.length} changes)`);
+
+  return toProposalResponse(updated);
+}
+
+module.exports = { reviseProposal, diffLineItems };
@@ -0,0 +1,49 @@
+/**
+ * Currency helpers shared by the pipeline, validators and renderers.
+ *
+ * Exchange rates are expressed as "units of the base currency per one
+ * unit of X" (e.g. USD: 83.25 with base INR), so the base is always 1.
+ */
+
+const SUPPORTED_CURRENCIES = ["INR", "USD", "EUR", "GBP"];
+
+const CURRENCY_SYMBOLS = { INR: "₹", USD: "$", EUR: "€", GBP: "£" };
+
+// Locale used for number grouping when rendering amounts for humans
+const CURRENCY_LOCALES = { INR: "en-IN", USD: "en-US", EUR: "de-DE", GBP: "en-GB" };
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Compact form for log lines and validation messages: "₹13980", "$167.9"
+function formatAmount(amount, currency = "INR") {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${symbol}${amount}` : `${currency} ${amount}`;
+}
+
+/**
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} rates  currency → base units per unit (base = 1)
+ * @returns {number} Rounded to 2 decimals
+ * @throws  {Error}  When either rate is missing
+ */
+function convertAmount(amount, from, to, rates) {
+  if (from === to) return amount;
+  const fromRate = rates[from];
+  const toRate = rates[to];
+  if (!fromRate || !toRate) {
+    throw new Error(`No exchange rate for ${!fromRate ? from : to}`);
+  }
+  return round2((amount * fromRate) / toRate);
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  CURRENCY_SYMBOLS,
+  CURRENCY_LOCALES,
+  formatAmount,
+  convertAmount,
+};
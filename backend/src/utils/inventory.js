@@ -0,0 +1,62 @@
+/**
+ * Order-quantity limits derived from a product's inventory fields.
+ *
+ * Missing fields mean "no constraint": stock_on_hand null = stock not
+ * tracked, moq null = 1, max_order_qty null = unlimited. Shared by the
+ * prompt builder, the allocator and business validation so all three
+ * agree on what can be ordered.
+ */
+
+/**
+ * @returns {{ min: number, max: number }} max is Infinity when unbounded
+ */
+function orderLimits(product) {
+  const min = Math.max(1, product.moq ?? 1);
+  let max = Infinity;
+  if (product.stock_on_hand !== null && product.stock_on_hand !== undefined) {
+    max = Math.min(max, product.stock_on_hand);
+  }
+  if (product.max_order_qty !== null && product.max_order_qty !== undefined) {
+    max = Math.min(max, product.max_order_qty);
+  }
+  return { min, max };
+}
+
+// False when stock (or max_order_qty) cannot cover even the MOQ
+function isOrderable(product) {
+  const { min, max } = orderLimits(product);
+  return max >= min;
+}
+
+/**
+ * @returns {string|null} Why `quantity` breaks the product's limits, or null
+ */
+function quantityViolation(product, quantity) {
+  const { min } = orderLimits(product);
+  if (quantity < min) {
+    return `quantity ${quantity} is below the minimum order quantity of ${min}`;
+  }
+  const stock = product.stock_on_hand;
+  if (stock !== null && stock !== undefined && quantity > stock) {
+    return `quantity ${quantity} exceeds stock on hand (${stock})`;
+  }
+  const maxOrder = product.max_order_qty;
+  if (maxOrder !== null && maxOrder !== undefined && quantity > maxOrder) {
+    return `quantity ${quantity} exceeds the maximum order quantity of ${maxOrder}`;
+  }
+  return null;
+}
+
+// Longest lead time across the lines; null when no product has one
+function maxLeadTime(lines, productMap) {
+  let longest = null;
+  for (const line of lines) {
+    const days = productMap.get(line.product_id)?.lead_time_days;
+    if (days !== null && days !== undefined && (longest === null || days > longest)) {
+      longest = days;
+    }
+  }
+  return longest;
+}
+
+module.exports = { orderLimits, isOrderable, quantityViolation, maxLeadTime };
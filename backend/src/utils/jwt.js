@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal HS256 JSON Web Token verification (RFC 7519). Only HS256 is
+ * accepted so a token can never pick a weaker algorithm via its header.
+ */
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function sign(input, secret) {
+  return crypto.createHmac("sha256", secret).update(input).digest();
+}
+
+/**
+ * @returns {Object} The token's claims
+ * @throws  {Error}  On a malformed token, bad signature, or expired/not-yet-valid claims
+ */
+function verifyJwt(token, secret, { now = Date.now() } = {}) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(headerSegment);
+    payload = decodeSegment(payloadSegment);
+  } catch {
+    throw new Error("Malformed token");
+  }
+  if (header.alg !== "HS256") {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = sign(`${headerSegment}.${payloadSegment}`, secret);
+  const actual = Buffer.from(signatureSegment, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error("Invalid token signature");
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof payload.exp === "number" && nowSeconds >= payload.exp) {
+    throw new Error("Token expired");
+  }
+  if (typeof payload.nbf === "number" && nowSeconds < payload.nbf) {
+    throw new Error("Token not yet valid");
+  }
+  return payload;
+}
+
+// Signs browser sessions (authService.createSession); also used by tests
+function signJwt(payload, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = sign(`${header}.${body}`, secret).toString("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+module.exports = { verifyJwt, signJwt };
@@ -0,0 +1,20 @@
+/**
+ * Small helpers shared by the read-side services.
+ */
+
+// Escape user input before embedding it in a MongoDB $regex filter.
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toPage(items, { page, limit }, total) {
+  return {
+    items,
+    page,
+    limit,
+    total,
+    total_pages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = { escapeRegex, toPage };
@@ -0,0 +1,53 @@
+/**
+ * Minimal Server-Sent Events writer for Express responses.
+ *
+ * Frames are `event: <type>\ndata: <json>\n\n`. A comment heartbeat keeps
+ * proxies from closing the connection during long provider backoffs.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let seq = 0;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  // Listen on the response: the request emits "close" as soon as its body
+  // has been consumed, which for a POST is before the stream even starts.
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+
+    send(event, data) {
+      if (closed) return;
+      seq++;
+      res.write(`id: ${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,25 @@
+/**
+ * Tenant filters for Mongo queries.
+ *
+ * Every tenant-owned query goes through one of these so a missing
+ * tenant_id fails loudly instead of silently matching all tenants.
+ */
+
+function requireTenant(tenant_id) {
+  if (!tenant_id) {
+    throw new Error("tenant_id is required for tenant-scoped queries");
+  }
+  return tenant_id;
+}
+
+// Proposals, AI logs, jobs: visible to their own tenant only
+function tenantFilter(tenant_id) {
+  return { tenant_id: requireTenant(tenant_id) };
+}
+
+// Products: the shared catalog (no tenant_id) plus the tenant's own items
+function catalogFilter(tenant_id) {
+  return { tenant_id: { $in: [requireTenant(tenant_id), null] } };
+}
+
+module.exports = { tenantFilter, catalogFilter };
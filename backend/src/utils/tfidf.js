@@ -0,0 +1,91 @@
+/**
+ * Minimal TF-IDF index for short texts (catalog names and descriptions).
+ *
+ * Runs fully in-process: no model download, no external service. Terms
+ * are lower-cased word tokens with stop words removed and a light plural
+ * stem, so "bottles" matches "bottle". Vectors are L2-normalised, making
+ * the dot product a cosine similarity in [0, 1].
+ */
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have in into is it its of on or our " +
+    "that the their them they this to was we were will with you your no not per each " +
+    "all any some very need needs want wants like looking please"
+  ).split(" ")
+);
+
+function stem(token) {
+  if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+  return token;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+function normalize(weights) {
+  const norm = Math.sqrt([...weights.values()].reduce((sum, w) => sum + w * w, 0));
+  if (norm > 0) {
+    for (const [term, w] of weights) weights.set(term, w / norm);
+  }
+  return weights;
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+/**
+ * @param {string[]} texts  One document per entry
+ * @returns {{ vectors: Map<string, number>[], vectorize: (text: string) => Map<string, number> }}
+ */
+function buildIndex(texts) {
+  const docs = texts.map((text) => termCounts(tokenize(text)));
+  const df = new Map();
+  for (const counts of docs) {
+    for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  // Smoothed idf: a term in every document still carries a little weight
+  const idf = (term) => Math.log((docs.length + 1) / ((df.get(term) || 0) + 1)) + 1;
+
+  const weigh = (counts) => {
+    const weights = new Map();
+    for (const [term, count] of counts) weights.set(term, (1 + Math.log(count)) * idf(term));
+    return normalize(weights);
+  };
+
+  return {
+    vectors: docs.map(weigh),
+    // Query terms outside the vocabulary cannot match, so they are dropped
+    vectorize: (text) => weigh(new Map([...termCounts(tokenize(text))].filter(([t]) => df.has(t)))),
+  };
+}
+
+/**
+ * Cosine similarity of two normalised vectors, plus the shared terms
+ * ordered by their contribution.
+ */
+function similarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let score = 0;
+  const terms = [];
+  for (const [term, w] of small) {
+    const other = large.get(term);
+    if (other) {
+      score += w * other;
+      terms.push([term, w * other]);
+    }
+  }
+  terms.sort((x, y) => y[1] - x[1]);
+  return { score, terms: terms.map(([term]) => term) };
+}
+
+module.exports = { tokenize, buildIndex, similarity };
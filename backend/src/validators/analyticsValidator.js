@@ -0,0 +1,21 @@
+const { z } = require("zod");
+
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Omitted bounds default to the last 30 days (see aiAnalyticsService)
+const AnalyticsRangeQuerySchema = z
+  .object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+  })
+  .refine((q) => !q.from || !q.to || q.from <= q.to, {
+    message: "from must be before to",
+    path: ["from"],
+  })
+  .refine((q) => !q.from || !q.to || q.to - q.from <= MAX_RANGE_DAYS * DAY_MS, {
+    message: `The range can span at most ${MAX_RANGE_DAYS} days`,
+    path: ["from"],
+  });
+
+module.exports = { AnalyticsRangeQuerySchema };
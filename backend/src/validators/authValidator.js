@@ -0,0 +1,10 @@
+const { z } = require("zod");
+
+// Only API keys can open a session; a JWT is already a session
+const SessionCreateSchema = z
+  .object({
+    api_key: z.string().trim().startsWith("pk_", "api_key must be an API key (pk_…)").max(200),
+  })
+  .strict();
+
+module.exports = { SessionCreateSchema };
@@ -0,0 +1,50 @@
+const { z } = require("zod");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+
+const MAX_BRIEF_LENGTH = 2000;
+const MAX_HEADCOUNT = 100000;
+
+// Priorities understood by the allocator (allocatorService PRIORITY_PROFILES)
+const SUSTAINABILITY_PRIORITIES = [
+  "maximum_plastic_reduction",
+  "carbon_neutral",
+  "cost_effective_green",
+  "premium_sustainability",
+  "balanced",
+];
+
+// Free text as pasted from a client email
+const BriefTextSchema = z
+  .string({ invalid_type_error: "brief must be a string" })
+  .trim()
+  .min(1, "brief must not be empty")
+  .max(MAX_BRIEF_LENGTH, `brief must be at most ${MAX_BRIEF_LENGTH} characters`);
+
+// POST /proposals/brief — preview the extraction before generating
+const BriefParseSchema = z
+  .object({
+    brief: BriefTextSchema,
+  })
+  .strict();
+
+// What briefService extracted. null / [] = not stated in the brief.
+// `matched` keeps the phrase each field was read from, for the preview.
+const BriefExtractionSchema = z
+  .object({
+    budget_limit: z.number().positive().finite().nullable(),
+    currency: z.enum(SUPPORTED_CURRENCIES).nullable(),
+    headcount: z.number().int().positive().max(MAX_HEADCOUNT).nullable(),
+    category_focus: z.array(z.string().min(1)).max(20),
+    priorities: z.array(z.enum(SUSTAINABILITY_PRIORITIES)),
+    exclusions: z.array(z.string().trim().min(1).max(40)).max(20),
+    matched: z.record(z.string(), z.string()),
+  })
+  .strict();
+
+module.exports = {
+  BriefTextSchema,
+  BriefParseSchema,
+  BriefExtractionSchema,
+  SUSTAINABILITY_PRIORITIES,
+  MAX_HEADCOUNT,
+};
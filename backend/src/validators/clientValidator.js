@@ -0,0 +1,68 @@
+const { z } = require("zod");
+const { ObjectIdSchema, CurrencySchema } = require("./proposalValidator");
+const { PRODUCT_CATEGORIES } = require("./productValidator");
+const { SUSTAINABILITY_PRIORITIES } = require("./briefValidator");
+
+const ContactSchema = z
+  .object({
+    name: z.string().trim().max(120).optional(),
+    email: z.union([z.string().trim().email("contact.email must be a valid email"), z.literal("")]).optional(),
+    phone: z.string().trim().max(30).optional(),
+  })
+  .strict();
+
+const PastOrderSchema = z
+  .object({
+    product_id: ObjectIdSchema,
+    name: z.string().trim().max(200).optional(),
+    quantity: z
+      .number({ required_error: "quantity is required" })
+      .int("quantity must be an integer")
+      .positive("quantity must be positive"),
+    ordered_at: z.coerce.date({ errorMap: () => ({ message: "ordered_at must be a date" }) }),
+  })
+  .strict();
+
+const uniqueIds = (ids) => new Set(ids).size === ids.length;
+
+// ─── Create (no extra keys) ──────────────────────────────────────────
+const ClientCreateSchema = z
+  .object({
+    name: z.string().trim().min(1, "name is required").max(120),
+    contact: ContactSchema.optional(),
+    // null = base currency
+    default_currency: CurrencySchema.nullable().optional(),
+    default_category_focus: z.array(z.enum(PRODUCT_CATEGORIES)).max(PRODUCT_CATEGORIES.length).optional(),
+    default_sustainability_priority: z.union([z.enum(SUSTAINABILITY_PRIORITIES), z.literal("")]).optional(),
+    excluded_product_ids: z
+      .array(ObjectIdSchema)
+      .max(200, "At most 200 excluded products")
+      .refine(uniqueIds, { message: "excluded_product_ids must be unique" })
+      .optional(),
+    // Replaces the whole history; accepted proposals are appended by the server
+    past_orders: z.array(PastOrderSchema).max(500, "At most 500 past orders").optional(),
+  })
+  .strict();
+
+// ─── Update (partial, but never empty) ───────────────────────────────
+const ClientUpdateSchema = ClientCreateSchema.partial().refine((data) => Object.keys(data).length > 0, {
+  message: "At least one field must be provided",
+});
+
+const ClientIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+// `q` matches the client or contact name anywhere (picker autocomplete)
+const ClientListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+  q: z.string().trim().min(1).max(120).optional(),
+});
+
+module.exports = {
+  ClientCreateSchema,
+  ClientUpdateSchema,
+  ClientIdParamsSchema,
+  ClientListQuerySchema,
+};
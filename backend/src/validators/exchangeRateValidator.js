@@ -0,0 +1,20 @@
+const { z } = require("zod");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+
+// PUT /exchange-rates — { rates: { USD: 83.25, EUR: 90.1 } }, in base
+// currency units per one unit of each currency. Omitted currencies keep
+// their current rate.
+const ExchangeRateUpdateSchema = z
+  .object({
+    rates: z
+      .record(
+        z.enum(SUPPORTED_CURRENCIES, {
+          errorMap: () => ({ message: `currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}` }),
+        }),
+        z.number().positive("rate must be positive").finite()
+      )
+      .refine((r) => Object.keys(r).length > 0, { message: "At least one rate is required" }),
+  })
+  .strict();
+
+module.exports = { ExchangeRateUpdateSchema };
@@ -0,0 +1,50 @@
+const { z } = require("zod");
+const { ObjectIdSchema } = require("./proposalValidator");
+
+const MAX_ARMS = 10;
+
+// Omitted fields keep the tenant's normal setup for that arm
+const ExperimentArmSchema = z
+  .object({
+    key: z
+      .string()
+      .trim()
+      .regex(/^[a-z0-9_-]{1,40}$/i, "key must be 1-40 letters, digits, _ or -"),
+    weight: z.number().positive("weight must be positive").max(1000).optional().default(1),
+    model: z.string().trim().min(1).max(100).optional(),
+    prompt_template_id: ObjectIdSchema.optional(),
+    temperature: z.number().min(0).max(2).optional(),
+  })
+  .strict();
+
+const ExperimentCreateSchema = z
+  .object({
+    name: z.string().trim().min(1, "name is required").max(120),
+    description: z.string().trim().max(500).optional(),
+    arms: z
+      .array(ExperimentArmSchema)
+      .min(2, "An experiment needs at least 2 arms")
+      .max(MAX_ARMS, `At most ${MAX_ARMS} arms`)
+      .refine((arms) => new Set(arms.map((a) => a.key)).size === arms.length, {
+        message: "arm keys must be unique",
+      }),
+    // Start right away (stops nothing: fails if another experiment runs)
+    start: z.boolean().optional().default(false),
+  })
+  .strict();
+
+const ExperimentIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+const ExperimentListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+  status: z.enum(["draft", "running", "stopped"]).optional(),
+});
+
+module.exports = {
+  ExperimentCreateSchema,
+  ExperimentIdParamsSchema,
+  ExperimentListQuerySchema,
+};
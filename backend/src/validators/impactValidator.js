@@ -0,0 +1,28 @@
+const { z } = require("zod");
+const { ObjectIdSchema } = require("./proposalValidator");
+
+// POST /impact/estimate — what-if lines; no budget, pricing or inventory checks
+const ImpactEstimateSchema = z
+  .object({
+    products: z
+      .array(
+        z
+          .object({
+            product_id: ObjectIdSchema,
+            quantity: z
+              .number({ required_error: "quantity is required" })
+              .int("quantity must be an integer")
+              .positive("quantity must be positive"),
+          })
+          .strict()
+      )
+      .min(1, "At least one product required")
+      .max(100, "At most 100 products")
+      .refine(
+        (items) => new Set(items.map((i) => i.product_id)).size === items.length,
+        { message: "Each product_id may appear only once" }
+      ),
+  })
+  .strict();
+
+module.exports = { ImpactEstimateSchema };
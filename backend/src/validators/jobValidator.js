@@ -0,0 +1,8 @@
+const { z } = require("zod");
+const { ObjectIdSchema } = require("./proposalValidator");
+
+const JobIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+module.exports = { JobIdParamsSchema };
@@ -0,0 +1,46 @@
+const { z } = require("zod");
+const { RegionSchema } = require("./proposalValidator");
+const { PRODUCT_CATEGORIES } = require("./productValidator");
+
+const TaxRateSchema = z
+  .number({ invalid_type_error: "tax rate must be a number" })
+  .min(0, "tax rate must be between 0 and 1")
+  .max(1, "tax rate must be between 0 and 1");
+
+const FeeSchema = z.number().nonnegative("fees must be non-negative").finite();
+
+// PUT /pricing — rates are fractions (0.18 = 18%), fees in the base
+// currency. Keys present replace the stored value (by_category and
+// by_region as whole maps); omitted keys are kept.
+const PricingPolicyUpdateSchema = z
+  .object({
+    tax: z
+      .object({
+        default_rate: TaxRateSchema,
+        by_category: z.record(
+          z.enum(PRODUCT_CATEGORIES, {
+            errorMap: () => ({ message: `category must be one of: ${PRODUCT_CATEGORIES.join(", ")}` }),
+          }),
+          TaxRateSchema
+        ),
+        by_region: z.record(RegionSchema, TaxRateSchema),
+      })
+      .partial()
+      .strict()
+      .optional(),
+    shipping: z
+      .object({
+        base_fee: FeeSchema,
+        per_unit_fee: FeeSchema,
+        free_above: FeeSchema,
+      })
+      .partial()
+      .strict()
+      .optional(),
+  })
+  .strict()
+  .refine((data) => data.tax !== undefined || data.shipping !== undefined, {
+    message: "At least one of tax or shipping is required",
+  });
+
+module.exports = { PricingPolicyUpdateSchema };
@@ -0,0 +1,125 @@
+const { z } = require("zod");
+const { ObjectIdSchema, CurrencySchema } = require("./proposalValidator");
+
+// ─── Known catalog categories ────────────────────────────────────────
+// Must stay in sync with the category checkboxes in ProposalForm.jsx.
+const PRODUCT_CATEGORIES = [
+  "Bags",
+  "Drinkware",
+  "Stationery",
+  "Apparel",
+  "Electronics",
+  "Kitchen",
+];
+
+const ImpactMetricsSchema = z
+  .object({
+    plastic_saved_per_unit: z
+      .number({ required_error: "plastic_saved_per_unit is required" })
+      .nonnegative("plastic_saved_per_unit must be non-negative"),
+    carbon_avoided_per_unit: z
+      .number({ required_error: "carbon_avoided_per_unit is required" })
+      .nonnegative("carbon_avoided_per_unit must be non-negative"),
+    // Optional so existing clients keep working; omitted = 0
+    water_saved_per_unit: z.number().nonnegative("water_saved_per_unit must be non-negative").optional(),
+    waste_diverted_per_unit: z.number().nonnegative("waste_diverted_per_unit must be non-negative").optional(),
+    energy_saved_per_unit: z.number().nonnegative("energy_saved_per_unit must be non-negative").optional(),
+    certifications: z
+      .array(z.string().trim().min(1, "certification must not be empty").max(40))
+      .max(10, "At most 10 certifications")
+      .refine((names) => new Set(names).size === names.length, {
+        message: "certifications must be unique",
+      })
+      .optional(),
+  })
+  .strict();
+
+// Ascending, distinct min_quantity; a break above the list price is
+// ignored by the pricing engine, so only the tiers' own order is checked.
+const PriceBreaksSchema = z
+  .array(
+    z
+      .object({
+        min_quantity: z.number().int().min(2, "min_quantity must be at least 2"),
+        unit_price: z.number().nonnegative("unit_price must be non-negative").finite(),
+      })
+      .strict()
+  )
+  .max(10, "At most 10 price breaks")
+  .refine(
+    (breaks) => breaks.every((b, i) => i === 0 || b.min_quantity > breaks[i - 1].min_quantity),
+    { message: "price_breaks must be sorted by ascending, distinct min_quantity" }
+  )
+  .refine(
+    (breaks) => breaks.every((b, i) => i === 0 || b.unit_price < breaks[i - 1].unit_price),
+    { message: "price_breaks unit_price must decrease as min_quantity grows" }
+  );
+
+// ─── Create (all fields required, no extra keys) ─────────────────────
+const ProductCreateSchema = z
+  .object({
+    name: z.string().trim().min(1, "name is required"),
+    category: z.enum(PRODUCT_CATEGORIES, {
+      errorMap: () => ({
+        message: `category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`,
+      }),
+    }),
+    description: z.string().trim().max(1000, "description must be at most 1000 characters").optional(),
+    unit_price: z
+      .number({
+        required_error: "unit_price is required",
+        invalid_type_error: "unit_price must be a number",
+      })
+      .nonnegative("unit_price must be non-negative")
+      .finite("unit_price must be finite"),
+    // Omitted = base currency
+    currency: CurrencySchema.optional(),
+    price_breaks: PriceBreaksSchema.optional(),
+    // Inventory; null clears a limit (not tracked / unlimited)
+    stock_on_hand: z.number().int().nonnegative("stock_on_hand must be non-negative").nullable().optional(),
+    moq: z.number().int().min(1, "moq must be at least 1").nullable().optional(),
+    max_order_qty: z.number().int().min(1, "max_order_qty must be at least 1").nullable().optional(),
+    lead_time_days: z.number().int().nonnegative("lead_time_days must be non-negative").nullable().optional(),
+    impact_metrics: ImpactMetricsSchema,
+  })
+  .strict();
+
+// ─── Update (partial, but never empty) ───────────────────────────────
+const ProductUpdateSchema = ProductCreateSchema.partial()
+  .extend({
+    impact_metrics: ImpactMetricsSchema.partial().optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided",
+  });
+
+const ProductIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+const ProductListQuerySchema = z
+  .object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+    category: z.enum(PRODUCT_CATEGORIES).optional(),
+    q: z.string().trim().min(1).optional(),
+    min_price: z.coerce.number().nonnegative().optional(),
+    max_price: z.coerce.number().nonnegative().optional(),
+  })
+  .refine(
+    (q) =>
+      q.min_price === undefined ||
+      q.max_price === undefined ||
+      q.min_price <= q.max_price,
+    { message: "min_price must be <= max_price", path: ["min_price"] }
+  );
+
+module.exports = {
+  PRODUCT_CATEGORIES,
+  ImpactMetricsSchema,
+  PriceBreaksSchema,
+  ProductCreateSchema,
+  ProductUpdateSchema,
+  ProductIdParamsSchema,
+  ProductListQuerySchema,
+};
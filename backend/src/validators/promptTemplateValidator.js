@@ -0,0 +1,64 @@
+const { z } = require("zod");
+const { ObjectIdSchema } = require("./proposalValidator");
+const {
+  SYSTEM_PROMPT_VARIABLES,
+  USER_PROMPT_VARIABLES,
+  REQUIRED_SYSTEM_VARIABLES,
+  templateVariables,
+} = require("../providers/promptTemplates");
+
+// Placeholders must be ones the prompt builder fills, so a typo fails
+// here instead of reaching the AI as literal {{text}}
+function checkVariables(template, allowed, path, ctx) {
+  const unknown = templateVariables(template).filter((name) => !Object.hasOwn(allowed, name));
+  if (unknown.length > 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [path],
+      message: `Unknown variables ${unknown.map((n) => `{{${n}}}`).join(", ")}; allowed: ${Object.keys(allowed).join(", ")}`,
+    });
+  }
+}
+
+// Omitted templates are copied from the built-in ones at creation
+const PromptTemplateCreateSchema = z
+  .object({
+    description: z.string().trim().max(500).optional(),
+    system_template: z.string().trim().min(1, "system_template must not be empty").max(20000).optional(),
+    user_template: z.string().trim().min(1, "user_template must not be empty").max(5000).optional(),
+    // Activate the new version right away
+    activate: z.boolean().optional().default(false),
+  })
+  .strict()
+  .superRefine((data, ctx) => {
+    if (data.system_template !== undefined) {
+      checkVariables(data.system_template, SYSTEM_PROMPT_VARIABLES, "system_template", ctx);
+      const used = templateVariables(data.system_template);
+      const missing = REQUIRED_SYSTEM_VARIABLES.filter((name) => !used.includes(name));
+      if (missing.length > 0) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["system_template"],
+          message: `system_template must include ${missing.map((n) => `{{${n}}}`).join(" and ")}`,
+        });
+      }
+    }
+    if (data.user_template !== undefined) {
+      checkVariables(data.user_template, USER_PROMPT_VARIABLES, "user_template", ctx);
+    }
+  });
+
+const PromptTemplateIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+const PromptTemplateListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+});
+
+module.exports = {
+  PromptTemplateCreateSchema,
+  PromptTemplateIdParamsSchema,
+  PromptTemplateListQuerySchema,
+};
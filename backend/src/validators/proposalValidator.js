@@ -1,26 +1,243 @@
 const { z } = require("zod");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+const { BriefTextSchema, MAX_HEADCOUNT } = require("./briefValidator");
+
+const CurrencySchema = z.enum(SUPPORTED_CURRENCIES, {
+  errorMap: () => ({ message: `currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}` }),
+});
+
+// Region code for tax lookup; normalised to upper case
+const RegionSchema = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(/^[A-Z0-9-]{2,10}$/, "region must be 2-10 letters, digits or dashes");
+
+const ObjectIdSchema = z
+  .string()
+  .regex(/^[a-f\d]{24}$/i, "must be a valid 24-character ObjectId");
+
+// ─── Variants (comparison bundles) ───────────────────────────────────
+// `variants: N` picks N of these tiers; an explicit list overrides the
+// priority and/or spends a fraction of budget_limit per variant.
+const VARIANT_TIERS = [
+  { label: "Cost-effective", sustainability_priority: "cost_effective_green", budget_fraction: 0.7 },
+  { label: "Balanced", sustainability_priority: "balanced", budget_fraction: 0.85 },
+  { label: "Premium", sustainability_priority: "premium_sustainability", budget_fraction: 1 },
+];
+const MAX_VARIANTS = 5;
+
+const VariantSchema = z
+  .object({
+    label: z.string().trim().min(1).max(40).optional(),
+    sustainability_priority: z.string().optional(),
+    budget_fraction: z
+      .number()
+      .gt(0, "budget_fraction must be greater than 0")
+      .max(1, "budget_fraction must be at most 1")
+      .optional(),
+  })
+  .strict();
+
+const VariantsSchema = z.union([
+  z.number().int().min(2, "variants must be at least 2").max(VARIANT_TIERS.length),
+  z.array(VariantSchema).min(2, "At least 2 variants required").max(MAX_VARIANTS),
+]);
 
 // ─── Incoming API request schema ─────────────────────────────────────
 // Input contract: preferences is a nested object containing
-// category_focus and sustainability_priority.
-const ProposalRequestSchema = z.object({
-  client_name: z.string().optional().default(""),
-  budget_limit: z
-    .number({
-      required_error: "budget_limit is required",
-      invalid_type_error: "budget_limit must be a number",
-    })
-    .positive("budget_limit must be a positive number")
-    .finite("budget_limit must be finite"),
-  preferences: z
-    .object({
-      category_focus: z.array(z.string()).optional().default([]),
-      sustainability_priority: z.string().optional().default(""),
-    })
-    .optional()
-    .default({}),
+// category_focus and sustainability_priority. budget_limit may be left
+// out when the brief states one (briefService fills it in).
+const ProposalRequestSchema = z
+  .object({
+    client_name: z.string().optional().default(""),
+    budget_limit: z
+      .number({
+        invalid_type_error: "budget_limit must be a number",
+      })
+      .positive("budget_limit must be a positive number")
+      .finite("budget_limit must be finite")
+      .optional(),
+    preferences: z
+      .object({
+        category_focus: z.array(z.string()).optional().default([]),
+        sustainability_priority: z.string().optional().default(""),
+        // Free text ranked against product names/descriptions (catalogRetrievalService)
+        client_needs: z.string().trim().max(1000).optional().default(""),
+        // Recipients; quantities are planned around it
+        headcount: z.number().int().positive().max(MAX_HEADCOUNT).optional(),
+        // Products whose name or category mentions one of these are not offered
+        exclusions: z.array(z.string().trim().min(1).max(40)).max(20).optional().default([]),
+      })
+      .optional()
+      .default({}),
+    // Free-text client brief; empty fields above are filled from it
+    brief: BriefTextSchema.optional(),
+    // Client account (POST /api/v1/clients); its defaults fill what the
+    // request and brief leave empty, and its recent orders are not offered
+    client_id: ObjectIdSchema.optional(),
+    // "ai" (default) asks the LLM; "deterministic" skips it and uses the
+    // server-side allocator directly.
+    mode: z.enum(["ai", "deterministic"]).optional().default("ai"),
+    // Currency of budget_limit and of every price in the proposal.
+    // Defaults to the base currency (BASE_CURRENCY).
+    currency: CurrencySchema.optional(),
+    // Delivery region for tax (see PUT /api/v1/pricing), e.g. "KA", "EU"
+    region: RegionSchema.optional(),
+    // Generate a comparison bundle of 2+ proposals instead of one
+    variants: VariantsSchema.optional(),
+  })
+  .refine((r) => r.budget_limit !== undefined || r.brief, {
+    message: "budget_limit is required",
+    path: ["budget_limit"],
+  });
+
+// ─── Proposal read/list schemas ──────────────────────────────────────
+// Query strings arrive as text, so numeric and date filters are coerced.
+const BooleanQuerySchema = z
+  .enum(["true", "false"])
+  .optional()
+  .default("false")
+  .transform((v) => v === "true");
+
+// POST /generate?async=true → enqueue and return a job id (HTTP 202)
+const GenerateQuerySchema = z.object({
+  async: BooleanQuerySchema,
+});
+
+const ProposalIdParamsSchema = z.object({
+  id: ObjectIdSchema,
+});
+
+const ProposalReadQuerySchema = z.object({
+  include_ai_metadata: BooleanQuerySchema,
+});
+
+// ─── Lifecycle ───────────────────────────────────────────────────────
+// draft → sent → accepted | rejected | expired; draft and sent can also
+// be cancelled. accepted, rejected, expired and cancelled are terminal.
+const PROPOSAL_STATUSES = ["draft", "sent", "accepted", "rejected", "expired", "cancelled"];
+
+const STATUS_TRANSITIONS = {
+  draft: ["sent", "cancelled"],
+  sent: ["accepted", "rejected", "expired", "cancelled"],
+  accepted: [],
+  rejected: [],
+  expired: [],
+  cancelled: [],
+};
+
+const ProposalStatusSchema = z.enum(PROPOSAL_STATUSES, {
+  errorMap: () => ({ message: `status must be one of: ${PROPOSAL_STATUSES.join(", ")}` }),
 });
 
+const ProposalTransitionSchema = z
+  .object({
+    status: ProposalStatusSchema,
+    comment: z.string().trim().max(500).optional().default(""),
+    // Decrement stock on accept; defaults to RESERVE_STOCK_ON_ACCEPT
+    reserve_stock: z.boolean().optional(),
+  })
+  .strict()
+  .refine((t) => t.reserve_stock === undefined || t.status === "accepted", {
+    message: "reserve_stock only applies when accepting",
+    path: ["reserve_stock"],
+  });
+
+// Filters shared by the history list and the bulk export
+const ProposalFilterFields = {
+  client_name: z.string().trim().min(1).optional(),
+  created_from: z.coerce.date().optional(),
+  created_to: z.coerce.date().optional(),
+  min_budget: z.coerce.number().nonnegative().optional(),
+  max_budget: z.coerce.number().nonnegative().optional(),
+  min_confidence: z.coerce.number().min(0).max(1).optional(),
+  // Every variant of one comparison bundle
+  comparison_id: ObjectIdSchema.optional(),
+  client_id: ObjectIdSchema.optional(),
+  // One status or a comma-separated list: ?status=sent,accepted
+  status: z
+    .string()
+    .transform((v) => v.split(",").map((s) => s.trim()).filter(Boolean))
+    .pipe(z.array(ProposalStatusSchema).min(1))
+    .optional(),
+};
+
+function withFilterRangeChecks(schema) {
+  return schema
+    .refine(
+      (q) => !q.created_from || !q.created_to || q.created_from <= q.created_to,
+      { message: "created_from must be before created_to", path: ["created_from"] }
+    )
+    .refine(
+      (q) =>
+        q.min_budget === undefined ||
+        q.max_budget === undefined ||
+        q.min_budget <= q.max_budget,
+      { message: "min_budget must be <= max_budget", path: ["min_budget"] }
+    );
+}
+
+const ProposalListQuerySchema = withFilterRangeChecks(
+  z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+    ...ProposalFilterFields,
+    include_ai_metadata: BooleanQuerySchema,
+  })
+);
+
+const ExportFormatSchema = z
+  .enum(["csv", "xlsx"], {
+    errorMap: () => ({ message: "format must be csv or xlsx" }),
+  })
+  .optional()
+  .default("csv");
+
+const ProposalExportQuerySchema = z.object({
+  format: ExportFormatSchema,
+});
+
+const ProposalBulkExportQuerySchema = withFilterRangeChecks(
+  z.object({
+    ...ProposalFilterFields,
+    format: ExportFormatSchema,
+    // Exports are paged by MAX_EXPORT_PROPOSALS, newest first
+    page: z.coerce.number().int().min(1).optional().default(1),
+  })
+);
+
+// ─── Revision (PATCH /proposals/:id) ─────────────────────────────────
+// `products` is the complete desired line-item list: omit a product to
+// remove it. name/unit_price are optional; when sent they must still
+// match the catalog, so a stale client view is rejected rather than saved.
+const RevisionLineItemSchema = z
+  .object({
+    product_id: ObjectIdSchema,
+    quantity: z
+      .number({ required_error: "quantity is required" })
+      .int("quantity must be an integer")
+      .positive("quantity must be positive"),
+    name: z.string().min(1).optional(),
+    unit_price: z.number().nonnegative().optional(),
+  })
+  .strict();
+
+const ProposalRevisionSchema = z
+  .object({
+    products: z
+      .array(RevisionLineItemSchema)
+      .min(1, "At least one product required")
+      .refine(
+        (items) => new Set(items.map((i) => i.product_id)).size === items.length,
+        { message: "Each product_id may appear only once" }
+      ),
+    comment: z.string().trim().max(500).optional().default(""),
+    // Optimistic concurrency: reject if someone else revised first
+    expected_revision: z.number().int().nonnegative().optional(),
+  })
+  .strict();
+
 // ─── Strict AI output schema (no extra keys allowed) ─────────────────
 const AIProductSchema = z.object({
   product_id: z.string().min(1, "product_id must be non-empty"),
@@ -47,6 +264,21 @@ const AIResponseSchema = z
   .strict();
 
 module.exports = {
+  CurrencySchema,
+  RegionSchema,
   ProposalRequestSchema,
+  ObjectIdSchema,
+  BooleanQuerySchema,
+  GenerateQuerySchema,
+  ProposalIdParamsSchema,
+  ProposalReadQuerySchema,
+  ProposalListQuerySchema,
+  ProposalExportQuerySchema,
+  ProposalBulkExportQuerySchema,
+  ProposalRevisionSchema,
+  ProposalTransitionSchema,
+  PROPOSAL_STATUSES,
+  STATUS_TRANSITIONS,
   AIResponseSchema,
+  VARIANT_TIERS,
 };
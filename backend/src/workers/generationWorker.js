@@ -0,0 +1,54 @@
+const config = require("../config");
+const { processNextJob } = require("../services/jobService");
+
+/**
+ * In-process generation worker.
+ *
+ * Polls the GenerationJob collection and runs one job at a time, so a
+ * local server needs no external queue service. kick() skips the wait
+ * after an enqueue.
+ */
+
+let running = false;
+let busy = false;
+let timer = null;
+
+function schedule(delayMs) {
+  if (!running) return;
+  clearTimeout(timer);
+  timer = setTimeout(tick, delayMs);
+}
+
+async function tick() {
+  if (!running || busy) return;
+  busy = true;
+  let processed = null;
+  try {
+    processed = await processNextJob();
+  } catch (err) {
+    console.error("[Worker] Job processing error:", err.message);
+  } finally {
+    busy = false;
+  }
+  // Drain back-to-back while there is work; otherwise wait a poll interval
+  schedule(processed ? 0 : config.jobs.pollIntervalMs);
+}
+
+function startWorker() {
+  if (running) return;
+  running = true;
+  console.log(`[Worker] Started (poll every ${config.jobs.pollIntervalMs}ms)`);
+  schedule(0);
+}
+
+function stopWorker() {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+}
+
+function kick() {
+  if (running && !busy) schedule(0);
+}
+
+module.exports = { startWorker, stopWorker, kick };
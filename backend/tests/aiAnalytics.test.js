@@ -0,0 +1,167 @@
+/**
+ * AI Analytics Tests — Module 2
+ *
+ * Run:  node --test tests/aiAnalytics.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const AILog = require("../src/models/AILog");
+const Proposal = require("../src/models/Proposal");
+const { parseAndValidate } = require("../src/services/proposalService");
+const {
+  getGenerationsPerDay,
+  getFailureReasons,
+  getRetriesPerProposal,
+  getCorrections,
+} = require("../src/services/aiAnalyticsService");
+const { AnalyticsRangeQuerySchema } = require("../src/validators/analyticsValidator");
+
+const productMap = new Map([
+  ["p1", { _id: "p1", name: "Cotton Tote Bag", category: "Bags", unit_price: 700 }],
+  ["p2", { _id: "p2", name: "Steel Water Bottle", category: "Drinkware", unit_price: 1250 }],
+]);
+
+function aiResponse(overrides = {}) {
+  const products = [
+    { product_id: "p1", name: "Cotton Tote Bag", quantity: 10, unit_price: 700, total_cost: 7000 },
+    { product_id: "p2", name: "Steel Water Bottle", quantity: 4, unit_price: 1250, total_cost: 5000 },
+  ];
+  return JSON.stringify({
+    proposal_summary: "s",
+    total_budget_limit: 15000,
+    allocated_budget: 12000,
+    products,
+    impact_summary: "i",
+    confidence_score: 0.8,
+    ...overrides,
+  });
+}
+
+const range = { from: new Date("2026-10-01T00:00:00Z"), to: new Date("2026-10-03T12:00:00Z") };
+
+const originalLogAggregate = AILog.aggregate;
+const originalProposalAggregate = Proposal.aggregate;
+afterEach(() => {
+  AILog.aggregate = originalLogAggregate;
+  Proposal.aggregate = originalProposalAggregate;
+});
+
+describe("attempt outcomes", () => {
+  it("tags validation failures with a reason", () => {
+    const reasonOf = (raw) => {
+      try {
+        parseAndValidate(raw, productMap, 15000);
+      } catch (err) {
+        return err.reason;
+      }
+      return null;
+    };
+    assert.equal(reasonOf("not json"), "json_parse");
+    assert.equal(reasonOf(aiResponse({ confidence_score: 2 })), "schema");
+    assert.equal(
+      reasonOf(aiResponse({ products: [{ product_id: "p1", name: "Tote", quantity: 1, unit_price: 700, total_cost: 700 }] })),
+      "name_mismatch"
+    );
+    assert.equal(
+      reasonOf(aiResponse({ products: [{ product_id: "p1", name: "Cotton Tote Bag", quantity: 1, unit_price: 1, total_cost: 1 }] })),
+      "price_mismatch"
+    );
+    assert.equal(reasonOf(aiResponse({ total_budget_limit: 9000 })), "budget_limit_mismatch");
+    assert.equal(
+      reasonOf(aiResponse({ products: [{ product_id: "p2", name: "Steel Water Bottle", quantity: 20, unit_price: 1250, total_cost: 25000 }] })),
+      "budget_exceeded"
+    );
+  });
+
+  it("counts total_cost and allocated_budget corrections", () => {
+    const corrections = { total_cost: 0, allocated_budget: false };
+    const raw = aiResponse({
+      allocated_budget: 11000,
+      products: [
+        { product_id: "p1", name: "Cotton Tote Bag", quantity: 10, unit_price: 700, total_cost: 6000 },
+        { product_id: "p2", name: "Steel Water Bottle", quantity: 4, unit_price: 1250, total_cost: 5000 },
+      ],
+    });
+    const data = parseAndValidate(raw, productMap, 15000, { corrections });
+    assert.deepEqual(corrections, { total_cost: 1, allocated_budget: true });
+    assert.equal(data.allocated_budget, 12000);
+  });
+});
+
+describe("aiAnalyticsService", () => {
+  it("reports every day of the range by engine", async () => {
+    Proposal.aggregate = async (pipeline) => {
+      assert.deepEqual(pipeline[0].$match, { tenant_id: "t1", created_at: { $gte: range.from, $lte: range.to } });
+      return [{ _id: "2026-10-02", proposals: 5, ai: 3, fallback: 1 }];
+    };
+    AILog.aggregate = async () => [{ _id: "2026-10-02", ai_calls: 6, failed_attempts: 2, tokens: 4200 }];
+
+    const result = await getGenerationsPerDay(range, { tenant_id: "t1" });
+    assert.deepEqual(result.days.map((d) => d.date), ["2026-10-01", "2026-10-02", "2026-10-03"]);
+    assert.deepEqual(result.days[1], {
+      date: "2026-10-02",
+      proposals: 5,
+      ai: 3,
+      fallback: 1,
+      deterministic: 1,
+      ai_calls: 6,
+      failed_attempts: 2,
+      tokens: 4200,
+    });
+    assert.equal(result.days[0].proposals, 0);
+  });
+
+  it("groups failed attempts by reason", async () => {
+    AILog.aggregate = async () => [
+      { _id: { outcome: "passed", reason: null }, count: 6, example: null },
+      { _id: { outcome: "failed", reason: "name_mismatch" }, count: 3, example: "Name mismatch for p1" },
+      { _id: { outcome: "failed", reason: null }, count: 1, example: "odd" },
+    ];
+    const result = await getFailureReasons(range, { tenant_id: "t1" });
+    assert.equal(result.attempts, 10);
+    assert.equal(result.failed, 4);
+    assert.equal(result.failure_rate, 0.4);
+    assert.deepEqual(result.reasons[0], {
+      reason: "name_mismatch",
+      count: 3,
+      share: 0.75,
+      example: "Name mismatch for p1",
+    });
+    assert.equal(result.reasons.find((r) => r.reason === "other").count, 1);
+    assert.equal(result.reasons.find((r) => r.reason === "budget_exceeded").count, 0);
+  });
+
+  it("distributes proposals by AI calls taken", async () => {
+    Proposal.aggregate = async () => [
+      { _id: 1, proposals: 6, fallback: 0 },
+      { _id: 3, proposals: 2, fallback: 1 },
+    ];
+    const result = await getRetriesPerProposal(range, { tenant_id: "t1" });
+    assert.equal(result.proposals, 8);
+    assert.equal(result.avg_attempts, 1.5);
+    assert.equal(result.first_attempt_rate, 0.75);
+    assert.deepEqual(result.distribution.map((d) => [d.retries, d.proposals]), [[0, 6], [1, 0], [2, 2]]);
+  });
+
+  it("reports correction rates over passed attempts", async () => {
+    AILog.aggregate = async () => [
+      { _id: null, passed: 8, total_cost_attempts: 2, total_cost_lines: 5, allocated_budget_attempts: 4 },
+    ];
+    const result = await getCorrections(range, { tenant_id: "t1" });
+    assert.deepEqual(result.total_cost, { attempts: 2, lines: 5, rate: 0.25 });
+    assert.deepEqual(result.allocated_budget, { attempts: 4, rate: 0.5 });
+
+    AILog.aggregate = async () => [];
+    assert.equal((await getCorrections(range, { tenant_id: "t1" })).total_cost.rate, null);
+  });
+});
+
+describe("AnalyticsRangeQuerySchema", () => {
+  it("checks the order and span of the range", () => {
+    assert.equal(AnalyticsRangeQuerySchema.safeParse({}).success, true);
+    assert.equal(AnalyticsRangeQuerySchema.safeParse({ from: "2026-10-05", to: "2026-10-01" }).success, false);
+    assert.equal(AnalyticsRangeQuerySchema.safeParse({ from: "2024-01-01", to: "2026-01-01" }).success, false);
+    assert.equal(AnalyticsRangeQuerySchema.safeParse({ from: "nope" }).success, false);
+  });
+});
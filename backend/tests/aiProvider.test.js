@@ -0,0 +1,238 @@
+/**
+ * AI Provider Registry & Retry Tests — Module 2
+ *
+ * Run:  node --test tests/aiProvider.test.js
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  callWithRetry,
+  buildSystemPrompt,
+  buildPromptContext,
+  ProviderRateLimitError,
+  DeadlineExceededError,
+} = require("../src/providers/aiProvider");
+const { getProvider, listProviders } = require("../src/providers/registry");
+const { setMockResponses, MOCK_MODEL } = require("../src/providers/mockProvider");
+const { AIResponseSchema } = require("../src/validators/proposalValidator");
+
+const FAST_RETRY = { maxRetries: 3, retryDelayMs: 1, rateLimitMinDelayMs: 1 };
+
+// Fake provider: plays back a script of results/errors, one per attempt
+function makeScriptedProvider(name, script, requests = []) {
+  let calls = 0;
+  return {
+    name,
+    label: name,
+    model: `${name}-model`,
+    get calls() {
+      return calls;
+    },
+    async complete(request) {
+      requests.push(request);
+      const step = script[Math.min(calls, script.length - 1)];
+      calls++;
+      if (step instanceof Error || step.response) throw step;
+      return step;
+    },
+  };
+}
+
+function httpError(status, headers = {}) {
+  const err = new Error(`HTTP ${status}`);
+  err.response = { status, headers, data: {} };
+  return err;
+}
+
+const fakeCatalog = [
+  { _id: "p1", name: "Recycled Cotton Tote Bag", category: "Bags", unit_price: 699 },
+  { _id: "p2", name: "Stainless Steel Water Bottle", category: "Drinkware", unit_price: 1249 },
+  { _id: "p3", name: "Bamboo Ballpoint Pen", category: "Stationery", unit_price: 269 },
+  { _id: "p4", name: "Bamboo Fiber Lunch Box", category: "Kitchen", unit_price: 1499 },
+];
+
+describe("Provider registry", () => {
+  it("registers the built-in providers", () => {
+    const names = listProviders();
+    for (const name of ["groq", "openai", "ollama", "mock"]) {
+      assert.ok(names.includes(name), `${name} should be registered`);
+    }
+  });
+
+  it("throws for an unknown provider", () => {
+    assert.throws(() => getProvider("nope"), /Unknown AI provider: nope/);
+  });
+
+  it("providers share the same interface", () => {
+    for (const name of listProviders()) {
+      const provider = getProvider(name);
+      assert.equal(provider.name, name);
+      assert.equal(typeof provider.complete, "function");
+      assert.equal(typeof provider.model, "string");
+    }
+  });
+});
+
+describe("callWithRetry", () => {
+  it("returns trimmed content, model and token usage on success", async () => {
+    const provider = makeScriptedProvider("ok", [
+      { content: "  {}  ", model: "m1", usage: { prompt_tokens: 120, completion_tokens: 30 } },
+    ]);
+    const result = await callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY });
+    assert.deepEqual(result, {
+      rawContent: "{}",
+      model: "m1",
+      provider: "ok",
+      usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+    });
+  });
+
+  it("records zero usage when the provider reports none", async () => {
+    const provider = makeScriptedProvider("nousage", [{ content: "{}" }]);
+    const result = await callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY });
+    assert.deepEqual(result.usage, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  });
+
+  it("retries on 5xx then succeeds", async () => {
+    const provider = makeScriptedProvider("flaky", [httpError(503), { content: "{}" }]);
+    const result = await callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY });
+    assert.equal(provider.calls, 2);
+    assert.equal(result.model, "flaky-model");
+  });
+
+  it("reports each scheduled retry through onRetry", async () => {
+    const provider = makeScriptedProvider("noisy", [httpError(500), httpError(502), { content: "{}" }]);
+    const retries = [];
+    await callWithRetry(provider, "sys", "user", {
+      retryPolicy: FAST_RETRY,
+      onRetry: (info) => retries.push(info),
+    });
+    assert.deepEqual(
+      retries.map((r) => [r.provider, r.attempt, r.reason]),
+      [
+        ["noisy", 1, "provider_error"],
+        ["noisy", 2, "provider_error"],
+      ]
+    );
+    assert.equal(retries[1].delay_ms, 2);
+  });
+
+  it("does not retry on 4xx", async () => {
+    const provider = makeScriptedProvider("bad", [httpError(401)]);
+    await assert.rejects(
+      callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY }),
+      /bad API error/
+    );
+    assert.equal(provider.calls, 1);
+  });
+
+  it("rejects empty content without retrying", async () => {
+    const provider = makeScriptedProvider("empty", [{ content: "" }]);
+    await assert.rejects(
+      callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY }),
+      /returned empty content/
+    );
+    assert.equal(provider.calls, 1);
+  });
+
+  it("throws ProviderRateLimitError tagged with the provider name on 429", async () => {
+    const provider = makeScriptedProvider("limited", [httpError(429, { "retry-after": "2" })]);
+    await assert.rejects(
+      callWithRetry(provider, "sys", "user", {
+        retryPolicy: { ...FAST_RETRY, maxRetries: 1 },
+      }),
+      (err) =>
+        err instanceof ProviderRateLimitError &&
+        err.provider === "limited" &&
+        err.retryAfterMs === 2500
+    );
+  });
+});
+
+describe("callWithRetry deadline", () => {
+  it("cuts the request timeout to the time left", async () => {
+    const requests = [];
+    const provider = makeScriptedProvider("timed", [{ content: "{}" }], requests);
+    await callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY, deadline: Date.now() + 5000 });
+    assert.ok(requests[0].timeoutMs > 0 && requests[0].timeoutMs <= 5000);
+
+    await callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY });
+    assert.equal(requests[1].timeoutMs, undefined);
+  });
+
+  it("does not schedule a retry past the deadline", async () => {
+    const provider = makeScriptedProvider("slow", [httpError(503), { content: "{}" }]);
+    await assert.rejects(
+      callWithRetry(provider, "sys", "user", {
+        retryPolicy: { ...FAST_RETRY, retryDelayMs: 10000 },
+        deadline: Date.now() + 5000,
+      }),
+      DeadlineExceededError
+    );
+    assert.equal(provider.calls, 1);
+  });
+
+  it("starts no call once the deadline has passed", async () => {
+    const provider = makeScriptedProvider("late", [{ content: "{}" }]);
+    await assert.rejects(
+      callWithRetry(provider, "sys", "user", { retryPolicy: FAST_RETRY, deadline: Date.now() - 1 }),
+      DeadlineExceededError
+    );
+    assert.equal(provider.calls, 0);
+  });
+});
+
+describe("Mock provider", () => {
+  beforeEach(() => setMockResponses(null));
+
+  it("synthesizes a schema-valid, in-budget proposal from the catalog", async () => {
+    const budget = 50000;
+    const systemPrompt = buildSystemPrompt(fakeCatalog, budget);
+    const context = buildPromptContext(fakeCatalog, budget);
+    const { content, model } = await getProvider("mock").complete({ systemPrompt, context });
+
+    assert.equal(model, MOCK_MODEL);
+    const parsed = AIResponseSchema.parse(JSON.parse(content));
+    assert.equal(parsed.total_budget_limit, budget);
+    assert.ok(parsed.allocated_budget <= budget * 0.95);
+    assert.ok(parsed.allocated_budget >= budget * 0.7);
+    assert.ok(new Set(parsed.products.map((p) => p.product_id)).size >= 3);
+  });
+
+  it("is deterministic", async () => {
+    const systemPrompt = buildSystemPrompt(fakeCatalog, 20000);
+    const context = buildPromptContext(fakeCatalog, 20000);
+    const mock = getProvider("mock");
+    const a = await mock.complete({ systemPrompt, context });
+    const b = await mock.complete({ systemPrompt, context });
+    assert.equal(a.content, b.content);
+  });
+
+  it("plans from the request context, not the prompt's wording", async () => {
+    const context = buildPromptContext(fakeCatalog, 20000);
+    const mock = getProvider("mock");
+    const standard = await mock.complete({ systemPrompt: buildSystemPrompt(fakeCatalog, 20000), context });
+    const reworded = await mock.complete({ systemPrompt: "Spend at most twenty thousand on {{catalog}}.", context });
+    assert.equal(reworded.content, standard.content);
+    assert.equal(JSON.parse(reworded.content).total_budget_limit, 20000);
+
+    await assert.rejects(mock.complete({ systemPrompt: "" }), /request context/);
+  });
+
+  it("receives the context through callWithRetry", async () => {
+    const requests = [];
+    const provider = makeScriptedProvider("ctx", [{ content: "{}" }], requests);
+    const context = buildPromptContext(fakeCatalog, 20000);
+    await callWithRetry(provider, "s", "u", { retryPolicy: FAST_RETRY, context });
+    assert.equal(requests[0].context, context);
+  });
+
+  it("replays fixture responses in order", async () => {
+    setMockResponses(["not json", { proposal_summary: "x" }]);
+    const mock = getProvider("mock");
+    assert.equal((await mock.complete({ systemPrompt: "" })).content, "not json");
+    assert.equal((await mock.complete({ systemPrompt: "" })).content, '{"proposal_summary":"x"}');
+    assert.equal((await mock.complete({ systemPrompt: "" })).content, "not json");
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Deterministic Allocator Tests — Module 2
+ *
+ * Run:  node --test tests/allocator.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { allocateDeterministic, solveBoundedKnapsack } = require("../src/services/allocatorService");
+const { parseAndValidate, ValidationError } = require("../src/services/proposalService");
+const { AIResponseSchema } = require("../src/validators/proposalValidator");
+
+// Mirrors seedProducts.js with fixed ids
+function makeCatalog() {
+  const rows = [
+    ["Recycled Cotton Tote Bag", "Bags", 699, 0.3, 1.2],
+    ["Stainless Steel Water Bottle", "Drinkware", 1249, 0.5, 2.1],
+    ["Bamboo Ballpoint Pen", "Stationery", 269, 0.05, 0.15],
+    ["Recycled Paper Notebook", "Stationery", 499, 0.1, 0.8],
+    ["Ceramic Travel Mug", "Drinkware", 999, 0.4, 1.5],
+    ["Organic Cotton T-Shirt", "Apparel", 1799, 0.2, 3.5],
+    ["Recycled Polyester Cap", "Apparel", 1149, 0.6, 1.8],
+    ["Portable Solar Phone Charger", "Electronics", 2899, 0.25, 5.0],
+    ["Bamboo Fiber Lunch Box", "Kitchen", 1499, 0.8, 2.0],
+    ["Reusable Metal Straw Set (4-pack)", "Kitchen", 599, 1.0, 0.5],
+  ];
+  return rows.map(([name, category, unit_price, plastic, carbon], i) => ({
+    _id: `p${String(i).padStart(2, "0")}`,
+    name,
+    category,
+    unit_price,
+    impact_metrics: { plastic_saved_per_unit: plastic, carbon_avoided_per_unit: carbon },
+  }));
+}
+
+function categoriesOf(result, catalog) {
+  const byId = new Map(catalog.map((p) => [p._id, p]));
+  return new Set(result.products.map((l) => byId.get(l.product_id).category));
+}
+
+describe("allocateDeterministic", () => {
+  const catalog = makeCatalog();
+
+  it("produces a schema-valid proposal inside the 70–95% band", () => {
+    const result = allocateDeterministic({ products: catalog, budget_limit: 50000 });
+    assert.equal(AIResponseSchema.safeParse(result).success, true);
+    assert.ok(result.allocated_budget >= 35000, `allocated ${result.allocated_budget}`);
+    assert.ok(result.allocated_budget <= 47500, `allocated ${result.allocated_budget}`);
+  });
+
+  it("spreads across at least 3 categories", () => {
+    const result = allocateDeterministic({ products: catalog, budget_limit: 20000 });
+    assert.ok(categoriesOf(result, catalog).size >= 3);
+  });
+
+  it("includes every category_focus category", () => {
+    const focus = ["Apparel", "Electronics", "Kitchen", "Bags"];
+    const result = allocateDeterministic({
+      products: catalog,
+      budget_limit: 60000,
+      category_focus: focus,
+    });
+    const cats = categoriesOf(result, catalog);
+    for (const c of focus) assert.ok(cats.has(c), `missing ${c}`);
+  });
+
+  it("weights plastic vs carbon by sustainability_priority", () => {
+    const byId = new Map(catalog.map((p) => [p._id, p]));
+    const total = (result, metric) =>
+      result.products.reduce(
+        (sum, l) => sum + byId.get(l.product_id).impact_metrics[metric] * l.quantity,
+        0
+      );
+    const plastic = allocateDeterministic({
+      products: catalog,
+      budget_limit: 50000,
+      sustainability_priority: "maximum_plastic_reduction",
+    });
+    const carbon = allocateDeterministic({
+      products: catalog,
+      budget_limit: 50000,
+      sustainability_priority: "carbon_neutral",
+    });
+    assert.ok(total(plastic, "plastic_saved_per_unit") > total(carbon, "plastic_saved_per_unit"));
+    assert.ok(total(carbon, "carbon_avoided_per_unit") > total(plastic, "carbon_avoided_per_unit"));
+  });
+
+  it("values water, waste and energy savings", () => {
+    const saver = {
+      ...catalog[1],
+      _id: "saver",
+      name: "Filtered Water Bottle",
+      impact_metrics: {
+        ...catalog[1].impact_metrics,
+        water_saved_per_unit: 300,
+        waste_diverted_per_unit: 1.5,
+        energy_saved_per_unit: 4,
+      },
+    };
+    const result = allocateDeterministic({ products: [...catalog, saver], budget_limit: 50000 });
+    const qty = (id) => result.products.find((l) => l.product_id === id)?.quantity || 0;
+    assert.ok(qty("saver") > qty(catalog[1]._id), `saver ${qty("saver")} vs ${qty(catalog[1]._id)}`);
+  });
+
+  it("is deterministic", () => {
+    const a = allocateDeterministic({ products: catalog, budget_limit: 33333 });
+    const b = allocateDeterministic({ products: catalog, budget_limit: 33333 });
+    assert.deepEqual(a, b);
+  });
+
+  it("passes the same business validation as AI output", () => {
+    const result = allocateDeterministic({ products: catalog, budget_limit: 25000 });
+    const productMap = new Map(catalog.map((p) => [p._id, p]));
+    const validated = parseAndValidate(JSON.stringify(result), productMap, 25000);
+    assert.equal(validated.allocated_budget, result.allocated_budget);
+  });
+
+  it("rejects a budget too small for 3 categories", () => {
+    assert.throws(
+      () => allocateDeterministic({ products: catalog, budget_limit: 800 }),
+      (e) => e instanceof ValidationError
+    );
+  });
+
+  it("tops up from other categories when stock keeps it under 70%", () => {
+    const impact = (plastic) => ({ plastic_saved_per_unit: plastic, carbon_avoided_per_unit: plastic });
+    const scarce = [
+      { _id: "a", name: "A", category: "Bags", unit_price: 1000, stock_on_hand: 5, impact_metrics: impact(1) },
+      { _id: "b", name: "B", category: "Drinkware", unit_price: 1000, stock_on_hand: 5, impact_metrics: impact(1) },
+      { _id: "c", name: "C", category: "Stationery", unit_price: 1000, stock_on_hand: 5, impact_metrics: impact(1) },
+      { _id: "d", name: "D", category: "Kitchen", unit_price: 1000, impact_metrics: impact(0) },
+    ];
+    const result = allocateDeterministic({ products: scarce, budget_limit: 40000 });
+    assert.ok(result.allocated_budget >= 28000, `allocated ${result.allocated_budget}`);
+    assert.ok(result.allocated_budget <= 38000, `allocated ${result.allocated_budget}`);
+    assert.ok(result.products.some((l) => l.product_id === "d"));
+    assert.match(result.proposal_summary, /4 categories/);
+  });
+});
+
+describe("solveBoundedKnapsack", () => {
+  it("respects capacity and per-item bounds", () => {
+    const quantities = solveBoundedKnapsack(
+      [
+        { key: "a", cost: 300, value: 10, bound: 2 },
+        { key: "b", cost: 100, value: 1, bound: 50 },
+      ],
+      1000
+    );
+    assert.equal(quantities.get("a"), 2);
+    const cost = 300 * quantities.get("a") + 100 * (quantities.get("b") || 0);
+    assert.ok(cost <= 1000);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Attempt Log Tests — Module 2
+ *
+ * Run:  node --test tests/attemptLog.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const AILog = require("../src/models/AILog");
+const Proposal = require("../src/models/Proposal");
+const { correlationId } = require("../src/middleware/correlationId");
+const { getProposalAttempts } = require("../src/services/proposalQueryService");
+const { NotFoundError } = require("../src/errors");
+
+const PROPOSAL_ID = "65f0000000000000000000a1";
+const LOG_1 = "65f0000000000000000000b1";
+const LOG_2 = "65f0000000000000000000b2";
+
+const query = (value) => ({ lean: async () => value });
+const id = (value) => ({ toString: () => value });
+
+function runMiddleware(headers = {}) {
+  const req = { get: (name) => headers[name.toLowerCase()] };
+  const sent = {};
+  const res = { set: (name, value) => (sent[name] = value) };
+  let called = false;
+  correlationId(req, res, () => (called = true));
+  return { req, sent, called };
+}
+
+const originalFindOne = Proposal.findOne;
+const originalFind = AILog.find;
+afterEach(() => {
+  Proposal.findOne = originalFindOne;
+  AILog.find = originalFind;
+});
+
+describe("correlationId middleware", () => {
+  it("assigns an id and returns it in the response header", () => {
+    const { req, sent, called } = runMiddleware();
+    assert.equal(called, true);
+    assert.match(req.correlation_id, /^[0-9a-f-]{36}$/);
+    assert.equal(sent["X-Correlation-Id"], req.correlation_id);
+  });
+
+  it("keeps a well-formed caller id and replaces anything else", () => {
+    assert.equal(runMiddleware({ "x-correlation-id": "gw-2026.10.19:abc123" }).req.correlation_id, "gw-2026.10.19:abc123");
+    assert.notEqual(runMiddleware({ "x-correlation-id": "short" }).req.correlation_id, "short");
+    assert.notEqual(runMiddleware({ "x-correlation-id": "bad id\r\nX-Evil: 1" }).req.correlation_id, "bad id\r\nX-Evil: 1");
+  });
+});
+
+describe("getProposalAttempts", () => {
+  it("replays the linked AILog entries in attempt order", async () => {
+    Proposal.findOne = (filter) => {
+      assert.deepEqual(filter, { _id: PROPOSAL_ID, tenant_id: "t1" });
+      return query({
+        _id: id(PROPOSAL_ID),
+        engine: "ai",
+        fallback_reason: null,
+        correlation_id: "req-12345678",
+        ai_log_ids: [LOG_1, LOG_2],
+      });
+    };
+    AILog.find = (filter) => {
+      assert.deepEqual(filter, { _id: { $in: [LOG_1, LOG_2] }, tenant_id: "t1" });
+      // Mongo returns no particular order
+      return query([
+        { _id: id(LOG_2), tenant_id: "t1", attempt: 2, outcome: "passed", latency_ms: 900 },
+        { _id: id(LOG_1), tenant_id: "t1", attempt: 1, outcome: "failed", failure_reason: "schema", latency_ms: 1200 },
+      ]);
+    };
+
+    const result = await getProposalAttempts(PROPOSAL_ID, { tenant_id: "t1" });
+    assert.equal(result.correlation_id, "req-12345678");
+    assert.deepEqual(result.attempts.map((a) => [a.log_id, a.attempt, a.outcome]), [
+      [LOG_1, 1, "failed"],
+      [LOG_2, 2, "passed"],
+    ]);
+    assert.equal(result.attempts[0].failure_reason, "schema");
+    assert.equal("tenant_id" in result.attempts[0], false);
+  });
+
+  it("returns no attempts for deterministic or legacy proposals", async () => {
+    Proposal.findOne = () => query({ _id: id(PROPOSAL_ID), engine: "deterministic" });
+    AILog.find = () => assert.fail("no logs to load");
+    const result = await getProposalAttempts(PROPOSAL_ID, { tenant_id: "t1" });
+    assert.deepEqual(result.attempts, []);
+    assert.equal(result.correlation_id, null);
+  });
+
+  it("reports another tenant's proposal as not found", async () => {
+    Proposal.findOne = () => query(null);
+    await assert.rejects(getProposalAttempts(PROPOSAL_ID, { tenant_id: "t2" }), NotFoundError);
+  });
+});
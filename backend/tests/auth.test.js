@@ -0,0 +1,128 @@
+/**
+ * Authentication & Tenancy Tests — Module 2
+ *
+ * Run:  node --test tests/auth.test.js
+ */
+
+process.env.AUTH_JWT_SECRET = "test-secret";
+process.env.AUTH_REQUIRED = "true";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const ApiKey = require("../src/models/ApiKey");
+const { verifyJwt, signJwt } = require("../src/utils/jwt");
+const { authenticate, createSession, extractCredential, hashApiKey } = require("../src/services/authService");
+const { SessionCreateSchema } = require("../src/validators/authValidator");
+const { tenantFilter, catalogFilter } = require("../src/utils/tenant");
+const { UnauthorizedError } = require("../src/errors");
+
+const SECRET = "test-secret";
+
+describe("verifyJwt", () => {
+  it("returns the claims of a valid token", () => {
+    const token = signJwt({ tenant_id: "t1", sub: "alice" }, SECRET);
+    assert.deepEqual(verifyJwt(token, SECRET), { tenant_id: "t1", sub: "alice" });
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = signJwt({ tenant_id: "t1" }, "other-secret");
+    assert.throws(() => verifyJwt(token, SECRET), /Invalid token signature/);
+  });
+
+  it("rejects a tampered payload", () => {
+    const [header, , signature] = signJwt({ tenant_id: "t1" }, SECRET).split(".");
+    const forged = Buffer.from(JSON.stringify({ tenant_id: "t2" })).toString("base64url");
+    assert.throws(() => verifyJwt(`${header}.${forged}.${signature}`, SECRET), /Invalid token signature/);
+  });
+
+  it("rejects alg=none", () => {
+    const header = Buffer.from(JSON.stringify({ alg: "none" })).toString("base64url");
+    const body = Buffer.from(JSON.stringify({ tenant_id: "t1" })).toString("base64url");
+    assert.throws(() => verifyJwt(`${header}.${body}.`, SECRET), /Unsupported token algorithm/);
+  });
+
+  it("rejects an expired token", () => {
+    const token = signJwt({ tenant_id: "t1", exp: 1000 }, SECRET);
+    assert.throws(() => verifyJwt(token, SECRET), /Token expired/);
+  });
+});
+
+describe("authenticate", () => {
+  it("reads X-API-Key before Authorization", () => {
+    assert.deepEqual(
+      extractCredential({ "x-api-key": "pk_a", authorization: "Bearer pk_b" }),
+      { type: "api_key", value: "pk_a" }
+    );
+    assert.deepEqual(extractCredential({ authorization: "Bearer pk_b" }), { type: "api_key", value: "pk_b" });
+    assert.deepEqual(extractCredential({ authorization: "Bearer a.b.c" }), { type: "jwt", value: "a.b.c" });
+    assert.equal(extractCredential({ authorization: "Basic abc" }), null);
+  });
+
+  it("rejects requests without credentials", async () => {
+    await assert.rejects(() => authenticate({}), UnauthorizedError);
+  });
+
+  it("resolves a JWT to its tenant and subject", async () => {
+    const token = signJwt({ tenant_id: "t1", sub: "alice" }, SECRET);
+    const principal = await authenticate({ authorization: `Bearer ${token}` });
+    assert.deepEqual(principal, { tenant_id: "t1", actor: "alice", role: "member", method: "jwt" });
+  });
+
+  it("grants admin only from an explicit role claim", async () => {
+    const token = signJwt({ tenant_id: "t1", sub: "root", role: "admin" }, SECRET);
+    const principal = await authenticate({ authorization: `Bearer ${token}` });
+    assert.equal(principal.role, "admin");
+  });
+
+  it("rejects a JWT without tenant_id", async () => {
+    const token = signJwt({ sub: "alice" }, SECRET);
+    await assert.rejects(() => authenticate({ authorization: `Bearer ${token}` }), /tenant_id/);
+  });
+
+  it("hashes API keys deterministically", () => {
+    assert.equal(hashApiKey("pk_x"), hashApiKey("pk_x"));
+    assert.notEqual(hashApiKey("pk_x"), hashApiKey("pk_y"));
+  });
+});
+
+describe("createSession", () => {
+  const originalFindOne = ApiKey.findOne;
+  const originalUpdateOne = ApiKey.updateOne;
+  afterEach(() => {
+    ApiKey.findOne = originalFindOne;
+    ApiKey.updateOne = originalUpdateOne;
+  });
+
+  it("exchanges an API key for a token carrying its tenant and role", async () => {
+    ApiKey.findOne = (filter) => ({
+      lean: async () =>
+        filter.key_hash === hashApiKey("pk_admin") ? { _id: "k1", tenant_id: "t1", prefix: "pk_admin", role: "admin" } : null,
+    });
+    ApiKey.updateOne = async () => ({});
+
+    const now = Date.now();
+    const session = await createSession("pk_admin", { now });
+    assert.equal(session.role, "admin");
+    assert.equal(session.expires_at.getTime(), (Math.floor(now / 1000) + 28800) * 1000);
+
+    const principal = await authenticate({ authorization: `Bearer ${session.token}` });
+    assert.deepEqual(principal, { tenant_id: "t1", actor: "key:pk_admin", role: "admin", method: "jwt" });
+    await assert.rejects(() => createSession("pk_unknown"), UnauthorizedError);
+  });
+
+  it("only accepts API keys", () => {
+    assert.equal(SessionCreateSchema.safeParse({ api_key: "pk_abc" }).success, true);
+    assert.equal(SessionCreateSchema.safeParse({ api_key: "a.b.c" }).success, false);
+  });
+});
+
+describe("tenant filters", () => {
+  it("refuse to build a query without a tenant", () => {
+    assert.throws(() => tenantFilter(undefined), /tenant_id is required/);
+    assert.throws(() => catalogFilter(""), /tenant_id is required/);
+  });
+
+  it("include the shared catalog for products", () => {
+    assert.deepEqual(catalogFilter("t1"), { tenant_id: { $in: ["t1", null] } });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Client Brief Tests — Module 2
+ *
+ * Run:  node --test tests/brief.test.js
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../src/models/Product");
+const { extractBrief, applyBrief } = require("../src/services/briefService");
+const { excludeProducts } = require("../src/services/catalogRetrievalService");
+const { buildUserPrompt } = require("../src/providers/aiProvider");
+const { ProposalRequestSchema } = require("../src/validators/proposalValidator");
+const { ValidationError } = require("../src/errors");
+
+const CATEGORIES = ["Bags", "Drinkware", "Stationery", "Apparel", "Electronics", "Kitchen"];
+
+describe("extractBrief", () => {
+  it("reads the sales-email example", () => {
+    const found = extractBrief("We need 200 welcome kits for new hires, no plastic, under 3 lakh", CATEGORIES);
+    assert.equal(found.budget_limit, 300000);
+    assert.equal(found.currency, "INR");
+    assert.equal(found.headcount, 200);
+    assert.deepEqual(found.priorities, ["maximum_plastic_reduction"]);
+    assert.deepEqual(found.exclusions, ["plastic"]);
+    assert.equal(found.matched.budget_limit, "under 3 lakh");
+    assert.equal(found.matched.headcount, "200 welcome kits");
+  });
+
+  it("reads currencies, categories and priorities in order of mention", () => {
+    const found = extractBrief(
+      "Budget is $5,000 for 50 attendees. Premium items, ideally bottles and tote bags. Avoid electronics.",
+      CATEGORIES
+    );
+    assert.equal(found.budget_limit, 5000);
+    assert.equal(found.currency, "USD");
+    assert.equal(found.headcount, 50);
+    assert.deepEqual(found.category_focus, ["Drinkware", "Bags"]);
+    assert.deepEqual(found.priorities, ["premium_sustainability"]);
+    assert.deepEqual(found.exclusions, ["electronics"]);
+  });
+
+  it("takes the total, not a unit price, as the budget", () => {
+    const found = extractBrief("Notebooks for 120 employees at around ₹450 each. Total within Rs. 60,000.", CATEGORIES);
+    assert.equal(found.budget_limit, 60000);
+    assert.equal(found.headcount, 120);
+    assert.deepEqual(found.category_focus, ["Stationery"]);
+  });
+
+  it("does not treat excluded words as categories", () => {
+    const found = extractBrief("80k INR, no bags or caps, team of 40", CATEGORIES);
+    assert.equal(found.budget_limit, 80000);
+    assert.equal(found.headcount, 40);
+    assert.deepEqual(found.exclusions, ["bags", "caps"]);
+    assert.deepEqual(found.category_focus, []);
+  });
+
+  it("ignores phrases that only look like exclusions or budgets", () => {
+    const found = extractBrief("No more than 2.5 lakh. Hassle-free delivery for under 200 employees.", CATEGORIES);
+    assert.equal(found.budget_limit, 250000);
+    assert.equal(found.headcount, 200);
+    assert.deepEqual(found.exclusions, []);
+  });
+
+  it("drops fields that fail the schema", () => {
+    const found = extractBrief("budget of 90,000 for 5000000 people", CATEGORIES);
+    assert.equal(found.budget_limit, 90000);
+    assert.equal(found.headcount, null);
+    assert.equal(found.matched.headcount, undefined);
+  });
+
+  it("only names categories that exist in the catalog", () => {
+    assert.deepEqual(extractBrief("tote bags and solar chargers", ["Bags"]).category_focus, ["Bags"]);
+  });
+});
+
+describe("applyBrief", () => {
+  const originalDistinct = Product.distinct;
+  before(() => {
+    Product.distinct = async () => CATEGORIES;
+  });
+  after(() => {
+    Product.distinct = originalDistinct;
+  });
+
+  const brief = "Budget $4,000 for 30 guests, bottles please, no electronics, carbon neutral";
+
+  it("fills what the request leaves empty", async () => {
+    const request = ProposalRequestSchema.parse({ brief });
+    const filled = await applyBrief(request, { tenant_id: "t1" });
+    assert.equal(filled.budget_limit, 4000);
+    assert.equal(filled.currency, "USD");
+    assert.deepEqual(filled.preferences.category_focus, ["Drinkware"]);
+    assert.equal(filled.preferences.sustainability_priority, "carbon_neutral");
+    assert.equal(filled.preferences.headcount, 30);
+    assert.deepEqual(filled.preferences.exclusions, ["electronics"]);
+    assert.equal(filled.brief_extraction.budget_limit, 4000);
+  });
+
+  it("keeps fields the request sets", async () => {
+    const request = ProposalRequestSchema.parse({
+      brief,
+      budget_limit: 250000,
+      currency: "INR",
+      preferences: { category_focus: ["Bags"], sustainability_priority: "balanced", exclusions: ["cotton"] },
+    });
+    const filled = await applyBrief(request, { tenant_id: "t1" });
+    assert.equal(filled.budget_limit, 250000);
+    assert.equal(filled.currency, "INR");
+    assert.deepEqual(filled.preferences.category_focus, ["Bags"]);
+    assert.equal(filled.preferences.sustainability_priority, "balanced");
+    assert.deepEqual(filled.preferences.exclusions, ["cotton"]);
+    assert.equal(filled.preferences.headcount, 30);
+  });
+
+  it("rejects a request with no budget anywhere", async () => {
+    const request = ProposalRequestSchema.parse({ brief: "bottles for 20 people" });
+    await assert.rejects(() => applyBrief(request, { tenant_id: "t1" }), ValidationError);
+  });
+
+  it("rejects a brief budget in a different currency than requested", async () => {
+    const request = ProposalRequestSchema.parse({ brief, currency: "EUR" });
+    await assert.rejects(() => applyBrief(request, { tenant_id: "t1" }), /in USD but the request currency is EUR/);
+  });
+});
+
+describe("brief request wiring", () => {
+  it("accepts a brief in place of budget_limit", () => {
+    assert.equal(ProposalRequestSchema.safeParse({ brief: "under 3 lakh" }).success, true);
+    const missing = ProposalRequestSchema.safeParse({ brief: "   " });
+    assert.equal(missing.success, false);
+  });
+
+  it("excludes products by name or category words", () => {
+    const products = [
+      { name: "Solar Phone Charger", category: "Electronics" },
+      { name: "Plastic-free Lunch Box", category: "Kitchen" },
+      { name: "Single Use Cup", category: "Drinkware" },
+    ];
+    assert.deepEqual(
+      excludeProducts(products, ["electronics", "single-use"]).map((p) => p.name),
+      ["Plastic-free Lunch Box"]
+    );
+    assert.equal(excludeProducts(products, []).length, 3);
+  });
+
+  it("carries the brief, headcount and exclusions into the user prompt", () => {
+    const prompt = buildUserPrompt(4000, ["Drinkware"], "carbon_neutral", "Acme", "USD", {
+      needs: "bottles  for\nguests",
+      brief: "bottles  for\nguests",
+      headcount: 30,
+      exclusions: ["electronics"],
+    });
+    assert.match(prompt, /Headcount: 30 /);
+    assert.match(prompt, /Exclude: electronics\./);
+    assert.match(prompt, /Brief: "bottles for guests"\./);
+    assert.ok(!prompt.includes("Needs:"));
+  });
+});
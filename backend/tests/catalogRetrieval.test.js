@@ -0,0 +1,138 @@
+/**
+ * Catalog Retrieval Tests — Module 2
+ *
+ * Run:  node --test tests/catalogRetrieval.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, buildIndex, similarity } = require("../src/utils/tfidf");
+const { selectCatalog } = require("../src/services/catalogRetrievalService");
+const { buildSystemPrompt, buildUserPrompt } = require("../src/providers/aiProvider");
+
+function product(_id, name, category, unit_price, plastic, carbon, description = "") {
+  return {
+    _id,
+    name,
+    category,
+    unit_price,
+    description,
+    impact_metrics: { plastic_saved_per_unit: plastic, carbon_avoided_per_unit: carbon },
+  };
+}
+
+const catalog = [
+  product("straw", "Metal Straw Set", "Kitchen", 600, 0.3, 0.5, "Replaces single-use plastic straws."),
+  product("tote", "Cotton Tote Bag", "Bags", 700, 0.25, 0.9, "Carry bag for events and retail."),
+  product("notebook", "Recycled Paper Notebook", "Stationery", 500, 0.05, 0.4, "Notebook for welcome kits."),
+  product("tee", "Organic Cotton Tee", "Apparel", 1800, 0.1, 3.0, "Team uniform tee."),
+  product("solar", "Solar Phone Charger", "Electronics", 2900, 0.15, 6.0, "Solar charger for field teams."),
+  product("bottle", "Steel Water Bottle", "Drinkware", 1250, 0.4, 1.2, "Replaces plastic water bottles."),
+];
+
+const names = (selection) => selection.map((s) => s.product._id);
+
+describe("tfidf", () => {
+  it("tokenizes with stop words removed and plurals stemmed", () => {
+    assert.deepEqual(tokenize("Bottles for our Field Teams, please!"), ["bottle", "field", "team"]);
+    assert.deepEqual(tokenize("accessories"), ["accessory"]);
+  });
+
+  it("scores shared terms and ignores words outside the vocabulary", () => {
+    const index = buildIndex(["solar phone charger", "cotton tote bag"]);
+    const query = index.vectorize("a solar charger for hiking");
+    const match = similarity(query, index.vectors[0]);
+    assert.ok(match.score > 0.5);
+    assert.deepEqual(match.terms.sort(), ["charger", "solar"]);
+    assert.equal(similarity(query, index.vectors[1]).score, 0);
+  });
+});
+
+describe("selectCatalog", () => {
+  it("prefers impact per unit price for balanced requests", () => {
+    const selection = selectCatalog(catalog, { budgetLimit: 50000, maxItems: 6, sustainability_priority: "balanced" });
+    assert.equal(selection.length, 6);
+    assert.deepEqual(selection.map((s) => s.rank), [1, 2, 3, 4, 5, 6]);
+    assert.notEqual(selection[0].product._id, "solar");
+    assert.match(selection[0].reasons[0], /^impact per unit price \(.+\) rank 1 of 6$/);
+  });
+
+  it("surfaces expensive, high-impact products for premium requests", () => {
+    const selection = selectCatalog(catalog, {
+      budgetLimit: 50000,
+      maxItems: 6,
+      sustainability_priority: "premium_sustainability",
+    });
+    assert.equal(selection[0].product._id, "solar");
+    assert.equal(selection[5].product._id, "notebook");
+    assert.match(selection[0].reasons[0], /^premium impact rank 1 of 6$/);
+  });
+
+  it("ranks category focus first and says so", () => {
+    const selection = selectCatalog(catalog, { budgetLimit: 50000, maxItems: 4, category_focus: ["Apparel"] });
+    assert.equal(selection[0].product._id, "tee");
+    assert.equal(selection[0].scores.category, 1);
+    assert.ok(selection[0].reasons.includes("in category focus (Apparel)"));
+  });
+
+  it("matches free-text client needs against names and descriptions", () => {
+    const selection = selectCatalog(catalog, {
+      budgetLimit: 50000,
+      maxItems: 4,
+      client_needs: "Solar chargers for our field teams",
+    });
+    assert.equal(selection[0].product._id, "solar");
+    assert.equal(selection[0].scores.text, 1);
+    assert.ok(selection[0].reasons.includes("matches client needs: solar, charger, field"));
+  });
+
+  it("keeps at least three categories even when one category scores highest", () => {
+    const kitchen = [1, 2, 3].map((n) => product(`k${n}`, `Bamboo Utensil ${n}`, "Kitchen", 100, 0.5, 0.5));
+    const selection = selectCatalog([...kitchen, ...catalog], { budgetLimit: 50000, maxItems: 4 });
+    assert.ok(new Set(selection.map((s) => s.product.category)).size >= 3);
+    assert.ok(selection.some((s) => s.reasons.includes("top pick for category Bags")));
+  });
+
+  it("counts water, waste and energy savings towards impact", () => {
+    const plain = product("mug", "Ceramic Mug", "Drinkware", 900, 0.2, 1);
+    const saver = {
+      ...product("filter", "Water Filter Jug", "Drinkware", 900, 0.2, 1),
+      impact_metrics: {
+        plastic_saved_per_unit: 0.2,
+        carbon_avoided_per_unit: 1,
+        water_saved_per_unit: 400,
+        waste_diverted_per_unit: 2,
+        energy_saved_per_unit: 5,
+      },
+    };
+    const selection = selectCatalog([plain, saver], { budgetLimit: 50000, maxItems: 2 });
+    assert.deepEqual(names(selection), ["filter", "mug"]);
+    assert.ok(selection[0].scores.impact > selection[1].scores.impact);
+  });
+
+  it("leaves out products the budget cannot cover at their MOQ", () => {
+    const bulky = { ...product("bulk", "Bulk Tote", "Bags", 700, 5, 5), moq: 100 };
+    const selection = selectCatalog([bulky, ...catalog], { budgetLimit: 20000, maxItems: 10 });
+    assert.ok(!names(selection).includes("bulk"));
+    assert.equal(selection.length, 6);
+  });
+});
+
+describe("prompt wiring", () => {
+  it("lists the given selection in rank order in the system prompt", () => {
+    const selection = selectCatalog(catalog, { budgetLimit: 50000, maxItems: 3, client_needs: "notebooks" });
+    const prompt = buildSystemPrompt(catalog, 50000, "INR", { selection });
+    const lines = prompt.split("\n").filter((l) => /^\w+\|/.test(l));
+    assert.deepEqual(lines.map((l) => l.split("|")[0]), names(selection));
+    assert.equal(lines[0].split("|")[0], "notebook");
+  });
+
+  it("adds client needs to the user prompt", () => {
+    const prompt = buildUserPrompt(30000, ["Bags"], "balanced", "Acme", "INR", { needs: "  eco kits\nfor interns " });
+    assert.equal(
+      prompt,
+      "Budget: 30000 INR. Client: Acme. Categories: Bags. Priority: balanced. Needs: eco kits for interns. Return JSON only."
+    );
+    assert.ok(!buildUserPrompt(30000, [], "", "", "INR").includes("Needs:"));
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Client Account Tests — Module 2
+ *
+ * Run:  node --test tests/client.test.js
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Client = require("../src/models/Client");
+const { applyClient, recordAcceptedOrder } = require("../src/services/clientService");
+const { buildUserPrompt } = require("../src/providers/aiProvider");
+const { ClientCreateSchema, ClientUpdateSchema } = require("../src/validators/clientValidator");
+const { ProposalRequestSchema } = require("../src/validators/proposalValidator");
+const { NotFoundError } = require("../src/errors");
+
+const CLIENT_ID = "65f000000000000000000001";
+const BOTTLE = "65f0000000000000000000b1";
+const TOTE = "65f0000000000000000000b2";
+const CHARGER = "65f0000000000000000000b3";
+const NOW = new Date("2026-10-01T00:00:00Z");
+
+const client = {
+  _id: { toString: () => CLIENT_ID },
+  tenant_id: "t1",
+  name: "Acme Corp",
+  default_currency: "USD",
+  default_category_focus: ["Drinkware"],
+  default_sustainability_priority: "carbon_neutral",
+  excluded_product_ids: [CHARGER],
+  past_orders: [
+    { product_id: TOTE, name: "Cotton Tote Bag", quantity: 100, ordered_at: new Date("2026-01-15") },
+    { product_id: BOTTLE, name: "Steel Water Bottle", quantity: 200, ordered_at: new Date("2026-09-01") },
+  ],
+};
+
+// Client.findOne(...).lean() resolving to `doc` when the filter matches
+function stubFindOne(doc) {
+  Client.findOne = (filter) => ({
+    lean: async () => (filter._id === CLIENT_ID && filter.tenant_id === "t1" ? doc : null),
+  });
+}
+
+describe("applyClient", () => {
+  const originalFindOne = Client.findOne;
+  before(() => stubFindOne(client));
+  after(() => {
+    Client.findOne = originalFindOne;
+  });
+
+  it("fills defaults and blocks excluded and recently ordered products", async () => {
+    const request = ProposalRequestSchema.parse({ client_id: CLIENT_ID, budget_limit: 5000 });
+    const filled = await applyClient(request, { tenant_id: "t1", now: NOW });
+    assert.equal(filled.client_name, "Acme Corp");
+    assert.equal(filled.currency, "USD");
+    assert.deepEqual(filled.preferences.category_focus, ["Drinkware"]);
+    assert.equal(filled.preferences.sustainability_priority, "carbon_neutral");
+    assert.deepEqual(filled.client_context.blocked_product_ids.sort(), [BOTTLE, CHARGER].sort());
+    assert.deepEqual(filled.client_context.history, [
+      { name: "Steel Water Bottle", quantity: 200, ordered_at: "2026-09-01", repeat_blocked: true },
+      { name: "Cotton Tote Bag", quantity: 100, ordered_at: "2026-01-15", repeat_blocked: false },
+    ]);
+  });
+
+  it("keeps fields the request sets", async () => {
+    const request = ProposalRequestSchema.parse({
+      client_id: CLIENT_ID,
+      client_name: "Acme (EU)",
+      budget_limit: 5000,
+      currency: "EUR",
+      preferences: { category_focus: ["Bags"], sustainability_priority: "balanced" },
+    });
+    const filled = await applyClient(request, { tenant_id: "t1", now: NOW });
+    assert.equal(filled.client_name, "Acme (EU)");
+    assert.equal(filled.currency, "EUR");
+    assert.deepEqual(filled.preferences.category_focus, ["Bags"]);
+    assert.equal(filled.preferences.sustainability_priority, "balanced");
+  });
+
+  it("rejects another tenant's client", async () => {
+    const request = ProposalRequestSchema.parse({ client_id: CLIENT_ID, budget_limit: 5000 });
+    await assert.rejects(() => applyClient(request, { tenant_id: "t2", now: NOW }), NotFoundError);
+  });
+});
+
+describe("recordAcceptedOrder", () => {
+  const originalUpdateOne = Client.updateOne;
+  after(() => {
+    Client.updateOne = originalUpdateOne;
+  });
+
+  it("appends the proposal's lines to the client's past orders", async () => {
+    let call = null;
+    Client.updateOne = async (filter, update) => {
+      call = { filter, update };
+      return { matchedCount: 1 };
+    };
+    const proposal = {
+      _id: { toString: () => "p1" },
+      client_id: CLIENT_ID,
+      products: [{ product_id: TOTE, name: "Cotton Tote Bag", quantity: 50, unit_price: 700 }],
+    };
+    assert.equal(await recordAcceptedOrder(proposal, { tenant_id: "t1", at: NOW }), true);
+    assert.deepEqual(call.filter, { _id: CLIENT_ID, tenant_id: "t1" });
+    assert.deepEqual(call.update.$push.past_orders.$each, [
+      { product_id: TOTE, name: "Cotton Tote Bag", quantity: 50, ordered_at: NOW, proposal_id: "p1" },
+    ]);
+  });
+
+  it("does nothing for proposals without a client", async () => {
+    Client.updateOne = async () => assert.fail("should not update");
+    assert.equal(await recordAcceptedOrder({ client_id: null, products: [] }, { tenant_id: "t1" }), false);
+  });
+});
+
+describe("client validation and prompt", () => {
+  it("validates client defaults", () => {
+    assert.equal(
+      ClientCreateSchema.safeParse({ name: "Acme", default_category_focus: ["Drinkware"], default_currency: "USD" })
+        .success,
+      true
+    );
+    assert.equal(ClientCreateSchema.safeParse({ name: "Acme", excluded_product_ids: [BOTTLE, BOTTLE] }).success, false);
+    assert.equal(ClientCreateSchema.safeParse({ name: "Acme", default_sustainability_priority: "cheap" }).success, false);
+    assert.equal(ClientUpdateSchema.safeParse({}).success, false);
+    assert.equal(ProposalRequestSchema.safeParse({ client_id: "acme", budget_limit: 5000 }).success, false);
+  });
+
+  it("describes the order history in the user prompt", () => {
+    const prompt = buildUserPrompt(5000, ["Drinkware"], "balanced", "Acme", "USD", {
+      history: [{ name: "Steel Water Bottle", quantity: 200, ordered_at: "2026-09-01", repeat_blocked: true }],
+    });
+    assert.match(prompt, /Client's past orders: Steel Water Bottle x200 \(2026-09-01\)\./);
+    assert.ok(!buildUserPrompt(5000, [], "", "", "USD").includes("past orders"));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Comparison Bundle Tests — Module 2
+ *
+ * Run:  node --test tests/comparison.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveVariants, summarizeVariant, pickHighlights } = require("../src/services/comparisonService");
+const { ProposalRequestSchema, ProposalListQuerySchema } = require("../src/validators/proposalValidator");
+
+function makeProposal(id, allocated, plastic, carbon, lines) {
+  return {
+    proposal_id: id,
+    engine: "ai",
+    total_budget_limit: 30000,
+    allocated_budget: allocated,
+    remaining_budget: 30000 - allocated,
+    confidence_score: 0.8,
+    products: lines.map(([product_id, quantity, total_cost]) => ({ product_id, quantity, total_cost })),
+    computed_impact: { total_plastic_saved: plastic, total_carbon_avoided: carbon },
+  };
+}
+
+const categories = new Map([
+  ["tote", "Bags"],
+  ["pen", "Stationery"],
+  ["tee", "Apparel"],
+]);
+
+describe("resolveVariants", () => {
+  it("expands a tier count into preset tiers", () => {
+    const three = resolveVariants(3, { budget_limit: 30000 });
+    assert.deepEqual(
+      three.map((v) => [v.label, v.sustainability_priority, v.budget_limit]),
+      [
+        ["Cost-effective", "cost_effective_green", 21000],
+        ["Balanced", "balanced", 25500],
+        ["Premium", "premium_sustainability", 30000],
+      ]
+    );
+    assert.deepEqual(
+      resolveVariants(2, { budget_limit: 30000 }).map((v) => v.label),
+      ["Cost-effective", "Premium"]
+    );
+  });
+
+  it("fills explicit variants from the request", () => {
+    const [first, second] = resolveVariants(
+      [{ budget_fraction: 0.5 }, { label: "Plastic first", sustainability_priority: "maximum_plastic_reduction" }],
+      { budget_limit: 999.99, sustainability_priority: "balanced" }
+    );
+    assert.deepEqual(first, {
+      label: "Option 1",
+      sustainability_priority: "balanced",
+      budget_fraction: 0.5,
+      budget_limit: 500,
+    });
+    assert.equal(second.label, "Plastic first");
+    assert.equal(second.sustainability_priority, "maximum_plastic_reduction");
+    assert.equal(second.budget_limit, 999.99);
+  });
+});
+
+describe("summarizeVariant", () => {
+  it("reports cost, impact and category mix", () => {
+    const summary = summarizeVariant(
+      makeProposal("a", 24000, 10, 40, [["tote", 10, 6990], ["pen", 20, 5380], ["tee", 5, 8995]]),
+      categories
+    );
+    assert.equal(summary.budget_used_pct, 80);
+    assert.equal(summary.total_quantity, 35);
+    assert.equal(summary.impact.total_water_saved, 0);
+    assert.deepEqual(
+      summary.category_mix.map((c) => [c.category, c.cost, c.share]),
+      [
+        ["Apparel", 8995, 0.421],
+        ["Bags", 6990, 0.327],
+        ["Stationery", 5380, 0.252],
+      ]
+    );
+  });
+});
+
+describe("pickHighlights", () => {
+  it("names the best variant per criterion", () => {
+    const summaries = [
+      makeProposal("cheap", 15000, 6, 30, [["pen", 10, 2690]]),
+      makeProposal("premium", 29000, 12, 45, [["tee", 10, 17990]]),
+    ].map((p) => summarizeVariant(p, categories));
+    assert.deepEqual(pickHighlights(summaries), {
+      lowest_cost: "cheap",
+      most_plastic_saved: "premium",
+      most_carbon_avoided: "premium",
+      most_carbon_per_spend: "cheap",
+    });
+  });
+});
+
+describe("variants validation", () => {
+  const base = { budget_limit: 30000 };
+
+  it("accepts a tier count or a list of variants", () => {
+    assert.equal(ProposalRequestSchema.safeParse({ ...base, variants: 3 }).success, true);
+    assert.equal(
+      ProposalRequestSchema.safeParse({ ...base, variants: [{ label: "A" }, { budget_fraction: 0.6 }] }).success,
+      true
+    );
+  });
+
+  it("rejects bad counts, fractions and unknown keys", () => {
+    assert.equal(ProposalRequestSchema.safeParse({ ...base, variants: 1 }).success, false);
+    assert.equal(ProposalRequestSchema.safeParse({ ...base, variants: 4 }).success, false);
+    assert.equal(ProposalRequestSchema.safeParse({ ...base, variants: [{}, { budget_fraction: 1.5 }] }).success, false);
+    assert.equal(ProposalRequestSchema.safeParse({ ...base, variants: [{}, { budget: 100 }] }).success, false);
+  });
+
+  it("filters history by comparison_id", () => {
+    const query = ProposalListQuerySchema.safeParse({ comparison_id: "65f0c2a1b2c3d4e5f6a7b8c9" });
+    assert.equal(query.success, true);
+    assert.equal(ProposalListQuerySchema.safeParse({ comparison_id: "nope" }).success, false);
+  });
+});
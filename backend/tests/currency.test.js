@@ -0,0 +1,105 @@
+/**
+ * Multi-currency Tests — Module 2
+ *
+ * Run:  node --test tests/currency.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { convertAmount, formatAmount } = require("../src/utils/currency");
+const { convertCatalog, snapshotRates } = require("../src/services/exchangeRateService");
+const { ExchangeRateUpdateSchema } = require("../src/validators/exchangeRateValidator");
+const { ProposalRequestSchema } = require("../src/validators/proposalValidator");
+const { enforceBudget } = require("../src/services/proposalService");
+const { ValidationError } = require("../src/errors");
+const { formatMoney } = require("../src/services/pdfService");
+
+const RATES = { INR: 1, USD: 83.25, EUR: 90 };
+
+describe("convertAmount", () => {
+  it("converts through the base currency and rounds to 2 decimals", () => {
+    assert.equal(convertAmount(699, "INR", "USD", RATES), 8.4);
+    assert.equal(convertAmount(10, "USD", "INR", RATES), 832.5);
+    assert.equal(convertAmount(90, "EUR", "USD", RATES), 97.3);
+  });
+
+  it("returns the amount unchanged for the same currency", () => {
+    assert.equal(convertAmount(12.345, "GBP", "GBP", {}), 12.345);
+  });
+
+  it("throws when a rate is missing", () => {
+    assert.throws(() => convertAmount(1, "GBP", "INR", RATES), /No exchange rate for GBP/);
+  });
+});
+
+describe("formatAmount", () => {
+  it("uses the currency symbol", () => {
+    assert.equal(formatAmount(13980), "₹13980");
+    assert.equal(formatAmount(167.9, "USD"), "$167.9");
+  });
+});
+
+describe("convertCatalog", () => {
+  const catalog = [
+    { _id: "a", name: "Tote", unit_price: 699 },
+    { _id: "b", name: "Bottle", unit_price: 15, currency: "USD" },
+    { _id: "c", name: "Mug", unit_price: 10, currency: "GBP" },
+  ];
+
+  it("re-prices products and keeps the source price", () => {
+    const out = convertCatalog(catalog, "USD", RATES);
+    assert.equal(out.length, 2);
+    assert.deepEqual(
+      out.map((p) => [p.name, p.unit_price, p.currency, p.source_unit_price, p.source_currency]),
+      [
+        ["Tote", 8.4, "USD", 699, "INR"],
+        ["Bottle", 15, "USD", 15, "USD"],
+      ]
+    );
+  });
+
+  it("drops products priced in a currency without a rate", () => {
+    const names = convertCatalog(catalog, "INR", RATES).map((p) => p.name);
+    assert.deepEqual(names, ["Tote", "Bottle"]);
+  });
+
+  it("rejects a target currency without a rate", () => {
+    assert.throws(() => convertCatalog(catalog, "GBP", RATES), ValidationError);
+  });
+
+  it("snapshots only the rates used", () => {
+    const snap = snapshotRates({ base: "INR", rates: RATES, updated_at: null }, ["USD", "INR"]);
+    assert.deepEqual(snap, { base: "INR", rates: { USD: 83.25, INR: 1 }, as_of: null });
+  });
+});
+
+describe("currency validation", () => {
+  it("accepts a supported request currency", () => {
+    const r = ProposalRequestSchema.safeParse({ budget_limit: 500, currency: "USD" });
+    assert.equal(r.success, true);
+    assert.equal(r.data.currency, "USD");
+  });
+
+  it("rejects an unsupported request currency", () => {
+    const r = ProposalRequestSchema.safeParse({ budget_limit: 500, currency: "JPY" });
+    assert.equal(r.success, false);
+  });
+
+  it("validates exchange-rate updates", () => {
+    assert.equal(ExchangeRateUpdateSchema.safeParse({ rates: { USD: 83.25 } }).success, true);
+    assert.equal(ExchangeRateUpdateSchema.safeParse({ rates: {} }).success, false);
+    assert.equal(ExchangeRateUpdateSchema.safeParse({ rates: { USD: 0 } }).success, false);
+    assert.equal(ExchangeRateUpdateSchema.safeParse({ rates: { JPY: 0.55 } }).success, false);
+  });
+
+  it("reports budget overruns in the proposal currency", () => {
+    assert.throws(() => enforceBudget(501, 500, { currency: "USD" }), /\$501 exceeds limit \$500/);
+  });
+});
+
+describe("formatMoney", () => {
+  it("writes the ISO code with locale grouping", () => {
+    assert.equal(formatMoney(1234567), "INR 12,34,567");
+    assert.equal(formatMoney(1234567.5, "USD"), "USD 1,234,567.5");
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Experiment Tests — Module 2
+ *
+ * Run:  node --test tests/experiment.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Experiment = require("../src/models/Experiment");
+const Proposal = require("../src/models/Proposal");
+const { pickArm, assignArm, getExperimentMetrics } = require("../src/services/experimentService");
+const { callWithRetry } = require("../src/providers/aiProvider");
+const { ExperimentCreateSchema } = require("../src/validators/experimentValidator");
+
+const EXPERIMENT_ID = "65f0000000000000000000e1";
+const arms = [
+  { key: "large", weight: 3, model: "llama-3.3-70b-versatile", prompt_template_id: null, temperature: null },
+  { key: "small", weight: 1, model: "llama-3.1-8b-instant", prompt_template_id: null, temperature: 0.2 },
+];
+const experiment = { _id: { toString: () => EXPERIMENT_ID }, name: "size", status: "running", arms };
+
+const query = (value) => ({ lean: async () => value });
+
+const originalFindOne = Experiment.findOne;
+const originalFind = Proposal.find;
+afterEach(() => {
+  Experiment.findOne = originalFindOne;
+  Proposal.find = originalFind;
+});
+
+describe("arm assignment", () => {
+  it("picks arms in proportion to their weights", () => {
+    assert.equal(pickArm(arms, () => 0).key, "large");
+    assert.equal(pickArm(arms, () => 0.74).key, "large");
+    assert.equal(pickArm(arms, () => 0.75).key, "small");
+    assert.equal(pickArm(arms, () => 0.9999).key, "small");
+  });
+
+  it("attaches the arm when an experiment is running", async () => {
+    Experiment.findOne = (filter) => {
+      assert.deepEqual(filter, { tenant_id: "t1", status: "running" });
+      return query(experiment);
+    };
+    const request = await assignArm({ budget_limit: 5000 }, { tenant_id: "t1", random: () => 0.8 });
+    assert.deepEqual(request.experiment_arm, {
+      experiment_id: EXPERIMENT_ID,
+      arm: "small",
+      model: "llama-3.1-8b-instant",
+      prompt_template_id: null,
+      temperature: 0.2,
+    });
+  });
+
+  it("leaves the request alone without a running experiment", async () => {
+    Experiment.findOne = () => query(null);
+    const request = { budget_limit: 5000 };
+    assert.equal(await assignArm(request, { tenant_id: "t1" }), request);
+  });
+
+  it("passes the arm's model and temperature to the provider", async () => {
+    let received = null;
+    const provider = {
+      name: "fake",
+      label: "Fake",
+      model: "default-model",
+      async complete(args) {
+        received = args;
+        return { content: "{}" };
+      },
+    };
+    const result = await callWithRetry(provider, "s", "u", { model: "llama-3.1-8b-instant", temperature: 0 });
+    assert.equal(received.model, "llama-3.1-8b-instant");
+    assert.equal(received.temperature, 0);
+    assert.equal(result.model, "llama-3.1-8b-instant");
+  });
+});
+
+describe("getExperimentMetrics", () => {
+  const proposal = (arm, engine, attempts, latency_ms, allocated, confidence, status = "draft") => ({
+    engine,
+    status,
+    experiment: { experiment_id: EXPERIMENT_ID, arm, attempts, latency_ms },
+    allocated_budget: allocated,
+    total_budget_limit: 10000,
+    confidence_score: confidence,
+  });
+
+  it("reports per-arm pass rate, attempts, latency, utilisation, confidence and acceptance", async () => {
+    Experiment.findOne = () => query(experiment);
+    Proposal.find = (filter) => {
+      assert.deepEqual(filter, { tenant_id: "t1", "experiment.experiment_id": EXPERIMENT_ID });
+      return query([
+        proposal("large", "ai", 1, 1000, 9000, 0.8, "accepted"),
+        proposal("large", "ai", 2, 3000, 8000, 0.6),
+        proposal("large", "deterministic", 3, 5000, 7000, 0.5),
+      ]);
+    };
+    const metrics = await getExperimentMetrics(EXPERIMENT_ID, { tenant_id: "t1" });
+    assert.equal(metrics.proposals, 3);
+    assert.deepEqual(metrics.arms[0], {
+      arm: "large",
+      weight: 3,
+      model: "llama-3.3-70b-versatile",
+      prompt_template_id: null,
+      temperature: null,
+      proposals: 3,
+      validation_pass_rate: 0.6667,
+      avg_attempts: 2,
+      avg_latency_ms: 3000,
+      avg_budget_utilisation: 0.8,
+      avg_confidence: 0.7,
+      acceptance_rate: 0.3333,
+    });
+    assert.equal(metrics.arms[1].proposals, 0);
+    assert.equal(metrics.arms[1].validation_pass_rate, null);
+  });
+});
+
+describe("ExperimentCreateSchema", () => {
+  it("needs at least two arms with unique keys", () => {
+    const arm = { key: "a", model: "m" };
+    assert.equal(ExperimentCreateSchema.safeParse({ name: "x", arms: [arm] }).success, false);
+    assert.equal(ExperimentCreateSchema.safeParse({ name: "x", arms: [arm, arm] }).success, false);
+    const parsed = ExperimentCreateSchema.parse({ name: "x", arms: [arm, { key: "b", temperature: 0.9 }] });
+    assert.equal(parsed.arms[1].weight, 1);
+    assert.equal(parsed.start, false);
+  });
+
+  it("rejects out-of-range temperature and weights", () => {
+    const arms = (extra) => [{ key: "a" }, { key: "b", ...extra }];
+    assert.equal(ExperimentCreateSchema.safeParse({ name: "x", arms: arms({ temperature: 3 }) }).success, false);
+    assert.equal(ExperimentCreateSchema.safeParse({ name: "x", arms: arms({ weight: 0 }) }).success, false);
+  });
+});
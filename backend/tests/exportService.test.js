@@ -0,0 +1,153 @@
+/**
+ * CSV / XLSX Export Tests — Module 2
+ *
+ * Run:  node --test tests/exportService.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+const Proposal = require("../src/models/Proposal");
+const {
+  toCsv,
+  toLineItemRows,
+  toSummaryRows,
+  toXlsx,
+  exportProposals,
+  LINE_ITEM_COLUMNS,
+  MAX_EXPORT_PROPOSALS,
+} = require("../src/services/exportService");
+
+function makeProposal(overrides = {}) {
+  return {
+    proposal_id: "65f0c2a1b2c3d4e5f6a7b8c9",
+    client_name: "Acme Corp",
+    created_at: new Date("2025-01-15T10:00:00Z"),
+    total_budget_limit: 50000,
+    allocated_budget: 26470,
+    remaining_budget: 23530,
+    confidence_score: 0.8,
+    computed_impact: { total_plastic_saved: 16, total_carbon_avoided: 45 },
+    products: [
+      { product_id: "p1", name: "Recycled Cotton Tote Bag", quantity: 20, unit_price: 699, total_cost: 13980 },
+      { product_id: "p2", name: "Stainless Steel Water Bottle", quantity: 10, unit_price: 1249, total_cost: 12490 },
+    ],
+    ...overrides,
+  };
+}
+
+describe("toCsv", () => {
+  it("writes a header and one row per line item with totals", () => {
+    const csv = toCsv(LINE_ITEM_COLUMNS, toLineItemRows([makeProposal()]));
+    const lines = csv.trimEnd().split("\r\n");
+    assert.equal(lines.length, 3);
+    assert.equal(
+      lines[0],
+      "proposal_id,client_name,created_at,product_id,name,quantity,unit_price,total_cost,total_budget_limit,allocated_budget,remaining_budget,currency,discount,tax,line_total,subtotal,total_discount,total_tax,shipping,total"
+    );
+    assert.equal(
+      lines[1],
+      "65f0c2a1b2c3d4e5f6a7b8c9,Acme Corp,2025-01-15T10:00:00.000Z,p1,Recycled Cotton Tote Bag,20,699,13980,50000,26470,23530,INR,0,0,13980,26470,0,0,0,26470"
+    );
+  });
+
+  it("adds the landed-cost breakdown of priced proposals", () => {
+    const priced = makeProposal({
+      allocated_budget: 29810.4,
+      pricing: { subtotal: 26470, discount: 698, tax: 3438.4, shipping: 600, total: 29810.4 },
+      products: [
+        {
+          product_id: "p1",
+          name: "Recycled Cotton Tote Bag",
+          quantity: 20,
+          unit_price: 699,
+          total_cost: 13980,
+          pricing: { discounted_unit_price: 664.1, discount: 698, tax_rate: 0.12, tax: 1593.84, total: 14875.84 },
+        },
+      ],
+    });
+    const [line] = toLineItemRows([priced]);
+    assert.equal(line.discount, 698);
+    assert.equal(line.tax, 1593.84);
+    assert.equal(line.line_total, 14875.84);
+    assert.deepEqual(
+      [line.subtotal, line.total_discount, line.total_tax, line.shipping, line.total],
+      [26470, 698, 3438.4, 600, 29810.4]
+    );
+    assert.equal(toSummaryRows([priced])[0].total, 29810.4);
+  });
+
+  it("quotes commas and quotes", () => {
+    const csv = toCsv(LINE_ITEM_COLUMNS, toLineItemRows([makeProposal({ client_name: 'Acme, "EU"' })]));
+    assert.match(csv, /,"Acme, ""EU""",/);
+  });
+
+  it("neutralises formula-like text", () => {
+    const csv = toCsv(LINE_ITEM_COLUMNS, toLineItemRows([makeProposal({ client_name: "=HYPERLINK()" })]));
+    assert.match(csv, /,'=HYPERLINK\(\),/);
+  });
+
+  it("flattens several proposals", () => {
+    const rows = toLineItemRows([makeProposal(), makeProposal({ proposal_id: "other" })]);
+    assert.equal(rows.length, 4);
+    assert.equal(rows[3].proposal_id, "other");
+  });
+});
+
+describe("toXlsx", () => {
+  it("writes line-item and proposal sheets", async () => {
+    const buffer = await toXlsx([makeProposal()]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const items = workbook.getWorksheet("Line Items");
+    assert.equal(items.rowCount, 3);
+    assert.equal(items.getRow(2).getCell(8).value, 13980);
+
+    const summary = workbook.getWorksheet("Proposals");
+    assert.equal(summary.rowCount, 2);
+    assert.equal(summary.getRow(2).getCell(5).value, 30);
+  });
+});
+
+describe("exportProposals", () => {
+  const originalFind = Proposal.find;
+  afterEach(() => {
+    Proposal.find = originalFind;
+  });
+
+  // Serves `count` matching proposals through find().sort().skip().limit().lean()
+  function stubProposals(count, calls) {
+    Proposal.find = () => {
+      const cursor = { skip: 0, limit: Infinity };
+      const chain = {
+        sort: () => chain,
+        skip: (n) => ((cursor.skip = n), chain),
+        limit: (n) => ((cursor.limit = n), chain),
+        lean: async () => {
+          calls.push(cursor);
+          const available = Math.max(0, Math.min(count - cursor.skip, cursor.limit));
+          return Array.from({ length: available }, (_v, i) =>
+            makeProposal({ proposal_id: `p${cursor.skip + i}`, products: [] })
+          );
+        },
+      };
+      return chain;
+    };
+  }
+
+  it("pages a large export and says when another page follows", async () => {
+    const calls = [];
+    stubProposals(MAX_EXPORT_PROPOSALS + 2, calls);
+
+    const first = await exportProposals({ page: 1 }, "csv", { tenant_id: "t1" });
+    assert.equal(first.has_more, true);
+    assert.equal(first.page, 1);
+    assert.match(first.filename, /^proposals-\d{4}-\d{2}-\d{2}\.csv$/);
+
+    const second = await exportProposals({ page: 2 }, "csv", { tenant_id: "t1" });
+    assert.equal(second.has_more, false);
+    assert.match(second.filename, /-page2\.csv$/);
+    assert.deepEqual(calls[1], { skip: MAX_EXPORT_PROPOSALS, limit: MAX_EXPORT_PROPOSALS + 1 });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Impact Model Tests — Module 2
+ *
+ * Run:  node --test tests/impact.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../src/models/Product");
+const { computeImpact, describeEquivalents } = require("../src/services/impactService");
+const { renderProposalPdf } = require("../src/services/pdfService");
+const { ProductCreateSchema } = require("../src/validators/productValidator");
+const { ImpactEstimateSchema } = require("../src/validators/impactValidator");
+const { NotFoundError } = require("../src/errors");
+
+const catalog = {
+  tee: {
+    _id: "tee",
+    name: "Organic Tee",
+    impact_metrics: {
+      plastic_saved_per_unit: 0.1,
+      carbon_avoided_per_unit: 2,
+      water_saved_per_unit: 2500,
+      waste_diverted_per_unit: 0.1,
+      energy_saved_per_unit: 2,
+      certifications: ["GOTS", "Fair Trade"],
+    },
+  },
+  tote: {
+    _id: "tote",
+    name: "Tote",
+    impact_metrics: { plastic_saved_per_unit: 0.3, carbon_avoided_per_unit: 1.2, certifications: ["GOTS"] },
+  },
+  // Created before the richer model: only plastic and carbon
+  pen: { _id: "pen", name: "Pen", impact_metrics: { plastic_saved_per_unit: 0.02, carbon_avoided_per_unit: 0.1 } },
+};
+
+describe("computeImpact", () => {
+  const originalFind = Product.find;
+  let queries;
+  beforeEach(() => {
+    queries = [];
+    Product.find = (filter) => {
+      queries.push(filter);
+      return { lean: async () => filter._id.$in.map((id) => catalog[id]).filter(Boolean) };
+    };
+  });
+  afterEach(() => {
+    Product.find = originalFind;
+  });
+
+  it("totals every metric and breaks them down per line", async () => {
+    const impact = await computeImpact([
+      { product_id: "tee", name: "Organic Tee", quantity: 10 },
+      { product_id: "tote", name: "Tote", quantity: 20 },
+      { product_id: "pen", name: "Pen", quantity: 50 },
+    ], { tenant_id: "t1" });
+
+    assert.equal(impact.total_plastic_saved, 8);
+    assert.equal(impact.total_carbon_avoided, 49);
+    assert.equal(impact.total_water_saved, 25000);
+    assert.equal(impact.total_waste_diverted, 1);
+    assert.equal(impact.total_energy_saved, 20);
+    assert.deepEqual(
+      impact.by_metric.map((m) => [m.metric, m.unit, m.total]),
+      [
+        ["plastic_saved", "kg", 8],
+        ["carbon_avoided", "kg CO₂", 49],
+        ["water_saved", "L", 25000],
+        ["waste_diverted", "kg", 1],
+        ["energy_saved", "kWh", 20],
+      ]
+    );
+    assert.deepEqual(impact.line_items[2], {
+      product_id: "pen",
+      name: "Pen",
+      quantity: 50,
+      plastic_saved: 1,
+      carbon_avoided: 5,
+      water_saved: 0,
+      waste_diverted: 0,
+      energy_saved: 0,
+      certifications: [],
+    });
+    assert.deepEqual(impact.certifications, [
+      { name: "GOTS", units: 30 },
+      { name: "Fair Trade", units: 10 },
+    ]);
+  });
+
+  it("loads every product in a single $in query", async () => {
+    await computeImpact(
+      [
+        { product_id: "tee", quantity: 1 },
+        { product_id: "pen", quantity: 2 },
+      ],
+      { tenant_id: "t1" }
+    );
+    assert.equal(queries.length, 1);
+    assert.deepEqual(queries[0]._id, { $in: ["tee", "pen"] });
+  });
+
+  it("uses an already-loaded productMap without querying", async () => {
+    const productMap = new Map([["tote", catalog.tote]]);
+    const impact = await computeImpact([{ product_id: "tote", quantity: 10 }], { tenant_id: "t1", productMap });
+    assert.equal(queries.length, 0);
+    assert.equal(impact.total_carbon_avoided, 12);
+    assert.equal(impact.line_items[0].name, "Tote");
+  });
+
+  it("fails with NotFoundError on an unknown product", async () => {
+    await assert.rejects(
+      computeImpact([{ product_id: "nope", quantity: 1 }], { tenant_id: "t1" }),
+      (e) => e instanceof NotFoundError && /product nope not found/.test(e.message)
+    );
+  });
+});
+
+describe("describeEquivalents", () => {
+  it("converts totals into human-friendly equivalents", () => {
+    const equivalents = describeEquivalents({ carbon_avoided: 1200, plastic_saved: 15, water_saved: 0 });
+    assert.deepEqual(
+      equivalents.map((e) => [e.key, e.value]),
+      [["car_km", 10000], ["tree_years", 57], ["plastic_bottles", 1000]]
+    );
+    assert.equal(equivalents[0].text, "equivalent to 10,000 car-km not driven");
+  });
+});
+
+describe("ImpactEstimateSchema", () => {
+  const id = "65f0c2a1b2c3d4e5f6a7b8c9";
+
+  it("accepts product/quantity pairs", () => {
+    assert.equal(ImpactEstimateSchema.safeParse({ products: [{ product_id: id, quantity: 5 }] }).success, true);
+  });
+
+  it("rejects duplicates, bad quantities and empty lists", () => {
+    const dup = { products: [{ product_id: id, quantity: 1 }, { product_id: id, quantity: 2 }] };
+    assert.equal(ImpactEstimateSchema.safeParse(dup).success, false);
+    assert.equal(ImpactEstimateSchema.safeParse({ products: [{ product_id: id, quantity: 0 }] }).success, false);
+    assert.equal(ImpactEstimateSchema.safeParse({ products: [] }).success, false);
+  });
+});
+
+describe("impact in products and PDFs", () => {
+  it("accepts the new metrics and rejects duplicate certifications", () => {
+    const product = {
+      name: "Organic Tee",
+      category: "Apparel",
+      unit_price: 1799,
+      impact_metrics: { plastic_saved_per_unit: 0.1, carbon_avoided_per_unit: 2, water_saved_per_unit: 2500, certifications: ["GOTS"] },
+    };
+    assert.equal(ProductCreateSchema.safeParse(product).success, true);
+    product.impact_metrics.certifications = ["GOTS", "GOTS"];
+    assert.equal(ProductCreateSchema.safeParse(product).success, false);
+  });
+
+  it("renders the extended impact section", async () => {
+    const pdf = await renderProposalPdf({
+      proposal_id: "65f0c2a1b2c3d4e5f6a7b8c9",
+      client_name: "Acme Corp",
+      proposal_summary: "Summary",
+      total_budget_limit: 50000,
+      allocated_budget: 40000,
+      remaining_budget: 10000,
+      products: [{ product_id: "tee", name: "Organic Tee", quantity: 10, unit_price: 1799, total_cost: 17990 }],
+      impact_summary: "Impact",
+      confidence_score: 0.8,
+      computed_impact: {
+        total_plastic_saved: 1,
+        total_carbon_avoided: 20,
+        total_water_saved: 25000,
+        total_waste_diverted: 1,
+        total_energy_saved: 20,
+        certifications: [{ name: "GOTS", units: 10 }],
+        equivalents: [{ key: "car_km", value: 167, text: "equivalent to 167 car-km not driven" }],
+      },
+    });
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+});
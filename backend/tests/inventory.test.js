@@ -0,0 +1,136 @@
+/**
+ * Inventory & MOQ Tests — Module 2
+ *
+ * Run:  node --test tests/inventory.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../src/models/Product");
+const { orderLimits, isOrderable, quantityViolation, maxLeadTime } = require("../src/utils/inventory");
+const { allocateDeterministic } = require("../src/services/allocatorService");
+const { validateLineItems, ValidationError } = require("../src/services/proposalService");
+const { reserveStock } = require("../src/services/inventoryService");
+const { buildSystemPrompt, buildPromptContext } = require("../src/providers/aiProvider");
+const { synthesizeProposal } = require("../src/providers/mockProvider");
+const { ProposalTransitionSchema } = require("../src/validators/proposalValidator");
+const { ConflictError } = require("../src/errors");
+
+const catalog = [
+  { _id: "tote", name: "Tote", category: "Bags", unit_price: 699, moq: 50, lead_time_days: 14 },
+  { _id: "pen", name: "Pen", category: "Stationery", unit_price: 269, stock_on_hand: 20 },
+  { _id: "bottle", name: "Bottle", category: "Drinkware", unit_price: 1249, max_order_qty: 5, lead_time_days: 7 },
+  { _id: "tee", name: "Tee", category: "Apparel", unit_price: 1799, moq: 10, stock_on_hand: 4 },
+].map((p) => ({ ...p, impact_metrics: { plastic_saved_per_unit: 0.3, carbon_avoided_per_unit: 1 } }));
+const productMap = new Map(catalog.map((p) => [p._id, p]));
+
+function line(id, quantity) {
+  const p = productMap.get(id);
+  return { product_id: id, name: p.name, quantity, unit_price: p.unit_price, total_cost: quantity * p.unit_price };
+}
+
+describe("order limits", () => {
+  it("derives min/max from moq, stock and max_order_qty", () => {
+    assert.deepEqual(orderLimits(productMap.get("tote")), { min: 50, max: Infinity });
+    assert.deepEqual(orderLimits(productMap.get("pen")), { min: 1, max: 20 });
+    assert.deepEqual(orderLimits(productMap.get("bottle")), { min: 1, max: 5 });
+    assert.equal(isOrderable(productMap.get("tee")), false);
+  });
+
+  it("explains violations", () => {
+    assert.match(quantityViolation(productMap.get("tote"), 49), /minimum order quantity of 50/);
+    assert.match(quantityViolation(productMap.get("pen"), 21), /stock on hand \(20\)/);
+    assert.match(quantityViolation(productMap.get("bottle"), 6), /maximum order quantity of 5/);
+    assert.equal(quantityViolation(productMap.get("tote"), 50), null);
+  });
+
+  it("reports the longest lead time", () => {
+    assert.equal(maxLeadTime([line("tote", 50), line("bottle", 1)], productMap), 14);
+    assert.equal(maxLeadTime([line("pen", 1)], productMap), null);
+  });
+});
+
+describe("validateLineItems", () => {
+  it("rejects quantities outside the inventory limits", () => {
+    assert.throws(
+      () => validateLineItems([line("tote", 10)], productMap),
+      (e) => e instanceof ValidationError && /Inventory limit for Tote/.test(e.message)
+    );
+    assert.throws(() => validateLineItems([line("pen", 25)], productMap), ValidationError);
+    assert.doesNotThrow(() => validateLineItems([line("tote", 50), line("pen", 20)], productMap));
+  });
+});
+
+describe("allocator", () => {
+  it("respects moq and stock", () => {
+    const orderable = catalog.filter(isOrderable);
+    const { products } = allocateDeterministic({ products: orderable, budget_limit: 60000 });
+    assert.ok(products.length > 0);
+    for (const item of products) {
+      assert.equal(quantityViolation(productMap.get(item.product_id), item.quantity), null, item.name);
+    }
+  });
+
+  it("rejects a budget that stock and order limits cannot fill to 70%", () => {
+    const orderable = catalog.filter(isOrderable);
+    assert.throws(
+      () => allocateDeterministic({ products: orderable, budget_limit: 80000 }),
+      (e) => e instanceof ValidationError && /only fill .* at least 70%/.test(e.message)
+    );
+  });
+});
+
+describe("prompt and mock provider", () => {
+  it("lists min/max quantities and the mock stays within them", () => {
+    const prompt = buildSystemPrompt(catalog.filter(isOrderable), 80000);
+    assert.match(prompt, /tote\|Tote\|Bags\|699\|min50\|max/);
+    assert.match(prompt, /pen\|Pen\|Stationery\|269\|min1\|max20/);
+
+    const { products } = synthesizeProposal(buildPromptContext(catalog.filter(isOrderable), 80000));
+    for (const item of products) {
+      assert.equal(quantityViolation(productMap.get(item.product_id), item.quantity), null, item.name);
+    }
+  });
+});
+
+describe("stock reservation", () => {
+  const originalUpdateOne = Product.updateOne;
+  const originalFindOne = Product.findOne;
+  afterEach(() => {
+    Product.updateOne = originalUpdateOne;
+    Product.findOne = originalFindOne;
+  });
+
+  it("releases earlier lines when a later one is short", async () => {
+    const incs = [];
+    Product.updateOne = async (filter, update) => {
+      incs.push([filter._id, update.$inc.stock_on_hand]);
+      return { modifiedCount: filter.stock_on_hand && filter._id === "pen" ? 0 : 1 };
+    };
+    Product.findOne = () => ({ lean: async () => ({ tenant_id: "t1", stock_on_hand: 3 }) });
+
+    await assert.rejects(
+      reserveStock([line("bottle", 2), line("pen", 5)], { tenant_id: "t1" }),
+      (e) => e instanceof ConflictError && /Insufficient stock for Pen: 5 needed, 3 on hand/.test(e.message)
+    );
+    assert.deepEqual(incs, [["bottle", -2], ["pen", -5], ["bottle", 2]]);
+  });
+
+  it("never changes the stock of shared catalog products", async () => {
+    const filters = [];
+    Product.updateOne = async (filter) => {
+      filters.push(filter);
+      return { modifiedCount: filter._id === "bottle" ? 1 : 0 };
+    };
+    Product.findOne = () => ({ lean: async () => ({ tenant_id: null, stock_on_hand: 0 }) });
+
+    const reserved = await reserveStock([line("bottle", 2), line("pen", 5)], { tenant_id: "t1" });
+    assert.deepEqual(reserved.map((r) => r.product_id), ["bottle"]);
+    assert.ok(filters.every((f) => f.tenant_id === "t1"));
+  });
+
+  it("only allows reserve_stock when accepting", () => {
+    assert.equal(ProposalTransitionSchema.safeParse({ status: "accepted", reserve_stock: true }).success, true);
+    assert.equal(ProposalTransitionSchema.safeParse({ status: "rejected", reserve_stock: true }).success, false);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Job Queue Tests — Module 2
+ *
+ * Run:  node --test tests/jobService.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../src/config");
+const GenerationJob = require("../src/models/GenerationJob");
+const proposalService = require("../src/services/proposalService");
+const { DeadlineExceededError } = require("../src/providers/aiProvider");
+const { NotFoundError, ValidationError } = require("../src/errors");
+
+// jobService destructures generateProposal when it loads, so the stand-in
+// has to be in place before it is required
+let generate = async () => ({ proposal_id: "p1" });
+proposalService.generateProposal = (...args) => generate(...args);
+const { claimNextJob, processNextJob, drainJobs, getJob } = require("../src/services/jobService");
+
+const JOB_ID = "65f0000000000000000000d1";
+
+const query = (value) => ({ lean: async () => value });
+const id = (value) => ({ toString: () => value });
+
+function makeJob(fields = {}) {
+  return {
+    _id: id(JOB_ID),
+    tenant_id: "t1",
+    status: "running",
+    request: { budget_limit: 50000 },
+    correlation_id: "req-12345678",
+    runs: 1,
+    event_count: 0,
+    events: [],
+    ...fields,
+  };
+}
+
+// Records every updateOne; the last one is the job's final state
+function recordUpdates() {
+  const updates = [];
+  GenerationJob.updateOne = async (_filter, update) => {
+    updates.push(update);
+  };
+  return updates;
+}
+
+const original = {
+  findOne: GenerationJob.findOne,
+  findOneAndUpdate: GenerationJob.findOneAndUpdate,
+  updateOne: GenerationJob.updateOne,
+  updateMany: GenerationJob.updateMany,
+};
+afterEach(() => {
+  Object.assign(GenerationJob, original);
+  generate = async () => ({ proposal_id: "p1" });
+});
+
+describe("claimNextJob", () => {
+  it("claims the oldest queued job and counts the run", async () => {
+    const calls = [];
+    GenerationJob.findOneAndUpdate = (filter, update, options) => {
+      calls.push({ filter, update, options });
+      return query(makeJob({ runs: 1 }));
+    };
+
+    const job = await claimNextJob({ workerId: "w1" });
+    assert.equal(job.runs, 1);
+    assert.equal(calls.length, 1);
+    const [{ filter, update, options }] = calls;
+    assert.deepEqual(filter, { status: "queued" });
+    assert.deepEqual(options.sort, { created_at: 1 });
+    assert.equal(update.$set.status, "running");
+    assert.equal(update.$set.worker_id, "w1");
+    assert.ok(update.$set.started_at instanceof Date);
+    assert.deepEqual(update.$inc, { runs: 1 });
+  });
+
+  it("recovers a job whose lock went stale, while it has runs left", async () => {
+    const filters = [];
+    GenerationJob.findOneAndUpdate = (filter) => {
+      filters.push(filter);
+      return query(filter.status === "running" ? makeJob({ runs: 2 }) : null);
+    };
+
+    const before = Date.now();
+    const job = await claimNextJob();
+    assert.equal(job.runs, 2);
+    const stale = filters[1];
+    assert.deepEqual(stale.runs, { $lt: config.jobs.maxRuns });
+    const cutoff = stale.locked_at.$lt.getTime();
+    assert.ok(cutoff <= Date.now() - config.jobs.staleAfterMs && cutoff >= before - config.jobs.staleAfterMs);
+  });
+
+  it("fails stale jobs that have used all their runs", async () => {
+    GenerationJob.findOneAndUpdate = () => query(null);
+    let abandoned;
+    GenerationJob.updateMany = async (filter, update) => {
+      abandoned = { filter, update };
+    };
+
+    assert.equal(await claimNextJob(), null);
+    assert.deepEqual(abandoned.filter.runs, { $gte: config.jobs.maxRuns });
+    assert.equal(abandoned.update.$set.status, "failed");
+    assert.match(abandoned.update.$set.error.message, /abandoned/);
+  });
+
+  it("only claims the given tenant's jobs", async () => {
+    const filters = [];
+    GenerationJob.findOneAndUpdate = (filter) => {
+      filters.push(filter);
+      return query(null);
+    };
+    GenerationJob.updateMany = async (filter) => filters.push(filter);
+
+    await claimNextJob({ tenant_id: "t1" });
+    assert.equal(filters.length, 3);
+    for (const filter of filters) assert.equal(filter.tenant_id, "t1");
+  });
+});
+
+describe("running a job", () => {
+  it("writes progress events in order, numbered after the earlier runs' events", async () => {
+    GenerationJob.findOneAndUpdate = () => query(makeJob({ runs: 2, event_count: 4 }));
+    const updates = [];
+    // Slower writes first: the chain must still keep them in order
+    let delay = 6;
+    GenerationJob.updateOne = async (_filter, update) => {
+      await new Promise((resolve) => setTimeout(resolve, Math.max(0, delay--)));
+      updates.push(update);
+    };
+    generate = async (request, { onProgress, tenant_id, correlation_id }) => {
+      assert.equal(request.budget_limit, 50000);
+      assert.equal(tenant_id, "t1");
+      assert.equal(correlation_id, "req-12345678");
+      onProgress("catalog_loaded", { product_count: 12 });
+      onProgress("ai_attempt", { attempt: 1 });
+      onProgress("validation_failed", { attempt: 1 });
+      onProgress("ai_attempt", { attempt: 2 });
+      return { proposal_id: "p1" };
+    };
+
+    const processed = await processNextJob();
+    assert.deepEqual(processed, { job_id: JOB_ID, tenant_id: "t1", status: "succeeded" });
+
+    const events = updates.filter((u) => u.$push).map((u) => u.$push.events.$each[0]);
+    assert.deepEqual(events.map((e) => [e.seq, e.type]), [
+      [5, "catalog_loaded"],
+      [6, "ai_attempt"],
+      [7, "validation_failed"],
+      [8, "ai_attempt"],
+    ]);
+    assert.equal(updates.filter((u) => u.$inc?.attempts === 1).length, 2);
+    const final = updates.at(-1).$set;
+    assert.equal(final.status, "succeeded");
+    assert.deepEqual(final.result, { proposal_id: "p1" });
+    assert.equal(final.locked_at, null);
+  });
+
+  it("stores a failed generation with the status /generate would return", async () => {
+    GenerationJob.findOneAndUpdate = () => query(makeJob());
+    const updates = recordUpdates();
+    generate = async () => {
+      throw new ValidationError("Budget exceeded");
+    };
+
+    assert.equal((await processNextJob()).status, "failed");
+    const final = updates.at(-1).$set;
+    assert.equal(final.status, "failed");
+    assert.equal(final.error.status, 422);
+    assert.match(final.error.message, /Budget exceeded/);
+  });
+
+  it("re-queues a job that ran out of time while it has runs left, then fails it", async () => {
+    generate = async () => {
+      throw new DeadlineExceededError("Time budget used up before AI attempt 1");
+    };
+
+    GenerationJob.findOneAndUpdate = () => query(makeJob({ runs: 1 }));
+    let updates = recordUpdates();
+    assert.equal((await processNextJob()).status, "queued");
+    assert.deepEqual(updates.at(-1).$set, { status: "queued", worker_id: null, locked_at: null });
+    assert.equal(updates.find((u) => u.$push).$push.events.$each[0].type, "requeued");
+
+    GenerationJob.findOneAndUpdate = () => query(makeJob({ runs: config.jobs.maxRuns }));
+    updates = recordUpdates();
+    assert.equal((await processNextJob()).status, "failed");
+    assert.equal(updates.at(-1).$set.status, "failed");
+  });
+});
+
+describe("drainJobs", () => {
+  it("runs the caller's tenant's jobs under one deadline until the queue is empty", async () => {
+    const queue = [makeJob({ _id: id("j1") }), makeJob({ _id: id("j2") })];
+    GenerationJob.findOneAndUpdate = (filter) => {
+      assert.equal(filter.tenant_id, "t1");
+      return query(filter.status === "queued" ? queue.shift() || null : null);
+    };
+    GenerationJob.updateMany = async () => {};
+    recordUpdates();
+    const deadlines = new Set();
+    generate = async (_request, { deadline }) => {
+      deadlines.add(deadline);
+      return { proposal_id: "p1" };
+    };
+
+    const before = Date.now();
+    const processed = await drainJobs({ tenant_id: "t1", budgetMs: 60000 });
+    assert.deepEqual(processed.map((j) => j.job_id), ["j1", "j2"]);
+    assert.equal(deadlines.size, 1);
+    const [deadline] = deadlines;
+    assert.ok(deadline >= before + 60000 && deadline <= Date.now() + 60000);
+  });
+
+  it("claims nothing without time for an AI attempt, and stops after a re-queue", async () => {
+    GenerationJob.findOneAndUpdate = () => assert.fail("no time left to claim a job");
+    assert.deepEqual(await drainJobs({ budgetMs: config.jobs.minAttemptMs - 1 }), []);
+
+    let claims = 0;
+    GenerationJob.findOneAndUpdate = () => {
+      claims++;
+      return query(makeJob());
+    };
+    recordUpdates();
+    generate = async () => {
+      throw new DeadlineExceededError("cut off");
+    };
+    const processed = await drainJobs({ budgetMs: 60000 });
+    assert.equal(claims, 1);
+    assert.equal(processed[0].status, "queued");
+  });
+});
+
+describe("getJob", () => {
+  it("looks the job up within the caller's tenant", async () => {
+    GenerationJob.findOne = (filter) => {
+      assert.deepEqual(filter, { _id: JOB_ID, tenant_id: "t1" });
+      return query(makeJob({ status: "queued" }));
+    };
+    const job = await getJob(JOB_ID, { tenant_id: "t1" });
+    assert.equal(job.job_id, JOB_ID);
+    assert.equal(job.status, "queued");
+    assert.equal("tenant_id" in job, false);
+  });
+
+  it("reports another tenant's job as not found", async () => {
+    GenerationJob.findOne = () => query(null);
+    await assert.rejects(getJob(JOB_ID, { tenant_id: "t2" }), NotFoundError);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Proposal Lifecycle Tests — Module 2
+ *
+ * Run:  node --test tests/lifecycle.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ProposalTransitionSchema,
+  ProposalListQuerySchema,
+} = require("../src/validators/proposalValidator");
+const { canTransition } = require("../src/services/lifecycleService");
+const { buildListFilter, toProposalResponse } = require("../src/services/proposalQueryService");
+
+describe("canTransition", () => {
+  it("allows the happy path draft → sent → accepted", () => {
+    assert.equal(canTransition("draft", "sent"), true);
+    assert.equal(canTransition("sent", "accepted"), true);
+  });
+
+  it("rejects skipping sent", () => {
+    assert.equal(canTransition("draft", "accepted"), false);
+  });
+
+  it("treats accepted, rejected, expired and cancelled as final", () => {
+    for (const from of ["accepted", "rejected", "expired", "cancelled"]) {
+      assert.equal(canTransition(from, "draft"), false);
+      assert.equal(canTransition(from, "sent"), false);
+    }
+  });
+});
+
+describe("ProposalTransitionSchema", () => {
+  it("accepts a status with an optional comment", () => {
+    const result = ProposalTransitionSchema.safeParse({ status: "sent", comment: "emailed to buyer" });
+    assert.equal(result.success, true);
+  });
+
+  it("rejects unknown statuses", () => {
+    const result = ProposalTransitionSchema.safeParse({ status: "archived" });
+    assert.equal(result.success, false);
+  });
+});
+
+describe("status filter", () => {
+  it("parses a comma-separated list", () => {
+    const result = ProposalListQuerySchema.safeParse({ status: "sent, accepted" });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.status, ["sent", "accepted"]);
+  });
+
+  it("rejects an unknown status in the list", () => {
+    const result = ProposalListQuerySchema.safeParse({ status: "sent,archived" });
+    assert.equal(result.success, false);
+  });
+
+  it("matches legacy proposals without a status when filtering drafts", () => {
+    assert.deepEqual(buildListFilter({ status: ["draft"] }).status, { $in: ["draft", null] });
+    assert.deepEqual(buildListFilter({ status: ["sent"] }).status, { $in: ["sent"] });
+  });
+});
+
+describe("toProposalResponse", () => {
+  it("defaults a missing status to draft and lists allowed transitions", () => {
+    const response = toProposalResponse({ _id: "65f0c2a1b2c3d4e5f6a7b801", products: [] });
+    assert.equal(response.status, "draft");
+    assert.deepEqual(response.allowed_transitions, ["sent", "cancelled"]);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Proposal PDF Export Tests — Module 2
+ *
+ * Run:  node --test tests/pdfService.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderProposalPdf, formatMoney } = require("../src/services/pdfService");
+
+function makeProposal(productCount = 3) {
+  return {
+    proposal_id: "65f0c2a1b2c3d4e5f6a7b8c9",
+    client_name: "Acme Corp",
+    created_at: new Date("2025-01-15"),
+    proposal_summary: "Allocated ₹41,940 across three categories.",
+    total_budget_limit: 50000,
+    allocated_budget: 41940,
+    remaining_budget: 8060,
+    products: Array.from({ length: productCount }, (_, i) => ({
+      product_id: `p${i}`,
+      name: `Recycled Cotton Tote Bag ${i}`,
+      quantity: 20,
+      unit_price: 699,
+      total_cost: 13980,
+    })),
+    impact_summary: "Estimated 18 kg plastic saved and 72 kg CO₂ avoided.",
+    confidence_score: 0.82,
+    computed_impact: { total_plastic_saved: 18, total_carbon_avoided: 72 },
+  };
+}
+
+describe("renderProposalPdf", () => {
+  it("renders a PDF document", async () => {
+    const pdf = await renderProposalPdf(makeProposal());
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("paginates long product tables", async () => {
+    const short = await renderProposalPdf(makeProposal(3));
+    const long = await renderProposalPdf(makeProposal(60));
+    const pages = (buf) => (buf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+    assert.equal(pages(short), 1);
+    assert.ok(pages(long) > 1);
+  });
+});
+
+describe("formatMoney", () => {
+  it("uses Indian digit grouping", () => {
+    assert.equal(formatMoney(1234567), "INR 12,34,567");
+  });
+});
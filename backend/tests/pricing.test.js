@@ -0,0 +1,159 @@
+/**
+ * Pricing Engine Tests — Module 2
+ *
+ * Run:  node --test tests/pricing.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  NO_PRICING_POLICY,
+  breakPrice,
+  taxRateFor,
+  priceLines,
+  createPricer,
+  goodsBudget,
+  convertPolicy,
+} = require("../src/services/pricingService");
+const { allocateDeterministic } = require("../src/services/allocatorService");
+const { parseAndValidate, ValidationError } = require("../src/services/proposalService");
+const { PriceBreaksSchema } = require("../src/validators/productValidator");
+const { PricingPolicyUpdateSchema } = require("../src/validators/pricingValidator");
+
+const POLICY = {
+  tax: { default_rate: 0.18, by_category: { Stationery: 0.12 }, by_region: { EU: 0.2 } },
+  shipping: { base_fee: 500, per_unit_fee: 10, free_above: 0 },
+};
+
+const catalog = [
+  { _id: "tote", name: "Tote", category: "Bags", unit_price: 699, price_breaks: [{ min_quantity: 10, unit_price: 650 }, { min_quantity: 50, unit_price: 600 }] },
+  { _id: "pen", name: "Pen", category: "Stationery", unit_price: 269 },
+  { _id: "bottle", name: "Bottle", category: "Drinkware", unit_price: 1249 },
+  { _id: "tee", name: "Tee", category: "Apparel", unit_price: 1799 },
+].map((p) => ({ ...p, impact_metrics: { plastic_saved_per_unit: 0.3, carbon_avoided_per_unit: 1 } }));
+const productMap = new Map(catalog.map((p) => [p._id, p]));
+
+function line(id, quantity) {
+  const p = productMap.get(id);
+  return { product_id: id, name: p.name, quantity, unit_price: p.unit_price, total_cost: quantity * p.unit_price };
+}
+
+describe("breakPrice", () => {
+  it("uses the highest break reached by the quantity", () => {
+    const tote = productMap.get("tote");
+    assert.equal(breakPrice(tote, 9), 699);
+    assert.equal(breakPrice(tote, 10), 650);
+    assert.equal(breakPrice(tote, 75), 600);
+  });
+
+  it("never raises the list price", () => {
+    assert.equal(breakPrice({ unit_price: 100, price_breaks: [{ min_quantity: 2, unit_price: 120 }] }, 5), 100);
+  });
+});
+
+describe("taxRateFor", () => {
+  it("prefers category, then region, then the default", () => {
+    assert.equal(taxRateFor("Stationery", POLICY, "EU"), 0.12);
+    assert.equal(taxRateFor("Bags", POLICY, "EU"), 0.2);
+    assert.equal(taxRateFor("Bags", POLICY, "KA"), 0.18);
+  });
+});
+
+describe("priceLines", () => {
+  it("applies discounts, tax and shipping to a landed total", () => {
+    const { lines, summary } = priceLines([line("tote", 10), line("pen", 5)], productMap, POLICY);
+    assert.deepEqual(lines[0].pricing, {
+      discounted_unit_price: 650,
+      discount: 490,
+      tax_rate: 0.18,
+      tax: 1170,
+      total: 7670,
+    });
+    assert.deepEqual(summary, {
+      subtotal: 8335,
+      discount: 490,
+      tax: 1331.4,
+      shipping: 650,
+      total: 9826.4,
+    });
+  });
+
+  it("waives shipping once net goods reach free_above", () => {
+    const policy = { ...POLICY, shipping: { ...POLICY.shipping, free_above: 5000 } };
+    assert.equal(priceLines([line("tote", 10)], productMap, policy).summary.shipping, 0);
+    assert.equal(priceLines([line("pen", 1)], productMap, policy).summary.shipping, 510);
+  });
+
+  it("equals the list subtotal under the zero policy", () => {
+    const { summary } = priceLines([line("pen", 3), line("bottle", 1)], productMap, NO_PRICING_POLICY);
+    assert.equal(summary.total, summary.subtotal);
+  });
+});
+
+describe("goodsBudget", () => {
+  it("is the budget itself when nothing is added", () => {
+    assert.equal(goodsBudget(1234.56, catalog, NO_PRICING_POLICY), 1234.56);
+  });
+
+  it("always lands within budget at list prices", () => {
+    const cap = goodsBudget(30000, catalog, POLICY);
+    const pens = Math.floor(cap / 269);
+    const { summary } = priceLines([line("pen", pens)], productMap, POLICY);
+    assert.ok(summary.total <= 30000, `landed ${summary.total}`);
+  });
+});
+
+describe("convertPolicy", () => {
+  it("converts shipping fees from the base currency", () => {
+    const usd = convertPolicy(POLICY, "USD", { INR: 1, USD: 83.25 });
+    assert.deepEqual(usd.shipping, { base_fee: 6.01, per_unit_fee: 0.12, free_above: 0 });
+    assert.equal(usd.tax, POLICY.tax);
+  });
+});
+
+describe("budget check on the landed total", () => {
+  it("deterministic allocation stays within budget after tax and shipping", () => {
+    const allocation = allocateDeterministic({
+      products: catalog,
+      budget_limit: 30000,
+      pricer: createPricer(POLICY, { productMap }),
+    });
+    const data = parseAndValidate(JSON.stringify(allocation), productMap, 30000, { policy: POLICY });
+    assert.ok(data.allocated_budget <= 30000);
+    assert.equal(data.allocated_budget, data.pricing.total);
+    assert.ok(data.pricing.tax > 0);
+  });
+
+  it("rejects output whose list subtotal fits but landed total does not", () => {
+    const products = [line("bottle", 8), line("tee", 8)];
+    const raw = JSON.stringify({
+      proposal_summary: "s",
+      total_budget_limit: 25000,
+      allocated_budget: 23984,
+      products,
+      impact_summary: "i",
+      confidence_score: 0.8,
+    });
+    assert.doesNotThrow(() => parseAndValidate(raw, productMap, 25000));
+    assert.throws(
+      () => parseAndValidate(raw, productMap, 25000, { policy: POLICY }),
+      (e) => e instanceof ValidationError && /tax .* shipping/.test(e.message)
+    );
+  });
+});
+
+describe("pricing validation", () => {
+  it("requires ascending quantities and falling prices", () => {
+    assert.equal(PriceBreaksSchema.safeParse([{ min_quantity: 10, unit_price: 650 }, { min_quantity: 50, unit_price: 600 }]).success, true);
+    assert.equal(PriceBreaksSchema.safeParse([{ min_quantity: 50, unit_price: 600 }, { min_quantity: 10, unit_price: 650 }]).success, false);
+    assert.equal(PriceBreaksSchema.safeParse([{ min_quantity: 10, unit_price: 600 }, { min_quantity: 50, unit_price: 650 }]).success, false);
+    assert.equal(PriceBreaksSchema.safeParse([{ min_quantity: 1, unit_price: 600 }]).success, false);
+  });
+
+  it("validates policy updates", () => {
+    assert.equal(PricingPolicyUpdateSchema.safeParse({ tax: { default_rate: 0.18 } }).success, true);
+    assert.equal(PricingPolicyUpdateSchema.safeParse({ tax: { default_rate: 18 } }).success, false);
+    assert.equal(PricingPolicyUpdateSchema.safeParse({ shipping: { base_fee: -1 } }).success, false);
+    assert.equal(PricingPolicyUpdateSchema.safeParse({}).success, false);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Product Service Tests — Module 2
+ *
+ * Run:  node --test tests/productService.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../src/models/Product");
+const { getProduct, updateProduct, deleteProduct } = require("../src/services/productService");
+const { NotFoundError } = require("../src/errors");
+
+const SHARED_ID = "65f0000000000000000000c1";
+const OWN_ID = "65f0000000000000000000c2";
+const products = [
+  { _id: { toString: () => SHARED_ID }, tenant_id: null, name: "Recycled Cotton Tote Bag", unit_price: 699, stock_on_hand: 0 },
+  { _id: { toString: () => OWN_ID }, tenant_id: "t1", name: "Acme Tote Bag", unit_price: 650, stock_on_hand: 10 },
+];
+
+const query = (value) => ({ lean: async () => value });
+
+// Stand-in for Mongo matching of { _id, tenant_id } / { tenant_id: { $in } }
+function find(filter) {
+  return (
+    products.find((doc) => {
+      if (filter._id !== undefined && filter._id !== doc._id.toString()) return false;
+      const tenant = filter.tenant_id;
+      return tenant?.$in ? tenant.$in.includes(doc.tenant_id) : tenant === doc.tenant_id;
+    }) || null
+  );
+}
+
+const original = {
+  findOne: Product.findOne,
+  findOneAndUpdate: Product.findOneAndUpdate,
+  findOneAndDelete: Product.findOneAndDelete,
+};
+afterEach(() => Object.assign(Product, original));
+
+describe("catalog writes", () => {
+  it("reads shared products but never writes them, whatever the role", async () => {
+    Product.findOne = (filter) => query(find(filter));
+    Product.findOneAndUpdate = (filter) => query(find(filter));
+    Product.findOneAndDelete = (filter) => query(find(filter));
+
+    assert.equal((await getProduct(SHARED_ID, { tenant_id: "t1" })).product_id, SHARED_ID);
+    await assert.rejects(updateProduct(SHARED_ID, { stock_on_hand: 500 }, { tenant_id: "t1" }), NotFoundError);
+    await assert.rejects(deleteProduct(SHARED_ID, { tenant_id: "t1" }), NotFoundError);
+  });
+
+  it("updates and deletes the tenant's own products", async () => {
+    Product.findOneAndUpdate = (filter, update) => {
+      assert.deepEqual(filter, { _id: OWN_ID, tenant_id: "t1" });
+      return query({ ...find(filter), ...update.$set });
+    };
+    Product.findOneAndDelete = (filter) => query(find(filter));
+
+    const updated = await updateProduct(OWN_ID, { stock_on_hand: 40 }, { tenant_id: "t1" });
+    assert.equal(updated.stock_on_hand, 40);
+    assert.deepEqual(await deleteProduct(OWN_ID, { tenant_id: "t1" }), { product_id: OWN_ID, deleted: true });
+  });
+
+  it("keeps another tenant's products out of reach", async () => {
+    Product.findOneAndUpdate = (filter) => query(find(filter));
+    await assert.rejects(updateProduct(OWN_ID, { unit_price: 1 }, { tenant_id: "t2" }), NotFoundError);
+  });
+});
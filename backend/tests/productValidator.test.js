@@ -0,0 +1,105 @@
+/**
+ * Product Catalog Validation Tests — Module 2
+ *
+ * Run:  node --test tests/productValidator.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ProductCreateSchema,
+  ProductUpdateSchema,
+  ProductListQuerySchema,
+} = require("../src/validators/productValidator");
+
+function makeValidProduct(overrides = {}) {
+  return {
+    name: "Recycled Cotton Tote Bag",
+    category: "Bags",
+    unit_price: 699,
+    impact_metrics: {
+      plastic_saved_per_unit: 0.3,
+      carbon_avoided_per_unit: 1.2,
+    },
+    ...overrides,
+  };
+}
+
+describe("ProductCreateSchema", () => {
+  it("accepts a valid product", () => {
+    const result = ProductCreateSchema.safeParse(makeValidProduct());
+    assert.equal(result.success, true);
+  });
+
+  it("accepts zero unit_price", () => {
+    const result = ProductCreateSchema.safeParse(makeValidProduct({ unit_price: 0 }));
+    assert.equal(result.success, true);
+  });
+
+  it("rejects negative unit_price", () => {
+    const result = ProductCreateSchema.safeParse(makeValidProduct({ unit_price: -1 }));
+    assert.equal(result.success, false);
+  });
+
+  it("rejects unknown category", () => {
+    const result = ProductCreateSchema.safeParse(makeValidProduct({ category: "Furniture" }));
+    assert.equal(result.success, false);
+    assert.match(result.error.issues[0].message, /category must be one of/);
+  });
+
+  it("rejects missing impact_metrics", () => {
+    const data = makeValidProduct();
+    delete data.impact_metrics;
+    const result = ProductCreateSchema.safeParse(data);
+    assert.equal(result.success, false);
+  });
+
+  it("rejects impact_metrics missing a field", () => {
+    const result = ProductCreateSchema.safeParse(
+      makeValidProduct({ impact_metrics: { plastic_saved_per_unit: 0.3 } })
+    );
+    assert.equal(result.success, false);
+  });
+
+  it("rejects extra keys", () => {
+    const result = ProductCreateSchema.safeParse(makeValidProduct({ sku: "X1" }));
+    assert.equal(result.success, false);
+  });
+});
+
+describe("ProductUpdateSchema", () => {
+  it("accepts a single-field update", () => {
+    const result = ProductUpdateSchema.safeParse({ unit_price: 749 });
+    assert.equal(result.success, true);
+  });
+
+  it("accepts a partial impact_metrics update", () => {
+    const result = ProductUpdateSchema.safeParse({
+      impact_metrics: { carbon_avoided_per_unit: 2 },
+    });
+    assert.equal(result.success, true);
+  });
+
+  it("rejects an empty update", () => {
+    const result = ProductUpdateSchema.safeParse({});
+    assert.equal(result.success, false);
+  });
+
+  it("rejects negative unit_price", () => {
+    const result = ProductUpdateSchema.safeParse({ unit_price: -5 });
+    assert.equal(result.success, false);
+  });
+});
+
+describe("ProductListQuerySchema", () => {
+  it("coerces price filters from query strings", () => {
+    const result = ProductListQuerySchema.safeParse({ min_price: "100", max_price: "900" });
+    assert.equal(result.success, true);
+    assert.equal(result.data.min_price, 100);
+  });
+
+  it("rejects inverted price range", () => {
+    const result = ProductListQuerySchema.safeParse({ min_price: "900", max_price: "100" });
+    assert.equal(result.success, false);
+  });
+});
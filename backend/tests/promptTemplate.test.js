@@ -0,0 +1,154 @@
+/**
+ * Prompt Template Tests — Module 2
+ *
+ * Run:  node --test tests/promptTemplate.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const PromptTemplate = require("../src/models/PromptTemplate");
+const {
+  DEFAULT_SYSTEM_TEMPLATE,
+  DEFAULT_USER_TEMPLATE,
+  renderTemplate,
+  templateVariables,
+} = require("../src/providers/promptTemplates");
+const { buildSystemPrompt, buildUserPrompt } = require("../src/providers/aiProvider");
+const { PromptTemplateCreateSchema } = require("../src/validators/promptTemplateValidator");
+const {
+  getActiveTemplate,
+  createTemplate,
+  activateTemplate,
+  activateBuiltinTemplate,
+} = require("../src/services/promptTemplateService");
+
+const TEMPLATE_ID = "65f0000000000000000000a1";
+const catalog = [
+  { _id: "p1", name: "Cotton Tote Bag", category: "Bags", unit_price: 700 },
+  { _id: "p2", name: "Steel Water Bottle", category: "Drinkware", unit_price: 1250 },
+];
+
+// Query stub: chainable sort(), resolving to `value` on lean()
+const query = (value) => ({
+  sort() {
+    return this;
+  },
+  lean: async () => value,
+});
+
+const original = { ...PromptTemplate };
+afterEach(() => {
+  for (const name of ["findOne", "create", "updateMany", "findOneAndUpdate"]) {
+    PromptTemplate[name] = original[name];
+  }
+});
+
+describe("template rendering", () => {
+  it("substitutes known variables once and keeps unknown ones", () => {
+    assert.equal(renderTemplate("{{ a }}-{{b}}-{{c}}", { a: "{{b}}", b: 2 }), "{{b}}-2-{{c}}");
+    assert.deepEqual(templateVariables("{{x}} {{ y }} {{x}}"), ["x", "y"]);
+  });
+
+  it("renders the built-in templates by default", () => {
+    const prompt = buildSystemPrompt(catalog, 50000, "INR", { goodsBudget: 45000 });
+    const explicit = buildSystemPrompt(catalog, 50000, "INR", { goodsBudget: 45000, template: DEFAULT_SYSTEM_TEMPLATE });
+    assert.equal(explicit, prompt);
+    assert.match(prompt, /^Budget limit: 50000 INR \(all prices in INR\)$/m);
+    assert.match(prompt, /^5\) allocated_budget = sum\(total_cost\), and must be <= 45000\.$/m);
+    assert.ok(!prompt.includes("{{"));
+  });
+
+  it("renders a stored template with the same values", () => {
+    const system = buildSystemPrompt(catalog, 50000, "INR", { template: "Pick from:\n{{catalog}}\n{{schema}}" });
+    assert.match(system, /^Pick from:\np\d\|/);
+    assert.match(system, /"total_budget_limit":50000/);
+
+    const user = buildUserPrompt(50000, ["Bags"], "balanced", "Acme", "INR", {
+      headcount: 10,
+      template: "{{client}} has {{budget}}.{{extras}}",
+    });
+    assert.equal(user, "Acme has 50000 INR. Headcount: 10 (plan quantities for every recipient where budget allows).");
+    assert.equal(buildUserPrompt(1, [], "", "", "", { template: DEFAULT_USER_TEMPLATE }), buildUserPrompt(1, [], "", ""));
+  });
+});
+
+describe("PromptTemplateCreateSchema", () => {
+  it("accepts known variables and omitted templates", () => {
+    assert.equal(PromptTemplateCreateSchema.safeParse({}).success, true);
+    assert.equal(
+      PromptTemplateCreateSchema.safeParse({ system_template: "{{catalog}}\n{{rules}}\n{{schema}}" }).success,
+      true
+    );
+  });
+
+  it("rejects unknown variables and a system template without catalog or schema", () => {
+    const typo = PromptTemplateCreateSchema.safeParse({ user_template: "{{budjet}}" });
+    assert.equal(typo.success, false);
+    assert.match(typo.error.issues[0].message, /Unknown variables \{\{budjet\}\}/);
+
+    const missing = PromptTemplateCreateSchema.safeParse({ system_template: "{{catalog}} only" });
+    assert.equal(missing.success, false);
+    assert.match(missing.error.issues[0].message, /must include \{\{schema\}\}/);
+  });
+});
+
+describe("promptTemplateService", () => {
+  it("falls back to the built-in templates", async () => {
+    PromptTemplate.findOne = () => query(null);
+    const active = await getActiveTemplate("t1");
+    assert.equal(active.template_id, null);
+    assert.equal(active.version, 0);
+    assert.equal(active.system_template, DEFAULT_SYSTEM_TEMPLATE);
+  });
+
+  it("numbers versions per tenant and copies omitted templates", async () => {
+    let created = null;
+    PromptTemplate.findOne = (filter) => {
+      assert.deepEqual(filter, { tenant_id: "t1" });
+      return query({ version: 3 });
+    };
+    PromptTemplate.create = async (doc) => {
+      created = doc;
+      return { _id: TEMPLATE_ID, toObject: () => ({ _id: TEMPLATE_ID, active: false, ...doc }) };
+    };
+    const result = await createTemplate({ user_template: "{{budget}}" }, { tenant_id: "t1", actor: "ana" });
+    assert.equal(result.template_id, TEMPLATE_ID);
+    assert.equal(created.version, 4);
+    assert.equal(created.system_template, DEFAULT_SYSTEM_TEMPLATE);
+    assert.equal(created.user_template, "{{budget}}");
+    assert.equal(created.created_by, "ana");
+  });
+
+  it("deactivates the current version before activating another", async () => {
+    const calls = [];
+    PromptTemplate.findOne = () => query({ _id: TEMPLATE_ID, version: 2, active: false });
+    PromptTemplate.updateMany = async (filter, update) => {
+      calls.push(["updateMany", filter.active, update.$set.active]);
+    };
+    PromptTemplate.findOneAndUpdate = (filter, update) => {
+      calls.push(["activate", filter._id, update.$set.activated_by]);
+      return query({ _id: TEMPLATE_ID, version: 2, ...update.$set });
+    };
+    const result = await activateTemplate(TEMPLATE_ID, { tenant_id: "t1", actor: "ana" });
+    assert.deepEqual(calls, [
+      ["updateMany", true, false],
+      ["activate", TEMPLATE_ID, "ana"],
+    ]);
+    assert.equal(result.active, true);
+    assert.equal(result.version, 2);
+  });
+
+  it("goes back to the built-in templates by deactivating the tenant's version", async () => {
+    let deactivated = null;
+    PromptTemplate.updateMany = async (filter, update) => {
+      deactivated = { filter, update };
+      return { modifiedCount: 1 };
+    };
+    const result = await activateBuiltinTemplate({ tenant_id: "t1", actor: "ana" });
+    assert.deepEqual(deactivated.filter, { tenant_id: "t1", active: true });
+    assert.deepEqual(deactivated.update, { $set: { active: false } });
+    assert.equal(result.template_id, null);
+    assert.equal(result.version, 0);
+    assert.equal(result.system_template, DEFAULT_SYSTEM_TEMPLATE);
+  });
+});
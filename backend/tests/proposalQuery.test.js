@@ -0,0 +1,91 @@
+/**
+ * Proposal Read/List Tests — Module 2
+ *
+ * Run:  node --test tests/proposalQuery.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ProposalIdParamsSchema,
+  ProposalListQuerySchema,
+} = require("../src/validators/proposalValidator");
+const { buildListFilter } = require("../src/services/proposalQueryService");
+
+describe("ProposalListQuerySchema", () => {
+  it("applies pagination defaults and hides ai_metadata", () => {
+    const result = ProposalListQuerySchema.safeParse({});
+    assert.equal(result.success, true);
+    assert.equal(result.data.page, 1);
+    assert.equal(result.data.limit, 20);
+    assert.equal(result.data.include_ai_metadata, false);
+  });
+
+  it("coerces query-string numbers and booleans", () => {
+    const result = ProposalListQuerySchema.safeParse({
+      page: "3",
+      limit: "5",
+      min_confidence: "0.7",
+      include_ai_metadata: "true",
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.data.page, 3);
+    assert.equal(result.data.min_confidence, 0.7);
+    assert.equal(result.data.include_ai_metadata, true);
+  });
+
+  it("rejects limit above 100", () => {
+    const result = ProposalListQuerySchema.safeParse({ limit: "500" });
+    assert.equal(result.success, false);
+  });
+
+  it("rejects inverted budget range", () => {
+    const result = ProposalListQuerySchema.safeParse({ min_budget: "9000", max_budget: "100" });
+    assert.equal(result.success, false);
+  });
+
+  it("rejects inverted date range", () => {
+    const result = ProposalListQuerySchema.safeParse({
+      created_from: "2025-02-01",
+      created_to: "2025-01-01",
+    });
+    assert.equal(result.success, false);
+  });
+});
+
+describe("ProposalIdParamsSchema", () => {
+  it("accepts a 24-char hex ObjectId", () => {
+    const result = ProposalIdParamsSchema.safeParse({ id: "65f0c2a1b2c3d4e5f6a7b8c9" });
+    assert.equal(result.success, true);
+  });
+
+  it("rejects malformed ids", () => {
+    const result = ProposalIdParamsSchema.safeParse({ id: "not-an-id" });
+    assert.equal(result.success, false);
+  });
+});
+
+describe("buildListFilter", () => {
+  it("returns empty filter when no filters given", () => {
+    assert.deepEqual(buildListFilter({}), {});
+  });
+
+  it("escapes regex characters in client_name", () => {
+    const filter = buildListFilter({ client_name: "Acme (EU)" });
+    assert.equal(filter.client_name.$regex, "Acme \\(EU\\)");
+    assert.equal(filter.client_name.$options, "i");
+  });
+
+  it("builds budget, date and confidence ranges", () => {
+    const from = new Date("2025-01-01");
+    const filter = buildListFilter({
+      created_from: from,
+      min_budget: 1000,
+      max_budget: 5000,
+      min_confidence: 0.8,
+    });
+    assert.deepEqual(filter.created_at, { $gte: from });
+    assert.deepEqual(filter.total_budget_limit, { $gte: 1000, $lte: 5000 });
+    assert.deepEqual(filter.confidence_score, { $gte: 0.8 });
+  });
+});
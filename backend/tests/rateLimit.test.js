@@ -0,0 +1,188 @@
+/**
+ * Rate Limit & Quota Tests — Module 2
+ *
+ * Run:  node --test tests/rateLimit.test.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../src/config");
+const TenantUsage = require("../src/models/TenantUsage");
+const { createRateLimiter } = require("../src/middleware/rateLimit");
+const {
+  currentPeriod,
+  msUntilNextPeriod,
+  reserveGeneration,
+  releaseGeneration,
+} = require("../src/services/quotaService");
+const { toErrorResponse } = require("../src/controllers/httpErrors");
+const { RateLimitError } = require("../src/errors");
+
+function makeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(h) {
+      Object.assign(this.headers, h);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function call(limiter, req) {
+  const res = makeRes();
+  let passed = false;
+  limiter(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+describe("createRateLimiter", () => {
+  const apiKeyReq = (actor) => ({ ip: "1.2.3.4", auth: { tenant_id: "t1", actor, method: "api_key" } });
+
+  it("allows up to max requests per window, then answers 429 with Retry-After", () => {
+    let clock = 0;
+    const limiter = createRateLimiter({ name: "generate", max: 2, windowMs: 60000, now: () => clock });
+
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, true);
+    clock = 1000;
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, true);
+
+    clock = 20000;
+    const { res, passed } = call(limiter, apiKeyReq("key:a"));
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], "40");
+    assert.equal(res.body.ok, false);
+    assert.equal(res.body.data.limit.name, "generate");
+    assert.equal(res.body.data.retry_after_ms, 40000);
+  });
+
+  it("counts each API key separately", () => {
+    const limiter = createRateLimiter({ name: "generate", max: 1, windowMs: 60000, now: () => 0 });
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, true);
+    assert.equal(call(limiter, apiKeyReq("key:b")).passed, true);
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, false);
+  });
+
+  it("falls back to the client IP without credentials", () => {
+    const limiter = createRateLimiter({ name: "generate", max: 1, windowMs: 60000, now: () => 0 });
+    const anon = (ip) => ({ ip, auth: { tenant_id: "dev", actor: "dev", method: "none" } });
+    assert.equal(call(limiter, anon("10.0.0.1")).passed, true);
+    assert.equal(call(limiter, anon("10.0.0.2")).passed, true);
+    assert.equal(call(limiter, anon("10.0.0.1")).passed, false);
+  });
+
+  it("starts a new window after windowMs", () => {
+    let clock = 0;
+    const limiter = createRateLimiter({ name: "generate", max: 1, windowMs: 1000, now: () => clock });
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, true);
+    clock = 1000;
+    assert.equal(call(limiter, apiKeyReq("key:a")).passed, true);
+  });
+});
+
+describe("quota periods", () => {
+  it("uses the UTC calendar month", () => {
+    assert.equal(currentPeriod(new Date("2026-10-31T23:59:59Z")), "2026-10");
+  });
+
+  it("computes the time until the next month", () => {
+    assert.equal(msUntilNextPeriod(new Date("2026-12-31T23:59:00Z")), 60000);
+  });
+});
+
+describe("generation reservations", () => {
+  const originalQuota = { ...config.quota };
+  const original = {
+    findOne: TenantUsage.findOne,
+    findOneAndUpdate: TenantUsage.findOneAndUpdate,
+    updateOne: TenantUsage.updateOne,
+  };
+  afterEach(() => {
+    Object.assign(config.quota, originalQuota);
+    Object.assign(TenantUsage, original);
+  });
+
+  // One month's usage document with Mongo's $lt / $gt filter semantics.
+  // The dev tenant has no Tenant document, so config.quota applies.
+  function stubUsage(doc) {
+    const matches = (filter) =>
+      Object.entries(filter).every(([key, cond]) =>
+        cond?.$lt !== undefined ? doc[key] < cond.$lt : cond?.$gt !== undefined ? doc[key] > cond.$gt : doc[key] === cond
+      );
+    const apply = (update) => {
+      for (const [key, by] of Object.entries(update.$inc || {})) doc[key] += by;
+    };
+    TenantUsage.findOne = () => ({ lean: async () => ({ ...doc }) });
+    TenantUsage.updateOne = async (filter, update, options) => {
+      if (options?.upsert) return; // the document already exists
+      if (matches(filter)) apply(update);
+    };
+    TenantUsage.findOneAndUpdate = (filter, update) => ({
+      lean: async () => {
+        // No await between match and update: one atomic step, like Mongo
+        if (!matches(filter)) return null;
+        const before = { ...doc };
+        apply(update);
+        return before;
+      },
+    });
+    return doc;
+  }
+
+  it("never lets concurrent generations past the quota", async () => {
+    config.quota.monthlyGenerations = 3;
+    const doc = stubUsage({ tenant_id: "dev", period: currentPeriod(), generations: 1, total_tokens: 0 });
+
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => reserveGeneration("dev")));
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 2);
+    const refused = results.filter((r) => r.status === "rejected");
+    assert.equal(refused.length, 2);
+    assert.ok(refused.every((r) => r.reason instanceof RateLimitError && r.reason.limit.name === "monthly_generations"));
+    assert.equal(doc.generations, 3);
+  });
+
+  it("refuses once the token quota is used up", async () => {
+    config.quota.monthlyTokens = 1000;
+    stubUsage({ tenant_id: "dev", period: currentPeriod(), generations: 0, total_tokens: 1200 });
+    await assert.rejects(reserveGeneration("dev"), (err) => err.limit.name === "monthly_tokens");
+  });
+
+  it("gives a failed generation's count back", async () => {
+    config.quota.monthlyGenerations = 1;
+    const doc = stubUsage({ tenant_id: "dev", period: currentPeriod(), generations: 0, total_tokens: 0 });
+
+    const reservation = await reserveGeneration("dev");
+    await assert.rejects(reserveGeneration("dev"), RateLimitError);
+    await releaseGeneration(reservation);
+    assert.equal(doc.generations, 0);
+    await reserveGeneration("dev");
+    assert.equal(doc.generations, 1);
+  });
+});
+
+describe("RateLimitError mapping", () => {
+  it("uses the same 429 envelope as provider rate limits", () => {
+    const { status, headers, body } = toErrorResponse(
+      new RateLimitError("Monthly AI token quota exhausted", 3600500, { name: "monthly_tokens" })
+    );
+    assert.equal(status, 429);
+    assert.equal(headers["Retry-After"], "3601");
+    assert.deepEqual(body, {
+      ok: false,
+      data: { limit: { name: "monthly_tokens" }, retry_after_ms: 3600500 },
+      error: "Monthly AI token quota exhausted",
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Proposal Revision Tests — Module 2
+ *
+ * Run:  node --test tests/revision.test.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ProposalRevisionSchema } = require("../src/validators/proposalValidator");
+const { diffLineItems } = require("../src/services/revisionService");
+const { validateLineItems, ValidationError } = require("../src/services/proposalService");
+
+const TOTE = "65f0c2a1b2c3d4e5f6a7b801";
+const CAP = "65f0c2a1b2c3d4e5f6a7b802";
+const PEN = "65f0c2a1b2c3d4e5f6a7b803";
+
+function line(product_id, name, quantity, unit_price) {
+  return { product_id, name, quantity, unit_price, total_cost: quantity * unit_price };
+}
+
+describe("ProposalRevisionSchema", () => {
+  it("accepts a list of product_id + quantity", () => {
+    const result = ProposalRevisionSchema.safeParse({
+      products: [{ product_id: TOTE, quantity: 40 }],
+      comment: "add 20 more tote bags",
+    });
+    assert.equal(result.success, true);
+  });
+
+  it("rejects duplicate product_ids", () => {
+    const result = ProposalRevisionSchema.safeParse({
+      products: [
+        { product_id: TOTE, quantity: 1 },
+        { product_id: TOTE, quantity: 2 },
+      ],
+    });
+    assert.equal(result.success, false);
+  });
+
+  it("rejects zero quantity (omit the product to remove it)", () => {
+    const result = ProposalRevisionSchema.safeParse({
+      products: [{ product_id: TOTE, quantity: 0 }],
+    });
+    assert.equal(result.success, false);
+  });
+
+  it("rejects an empty product list", () => {
+    const result = ProposalRevisionSchema.safeParse({ products: [] });
+    assert.equal(result.success, false);
+  });
+});
+
+describe("diffLineItems", () => {
+  const before = [line(TOTE, "Tote", 20, 699), line(CAP, "Cap", 10, 1149)];
+
+  it("reports added, removed and changed products", () => {
+    const after = [line(TOTE, "Tote", 40, 699), line(PEN, "Pen", 5, 269)];
+    const changes = diffLineItems(before, after);
+    const byId = new Map(changes.map((c) => [c.product_id, c]));
+
+    assert.equal(changes.length, 3);
+    assert.equal(byId.get(TOTE).change, "quantity_changed");
+    assert.equal(byId.get(TOTE).cost_delta, 13980);
+    assert.equal(byId.get(PEN).change, "added");
+    assert.equal(byId.get(CAP).change, "removed");
+    assert.equal(byId.get(CAP).cost_delta, -11490);
+  });
+
+  it("returns no changes for an identical list", () => {
+    assert.deepEqual(diffLineItems(before, before.map((p) => ({ ...p }))), []);
+  });
+});
+
+describe("validateLineItems for revisions", () => {
+  const productMap = new Map([[TOTE, { name: "Tote", unit_price: 749 }]]);
+
+  it("rejects a line whose stored price no longer matches the catalog", () => {
+    assert.throws(
+      () => validateLineItems([line(TOTE, "Tote", 10, 699)], productMap, { source: "Revision" }),
+      (e) => e instanceof ValidationError && /Revision said 699, DB has 749/.test(e.message)
+    );
+  });
+});
@@ -1,33 +1,112 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import ProposalForm from "./components/ProposalForm";
 import ProposalDashboard from "./components/ProposalDashboard";
-import { generateProposal } from "./api";
+import ProposalComparison from "./components/ProposalComparison";
+import GenerationTimeline from "./components/GenerationTimeline";
+import AiAnalytics from "./components/AiAnalytics";
+import SignIn from "./components/SignIn";
+import { generateProposal, generateProposalStream, getCurrentUser, signOut } from "./api";
+
+// Serverless deployments cap request duration, so they poll a background
+// job instead of holding an SSE stream open for the whole generation.
+const USE_JOBS = import.meta.env.VITE_USE_JOBS === "true";
+
+// 429 covers provider rate limits, our per-key limit and monthly quotas;
+// all carry retry_after_ms in the same envelope.
+function describeError(envelope, status) {
+  if (status === 429 && envelope.data?.retry_after_ms) {
+    const retrySeconds = Math.ceil(envelope.data.retry_after_ms / 1000);
+    const wait =
+      retrySeconds >= 86400 ? `${Math.ceil(retrySeconds / 86400)} day(s)`
+      : retrySeconds >= 3600 ? `${Math.ceil(retrySeconds / 3600)} hour(s)`
+      : `${retrySeconds}s`;
+    return `${envelope.error || "Rate limit reached"}. Please retry in ${wait}.`;
+  }
+  return envelope.error || "Unknown error from server";
+}
+
+const VIEWS = [
+  { key: "generator", label: "Generator" },
+  { key: "analytics", label: "AI Analytics", role: "admin" },
+];
 
 export default function App() {
+  // undefined while checking the session, null when sign-in is needed
+  const [user, setUser] = useState(undefined);
+  const [view, setView] = useState("generator");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [proposal, setProposal] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch((err) => {
+        setUser(null);
+        setError(err.message || "Could not reach the server");
+      });
+  }, []);
+
+  function handleSignedIn() {
+    setError(null);
+    getCurrentUser().then(setUser);
+  }
+
+  function handleSignOut() {
+    signOut();
+    setUser(null);
+    setView("generator");
+    setProposal(null);
+    setComparison(null);
+    setEvents([]);
+  }
+
+  // Keep the bundle's copy in sync so switching options shows revisions
+  function updateProposal(updated) {
+    setProposal(updated);
+    setComparison((prev) =>
+      prev && {
+        ...prev,
+        variants: prev.variants.map((v) =>
+          v.proposal?.proposal_id === updated.proposal_id ? { ...v, proposal: updated } : v
+        ),
+      }
+    );
+  }
 
   async function handleSubmit(formData) {
     setLoading(true);
     setError(null);
     setProposal(null);
+    setComparison(null);
+    setEvents([]);
     try {
-      const res = await generateProposal(formData);
-      if (res.ok) {
+      const onEvent = (evt) => setEvents((prev) => [...prev, evt]);
+      const res = USE_JOBS
+        ? await generateProposal(formData, { onEvent })
+        : await generateProposalStream(formData, onEvent);
+      if (res.ok && res.data.variants) {
+        setComparison(res.data);
+        setProposal(res.data.variants.find((v) => v.proposal)?.proposal || null);
+      } else if (res.ok) {
         setProposal(res.data);
+      } else if (res.status === 401) {
+        handleSignOut();
       } else {
-        setError(res.error || "Unknown error from server");
+        setError(describeError(res, res.status));
       }
     } catch (err) {
-      const serverErr = err.response?.data?.error;
-      const retryAfterMs = err.response?.data?.data?.retry_after_ms;
-      if (err.response?.status === 429 && retryAfterMs) {
-        const retrySeconds = Math.ceil(retryAfterMs / 1000);
-        setError(`${serverErr || "Rate limit reached"}. Please retry in ${retrySeconds}s.`);
-      } else {
-        setError(serverErr || err.message || "Network error");
+      if (err.response?.status === 401) {
+        handleSignOut();
+        return;
       }
+      setError(
+        err.response?.data
+          ? describeError(err.response.data, err.response.status)
+          : err.message || "Network error"
+      );
     } finally {
       setLoading(false);
     }
@@ -40,26 +119,65 @@ export default function App() {
         <p style={styles.subtitle}>
           Sustainable Commerce Platform — Module 2
         </p>
+        {user && (
+          <nav style={styles.nav}>
+            {VIEWS.filter((v) => !v.role || v.role === user.role).map((v) => (
+              <button
+                key={v.key}
+                type="button"
+                onClick={() => setView(v.key)}
+                style={v.key === view ? { ...styles.navButton, ...styles.navButtonActive } : styles.navButton}
+              >
+                {v.label}
+              </button>
+            ))}
+            {user.method !== "none" && (
+              <button type="button" onClick={handleSignOut} style={styles.navButton}>
+                Sign out ({user.role})
+              </button>
+            )}
+          </nav>
+        )}
       </header>
 
-      <main style={styles.main}>
-        <ProposalForm onSubmit={handleSubmit} loading={loading} />
+      {!user ? (
+        <main style={styles.main}>
+          {user === null && <SignIn onSignedIn={handleSignedIn} />}
+          {error && (
+            <div style={styles.error}>
+              <strong>Error:</strong> {error}
+            </div>
+          )}
+        </main>
+      ) : view === "analytics" ? (
+        <main style={styles.main}>
+          <AiAnalytics />
+        </main>
+      ) : (
+        <main style={styles.main}>
+          <ProposalForm onSubmit={handleSubmit} loading={loading} />
 
-        {error && (
-          <div style={styles.error}>
-            <strong>Error:</strong> {error}
-          </div>
-        )}
+          {error && (
+            <div style={styles.error}>
+              <strong>Error:</strong> {error}
+            </div>
+          )}
 
-        {loading && (
-          <div style={styles.loading}>
-            <div style={styles.spinner} />
-            <p>Generating your sustainable proposal...</p>
-          </div>
-        )}
+          {(loading || events.length > 0) && (
+            <GenerationTimeline events={events} active={loading} />
+          )}
 
-        {proposal && <ProposalDashboard data={proposal} />}
-      </main>
+          {comparison && (
+            <ProposalComparison
+              data={comparison}
+              selectedId={proposal?.proposal_id}
+              onSelect={setProposal}
+            />
+          )}
+
+          {proposal && <ProposalDashboard data={proposal} onUpdate={updateProposal} />}
+        </main>
+      )}
 
       <footer style={styles.footer}>
         Module 2 — AI B2B Proposal Generator • Strict Compliance Grade
@@ -92,6 +210,26 @@ const styles = {
     color: "#d4f0e7",
     fontSize: 15,
   },
+  nav: {
+    display: "flex",
+    justifyContent: "center",
+    gap: 8,
+    marginTop: 16,
+  },
+  navButton: {
+    padding: "6px 16px",
+    background: "transparent",
+    color: "#d4f0e7",
+    border: "1px solid #d4f0e766",
+    borderRadius: 20,
+    fontSize: 14,
+    cursor: "pointer",
+  },
+  navButtonActive: {
+    background: "#fff",
+    color: "var(--brand-primary, #1F7A5C)",
+    borderColor: "#fff",
+  },
   main: {
     flex: 1,
     display: "flex",
@@ -110,21 +248,6 @@ const styles = {
     fontSize: 14,
     border: "1px solid #e74c3c33",
   },
-  loading: {
-    textAlign: "center",
-    color: "var(--text-secondary, #555)",
-    fontSize: 15,
-    padding: 24,
-  },
-  spinner: {
-    width: 36,
-    height: 36,
-    border: "4px solid var(--border-light, #E0E8E4)",
-    borderTop: "4px solid var(--brand-accent, #2BB673)",
-    borderRadius: "50%",
-    animation: "spin 0.8s linear infinite",
-    margin: "0 auto 12px",
-  },
   footer: {
     textAlign: "center",
     padding: 16,
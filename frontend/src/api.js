@@ -4,30 +4,324 @@ import axios from "axios";
 // In development, Vite proxy forwards /api → localhost:5000.
 const BACKEND_URL = (import.meta.env.VITE_API_URL || "").replace(/\/+$/, "");
 const API_BASE = `${BACKEND_URL}/api/v1/proposals`;
+const JOBS_BASE = `${BACKEND_URL}/api/v1/jobs`;
+const PRODUCTS_BASE = `${BACKEND_URL}/api/v1/products`;
+const CLIENTS_BASE = `${BACKEND_URL}/api/v1/clients`;
+const ANALYTICS_BASE = `${BACKEND_URL}/api/v1/analytics`;
+const AUTH_BASE = `${BACKEND_URL}/api/v1/auth`;
+const EXCHANGE_RATES_BASE = `${BACKEND_URL}/api/v1/exchange-rates`;
+const JOB_POLL_INTERVAL_MS = 1500;
+// Polling gives up after this long; the job itself keeps its place in the
+// queue and its proposal is saved whenever it finishes
+const JOB_WAIT_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Session token from POST /auth/session. Users sign in with their API
+// key, which is sent once and never stored; the bundle holds no
+// credentials. sessionStorage keeps the token per tab until it expires.
+const SESSION_STORAGE_KEY = "proposal_session";
+
+function loadSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    return session && new Date(session.expires_at) > new Date() ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+function authHeaders() {
+  const session = loadSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+const http = axios.create();
+http.interceptors.request.use((request) => {
+  Object.assign(request.headers, authHeaders());
+  return request;
+});
 
 /**
  * API service for the B2B Proposal Generator frontend.
  * All calls return the standard { ok, data, error? } envelope.
  */
 
-export async function generateProposal({
+function toRequestBody({
+  client_id,
   client_name,
   budget_limit,
+  currency,
+  region,
   category_focus,
   sustainability_priority,
+  client_needs,
+  brief,
+  headcount,
+  exclusions,
+  mode = "ai",
+  variants,
 }) {
-  const res = await axios.post(`${API_BASE}/generate`, {
+  return {
+    client_id: client_id || undefined,
     client_name,
-    budget_limit: Number(budget_limit),
+    budget_limit: budget_limit === undefined ? undefined : Number(budget_limit),
+    currency,
+    region,
     preferences: {
       category_focus,
       sustainability_priority,
+      client_needs: client_needs || undefined,
+      headcount: headcount || undefined,
+      exclusions: exclusions?.length ? exclusions : undefined,
     },
+    brief: brief || undefined,
+    mode,
+    variants,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Generate a proposal as a background job and poll until it finishes,
+ * so long provider retries never hit the serverless request timeout.
+ * Resolves with the same envelope the synchronous endpoint returns
+ * (plus `status` on failure); job progress is passed to onEvent. A job
+ * not finished within JOB_WAIT_TIMEOUT_MS resolves as an error whose
+ * data holds the job id and its status ("queued" or "running").
+ */
+export async function generateProposal(formData, { onEvent } = {}) {
+  const res = await http.post(`${API_BASE}/generate`, toRequestBody(formData), {
+    params: { async: true },
+  });
+  return waitForJob(res.data.data.job_id, onEvent);
+}
+
+async function waitForJob(jobId, onEvent) {
+  const deadline = Date.now() + JOB_WAIT_TIMEOUT_MS;
+  // The job keeps only its latest events, so new ones are found by their
+  // sequence number rather than by position
+  let lastSeq = 0;
+  for (;;) {
+    const res = await http.get(`${JOBS_BASE}/${jobId}`);
+    const job = res.data.data;
+
+    for (const evt of job.events) {
+      if (evt.seq <= lastSeq) continue;
+      onEvent?.({ type: evt.type, data: { ...evt.data, at: evt.at } });
+      lastSeq = evt.seq;
+    }
+
+    if (job.status === "succeeded") {
+      return { ok: true, data: job.result, error: null };
+    }
+    if (job.status === "failed") {
+      return {
+        ok: false,
+        status: job.error?.status,
+        data: job.error?.data ?? null,
+        error: job.error?.message || "Generation failed",
+      };
+    }
+    if (Date.now() >= deadline) {
+      return {
+        ok: false,
+        data: { job_id: jobId, status: job.status },
+        error:
+          job.status === "queued"
+            ? "The proposal is still queued: no worker has picked it up yet. It will be saved once it runs; please check back later."
+            : "The proposal is still being generated. It will be saved once it finishes; please check back later.",
+      };
+    }
+    await sleep(JOB_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Same request as generateProposal, streamed over Server-Sent Events.
+ * onEvent({ type, data }) fires for every progress event; resolves with
+ * the final { ok, data, error } envelope (from the `result` or `error` event).
+ * EventSource only supports GET, so the stream is read with fetch.
+ */
+export async function generateProposalStream(formData, onEvent) {
+  const res = await fetch(`${API_BASE}/generate/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...authHeaders() },
+    body: JSON.stringify(toRequestBody(formData)),
+  });
+
+  // Validation, auth and rate-limit errors come back as plain JSON before
+  // the stream opens
+  if (!res.headers.get("content-type")?.includes("text/event-stream")) {
+    return { ...(await res.json()), status: res.status };
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let final = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let type = "message";
+      let data = "";
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event:")) type = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (!data) continue; // heartbeat comment
+
+      const payload = JSON.parse(data);
+      if (type === "result" || type === "error") {
+        final = payload;
+      } else {
+        onEvent?.({ type, data: payload });
+      }
+    }
+  }
+
+  return final || { ok: false, data: null, error: "Stream ended without a result" };
+}
+
+/**
+ * Extract budget, headcount, categories, priorities and exclusions from a
+ * free-text brief for preview; nothing is generated.
+ */
+export async function parseBrief(brief) {
+  const res = await http.post(`${API_BASE}/brief`, { brief });
+  return res.data;
+}
+
+export async function getProposal(id, { includeAiMetadata = false } = {}) {
+  const res = await http.get(`${API_BASE}/${id}`, {
+    params: { include_ai_metadata: includeAiMetadata },
   });
   return res.data;
 }
 
+/**
+ * Save a manual edit as a new revision. `products` is the full desired
+ * line-item list; expected_revision guards against overwriting a
+ * concurrent edit (409).
+ */
+export async function reviseProposal(id, { products, comment, expected_revision }) {
+  const res = await http.patch(`${API_BASE}/${id}`, { products, comment, expected_revision });
+  return res.data;
+}
+
+// Lifecycle transition; the server rejects moves not allowed from the
+// current status with 409.
+export async function transitionProposal(id, { status, comment, reserve_stock }) {
+  const res = await http.post(`${API_BASE}/${id}/status`, { status, comment, reserve_stock });
+  return res.data;
+}
+
+export function getProposalPdfUrl(id) {
+  return `${API_BASE}/${id}/pdf`;
+}
+
+export function getProposalExportUrl(id, format = "csv") {
+  return `${API_BASE}/${id}/export?format=${format}`;
+}
+
+// Bulk export of proposal history; filters are the same as listProposals,
+// plus `page` (5000 proposals each, newest first)
+export function getProposalsExportUrl(filters = {}, format = "csv") {
+  const params = new URLSearchParams({ ...filters, format });
+  return `${API_BASE}/export?${params}`;
+}
+
+/**
+ * Download a file endpoint (PDF / CSV / XLSX). Plain links cannot carry
+ * the session header, so the file is fetched as a blob and saved.
+ * Resolves with { hasMore }: true when a bulk export has another page.
+ */
+export async function downloadFile(url) {
+  const res = await http.get(url, { responseType: "blob" });
+  const disposition = res.headers["content-disposition"] || "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || url.split("/").pop();
+
+  const objectUrl = URL.createObjectURL(res.data);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+  return { hasMore: res.headers["x-export-has-more"] === "true" };
+}
+
+export async function listProposals(filters = {}) {
+  const res = await http.get(API_BASE, { params: filters });
+  return res.data;
+}
+
+export async function listProducts(filters = {}) {
+  const res = await http.get(PRODUCTS_BASE, { params: { limit: 100, ...filters } });
+  return res.data;
+}
+
+// Client picker autocomplete: clients whose name or contact name contains q
+export async function searchClients(q) {
+  const res = await http.get(CLIENTS_BASE, { params: { q, limit: 8 } });
+  return res.data;
+}
+
+/**
+ * AI pipeline analytics (admin only). section is one of generations,
+ * failures, retries, corrections; from / to are ISO dates.
+ */
+export async function getAiAnalytics(section, { from, to } = {}) {
+  const res = await http.get(`${ANALYTICS_BASE}/ai/${section}`, { params: { from, to } });
+  return res.data;
+}
+
+export async function getExchangeRates() {
+  const res = await http.get(EXCHANGE_RATES_BASE);
+  return res.data;
+}
+
+/**
+ * Exchange an API key for a session token; resolves to the session
+ * ({ token, expires_at, tenant_id, actor, role }).
+ */
+export async function signIn(apiKey) {
+  const res = await axios.post(`${AUTH_BASE}/session`, { api_key: apiKey });
+  sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(res.data.data));
+  return res.data.data;
+}
+
+export function signOut() {
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// The signed-in principal ({ tenant_id, actor, role, method }), or null
+// when the backend wants credentials. Without AUTH_REQUIRED the backend
+// answers with its dev principal, so no sign-in is needed.
+export async function getCurrentUser() {
+  try {
+    const res = await http.get(`${AUTH_BASE}/session`);
+    return res.data.data;
+  } catch (err) {
+    if (err.response?.status === 401) {
+      signOut();
+      return null;
+    }
+    throw err;
+  }
+}
+
 export async function healthCheck() {
-  const res = await axios.get(`${API_BASE}/health`);
+  const res = await http.get(`${API_BASE}/health`);
   return res.data;
 }
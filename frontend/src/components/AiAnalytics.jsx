@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { getAiAnalytics } from "../api";
+
+const RANGES = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REASON_LABELS = {
+  json_parse: "Invalid JSON",
+  schema: "Schema",
+  unknown_product: "Unknown product",
+  name_mismatch: "Name mismatch",
+  price_mismatch: "Price mismatch",
+  inventory: "Inventory",
+  budget_limit_mismatch: "Budget limit mismatch",
+  budget_exceeded: "Over budget",
+  other: "Other",
+};
+
+const percent = (rate) => (rate === null ? "—" : `${Math.round(rate * 1000) / 10}%`);
+
+// Admin view of the AI pipeline: engine mix per day, why attempts fail,
+// how many retries proposals take and how often the server fixes totals.
+export default function AiAnalytics() {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const to = new Date();
+    const range = { from: new Date(to.getTime() - days * DAY_MS).toISOString(), to: to.toISOString() };
+
+    setLoading(true);
+    setError(null);
+    Promise.all(
+      ["generations", "failures", "retries", "corrections"].map((section) => getAiAnalytics(section, range))
+    )
+      .then(([generations, failures, retries, corrections]) => {
+        if (!cancelled) {
+          setData({
+            generations: generations.data,
+            failures: failures.data,
+            retries: retries.data,
+            corrections: corrections.data,
+          });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setData(null);
+          setError(
+            err.response?.status === 403
+              ? "AI analytics are only available to admins."
+              : err.response?.data?.error || err.message || "Could not load analytics"
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [days]);
+
+  const reasons = data?.failures.reasons
+    .filter((r) => r.count > 0)
+    .map((r) => ({ ...r, label: REASON_LABELS[r.reason] || r.reason }));
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <div style={styles.cardHeader}>
+          <h3 style={styles.cardTitle}>AI Analytics</h3>
+          <div style={styles.rangeGroup}>
+            {RANGES.map((n) => (
+              <button
+                key={n}
+                type="button"
+                onClick={() => setDays(n)}
+                style={n === days ? { ...styles.rangeButton, ...styles.rangeButtonActive } : styles.rangeButton}
+              >
+                {n} days
+              </button>
+            ))}
+          </div>
+        </div>
+        {loading && <p style={styles.muted}>Loading…</p>}
+        {error && <div style={styles.error}>{error}</div>}
+        {data && (
+          <div style={styles.statsGrid}>
+            <Stat label="AI attempts" value={data.failures.attempts} />
+            <Stat label="Attempt failure rate" value={percent(data.failures.failure_rate)} />
+            <Stat label="Avg AI calls / proposal" value={data.retries.avg_attempts ?? "—"} />
+            <Stat label="Accepted first time" value={percent(data.retries.first_attempt_rate)} />
+          </div>
+        )}
+      </div>
+
+      {data && (
+        <>
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}>Generations per Day</h3>
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={data.generations.days}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E0E8E4" />
+                <XAxis dataKey="date" tick={{ fontSize: 11 }} tickFormatter={(d) => d.slice(5)} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="ai" name="AI" stackId="engine" fill="#1F7A5C" />
+                <Bar dataKey="fallback" name="Fallback" stackId="engine" fill="#f39c12" />
+                <Bar dataKey="deterministic" name="Deterministic" stackId="engine" fill="#3498db" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}>Failure Reasons</h3>
+            {reasons.length === 0 ? (
+              <p style={styles.muted}>No failed attempts in this range.</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={Math.max(160, reasons.length * 40)}>
+                <BarChart data={reasons} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E0E8E4" />
+                  <XAxis type="number" allowDecimals={false} tick={{ fontSize: 11 }} />
+                  <YAxis type="category" dataKey="label" width={140} tick={{ fontSize: 12 }} />
+                  <Tooltip formatter={(v, _name, item) => [`${v} (${percent(item.payload.share)})`, "Attempts"]} />
+                  <Bar dataKey="count" fill="#e74c3c" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}>Retries per Proposal</h3>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={data.retries.distribution}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E0E8E4" />
+                <XAxis dataKey="retries" tick={{ fontSize: 11 }} label={{ value: "retries", position: "insideBottom", offset: -2, fontSize: 11 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                <Tooltip />
+                <Legend verticalAlign="top" />
+                <Bar dataKey="proposals" name="Proposals" fill="#2BB673" />
+                <Bar dataKey="fallback" name="Ended in fallback" fill="#f39c12" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}>Server Corrections</h3>
+            <p style={styles.muted}>
+              Share of accepted AI attempts ({data.corrections.passed_attempts}) whose figures were recomputed.
+            </p>
+            <div style={styles.statsGrid}>
+              <Stat
+                label="Line totals fixed"
+                value={percent(data.corrections.total_cost.rate)}
+                detail={`${data.corrections.total_cost.lines} lines`}
+              />
+              <Stat label="Allocated budget fixed" value={percent(data.corrections.allocated_budget.rate)} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Stat({ label, value, detail }) {
+  return (
+    <div style={styles.stat}>
+      <div style={styles.statValue}>{value}</div>
+      <div style={styles.statLabel}>{label}</div>
+      {detail && <div style={styles.statDetail}>{detail}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    maxWidth: 780,
+    width: "100%",
+    display: "flex",
+    flexDirection: "column",
+    gap: 20,
+  },
+  card: {
+    background: "#fff",
+    borderRadius: "var(--radius, 12px)",
+    padding: 24,
+    boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
+  },
+  cardHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 12,
+  },
+  cardTitle: {
+    margin: "0 0 12px",
+    fontSize: 18,
+    fontWeight: 700,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  rangeGroup: {
+    display: "flex",
+    gap: 6,
+  },
+  rangeButton: {
+    padding: "6px 12px",
+    background: "#fff",
+    color: "var(--brand-primary, #1F7A5C)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 13,
+    cursor: "pointer",
+  },
+  rangeButtonActive: {
+    background: "var(--brand-primary, #1F7A5C)",
+    color: "#fff",
+    borderColor: "var(--brand-primary, #1F7A5C)",
+  },
+  statsGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+    gap: 12,
+  },
+  stat: {
+    padding: 14,
+    borderRadius: 10,
+    background: "var(--brand-light, #F5F9F7)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    textAlign: "center",
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 700,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  statLabel: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 4,
+  },
+  statDetail: {
+    fontSize: 11,
+    color: "#999",
+    marginTop: 2,
+  },
+  muted: {
+    margin: "0 0 12px",
+    fontSize: 13,
+    color: "#888",
+  },
+  error: {
+    background: "#fdecea",
+    color: "#c0392b",
+    padding: "12px 16px",
+    borderRadius: 8,
+    fontSize: 14,
+    border: "1px solid #e74c3c33",
+  },
+};
@@ -0,0 +1,124 @@
+import React from "react";
+
+function describe({ type, data }) {
+  switch (type) {
+    case "started":
+      return "Request accepted";
+    case "brief_parsed":
+      return `Brief read: ${Object.keys(data.extraction.matched).join(", ").replace(/_/g, " ") || "nothing recognised"}`;
+    case "client_loaded":
+      return `Client ${data.client_name} loaded (${data.blocked_products} products excluded or recently ordered)`;
+    case "experiment_assigned":
+      return `Experiment arm: ${data.arm}`;
+    case "catalog_loaded":
+      return `Catalog loaded (${data.product_count} products)`;
+    case "catalog_ranked":
+      return `Catalog ranked for the prompt: ${data.product_count} products${data.top.length ? ` (top: ${data.top.join(", ")})` : ""}`;
+    case "ai_attempt":
+      return `AI attempt ${data.attempt} of ${data.max_attempts}`;
+    case "retry_scheduled":
+      return `${data.reason === "rate_limit" ? "Rate limited" : "Provider error"} — retry ${data.attempt}/${data.max_retries} in ${(data.delay_ms / 1000).toFixed(1)}s`;
+    case "validation_failed":
+      return `Validation failed (attempt ${data.attempt}): ${data.reason}`;
+    case "fallback":
+      return "Switching to the deterministic allocator";
+    case "allocation_computed":
+      return `Deterministic allocation computed (${data.product_count} products)`;
+    case "impact_computed":
+      return `Impact computed: ${data.computed_impact.total_plastic_saved} kg plastic, ${data.computed_impact.total_carbon_avoided} kg CO₂`;
+    case "persisted":
+      return "Proposal saved";
+    case "variant_started":
+      return `Option ${data.variant + 1}: ${data.label}`;
+    case "variant_failed":
+      return `Option ${data.variant + 1} (${data.label}) failed: ${data.reason}`;
+    default:
+      return type;
+  }
+}
+
+function tone(type) {
+  if (type === "validation_failed" || type === "variant_failed") return "#e74c3c";
+  if (type === "retry_scheduled" || type === "fallback") return "#f39c12";
+  return "var(--brand-accent, #2BB673)";
+}
+
+export default function GenerationTimeline({ events, active }) {
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        {active && <div style={styles.spinner} />}
+        <strong>{active ? "Generating your sustainable proposal..." : "Generation log"}</strong>
+      </div>
+      <ol style={styles.list}>
+        {events.map((evt, i) => (
+          <li key={i} style={styles.item}>
+            <span style={{ ...styles.dot, background: tone(evt.type) }} />
+            <span style={styles.time}>
+              {evt.data.at ? new Date(evt.data.at).toLocaleTimeString() : ""}
+            </span>
+            <span style={styles.text}>{describe(evt)}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    background: "#fff",
+    borderRadius: "var(--radius, 12px)",
+    padding: 20,
+    boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
+    maxWidth: 520,
+    width: "100%",
+    fontSize: 14,
+    color: "var(--text-secondary, #555)",
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    marginBottom: 12,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  spinner: {
+    width: 18,
+    height: 18,
+    border: "3px solid var(--border-light, #E0E8E4)",
+    borderTop: "3px solid var(--brand-accent, #2BB673)",
+    borderRadius: "50%",
+    animation: "spin 0.8s linear infinite",
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+  },
+  item: {
+    display: "flex",
+    alignItems: "baseline",
+    gap: 8,
+  },
+  dot: {
+    flexShrink: 0,
+    width: 8,
+    height: 8,
+    borderRadius: "50%",
+    transform: "translateY(-1px)",
+  },
+  time: {
+    flexShrink: 0,
+    fontSize: 12,
+    color: "#999",
+    fontVariantNumeric: "tabular-nums",
+  },
+  text: {
+    lineHeight: 1.4,
+    wordBreak: "break-word",
+  },
+};
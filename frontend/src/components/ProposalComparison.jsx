@@ -0,0 +1,281 @@
+import React from "react";
+import { formatMoney } from "../currency";
+
+const COLORS = [
+  "#1F7A5C", "#2BB673", "#3498db", "#f39c12",
+  "#9b59b6", "#1abc9c", "#e67e22", "#2c3e50",
+];
+
+const HIGHLIGHT_LABELS = {
+  lowest_cost: "Lowest cost",
+  most_plastic_saved: "Most plastic saved",
+  most_carbon_avoided: "Most CO₂ avoided",
+  most_carbon_per_spend: "Best CO₂ per spend",
+};
+
+// Optional metrics only get a row when some variant has them
+const IMPACT_ROWS = [
+  { key: "total_plastic_saved", label: "Plastic saved", unit: "kg" },
+  { key: "total_carbon_avoided", label: "Carbon avoided", unit: "kg CO₂" },
+  { key: "total_water_saved", label: "Water saved", unit: "L", optional: true },
+  { key: "total_waste_diverted", label: "Waste diverted", unit: "kg", optional: true },
+  { key: "total_energy_saved", label: "Energy saved", unit: "kWh", optional: true },
+];
+
+export default function ProposalComparison({ data, selectedId, onSelect }) {
+  const { variants, highlights = {}, currency = "INR" } = data;
+  const money = (amount) => formatMoney(amount, currency);
+  const summaries = variants.map((v) => v.summary).filter(Boolean);
+
+  const categories = [
+    ...new Set(summaries.flatMap((s) => s.category_mix.map((c) => c.category))),
+  ];
+  const colorOf = (category) => COLORS[categories.indexOf(category) % COLORS.length];
+  const impactRows = IMPACT_ROWS.filter(
+    (row) => !row.optional || summaries.some((s) => s.impact[row.key] > 0)
+  );
+
+  const badgesFor = (proposalId) =>
+    Object.entries(highlights)
+      .filter(([, id]) => id === proposalId)
+      .map(([key]) => HIGHLIGHT_LABELS[key]);
+
+  const cell = (variant, render) =>
+    variant.summary ? render(variant.summary) : <span style={styles.muted}>—</span>;
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.cardTitle}>Compare Options</h3>
+      <div style={styles.tableWrapper}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th} />
+              {variants.map((v, i) => (
+                <th
+                  key={i}
+                  style={{
+                    ...styles.th,
+                    ...(v.summary && v.summary.proposal_id === selectedId ? styles.selectedColumn : {}),
+                  }}
+                >
+                  <div>{v.label}</div>
+                  <div style={styles.subLabel}>{money(v.budget_limit)} budget</div>
+                  <div style={styles.badgeRow}>
+                    {v.summary &&
+                      badgesFor(v.summary.proposal_id).map((label) => (
+                        <span key={label} style={styles.badge}>
+                          {label}
+                        </span>
+                      ))}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td style={styles.rowLabel}>Total cost</td>
+              {variants.map((v, i) => (
+                <td key={i} style={styles.td}>
+                  {cell(v, (s) => (
+                    <>
+                      <strong>{money(s.allocated_budget)}</strong>
+                      <div style={styles.subLabel}>{s.budget_used_pct}% of budget</div>
+                    </>
+                  ))}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td style={styles.rowLabel}>Products</td>
+              {variants.map((v, i) => (
+                <td key={i} style={styles.td}>
+                  {cell(v, (s) => `${s.line_items} products · ${s.total_quantity} units`)}
+                </td>
+              ))}
+            </tr>
+            {impactRows.map((row) => (
+              <tr key={row.key}>
+                <td style={styles.rowLabel}>{row.label}</td>
+                {variants.map((v, i) => (
+                  <td key={i} style={styles.td}>
+                    {cell(v, (s) => `${(s.impact[row.key] ?? 0).toFixed(2)} ${row.unit}`)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td style={styles.rowLabel}>Category mix</td>
+              {variants.map((v, i) => (
+                <td key={i} style={styles.td}>
+                  {cell(v, (s) => (
+                    <div style={styles.mixBar}>
+                      {s.category_mix.map((c) => (
+                        <div
+                          key={c.category}
+                          title={`${c.category}: ${money(c.cost)} (${Math.round(c.share * 100)}%)`}
+                          style={{ width: `${c.share * 100}%`, background: colorOf(c.category) }}
+                        />
+                      ))}
+                    </div>
+                  ))}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td style={styles.rowLabel} />
+              {variants.map((v, i) => (
+                <td key={i} style={styles.td}>
+                  {v.summary ? (
+                    <button
+                      type="button"
+                      style={
+                        v.summary.proposal_id === selectedId ? styles.selectedButton : styles.viewButton
+                      }
+                      onClick={() => onSelect(v.proposal)}
+                    >
+                      {v.summary.proposal_id === selectedId ? "Viewing" : "View details"}
+                    </button>
+                  ) : (
+                    <span style={styles.error}>{v.error}</span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div style={styles.legend}>
+        {categories.map((category) => (
+          <span key={category} style={styles.legendItem}>
+            <span style={{ ...styles.legendSwatch, background: colorOf(category) }} />
+            {category}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    background: "#fff",
+    borderRadius: "var(--radius, 12px)",
+    padding: 24,
+    boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
+    maxWidth: 780,
+    width: "100%",
+    boxSizing: "border-box",
+  },
+  cardTitle: {
+    margin: "0 0 12px",
+    fontSize: 18,
+    fontWeight: 700,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  tableWrapper: {
+    overflowX: "auto",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 14,
+  },
+  th: {
+    textAlign: "left",
+    verticalAlign: "top",
+    padding: "10px 12px",
+    borderBottom: "2px solid #ecf0f1",
+    fontWeight: 600,
+    color: "#333",
+  },
+  selectedColumn: {
+    borderBottom: "2px solid var(--brand-accent, #2BB673)",
+  },
+  td: {
+    padding: "10px 12px",
+    borderBottom: "1px solid #f0f0f0",
+    color: "#444",
+  },
+  rowLabel: {
+    padding: "10px 12px",
+    borderBottom: "1px solid #f0f0f0",
+    color: "#888",
+    fontWeight: 500,
+    whiteSpace: "nowrap",
+  },
+  subLabel: {
+    fontSize: 12,
+    fontWeight: 400,
+    color: "#888",
+  },
+  muted: {
+    color: "#bbb",
+  },
+  badgeRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 4,
+    marginTop: 6,
+  },
+  badge: {
+    padding: "1px 8px",
+    borderRadius: 10,
+    fontSize: 11,
+    fontWeight: 600,
+    background: "var(--brand-light, #F5F9F7)",
+    color: "var(--brand-primary, #1F7A5C)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+  },
+  mixBar: {
+    display: "flex",
+    height: 14,
+    minWidth: 120,
+    borderRadius: 7,
+    overflow: "hidden",
+    background: "var(--border-light, #E0E8E4)",
+  },
+  viewButton: {
+    padding: "6px 12px",
+    background: "#fff",
+    border: "1px solid var(--brand-accent, #2BB673)",
+    color: "var(--brand-primary, #1F7A5C)",
+    borderRadius: 8,
+    fontSize: 13,
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  selectedButton: {
+    padding: "6px 12px",
+    background: "var(--brand-accent, #2BB673)",
+    border: "1px solid var(--brand-accent, #2BB673)",
+    color: "#fff",
+    borderRadius: 8,
+    fontSize: 13,
+    fontWeight: 600,
+    cursor: "default",
+  },
+  error: {
+    fontSize: 13,
+    color: "#e74c3c",
+  },
+  legend: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 12,
+    marginTop: 12,
+    fontSize: 13,
+    color: "#555",
+  },
+  legendItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+  },
+  legendSwatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+  },
+};
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import {
   PieChart,
   Pie,
@@ -7,6 +7,17 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
+import {
+  getProposalPdfUrl,
+  getProposalExportUrl,
+  getProposalsExportUrl,
+  reviseProposal,
+  transitionProposal,
+  listProducts,
+  getExchangeRates,
+  downloadFile,
+} from "../api";
+import { formatMoney, convertPrice } from "../currency";
 
 const COLORS = [
   "#1F7A5C", "#2BB673", "#3498db", "#f39c12",
@@ -14,10 +25,53 @@ const COLORS = [
   "#d35400", "#16a085", "#8e44ad", "#27ae60",
 ];
 
-export default function ProposalDashboard({ data }) {
+const STATUS_STYLES = {
+  draft: { label: "Draft", color: "#555", background: "#ecf0f1" },
+  sent: { label: "Sent", color: "#1f618d", background: "#d6eaf8" },
+  accepted: { label: "Accepted", color: "#1F7A5C", background: "#d4f0e7" },
+  rejected: { label: "Rejected", color: "#c0392b", background: "#fadbd8" },
+  expired: { label: "Expired", color: "#b9770e", background: "#fdebd0" },
+  cancelled: { label: "Cancelled", color: "#7f8c8d", background: "#f2f3f4" },
+};
+
+const TRANSITION_LABELS = {
+  sent: "Mark as sent",
+  accepted: "Accept",
+  rejected: "Reject",
+  expired: "Mark expired",
+  cancelled: "Cancel proposal",
+};
+
+// Plastic and carbon exist on every proposal; the rest only on proposals
+// computed by the richer impact model
+const IMPACT_CARDS = [
+  { key: "total_plastic_saved", metric: "plastic_saved", label: "Total Plastic Saved", unit: "kg", color: "var(--brand-accent, #2BB673)" },
+  { key: "total_carbon_avoided", metric: "carbon_avoided", label: "Total Carbon Avoided", unit: "kg CO₂", color: "var(--brand-primary, #1F7A5C)" },
+  { key: "total_water_saved", metric: "water_saved", label: "Water Saved", unit: "L", color: "#3498db" },
+  { key: "total_waste_diverted", metric: "waste_diverted", label: "Landfill Waste Diverted", unit: "kg", color: "#e67e22" },
+  { key: "total_energy_saved", metric: "energy_saved", label: "Energy Saved", unit: "kWh", color: "#f39c12" },
+];
+
+export default function ProposalDashboard({ data, onUpdate }) {
+  const [draft, setDraft] = useState(null);
+  const [catalog, setCatalog] = useState([]);
+  const [addId, setAddId] = useState("");
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [editError, setEditError] = useState(null);
+  const [statusNote, setStatusNote] = useState("");
+  const [reserveStock, setReserveStock] = useState(true);
+  const [transitioning, setTransitioning] = useState(false);
+  const [statusError, setStatusError] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+  // Next page of the client history export, when the last one was full
+  const [nextHistoryPage, setNextHistoryPage] = useState(null);
+
   if (!data) return null;
 
   const {
+    proposal_id,
+    client_name,
     proposal_summary,
     total_budget_limit,
     allocated_budget,
@@ -26,7 +80,139 @@ export default function ProposalDashboard({ data }) {
     impact_summary,
     confidence_score,
     computed_impact,
+    engine,
+    fallback_reason,
+    revision = 0,
+    status = "draft",
+    allowed_transitions = [],
+    status_history = [],
+    currency = "INR",
+    exchange_rates,
+    pricing,
+    region,
+    lead_time_days,
+    stock_reservation,
+    catalog_selection,
+    brief,
   } = data;
+  const money = (amount) => formatMoney(amount, currency);
+  const impactCards = IMPACT_CARDS.filter((card, i) => i < 2 || computed_impact[card.key] > 0);
+
+  const download = async (url) => {
+    setDownloadError(null);
+    try {
+      return await downloadFile(url);
+    } catch (err) {
+      setDownloadError(`Download failed${err.response ? ` (HTTP ${err.response.status})` : ""}`);
+      return null;
+    }
+  };
+
+  const downloadHistory = async (page) => {
+    const result = await download(getProposalsExportUrl({ client_name, page }, "xlsx"));
+    setNextHistoryPage(result?.hasMore ? page + 1 : null);
+  };
+
+  const statusStyle = STATUS_STYLES[status] || STATUS_STYLES.draft;
+  const lastTransition = status_history[status_history.length - 1];
+
+  const changeStatus = async (next) => {
+    setTransitioning(true);
+    setStatusError(null);
+    try {
+      const res = await transitionProposal(proposal_id, {
+        status: next,
+        comment: statusNote,
+        reserve_stock: next === "accepted" ? reserveStock : undefined,
+      });
+      if (res.ok) {
+        setStatusNote("");
+        onUpdate?.(res.data);
+      } else {
+        setStatusError(res.error || "Could not update status");
+      }
+    } catch (err) {
+      setStatusError(err.response?.data?.error || err.message || "Network error");
+    } finally {
+      setTransitioning(false);
+    }
+  };
+
+  const editing = draft !== null;
+  const draftTotal = editing
+    ? draft.reduce((sum, p) => sum + p.quantity * p.unit_price, 0)
+    : allocated_budget;
+
+  const startEditing = async () => {
+    setDraft(products.map(({ product_id, name, unit_price, quantity }) => ({
+      product_id, name, unit_price, quantity,
+    })));
+    setComment("");
+    setEditError(null);
+    if (catalog.length === 0) {
+      try {
+        const [res, fx] = await Promise.all([listProducts(), getExchangeRates()]);
+        if (res.ok && fx.ok) {
+          // Re-price with the rates the proposal was generated with, as the
+          // backend does; products with no known rate cannot be added
+          const rates = { ...fx.data.rates, ...(exchange_rates?.rates || {}) };
+          setCatalog(
+            res.data.items
+              .map((p) => ({ ...p, unit_price: convertPrice(p.unit_price, p.currency, currency, rates) }))
+              .filter((p) => p.unit_price !== null)
+          );
+        }
+      } catch {
+        // Adding products is optional; quantity edits still work
+      }
+    }
+  };
+
+  const updateQuantity = (productId, value) => {
+    const quantity = Math.max(0, parseInt(value, 10) || 0);
+    setDraft((prev) => prev.map((p) => (p.product_id === productId ? { ...p, quantity } : p)));
+  };
+
+  const removeLine = (productId) => {
+    setDraft((prev) => prev.filter((p) => p.product_id !== productId));
+  };
+
+  const addLine = () => {
+    const product = catalog.find((p) => p.product_id === addId);
+    if (!product) return;
+    setDraft((prev) => [
+      ...prev,
+      { product_id: product.product_id, name: product.name, unit_price: product.unit_price, quantity: 1 },
+    ]);
+    setAddId("");
+  };
+
+  const saveRevision = async () => {
+    setSaving(true);
+    setEditError(null);
+    try {
+      const res = await reviseProposal(proposal_id, {
+        products: draft
+          .filter((p) => p.quantity > 0)
+          .map(({ product_id, quantity }) => ({ product_id, quantity })),
+        comment,
+        expected_revision: revision,
+      });
+      if (res.ok) {
+        setDraft(null);
+        onUpdate?.(res.data);
+      } else {
+        setEditError(res.error || "Could not save revision");
+      }
+    } catch (err) {
+      setEditError(err.response?.data?.error || err.message || "Network error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const draftIds = new Set((draft || []).map((p) => p.product_id));
+  const addable = catalog.filter((p) => !draftIds.has(p.product_id));
 
   const budgetPercent = Math.round((allocated_budget / total_budget_limit) * 100);
 
@@ -40,20 +226,97 @@ export default function ProposalDashboard({ data }) {
     <div style={styles.container}>
       {/* Summary */}
       <div style={styles.card}>
-        <h3 style={styles.cardTitle}>Proposal Summary</h3>
+        <div style={styles.cardHeader}>
+          <h3 style={{ ...styles.cardTitle, margin: 0 }}>
+            Proposal Summary
+            {proposal_id && (
+              <span style={{ ...styles.statusBadge, color: statusStyle.color, background: statusStyle.background }}>
+                {statusStyle.label}
+              </span>
+            )}
+          </h3>
+          {proposal_id && (
+            <button type="button" onClick={() => download(getProposalPdfUrl(proposal_id))} style={styles.actionButton}>
+              Download PDF
+            </button>
+          )}
+        </div>
         <p style={styles.text}>{proposal_summary}</p>
+        {brief && <p style={styles.briefQuote}>Client brief: “{brief}”</p>}
         <p style={styles.confidence}>
           Confidence: <strong>{(confidence_score * 100).toFixed(0)}%</strong>
+          {engine && (
+            <span style={styles.engineBadge}>
+              {engine === "deterministic" ? "Deterministic allocator" : "AI generated"}
+            </span>
+          )}
+          {revision > 0 && <span style={styles.engineBadge}>Revision {revision}</span>}
+          {lead_time_days != null && (
+            <span style={styles.engineBadge}>Lead time {lead_time_days} day{lead_time_days === 1 ? "" : "s"}</span>
+          )}
         </p>
+        {fallback_reason && (
+          <p style={styles.fallbackNote}>
+            AI output failed validation, so the deterministic allocator was used: {fallback_reason}
+          </p>
+        )}
+        {lastTransition && (
+          <p style={styles.statusMeta}>
+            {statusStyle.label} by {lastTransition.actor} on {new Date(lastTransition.at).toLocaleString()}
+            {lastTransition.comment && ` — “${lastTransition.comment}”`}
+          </p>
+        )}
+        {proposal_id && allowed_transitions.length > 0 && (
+          <div style={styles.statusActions}>
+            <input
+              type="text"
+              placeholder="Note (optional)"
+              value={statusNote}
+              maxLength={500}
+              onChange={(e) => setStatusNote(e.target.value)}
+              style={styles.editInput}
+            />
+            {allowed_transitions.includes("accepted") && (
+              <label style={styles.reserveLabel}>
+                <input
+                  type="checkbox"
+                  checked={reserveStock}
+                  onChange={(e) => setReserveStock(e.target.checked)}
+                />
+                <span style={{ marginLeft: 6 }}>Reserve stock on accept</span>
+              </label>
+            )}
+            <div style={styles.actionGroup}>
+              {allowed_transitions.map((next) => (
+                <button
+                  key={next}
+                  type="button"
+                  onClick={() => changeStatus(next)}
+                  disabled={transitioning}
+                  style={next === "cancelled" || next === "rejected" ? styles.secondaryButton : styles.actionButton}
+                >
+                  {TRANSITION_LABELS[next] || next}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        {stock_reservation && (
+          <p style={styles.statusMeta}>
+            Stock reserved for {stock_reservation.lines.length} product(s) on{" "}
+            {new Date(stock_reservation.reserved_at).toLocaleString()}
+          </p>
+        )}
+        {statusError && <p style={styles.editError}>{statusError}</p>}
       </div>
 
       {/* Budget Progress */}
       <div style={styles.card}>
         <h3 style={styles.cardTitle}>Budget Allocation</h3>
         <div style={styles.budgetRow}>
-          <span>Allocated: <strong>₹{allocated_budget.toLocaleString('en-IN')}</strong></span>
-          <span>Remaining: <strong>₹{remaining_budget.toLocaleString('en-IN')}</strong></span>
-          <span>Total: <strong>₹{total_budget_limit.toLocaleString('en-IN')}</strong></span>
+          <span>Allocated: <strong>{money(allocated_budget)}</strong></span>
+          <span>Remaining: <strong>{money(remaining_budget)}</strong></span>
+          <span>Total: <strong>{money(total_budget_limit)}</strong></span>
         </div>
         <div style={styles.progressTrack}>
           <div
@@ -70,11 +333,70 @@ export default function ProposalDashboard({ data }) {
           />
         </div>
         <p style={styles.progressLabel}>{budgetPercent}% used</p>
+        {pricing && (
+          <table style={styles.breakdown}>
+            <tbody>
+              <tr>
+                <td>Subtotal (list prices)</td>
+                <td style={styles.breakdownValue}>{money(pricing.subtotal)}</td>
+              </tr>
+              <tr>
+                <td>Volume discounts</td>
+                <td style={styles.breakdownValue}>−{money(pricing.discount)}</td>
+              </tr>
+              <tr>
+                <td>Tax{region ? ` (${region})` : ""}</td>
+                <td style={styles.breakdownValue}>{money(pricing.tax)}</td>
+              </tr>
+              <tr>
+                <td>Shipping</td>
+                <td style={styles.breakdownValue}>{money(pricing.shipping)}</td>
+              </tr>
+              <tr style={styles.breakdownTotal}>
+                <td>Landed total</td>
+                <td style={styles.breakdownValue}>{money(pricing.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
       </div>
 
       {/* Product Table */}
       <div style={styles.card}>
-        <h3 style={styles.cardTitle}>Recommended Products</h3>
+        <div style={styles.cardHeader}>
+          <h3 style={{ ...styles.cardTitle, margin: 0 }}>Recommended Products</h3>
+          {proposal_id && (
+            <div style={styles.actionGroup}>
+              <button type="button" onClick={() => download(getProposalExportUrl(proposal_id, "csv"))} style={styles.secondaryButton}>
+                Export CSV
+              </button>
+              <button type="button" onClick={() => download(getProposalExportUrl(proposal_id, "xlsx"))} style={styles.secondaryButton}>
+                Export XLSX
+              </button>
+              {client_name && (
+                <button
+                  type="button"
+                  onClick={() => downloadHistory(1)}
+                  style={styles.secondaryButton}
+                  title={`All proposals for ${client_name}`}
+                >
+                  Client History (XLSX)
+                </button>
+              )}
+              {client_name && nextHistoryPage && (
+                <button
+                  type="button"
+                  onClick={() => downloadHistory(nextHistoryPage)}
+                  style={styles.secondaryButton}
+                  title="The history did not fit in one file; download the older proposals"
+                >
+                  History Page {nextHistoryPage}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        {downloadError && <p style={styles.editError}>{downloadError}</p>}
         <div style={styles.tableWrapper}>
           <table style={styles.table}>
             <thead>
@@ -83,20 +405,92 @@ export default function ProposalDashboard({ data }) {
                 <th style={styles.th}>Unit Price</th>
                 <th style={styles.th}>Qty</th>
                 <th style={styles.th}>Total Cost</th>
+                {editing && <th style={styles.th} />}
               </tr>
             </thead>
             <tbody>
-              {products.map((p, i) => (
-                <tr key={i} style={i % 2 === 0 ? styles.trEven : {}}>
+              {(editing ? draft : products).map((p, i) => (
+                <tr key={p.product_id || i} style={i % 2 === 0 ? styles.trEven : {}}>
                   <td style={styles.td}>{p.name}</td>
-                  <td style={styles.td}>₹{p.unit_price.toLocaleString('en-IN')}</td>
-                  <td style={styles.td}>{p.quantity}</td>
-                  <td style={styles.td}>₹{p.total_cost.toLocaleString('en-IN')}</td>
+                  <td style={styles.td}>{money(p.unit_price)}</td>
+                  <td style={styles.td}>
+                    {editing ? (
+                      <input
+                        type="number"
+                        min="0"
+                        value={p.quantity}
+                        onChange={(e) => updateQuantity(p.product_id, e.target.value)}
+                        style={styles.qtyInput}
+                      />
+                    ) : (
+                      p.quantity
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    {money(editing ? p.quantity * p.unit_price : p.total_cost)}
+                    {!editing && p.pricing?.discount > 0 && (
+                      <div style={styles.lineDiscount}>−{money(p.pricing.discount)} volume discount</div>
+                    )}
+                  </td>
+                  {editing && (
+                    <td style={styles.td}>
+                      <button type="button" onClick={() => removeLine(p.product_id)} style={styles.linkButton}>
+                        Remove
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
+
+        {proposal_id && status === "draft" && !editing && (
+          <button type="button" onClick={startEditing} style={{ ...styles.secondaryButton, ...styles.editToggle }}>
+            Edit quantities
+          </button>
+        )}
+
+        {editing && (
+          <div style={styles.editPanel}>
+            {addable.length > 0 && (
+              <div style={styles.editRow}>
+                <select value={addId} onChange={(e) => setAddId(e.target.value)} style={styles.editInput}>
+                  <option value="">Add a product…</option>
+                  {addable.map((p) => (
+                    <option key={p.product_id} value={p.product_id}>
+                      {p.name} ({p.category}, {money(p.unit_price)})
+                    </option>
+                  ))}
+                </select>
+                <button type="button" onClick={addLine} disabled={!addId} style={styles.secondaryButton}>
+                  Add
+                </button>
+              </div>
+            )}
+            <input
+              type="text"
+              placeholder="Revision note (optional)"
+              value={comment}
+              maxLength={500}
+              onChange={(e) => setComment(e.target.value)}
+              style={styles.editInput}
+            />
+            <p style={styles.draftTotal}>
+              New subtotal: <strong>{money(draftTotal)}</strong> of {money(total_budget_limit)}
+              {pricing && " (discounts, tax and shipping are recalculated on save)"}
+            </p>
+            {editError && <p style={styles.editError}>{editError}</p>}
+            <div style={styles.actionGroup}>
+              <button type="button" onClick={saveRevision} disabled={saving} style={styles.actionButton}>
+                {saving ? "Saving…" : "Save revision"}
+              </button>
+              <button type="button" onClick={() => setDraft(null)} disabled={saving} style={styles.secondaryButton}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Pie Chart */}
@@ -119,7 +513,7 @@ export default function ProposalDashboard({ data }) {
                 <Cell key={i} fill={COLORS[i % COLORS.length]} />
               ))}
             </Pie>
-            <Tooltip formatter={(v) => `₹${v.toLocaleString('en-IN')}`} />
+            <Tooltip formatter={(v) => money(v)} />
             <Legend />
           </PieChart>
         </ResponsiveContainer>
@@ -127,25 +521,111 @@ export default function ProposalDashboard({ data }) {
 
       {/* Impact Cards */}
       <div style={styles.impactRow}>
-        <div style={{ ...styles.impactCard, borderTop: "4px solid var(--brand-accent, #2BB673)" }}>
-          <p style={styles.impactLabel}>Total Plastic Saved</p>
-          <p style={styles.impactValue}>
-            {computed_impact.total_plastic_saved.toFixed(2)} kg
-          </p>
+        {impactCards.map((card) => (
+          <div key={card.key} style={{ ...styles.impactCard, borderTop: `4px solid ${card.color}` }}>
+            <p style={styles.impactLabel}>{card.label}</p>
+            <p style={styles.impactValue}>
+              {computed_impact[card.key].toFixed(2)} {card.unit}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Equivalents & certifications */}
+      {(computed_impact.equivalents?.length > 0 || computed_impact.certifications?.length > 0) && (
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>What This Means</h3>
+          {computed_impact.equivalents?.length > 0 && (
+            <ul style={styles.equivalentList}>
+              {computed_impact.equivalents.map((e) => (
+                <li key={e.key}>{e.text.charAt(0).toUpperCase() + e.text.slice(1)}</li>
+              ))}
+            </ul>
+          )}
+          {computed_impact.certifications?.length > 0 && (
+            <div style={styles.certRow}>
+              {computed_impact.certifications.map((c) => (
+                <span key={c.name} style={styles.certBadge} title={`${c.units} units certified`}>
+                  {c.name} · {c.units}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
-        <div style={{ ...styles.impactCard, borderTop: "4px solid var(--brand-primary, #1F7A5C)" }}>
-          <p style={styles.impactLabel}>Total Carbon Avoided</p>
-          <p style={styles.impactValue}>
-            {computed_impact.total_carbon_avoided.toFixed(2)} kg CO₂
-          </p>
+      )}
+
+      {/* Impact by product */}
+      {computed_impact.line_items?.length > 0 && (
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>Impact by Product</h3>
+          <div style={styles.tableWrapper}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Product</th>
+                  {impactCards.map((card) => (
+                    <th key={card.key} style={styles.th}>
+                      {card.label.replace("Total ", "")} ({card.unit})
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {computed_impact.line_items.map((line, i) => (
+                  <tr key={line.product_id} style={i % 2 === 0 ? styles.trEven : {}}>
+                    <td style={styles.td}>
+                      {line.name}
+                      {line.certifications?.length > 0 && (
+                        <div style={styles.lineDiscount}>{line.certifications.join(", ")}</div>
+                      )}
+                    </td>
+                    {impactCards.map((card) => (
+                      <td key={card.key} style={styles.td}>
+                        {line[card.metric] ?? 0}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Impact Summary */}
       <div style={styles.card}>
         <h3 style={styles.cardTitle}>Impact Positioning</h3>
         <p style={styles.text}>{impact_summary}</p>
       </div>
+
+      {/* Catalog ranking the AI planned from */}
+      {catalog_selection?.length > 0 && (
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>Products Shown to the AI</h3>
+          <div style={styles.tableWrapper}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>#</th>
+                  <th style={styles.th}>Product</th>
+                  <th style={styles.th}>Score</th>
+                  <th style={styles.th}>Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalog_selection.map((s, i) => (
+                  <tr key={s.product_id} style={i % 2 === 0 ? styles.trEven : {}}>
+                    <td style={styles.td}>{s.rank}</td>
+                    <td style={styles.td}>{s.name}</td>
+                    <td style={styles.td}>{s.score.toFixed(2)}</td>
+                    <td style={{ ...styles.td, ...styles.reasonCell }}>{s.reasons.join("; ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -164,6 +644,106 @@ const styles = {
     padding: 24,
     boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
   },
+  cardHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 12,
+  },
+  actionButton: {
+    padding: "6px 14px",
+    background: "var(--brand-accent, #2BB673)",
+    color: "#fff",
+    border: "none",
+    borderRadius: 8,
+    fontSize: 13,
+    fontWeight: 600,
+    textDecoration: "none",
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+  },
+  actionGroup: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  secondaryButton: {
+    padding: "6px 12px",
+    background: "#fff",
+    border: "1px solid var(--brand-accent, #2BB673)",
+    color: "var(--brand-primary, #1F7A5C)",
+    borderRadius: 8,
+    fontSize: 13,
+    fontWeight: 600,
+    textDecoration: "none",
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+  },
+  statusBadge: {
+    marginLeft: 10,
+    padding: "2px 10px",
+    borderRadius: 10,
+    fontSize: 12,
+    fontWeight: 600,
+    verticalAlign: "middle",
+  },
+  statusMeta: {
+    marginTop: 8,
+    fontSize: 13,
+    color: "#888",
+  },
+  statusActions: {
+    marginTop: 14,
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 10,
+  },
+  editToggle: {
+    marginTop: 12,
+  },
+  editPanel: {
+    marginTop: 14,
+    display: "flex",
+    flexDirection: "column",
+    gap: 10,
+  },
+  editRow: {
+    display: "flex",
+    gap: 8,
+  },
+  editInput: {
+    flex: 1,
+    padding: "8px 10px",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 14,
+  },
+  qtyInput: {
+    width: 80,
+    padding: "4px 6px",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 6,
+    fontSize: 14,
+  },
+  linkButton: {
+    background: "none",
+    border: "none",
+    color: "#e74c3c",
+    cursor: "pointer",
+    fontSize: 13,
+  },
+  draftTotal: {
+    margin: 0,
+    fontSize: 14,
+    color: "#555",
+  },
+  editError: {
+    margin: 0,
+    fontSize: 13,
+    color: "#e74c3c",
+  },
   cardTitle: {
     margin: "0 0 12px",
     fontSize: 18,
@@ -181,6 +761,27 @@ const styles = {
     fontSize: 14,
     color: "#666",
   },
+  engineBadge: {
+    marginLeft: 12,
+    padding: "2px 10px",
+    borderRadius: 10,
+    fontSize: 12,
+    fontWeight: 600,
+    background: "var(--brand-light, #F5F9F7)",
+    color: "var(--brand-primary, #1F7A5C)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+  },
+  briefQuote: {
+    margin: "0 0 8px",
+    fontSize: 13,
+    fontStyle: "italic",
+    color: "#777",
+  },
+  fallbackNote: {
+    marginTop: 8,
+    fontSize: 13,
+    color: "#b9770e",
+  },
   budgetRow: {
     display: "flex",
     justifyContent: "space-between",
@@ -208,6 +809,33 @@ const styles = {
     marginTop: 4,
     textAlign: "right",
   },
+  breakdown: {
+    width: "100%",
+    marginTop: 12,
+    fontSize: 14,
+    color: "#555",
+    borderCollapse: "collapse",
+  },
+  breakdownValue: {
+    textAlign: "right",
+    padding: "2px 0",
+  },
+  breakdownTotal: {
+    fontWeight: 700,
+    color: "var(--text-dark, #1A1A1A)",
+    borderTop: "1px solid var(--border-light, #E0E8E4)",
+  },
+  reserveLabel: {
+    display: "flex",
+    alignItems: "center",
+    fontSize: 13,
+    color: "#555",
+    cursor: "pointer",
+  },
+  lineDiscount: {
+    fontSize: 12,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
   tableWrapper: {
     overflowX: "auto",
   },
@@ -245,6 +873,31 @@ const styles = {
     boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
     textAlign: "center",
   },
+  equivalentList: {
+    margin: "0 0 8px",
+    paddingLeft: 20,
+    fontSize: 14,
+    lineHeight: 1.7,
+    color: "#444",
+  },
+  certRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  certBadge: {
+    padding: "2px 10px",
+    borderRadius: 10,
+    fontSize: 12,
+    fontWeight: 600,
+    background: "var(--brand-light, #F5F9F7)",
+    color: "var(--brand-primary, #1F7A5C)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+  },
+  reasonCell: {
+    fontSize: 13,
+    color: "#666",
+  },
   impactLabel: {
     fontSize: 14,
     color: "#888",
@@ -1,4 +1,6 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
+import { CURRENCIES, formatMoney } from "../currency";
+import { parseBrief, searchClients } from "../api";
 
 const CATEGORIES = [
   "Bags",
@@ -9,6 +11,12 @@ const CATEGORIES = [
   "Kitchen",
 ];
 
+const VARIANT_OPTIONS = [
+  { value: "", label: "Single proposal" },
+  { value: "2", label: "2 options (cost-effective, premium)" },
+  { value: "3", label: "3 options (cost-effective, balanced, premium)" },
+];
+
 const PRIORITIES = [
   { value: "", label: "— Select priority —" },
   { value: "maximum_plastic_reduction", label: "Maximum Plastic Reduction" },
@@ -18,11 +26,69 @@ const PRIORITIES = [
   { value: "balanced", label: "Balanced Approach" },
 ];
 
+const PRIORITY_LABELS = Object.fromEntries(PRIORITIES.map((p) => [p.value, p.label]));
+
+const CLIENT_SEARCH_DELAY_MS = 250;
+
 export default function ProposalForm({ onSubmit, loading }) {
   const [clientName, setClientName] = useState("");
+  const [clientId, setClientId] = useState(null);
+  const [clientMatches, setClientMatches] = useState([]);
+  const [showClientMatches, setShowClientMatches] = useState(false);
   const [budget, setBudget] = useState("");
+  const [currency, setCurrency] = useState("INR");
+  const [region, setRegion] = useState("");
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [priority, setPriority] = useState("");
+  const [deterministic, setDeterministic] = useState(false);
+  const [variants, setVariants] = useState("");
+  const [clientNeeds, setClientNeeds] = useState("");
+  const [brief, setBrief] = useState("");
+  const [extraction, setExtraction] = useState(null);
+  const [extracting, setExtracting] = useState(false);
+  const [briefError, setBriefError] = useState(null);
+  const [headcount, setHeadcount] = useState("");
+  const [exclusions, setExclusions] = useState("");
+
+  // Autocomplete while typing a name that is not a picked client
+  useEffect(() => {
+    const q = clientName.trim();
+    if (clientId || !q) {
+      setClientMatches([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await searchClients(q);
+        if (!cancelled && res.ok) setClientMatches(res.data.items);
+      } catch {
+        if (!cancelled) setClientMatches([]);
+      }
+    }, CLIENT_SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [clientName, clientId]);
+
+  // Typing again detaches the form from the picked client
+  function handleClientNameChange(value) {
+    setClientName(value);
+    setClientId(null);
+    setShowClientMatches(true);
+  }
+
+  // The client's stored defaults fill the form; the server applies its
+  // exclusions and order history
+  function pickClient(client) {
+    setClientId(client.client_id);
+    setClientName(client.name);
+    setShowClientMatches(false);
+    if (client.default_currency) setCurrency(client.default_currency);
+    if (client.default_category_focus?.length > 0) setSelectedCategories(client.default_category_focus);
+    if (client.default_sustainability_priority) setPriority(client.default_sustainability_priority);
+  }
 
   function toggleCategory(cat) {
     setSelectedCategories((prev) =>
@@ -30,14 +96,47 @@ export default function ProposalForm({ onSubmit, loading }) {
     );
   }
 
+  // Fills the form from the brief; everything stays editable before submit
+  async function handleExtract() {
+    setExtracting(true);
+    setBriefError(null);
+    try {
+      const res = await parseBrief(brief);
+      if (!res.ok) throw new Error(res.error);
+      const found = res.data;
+      setExtraction(found);
+      if (found.budget_limit) setBudget(String(found.budget_limit));
+      if (found.currency) setCurrency(found.currency);
+      if (found.category_focus.length > 0) setSelectedCategories(found.category_focus);
+      if (found.priorities.length > 0) setPriority(found.priorities[0]);
+      setHeadcount(found.headcount ? String(found.headcount) : "");
+      setExclusions(found.exclusions.join(", "));
+    } catch (err) {
+      setBriefError(err.response?.data?.error || err.message || "Could not read the brief");
+    } finally {
+      setExtracting(false);
+    }
+  }
+
   function handleSubmit(e) {
     e.preventDefault();
-    if (!budget || Number(budget) <= 0) return;
+    const hasBudget = budget && Number(budget) > 0;
+    // Without a budget the server takes it (and its currency) from the brief
+    if (!hasBudget && !brief.trim()) return;
     onSubmit({
+      client_id: clientId || undefined,
       client_name: clientName,
-      budget_limit: Number(budget),
+      budget_limit: hasBudget ? Number(budget) : undefined,
+      currency: hasBudget ? currency : undefined,
+      region: region.trim() || undefined,
       category_focus: selectedCategories,
       sustainability_priority: priority,
+      client_needs: clientNeeds.trim(),
+      brief: brief.trim(),
+      headcount: Number(headcount) || undefined,
+      exclusions: exclusions.split(",").map((x) => x.trim()).filter(Boolean),
+      mode: deterministic ? "deterministic" : "ai",
+      variants: variants ? Number(variants) : undefined,
     });
   }
 
@@ -45,32 +144,166 @@ export default function ProposalForm({ onSubmit, loading }) {
     <form onSubmit={handleSubmit} style={styles.form}>
       <h2 style={styles.heading}>Generate B2B Proposal</h2>
 
-      {/* Client Name */}
+      {/* Client brief (free text, parsed into the fields below) */}
       <div style={styles.field}>
-        <label style={styles.label}>Client Name</label>
-        <input
-          style={styles.input}
-          type="text"
-          placeholder="e.g. Acme Corp"
-          value={clientName}
-          onChange={(e) => setClientName(e.target.value)}
+        <label style={styles.label}>Client Brief</label>
+        <textarea
+          style={styles.textarea}
+          rows={3}
+          maxLength={2000}
+          placeholder='e.g. "We need 200 welcome kits for new hires, no plastic, under 3 lakh"'
+          value={brief}
+          onChange={(e) => setBrief(e.target.value)}
         />
+        <button
+          type="button"
+          style={{ ...styles.secondaryButton, opacity: !brief.trim() || extracting ? 0.6 : 1 }}
+          disabled={!brief.trim() || extracting}
+          onClick={handleExtract}
+        >
+          {extracting ? "Reading brief..." : extraction ? "Extract again" : "Extract details"}
+        </button>
+        {briefError && <p style={styles.briefError}>{briefError}</p>}
+        {extraction && (
+          <div style={styles.preview}>
+            <p style={styles.previewTitle}>Read from the brief — edit anything below before generating</p>
+            <ul style={styles.previewList}>
+              <li>
+                Budget:{" "}
+                {extraction.budget_limit
+                  ? formatMoney(extraction.budget_limit, extraction.currency || currency)
+                  : "not stated"}
+                {extraction.matched.budget_limit && (
+                  <span style={styles.matched}> (“{extraction.matched.budget_limit}”)</span>
+                )}
+              </li>
+              <li>
+                Categories: {extraction.category_focus.join(", ") || "none named"}
+                {extraction.matched.category_focus && (
+                  <span style={styles.matched}> (“{extraction.matched.category_focus}”)</span>
+                )}
+              </li>
+              <li>
+                Priorities: {extraction.priorities.map((p) => PRIORITY_LABELS[p] || p).join(", ") || "none named"}
+                {extraction.matched.priorities && (
+                  <span style={styles.matched}> (“{extraction.matched.priorities}”)</span>
+                )}
+              </li>
+            </ul>
+            <div style={styles.previewRow}>
+              <label style={styles.previewField}>
+                Headcount
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder="not stated"
+                  value={headcount}
+                  onChange={(e) => setHeadcount(e.target.value)}
+                />
+              </label>
+              <label style={{ ...styles.previewField, flex: 2 }}>
+                Exclude (comma separated)
+                <input
+                  style={styles.input}
+                  type="text"
+                  placeholder="e.g. plastic, electronics"
+                  value={exclusions}
+                  onChange={(e) => setExclusions(e.target.value)}
+                />
+              </label>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Client (picks a saved account, or any free-text name) */}
+      <div style={styles.field}>
+        <label style={styles.label}>
+          Client Name{" "}
+          {clientId && <span style={styles.hint}>(saved client — defaults and order history apply)</span>}
+        </label>
+        <div style={styles.picker}>
+          <input
+            style={styles.input}
+            type="text"
+            placeholder="e.g. Acme Corp"
+            autoComplete="off"
+            value={clientName}
+            onChange={(e) => handleClientNameChange(e.target.value)}
+            onFocus={() => setShowClientMatches(true)}
+            onBlur={() => setShowClientMatches(false)}
+          />
+          {showClientMatches && clientMatches.length > 0 && (
+            <ul style={styles.suggestions} role="listbox">
+              {clientMatches.map((c) => (
+                <li
+                  key={c.client_id}
+                  role="option"
+                  aria-selected={false}
+                  style={styles.suggestion}
+                  // mousedown fires before the input's blur hides the list
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    pickClient(c);
+                  }}
+                >
+                  {c.name}
+                  {c.contact?.name && <span style={styles.matched}> — {c.contact.name}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
 
       {/* Budget */}
       <div style={styles.field}>
         <label style={styles.label}>
-          Budget Limit (₹) <span style={{ color: "#e74c3c" }}>*</span>
+          Budget Limit ({currency}){" "}
+          {brief.trim() ? (
+            <span style={styles.hint}>(optional with a brief that states one)</span>
+          ) : (
+            <span style={{ color: "#e74c3c" }}>*</span>
+          )}
         </label>
+        <div style={styles.budgetRow}>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="number"
+            min="1"
+            step="0.01"
+            placeholder="e.g. 5000"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            required={!brief.trim()}
+          />
+          <select
+            style={styles.currencySelect}
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            aria-label="Currency"
+          >
+            {CURRENCIES.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Delivery region (tax) */}
+      <div style={styles.field}>
+        <label style={styles.label}>Delivery Region</label>
         <input
           style={styles.input}
-          type="number"
-          min="1"
-          step="0.01"
-          placeholder="e.g. 5000"
-          value={budget}
-          onChange={(e) => setBudget(e.target.value)}
-          required
+          type="text"
+          placeholder="e.g. KA, EU (optional, used for tax)"
+          maxLength={10}
+          value={region}
+          onChange={(e) => setRegion(e.target.value)}
         />
       </div>
 
@@ -107,6 +340,49 @@ export default function ProposalForm({ onSubmit, loading }) {
         </select>
       </div>
 
+      {/* Client needs (free text, ranks the catalog shown to the AI) */}
+      <div style={styles.field}>
+        <label style={styles.label}>Client Needs</label>
+        <textarea
+          style={styles.textarea}
+          rows={2}
+          maxLength={1000}
+          placeholder="e.g. Solar chargers for our field teams, nothing single-use"
+          value={clientNeeds}
+          onChange={(e) => setClientNeeds(e.target.value)}
+        />
+      </div>
+
+      {/* Comparison variants */}
+      <div style={styles.field}>
+        <label style={styles.label}>Options to Compare</label>
+        <select
+          style={styles.select}
+          value={variants}
+          onChange={(e) => setVariants(e.target.value)}
+        >
+          {VARIANT_OPTIONS.map((v) => (
+            <option key={v.value} value={v.value}>
+              {v.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Engine */}
+      <div style={styles.field}>
+        <label style={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={deterministic}
+            onChange={(e) => setDeterministic(e.target.checked)}
+          />
+          <span style={{ marginLeft: 6 }}>
+            Skip AI — use the deterministic allocator
+          </span>
+        </label>
+      </div>
+
       {/* Submit */}
       <button
         type="submit"
@@ -117,7 +393,9 @@ export default function ProposalForm({ onSubmit, loading }) {
         }}
         disabled={loading}
       >
-        {loading ? "Generating Proposal..." : "Generate Proposal"}
+        {loading
+          ? variants ? "Generating Options..." : "Generating Proposal..."
+          : variants ? "Generate Options" : "Generate Proposal"}
       </button>
     </form>
   );
@@ -158,6 +436,98 @@ const styles = {
     outline: "none",
     transition: "border 0.2s",
   },
+  textarea: {
+    width: "100%",
+    padding: "10px 14px",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 15,
+    fontFamily: "inherit",
+    boxSizing: "border-box",
+    outline: "none",
+    resize: "vertical",
+  },
+  secondaryButton: {
+    marginTop: 8,
+    padding: "8px 14px",
+    background: "#fff",
+    border: "1px solid var(--brand-accent, #2BB673)",
+    color: "var(--brand-primary, #1F7A5C)",
+    borderRadius: 8,
+    fontSize: 14,
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  briefError: {
+    margin: "6px 0 0",
+    fontSize: 13,
+    color: "#e74c3c",
+  },
+  preview: {
+    marginTop: 10,
+    padding: 12,
+    background: "var(--brand-light, #F5F9F7)",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 14,
+  },
+  previewTitle: {
+    margin: "0 0 6px",
+    fontWeight: 600,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  previewList: {
+    margin: "0 0 10px",
+    paddingLeft: 18,
+    lineHeight: 1.6,
+    color: "#444",
+  },
+  previewRow: {
+    display: "flex",
+    gap: 10,
+  },
+  previewField: {
+    flex: 1,
+    display: "flex",
+    flexDirection: "column",
+    gap: 4,
+    fontSize: 13,
+    fontWeight: 600,
+    color: "#555",
+  },
+  matched: {
+    color: "#888",
+    fontStyle: "italic",
+  },
+  picker: {
+    position: "relative",
+  },
+  suggestions: {
+    position: "absolute",
+    top: "100%",
+    left: 0,
+    right: 0,
+    zIndex: 10,
+    margin: "4px 0 0",
+    padding: 0,
+    listStyle: "none",
+    background: "#fff",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
+    maxHeight: 240,
+    overflowY: "auto",
+  },
+  suggestion: {
+    padding: "8px 14px",
+    fontSize: 14,
+    cursor: "pointer",
+  },
+  hint: {
+    fontWeight: 400,
+    fontSize: 12,
+    color: "#888",
+  },
   select: {
     width: "100%",
     padding: "10px 14px",
@@ -168,6 +538,18 @@ const styles = {
     outline: "none",
     background: "#fff",
   },
+  budgetRow: {
+    display: "flex",
+    gap: 8,
+  },
+  currencySelect: {
+    padding: "10px 14px",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 15,
+    outline: "none",
+    background: "#fff",
+  },
   checkboxGroup: {
     display: "flex",
     flexWrap: "wrap",
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { signIn } from "../api";
+
+// Asks for the user's API key once and trades it for a session token;
+// the key itself is not kept anywhere in the browser.
+export default function SignIn({ onSignedIn }) {
+  const [apiKey, setApiKey] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const session = await signIn(apiKey.trim());
+      setApiKey("");
+      onSignedIn(session);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || "Sign-in failed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.form}>
+      <h2 style={styles.heading}>Sign in</h2>
+      <p style={styles.hint}>Enter the API key your administrator issued for your team.</p>
+      <label style={styles.label} htmlFor="api-key">
+        API key
+      </label>
+      <input
+        id="api-key"
+        type="password"
+        autoComplete="off"
+        placeholder="pk_…"
+        value={apiKey}
+        onChange={(e) => setApiKey(e.target.value)}
+        style={styles.input}
+        required
+      />
+      {error && <div style={styles.error}>{error}</div>}
+      <button
+        type="submit"
+        disabled={loading || !apiKey.trim()}
+        style={{ ...styles.button, opacity: loading || !apiKey.trim() ? 0.6 : 1 }}
+      >
+        {loading ? "Signing in…" : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+const styles = {
+  form: {
+    background: "#fff",
+    borderRadius: "var(--radius, 12px)",
+    padding: 32,
+    maxWidth: 420,
+    width: "100%",
+    boxShadow: "var(--card-shadow, 0 2px 12px rgba(31,122,92,0.08))",
+  },
+  heading: {
+    margin: "0 0 8px",
+    fontSize: 22,
+    color: "var(--brand-primary, #1F7A5C)",
+  },
+  hint: {
+    margin: "0 0 20px",
+    fontSize: 13,
+    color: "#888",
+  },
+  label: {
+    display: "block",
+    marginBottom: 6,
+    fontWeight: 600,
+    fontSize: 14,
+    color: "var(--text-dark, #1A1A1A)",
+  },
+  input: {
+    width: "100%",
+    padding: "10px 14px",
+    border: "1px solid var(--border-light, #E0E8E4)",
+    borderRadius: 8,
+    fontSize: 15,
+    boxSizing: "border-box",
+    outline: "none",
+  },
+  error: {
+    marginTop: 12,
+    background: "#fdecea",
+    color: "#c0392b",
+    padding: "10px 14px",
+    borderRadius: 8,
+    fontSize: 14,
+  },
+  button: {
+    width: "100%",
+    padding: "12px 0",
+    background: "var(--brand-accent, #2BB673)",
+    color: "#fff",
+    border: "none",
+    borderRadius: 8,
+    fontSize: 16,
+    fontWeight: 600,
+    marginTop: 16,
+    transition: "opacity 0.2s",
+  },
+};
@@ -0,0 +1,21 @@
+// Mirrors backend/src/utils/currency.js. Rates are base-currency units
+// per one unit of each currency (base = 1).
+
+export const CURRENCIES = ["INR", "USD", "EUR", "GBP"];
+
+const LOCALES = { INR: "en-IN", USD: "en-US", EUR: "de-DE", GBP: "en-GB" };
+
+export function formatMoney(amount, currency = "INR") {
+  return new Intl.NumberFormat(LOCALES[currency] || undefined, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+// null when either rate is unknown
+export function convertPrice(amount, from, to, rates) {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+  return Math.round((amount * rates[from] * 100) / rates[to]) / 100;
+}